@@ -3,6 +3,17 @@ package constant
 type MultiKeyMode string
 
 const (
-	MultiKeyModeRandom  MultiKeyMode = "random"  // 随机
-	MultiKeyModePolling MultiKeyMode = "polling" // 轮询
+	MultiKeyModeRandom    MultiKeyMode = "random"     // 随机
+	MultiKeyModePolling   MultiKeyMode = "polling"    // 轮询
+	MultiKeyModeLeastUsed MultiKeyMode = "least_used" // 最少使用
+	MultiKeyModeWeighted  MultiKeyMode = "weighted"   // 加权随机
 )
+
+// IsValidMultiKeyMode 判断是否为支持的多密钥轮换策略
+func IsValidMultiKeyMode(mode MultiKeyMode) bool {
+	switch mode {
+	case MultiKeyModeRandom, MultiKeyModePolling, MultiKeyModeLeastUsed, MultiKeyModeWeighted:
+		return true
+	}
+	return false
+}
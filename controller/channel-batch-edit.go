@@ -0,0 +1,234 @@
+package controller
+
+import (
+	"errors"
+	"fmt"
+	"strconv"
+	"strings"
+
+	"github.com/QuantumNous/new-api/common"
+	"github.com/QuantumNous/new-api/model"
+	"github.com/QuantumNous/new-api/service"
+
+	"github.com/gin-gonic/gin"
+	"github.com/samber/lo"
+)
+
+// channelBatchEditLimit 单次批量编辑的渠道数量上限
+const channelBatchEditLimit = 500
+
+// ChannelBatchEditRequest 批量编辑请求，未设置的字段保持不变
+type ChannelBatchEditRequest struct {
+	Ids          []int             `json:"ids"`
+	DryRun       bool              `json:"dry_run"`
+	AddModels    []string          `json:"add_models"`
+	RemoveModels []string          `json:"remove_models"`
+	ModelMapping map[string]string `json:"model_mapping"` // 追加到模型重定向，同名的源模型会被覆盖
+	Groups       []string          `json:"groups"`        // 非空时替换渠道分组
+	Priority     *int64            `json:"priority"`
+	Weight       *uint             `json:"weight"`
+	Proxy        *string           `json:"proxy"`
+	AutoBan      *int              `json:"auto_ban"`
+}
+
+func (r *ChannelBatchEditRequest) isEmpty() bool {
+	return len(r.AddModels) == 0 && len(r.RemoveModels) == 0 && len(r.ModelMapping) == 0 &&
+		len(r.Groups) == 0 && r.Priority == nil && r.Weight == nil && r.Proxy == nil && r.AutoBan == nil
+}
+
+// ChannelBatchEditChange 单个字段的变更
+type ChannelBatchEditChange struct {
+	Field  string `json:"field"`
+	Before string `json:"before"`
+	After  string `json:"after"`
+}
+
+// ChannelBatchEditResult 单个渠道的编辑结果
+type ChannelBatchEditResult struct {
+	ChannelId   int                      `json:"channel_id"`
+	ChannelName string                   `json:"channel_name"`
+	Changes     []ChannelBatchEditChange `json:"changes"`
+	Error       string                   `json:"error,omitempty"`
+}
+
+type ChannelBatchEditResponse struct {
+	DryRun    bool                     `json:"dry_run"`
+	Results   []ChannelBatchEditResult `json:"results"`
+	Updated   int                      `json:"updated"`
+	Unchanged int                      `json:"unchanged"`
+	Failed    int                      `json:"failed"`
+}
+
+func trimNonEmpty(items []string) []string {
+	result := make([]string, 0, len(items))
+	for _, item := range items {
+		item = strings.TrimSpace(item)
+		if item != "" {
+			result = append(result, item)
+		}
+	}
+	return lo.Uniq(result)
+}
+
+// applyChannelBatchEdit 将批量编辑应用到渠道对象上，返回实际发生变化的字段
+// 指针字段总是替换为新指针，不修改原值，调用方可以保留浅拷贝作为修改前的状态
+func applyChannelBatchEdit(channel *model.Channel, req *ChannelBatchEditRequest) ([]ChannelBatchEditChange, error) {
+	changes := make([]ChannelBatchEditChange, 0)
+	addChange := func(field string, before string, after string) {
+		if before != after {
+			changes = append(changes, ChannelBatchEditChange{Field: field, Before: before, After: after})
+		}
+	}
+
+	if len(req.AddModels) > 0 || len(req.RemoveModels) > 0 {
+		models := lo.Filter(channel.GetModels(), func(m string, _ int) bool {
+			return m != "" && !lo.Contains(req.RemoveModels, m)
+		})
+		for _, m := range req.AddModels {
+			if !lo.Contains(models, m) {
+				models = append(models, m)
+			}
+		}
+		if len(models) == 0 {
+			return nil, errors.New("修改后渠道没有任何模型")
+		}
+		newModels := strings.Join(models, ",")
+		addChange("models", channel.Models, newModels)
+		channel.Models = newModels
+	}
+
+	if len(req.ModelMapping) > 0 {
+		mapping := make(map[string]string)
+		oldMapping := strings.TrimSpace(channel.GetModelMapping())
+		if oldMapping != "" && oldMapping != "{}" {
+			if err := common.UnmarshalJsonStr(oldMapping, &mapping); err != nil {
+				return nil, fmt.Errorf("现有模型重定向不是合法的 JSON：%s", err.Error())
+			}
+		}
+		for from, to := range req.ModelMapping {
+			mapping[from] = to
+		}
+		mappingBytes, err := common.Marshal(mapping)
+		if err != nil {
+			return nil, err
+		}
+		addChange("model_mapping", channel.GetModelMapping(), string(mappingBytes))
+		channel.ModelMapping = common.GetPointer(string(mappingBytes))
+	}
+
+	if len(req.Groups) > 0 {
+		newGroup := strings.Join(req.Groups, ",")
+		addChange("group", channel.Group, newGroup)
+		channel.Group = newGroup
+	}
+
+	if req.Priority != nil {
+		addChange("priority", strconv.FormatInt(channel.GetPriority(), 10), strconv.FormatInt(*req.Priority, 10))
+		channel.Priority = common.GetPointer(*req.Priority)
+	}
+
+	if req.Weight != nil {
+		addChange("weight", strconv.Itoa(channel.GetWeight()), strconv.FormatUint(uint64(*req.Weight), 10))
+		channel.Weight = common.GetPointer(*req.Weight)
+	}
+
+	if req.AutoBan != nil {
+		before := 1
+		if channel.AutoBan != nil {
+			before = *channel.AutoBan
+		}
+		addChange("auto_ban", strconv.Itoa(before), strconv.Itoa(*req.AutoBan))
+		channel.AutoBan = common.GetPointer(*req.AutoBan)
+	}
+
+	if req.Proxy != nil {
+		setting := channel.GetSetting()
+		addChange("proxy", setting.Proxy, *req.Proxy)
+		if setting.Proxy != *req.Proxy {
+			setting.Proxy = *req.Proxy
+			channel.SetSetting(setting)
+		}
+	}
+
+	return changes, nil
+}
+
+// BatchEditChannels 批量编辑选中的渠道，dry_run 时只返回每个渠道将要变化的字段。
+// 每个渠道单独保存，部分失败不影响其他渠道，失败原因逐个返回
+func BatchEditChannels(c *gin.Context) {
+	req := ChannelBatchEditRequest{}
+	if err := c.ShouldBindJSON(&req); err != nil || len(req.Ids) == 0 {
+		common.ApiErrorMsg(c, "参数错误")
+		return
+	}
+	if len(req.Ids) > channelBatchEditLimit {
+		common.ApiErrorMsg(c, fmt.Sprintf("单次最多编辑 %d 个渠道", channelBatchEditLimit))
+		return
+	}
+	req.AddModels = trimNonEmpty(req.AddModels)
+	req.RemoveModels = trimNonEmpty(req.RemoveModels)
+	req.Groups = trimNonEmpty(req.Groups)
+	if req.Proxy != nil {
+		req.Proxy = common.GetPointer(strings.TrimSpace(*req.Proxy))
+	}
+	if req.AutoBan != nil && *req.AutoBan != 0 && *req.AutoBan != 1 {
+		common.ApiErrorMsg(c, "自动禁用只能为 0 或 1")
+		return
+	}
+	if req.isEmpty() {
+		common.ApiErrorMsg(c, "请至少设置一项修改")
+		return
+	}
+
+	channels, err := model.GetChannelsByIds(req.Ids)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	channelMap := lo.KeyBy(channels, func(channel *model.Channel) int {
+		return channel.Id
+	})
+
+	resp := ChannelBatchEditResponse{
+		DryRun:  req.DryRun,
+		Results: make([]ChannelBatchEditResult, 0, len(req.Ids)),
+	}
+	for _, id := range lo.Uniq(req.Ids) {
+		result := ChannelBatchEditResult{ChannelId: id, Changes: []ChannelBatchEditChange{}}
+		channel, ok := channelMap[id]
+		if !ok {
+			result.Error = "渠道不存在"
+			resp.Failed++
+			resp.Results = append(resp.Results, result)
+			continue
+		}
+		result.ChannelName = channel.Name
+		origin := *channel
+		changes, err := applyChannelBatchEdit(channel, &req)
+		if err != nil {
+			result.Error = err.Error()
+			resp.Failed++
+			resp.Results = append(resp.Results, result)
+			continue
+		}
+		result.Changes = changes
+		if len(changes) == 0 {
+			resp.Unchanged++
+		} else if req.DryRun {
+			resp.Updated++
+		} else if err := channel.Update(); err != nil {
+			result.Error = err.Error()
+			resp.Failed++
+		} else {
+			resp.Updated++
+			recordChannelVersion(c, &origin, channel, model.ChannelVersionSourceBatchEdit, 0)
+		}
+		resp.Results = append(resp.Results, result)
+	}
+
+	if !req.DryRun && resp.Updated > 0 {
+		model.InitChannelCache()
+		service.ResetProxyClientCache()
+	}
+	common.ApiSuccess(c, resp)
+}
@@ -0,0 +1,47 @@
+package controller
+
+import (
+	"github.com/QuantumNous/new-api/common"
+	"github.com/QuantumNous/new-api/model"
+
+	"github.com/gin-gonic/gin"
+)
+
+// channelQueryViewLimit 单次统计的视图数量上限
+const channelQueryViewLimit = 50
+
+// parseChannelQuery 解析 URL 中 JSON 格式的高级查询条件，参数为空时返回 nil
+func parseChannelQuery(c *gin.Context) (*model.ChannelQuery, error) {
+	queryParam := c.Query("query")
+	if queryParam == "" {
+		return nil, nil
+	}
+	query := &model.ChannelQuery{}
+	if err := common.UnmarshalJsonStr(queryParam, query); err != nil {
+		return nil, err
+	}
+	return query, nil
+}
+
+type ChannelQueryCountsRequest struct {
+	Queries map[string]*model.ChannelQuery `json:"queries"`
+}
+
+// CountChannelQueries 统计已保存视图各自命中的渠道数量
+func CountChannelQueries(c *gin.Context) {
+	req := ChannelQueryCountsRequest{}
+	if err := c.ShouldBindJSON(&req); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	if len(req.Queries) > channelQueryViewLimit {
+		common.ApiErrorMsg(c, "视图数量过多")
+		return
+	}
+	counts, err := model.CountChannelsByQueries(req.Queries)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	common.ApiSuccess(c, counts)
+}
@@ -0,0 +1,374 @@
+package controller
+
+import (
+	"errors"
+	"fmt"
+	"net/http"
+	"strconv"
+	"strings"
+	"sync"
+	"time"
+
+	"github.com/QuantumNous/new-api/common"
+	"github.com/QuantumNous/new-api/constant"
+	"github.com/QuantumNous/new-api/model"
+	"github.com/QuantumNous/new-api/service"
+	"github.com/QuantumNous/new-api/types"
+
+	"github.com/bytedance/gopkg/util/gopool"
+	"github.com/gin-gonic/gin"
+)
+
+// 正在运行的策略，避免同一策略并发执行
+var runningChannelTestPolicies sync.Map
+
+var channelTestPolicyEndpointTypes = map[string]bool{
+	"":                                  true,
+	string(constant.EndpointTypeOpenAI): true,
+	string(constant.EndpointTypeOpenAIResponse):  true,
+	string(constant.EndpointTypeAnthropic):       true,
+	string(constant.EndpointTypeGemini):          true,
+	string(constant.EndpointTypeJinaRerank):      true,
+	string(constant.EndpointTypeImageGeneration): true,
+	string(constant.EndpointTypeEmbeddings):      true,
+}
+
+// validateChannelTestPolicy 校验并规范化策略配置
+func validateChannelTestPolicy(p *model.ChannelTestPolicy) error {
+	p.Name = strings.TrimSpace(p.Name)
+	if p.Name == "" {
+		return errors.New("策略名称不能为空")
+	}
+	if len(p.GetChannelIds()) == 0 && len(p.GetTags()) == 0 {
+		return errors.New("请至少选择一个渠道或标签")
+	}
+	if !channelTestPolicyEndpointTypes[p.EndpointType] {
+		return fmt.Errorf("不支持的端点类型：%s", p.EndpointType)
+	}
+	if p.IntervalMinutes < 1 {
+		return errors.New("测试间隔不能小于 1 分钟")
+	}
+	if p.MaxResponseTime < 0 {
+		return errors.New("响应时间阈值不能为负数")
+	}
+	if p.DisableThreshold < 1 || p.EnableThreshold < 1 {
+		return errors.New("连续次数阈值不能小于 1")
+	}
+	return nil
+}
+
+// GetChannelTestPolicies 获取全部定时测试策略
+func GetChannelTestPolicies(c *gin.Context) {
+	policies, err := model.GetAllChannelTestPolicies()
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	for _, policy := range policies {
+		_, running := runningChannelTestPolicies.Load(policy.Id)
+		policy.Running = running
+	}
+	common.ApiSuccess(c, policies)
+}
+
+// GetChannelTestPolicyOptions 获取策略编辑时可选的渠道与标签
+func GetChannelTestPolicyOptions(c *gin.Context) {
+	channels, err := model.GetChannelTestPolicyCandidates()
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	items := make([]gin.H, 0, len(channels))
+	tagSet := make(map[string]bool)
+	tags := make([]string, 0)
+	for _, channel := range channels {
+		tag := channel.GetTag()
+		items = append(items, gin.H{
+			"id":     channel.Id,
+			"name":   channel.Name,
+			"tag":    tag,
+			"status": channel.Status,
+			"models": channel.GetModels(),
+		})
+		if tag != "" && !tagSet[tag] {
+			tagSet[tag] = true
+			tags = append(tags, tag)
+		}
+	}
+	common.ApiSuccess(c, gin.H{
+		"channels": items,
+		"tags":     tags,
+	})
+}
+
+// CreateChannelTestPolicy 创建定时测试策略
+func CreateChannelTestPolicy(c *gin.Context) {
+	var policy model.ChannelTestPolicy
+	if err := c.ShouldBindJSON(&policy); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	policy.Id = 0
+	if err := validateChannelTestPolicy(&policy); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	if err := policy.Insert(); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	common.ApiSuccess(c, &policy)
+}
+
+// UpdateChannelTestPolicy 更新定时测试策略
+func UpdateChannelTestPolicy(c *gin.Context) {
+	var policy model.ChannelTestPolicy
+	if err := c.ShouldBindJSON(&policy); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	if policy.Id == 0 {
+		common.ApiErrorMsg(c, "缺少策略 ID")
+		return
+	}
+	origin, err := model.GetChannelTestPolicyById(policy.Id)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	if err := validateChannelTestPolicy(&policy); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	policy.CreatedTime = origin.CreatedTime
+	policy.LastRunTime = origin.LastRunTime
+	if err := policy.Update(); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	common.ApiSuccess(c, &policy)
+}
+
+// DeleteChannelTestPolicy 删除定时测试策略及其运行记录
+func DeleteChannelTestPolicy(c *gin.Context) {
+	id, err := strconv.Atoi(c.Param("id"))
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	if _, running := runningChannelTestPolicies.Load(id); running {
+		common.ApiErrorMsg(c, "策略正在运行中，请稍后再删除")
+		return
+	}
+	if err := model.DeleteChannelTestPolicyById(id); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	common.ApiSuccess(c, nil)
+}
+
+// RunChannelTestPolicy 立即在后台运行一次策略
+func RunChannelTestPolicy(c *gin.Context) {
+	id, err := strconv.Atoi(c.Param("id"))
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	policy, err := model.GetChannelTestPolicyById(id)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	if err := startChannelTestPolicy(policy, model.ChannelTestPolicyTriggerManual); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	common.ApiSuccess(c, nil)
+}
+
+// GetChannelTestPolicyRuns 分页获取策略的运行日志
+func GetChannelTestPolicyRuns(c *gin.Context) {
+	id, err := strconv.Atoi(c.Param("id"))
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	pageInfo := common.GetPageQuery(c)
+	runs, total, err := model.GetChannelTestPolicyRuns(id, pageInfo.GetStartIdx(), pageInfo.GetPageSize())
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	pageInfo.SetTotal(int(total))
+	pageInfo.SetItems(runs)
+	common.ApiSuccess(c, pageInfo)
+}
+
+// startChannelTestPolicy 在后台运行策略，同一策略同时只会运行一次
+func startChannelTestPolicy(policy *model.ChannelTestPolicy, trigger string) error {
+	if _, running := runningChannelTestPolicies.LoadOrStore(policy.Id, true); running {
+		return errors.New("策略正在运行中")
+	}
+	gopool.Go(func() {
+		defer runningChannelTestPolicies.Delete(policy.Id)
+		runChannelTestPolicy(policy, trigger)
+	})
+	return nil
+}
+
+// getChannelTestPolicyModels 取策略模型与渠道模型的交集，策略未指定模型时使用渠道默认测试模型
+func getChannelTestPolicyModels(policy *model.ChannelTestPolicy, channel *model.Channel) []string {
+	policyModels := policy.GetModels()
+	if len(policyModels) == 0 {
+		return []string{getChannelTestModel(channel, "")}
+	}
+	channelModels := make(map[string]bool)
+	for _, modelName := range channel.GetModels() {
+		channelModels[strings.TrimSpace(modelName)] = true
+	}
+	models := make([]string, 0, len(policyModels))
+	for _, modelName := range policyModels {
+		if channelModels[modelName] {
+			models = append(models, modelName)
+		}
+	}
+	return models
+}
+
+func runChannelTestPolicy(policy *model.ChannelTestPolicy, trigger string) {
+	startTime := common.GetTimestamp()
+	run := &model.ChannelTestPolicyRun{
+		PolicyId:  policy.Id,
+		Trigger:   trigger,
+		StartTime: startTime,
+	}
+	events := make([]model.ChannelTestPolicyEvent, 0)
+
+	channels, err := model.GetChannelTestPolicyChannels(policy)
+	if err != nil {
+		common.SysLog(fmt.Sprintf("failed to load channels for test policy %d: %v", policy.Id, err))
+		return
+	}
+	run.ChannelCount = len(channels)
+
+	prevState := policy.GetChannelState()
+	state := make(map[int]*model.ChannelTestPolicyState, len(channels))
+	for _, channel := range channels {
+		addEvent := func(modelName string, action string, reason string) {
+			events = append(events, model.ChannelTestPolicyEvent{
+				ChannelId:   channel.Id,
+				ChannelName: channel.Name,
+				Model:       modelName,
+				Action:      action,
+				Reason:      reason,
+			})
+		}
+
+		testModels := getChannelTestPolicyModels(policy, channel)
+		if len(testModels) == 0 {
+			addEvent("", model.ChannelTestPolicyEventSkipped, "渠道不支持策略中的任何模型")
+			continue
+		}
+
+		failReason := ""
+		usingKey := ""
+		for _, testModel := range testModels {
+			tik := time.Now()
+			result := testChannel(channel, testModel, policy.EndpointType)
+			milliseconds := time.Since(tik).Milliseconds()
+
+			newAPIError := result.newAPIError
+			if result.localErr == nil && newAPIError == nil && policy.MaxResponseTime > 0 && milliseconds > policy.MaxResponseTime {
+				err := fmt.Errorf("响应时间 %.2fs 超过阈值 %.2fs", float64(milliseconds)/1000.0, float64(policy.MaxResponseTime)/1000.0)
+				newAPIError = types.NewOpenAIError(err, types.ErrorCodeChannelResponseTimeExceeded, http.StatusRequestTimeout)
+			}
+			recordChannelTestResult(channel, testModel, result.localErr, newAPIError, milliseconds)
+			run.TestedCount++
+
+			if result.context != nil && usingKey == "" {
+				usingKey = common.GetContextKeyString(result.context, constant.ContextKeyChannelKey)
+			}
+			if message := getChannelTestErrorMessage(result.localErr, newAPIError); message != "" {
+				run.FailedCount++
+				addEvent(testModel, model.ChannelTestPolicyEventFailed, message)
+				if failReason == "" {
+					failReason = fmt.Sprintf("%s：%s", testModel, message)
+				}
+			}
+			time.Sleep(common.RequestInterval)
+		}
+
+		// 任一模型失败即视为本轮失败
+		channelState := prevState[channel.Id]
+		if channelState == nil {
+			channelState = &model.ChannelTestPolicyState{}
+		}
+		if failReason != "" {
+			channelState.Failures++
+			channelState.Successes = 0
+		} else {
+			channelState.Successes++
+			channelState.Failures = 0
+		}
+		state[channel.Id] = channelState
+
+		if policy.AutoDisable && failReason != "" && channel.Status == common.ChannelStatusEnabled && channelState.Failures >= policy.DisableThreshold {
+			if !channel.GetAutoBan() {
+				addEvent("", model.ChannelTestPolicyEventSkipped, "渠道未开启自动禁用，跳过禁用")
+			} else {
+				reason := fmt.Sprintf("定时测试策略「%s」连续失败 %d 次，%s", policy.Name, channelState.Failures, failReason)
+				service.DisableChannel(*types.NewChannelError(channel.Id, channel.Type, channel.Name, channel.ChannelInfo.IsMultiKey, usingKey, true), reason)
+				run.DisabledCount++
+				addEvent("", model.ChannelTestPolicyEventDisabled, reason)
+			}
+		}
+
+		if policy.AutoEnable && failReason == "" && channel.Status == common.ChannelStatusAutoDisabled && channelState.Successes >= policy.EnableThreshold {
+			service.EnableChannel(channel.Id, usingKey, channel.Name)
+			run.EnabledCount++
+			addEvent("", model.ChannelTestPolicyEventEnabled, fmt.Sprintf("连续成功 %d 次", channelState.Successes))
+		}
+	}
+
+	run.EndTime = common.GetTimestamp()
+	eventsBytes, err := common.Marshal(events)
+	if err == nil {
+		run.Events = eventsBytes
+	}
+	if err := model.InsertChannelTestPolicyRun(run); err != nil {
+		common.SysLog(fmt.Sprintf("failed to save test policy run %d: %v", policy.Id, err))
+	}
+	// 不再被策略覆盖的渠道不保留状态
+	if err := policy.SaveRunState(state, startTime); err != nil {
+		common.SysLog(fmt.Sprintf("failed to save test policy state %d: %v", policy.Id, err))
+	}
+}
+
+var autoRunChannelTestPoliciesOnce sync.Once
+
+// AutomaticallyRunChannelTestPolicies 每分钟检查一次到期的定时测试策略
+func AutomaticallyRunChannelTestPolicies() {
+	// 只在Master节点运行定时测试策略
+	if !common.IsMasterNode {
+		return
+	}
+	autoRunChannelTestPoliciesOnce.Do(func() {
+		for {
+			time.Sleep(1 * time.Minute)
+			policies, err := model.GetEnabledChannelTestPolicies()
+			if err != nil {
+				common.SysLog(fmt.Sprintf("failed to load channel test policies: %v", err))
+				continue
+			}
+			now := common.GetTimestamp()
+			for _, policy := range policies {
+				if !policy.IsDue(now) {
+					continue
+				}
+				if err := startChannelTestPolicy(policy, model.ChannelTestPolicyTriggerSchedule); err == nil {
+					common.SysLog(fmt.Sprintf("automatically running channel test policy %d", policy.Id))
+				}
+			}
+		}
+	})
+}
@@ -40,6 +40,42 @@ type testResult struct {
 	newAPIError *types.NewAPIError
 }
 
+// getChannelTestModel 未指定测试模型时，依次使用渠道的测试模型、第一个模型或默认模型
+func getChannelTestModel(channel *model.Channel, testModel string) string {
+	testModel = strings.TrimSpace(testModel)
+	if testModel != "" {
+		return testModel
+	}
+	if channel.TestModel != nil && *channel.TestModel != "" {
+		return strings.TrimSpace(*channel.TestModel)
+	}
+	models := channel.GetModels()
+	if len(models) > 0 {
+		testModel = strings.TrimSpace(models[0])
+	}
+	if testModel == "" {
+		testModel = "gpt-4o-mini"
+	}
+	return testModel
+}
+
+// getChannelTestErrorMessage 提取测试失败原因，成功时返回空字符串
+func getChannelTestErrorMessage(localErr error, newAPIError *types.NewAPIError) string {
+	if localErr != nil {
+		return localErr.Error()
+	}
+	if newAPIError != nil {
+		return newAPIError.Error()
+	}
+	return ""
+}
+
+// recordChannelTestResult 持久化测试结果，供渠道健康历史查看
+func recordChannelTestResult(channel *model.Channel, testModel string, localErr error, newAPIError *types.NewAPIError, milliseconds int64) {
+	message := getChannelTestErrorMessage(localErr, newAPIError)
+	model.RecordChannelTestResult(channel.Id, getChannelTestModel(channel, testModel), message == "", milliseconds, message)
+}
+
 func testChannel(channel *model.Channel, testModel string, endpointType string) testResult {
 	tik := time.Now()
 	var unsupportedTestChannelTypes = []int{
@@ -60,20 +96,7 @@ func testChannel(channel *model.Channel, testModel string, endpointType string)
 	w := httptest.NewRecorder()
 	c, _ := gin.CreateTestContext(w)
 
-	testModel = strings.TrimSpace(testModel)
-	if testModel == "" {
-		if channel.TestModel != nil && *channel.TestModel != "" {
-			testModel = strings.TrimSpace(*channel.TestModel)
-		} else {
-			models := channel.GetModels()
-			if len(models) > 0 {
-				testModel = strings.TrimSpace(models[0])
-			}
-			if testModel == "" {
-				testModel = "gpt-4o-mini"
-			}
-		}
-	}
+	testModel = getChannelTestModel(channel, testModel)
 
 	requestPath := "/v1/chat/completions"
 
@@ -526,6 +549,9 @@ func TestChannel(c *gin.Context) {
 	endpointType := c.Query("endpoint_type")
 	tik := time.Now()
 	result := testChannel(channel, testModel, endpointType)
+	tok := time.Now()
+	milliseconds := tok.Sub(tik).Milliseconds()
+	go recordChannelTestResult(channel, testModel, result.localErr, result.newAPIError, milliseconds)
 	if result.localErr != nil {
 		c.JSON(http.StatusOK, gin.H{
 			"success": false,
@@ -534,8 +560,6 @@ func TestChannel(c *gin.Context) {
 		})
 		return
 	}
-	tok := time.Now()
-	milliseconds := tok.Sub(tik).Milliseconds()
 	go channel.UpdateResponseTime(milliseconds)
 	consumedTime := float64(milliseconds) / 1000.0
 	if result.newAPIError != nil {
@@ -614,6 +638,7 @@ func testAllChannels(notify bool) error {
 				service.EnableChannel(channel.Id, common.GetContextKeyString(result.context, constant.ContextKeyChannelKey), channel.Name)
 			}
 
+			recordChannelTestResult(channel, "", result.localErr, newAPIError, milliseconds)
 			channel.UpdateResponseTime(milliseconds)
 			time.Sleep(common.RequestInterval)
 		}
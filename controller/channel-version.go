@@ -0,0 +1,119 @@
+package controller
+
+import (
+	"fmt"
+	"net/http"
+	"strconv"
+
+	"github.com/QuantumNous/new-api/common"
+	"github.com/QuantumNous/new-api/model"
+	"github.com/QuantumNous/new-api/service"
+
+	"github.com/gin-gonic/gin"
+)
+
+// recordChannelVersion 记录渠道保存后的版本，失败只记录日志，不影响保存结果
+func recordChannelVersion(c *gin.Context, origin *model.Channel, channel *model.Channel, source string, rollbackFrom int) {
+	err := model.RecordChannelVersion(origin, channel, source, rollbackFrom, c.GetInt("id"), c.GetString("username"))
+	if err != nil {
+		common.SysLog(fmt.Sprintf("failed to record channel version: channel_id=%d, error=%v", channel.Id, err))
+	}
+}
+
+// recordTagChannelVersions 标签批量编辑后，为标签下的每个渠道记录版本
+func recordTagChannelVersions(c *gin.Context, originChannels []*model.Channel) {
+	if len(originChannels) == 0 {
+		return
+	}
+	ids := make([]int, 0, len(originChannels))
+	origins := make(map[int]*model.Channel, len(originChannels))
+	for _, channel := range originChannels {
+		ids = append(ids, channel.Id)
+		origins[channel.Id] = channel
+	}
+	channels, err := model.GetChannelsByIds(ids)
+	if err != nil {
+		common.SysLog(fmt.Sprintf("failed to load channels for version: error=%v", err))
+		return
+	}
+	for _, channel := range channels {
+		recordChannelVersion(c, origins[channel.Id], channel, model.ChannelVersionSourceTagEdit, 0)
+	}
+}
+
+// GetChannelVersions 分页获取渠道的历史版本
+func GetChannelVersions(c *gin.Context) {
+	channelId, err := strconv.Atoi(c.Param("id"))
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	pageInfo := common.GetPageQuery(c)
+	versions, total, err := model.GetChannelVersions(channelId, pageInfo.GetStartIdx(), pageInfo.GetPageSize())
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	pageInfo.SetTotal(int(total))
+	pageInfo.SetItems(versions)
+	common.ApiSuccess(c, pageInfo)
+}
+
+type ChannelVersionRollbackRequest struct {
+	VersionId int `json:"version_id"`
+}
+
+// RollbackChannelVersion 将渠道配置回滚到指定版本，回滚本身也会产生一个新版本
+func RollbackChannelVersion(c *gin.Context) {
+	channelId, err := strconv.Atoi(c.Param("id"))
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	req := ChannelVersionRollbackRequest{}
+	if err := c.ShouldBindJSON(&req); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	version, err := model.GetChannelVersionById(channelId, req.VersionId)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "版本不存在",
+		})
+		return
+	}
+	config, err := version.GetConfig()
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	originChannel, err := model.GetChannelById(channelId, false)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	channel := *originChannel
+	config.ApplyTo(&channel)
+	if err := validateChannel(&channel, false); err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": err.Error(),
+		})
+		return
+	}
+	if err := channel.SaveVersionConfig(); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	model.InitChannelCache()
+	service.ResetProxyClientCache()
+	recordChannelVersion(c, originChannel, &channel, model.ChannelVersionSourceRollback, version.Version)
+	channel.Key = ""
+	clearChannelInfo(&channel)
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    channel,
+	})
+}
@@ -361,6 +361,14 @@ func SearchChannels(c *gin.Context) {
 	statusFilter := parseStatusFilter(statusParam)
 	idSort, _ := strconv.ParseBool(c.Query("id_sort"))
 	enableTagMode, _ := strconv.ParseBool(c.Query("tag_mode"))
+	channelQuery, err := parseChannelQuery(c)
+	if err != nil {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "高级查询条件格式错误",
+		})
+		return
+	}
 	channelData := make([]*model.Channel, 0)
 	if enableTagMode {
 		tags, err := model.SearchTags(keyword, group, modelKeyword, idSort)
@@ -405,6 +413,12 @@ func SearchChannels(c *gin.Context) {
 		channelData = filtered
 	}
 
+	channelData, err = model.FilterChannelsByQuery(channelData, channelQuery)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+
 	// calculate type counts for search results
 	typeCounts := make(map[int64]int64)
 	for _, channel := range channelData {
@@ -847,12 +861,18 @@ func EditTagChannels(c *gin.Context) {
 		}
 		channelTag.HeaderOverride = common.GetPointer[string](trimmed)
 	}
+	originChannels, err := model.GetChannelsByTag(channelTag.Tag, false, false)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
 	err = model.EditChannelByTag(channelTag.Tag, channelTag.NewTag, channelTag.ModelMapping, channelTag.Models, channelTag.Groups, channelTag.Priority, channelTag.Weight, channelTag.ParamOverride, channelTag.HeaderOverride)
 	if err != nil {
 		common.ApiError(c, err)
 		return
 	}
 	model.InitChannelCache()
+	recordTagChannelVersions(c, originChannels)
 	c.JSON(http.StatusOK, gin.H{
 		"success": true,
 		"message": "",
@@ -889,6 +909,127 @@ func DeleteChannelBatch(c *gin.Context) {
 	return
 }
 
+// ChannelExportItem 渠道导出记录，字段与前端导入模板保持一致
+type ChannelExportItem struct {
+	Name         string `json:"name"`
+	Type         int    `json:"type"`
+	Key          string `json:"key"`
+	BaseURL      string `json:"base_url"`
+	Models       string `json:"models"`
+	ModelMapping string `json:"model_mapping"`
+	Groups       string `json:"groups"`
+	Tag          string `json:"tag"`
+	Priority     int64  `json:"priority"`
+	Weight       uint   `json:"weight"`
+}
+
+// maskChannelKey 对密钥逐行脱敏，仅保留首尾各 4 个字符
+func maskChannelKey(key string) string {
+	lines := strings.Split(key, "\n")
+	for i, line := range lines {
+		line = strings.TrimSpace(line)
+		if line == "" {
+			continue
+		}
+		if len(line) <= 12 {
+			lines[i] = "******"
+		} else {
+			lines[i] = line[:4] + "******" + line[len(line)-4:]
+		}
+	}
+	return strings.Join(lines, "\n")
+}
+
+// buildChannelExportItems 读取指定渠道（ids 为空时导出全部）并转换为导出记录
+func buildChannelExportItems(ids []int, includeKey bool) ([]ChannelExportItem, error) {
+	var channels []*model.Channel
+	var err error
+	if len(ids) == 0 {
+		channels, err = model.GetAllChannels(0, 0, true, true)
+	} else {
+		channels, err = model.GetChannelsByIds(ids)
+	}
+	if err != nil {
+		return nil, err
+	}
+
+	items := make([]ChannelExportItem, 0, len(channels))
+	for _, channel := range channels {
+		item := ChannelExportItem{
+			Name:   channel.Name,
+			Type:   channel.Type,
+			Models: channel.Models,
+			Groups: channel.Group,
+		}
+		if includeKey {
+			item.Key = channel.Key
+		} else {
+			item.Key = maskChannelKey(channel.Key)
+		}
+		if channel.BaseURL != nil {
+			item.BaseURL = *channel.BaseURL
+		}
+		if channel.ModelMapping != nil {
+			item.ModelMapping = *channel.ModelMapping
+		}
+		if channel.Tag != nil {
+			item.Tag = *channel.Tag
+		}
+		if channel.Priority != nil {
+			item.Priority = *channel.Priority
+		}
+		if channel.Weight != nil {
+			item.Weight = *channel.Weight
+		}
+		items = append(items, item)
+	}
+	return items, nil
+}
+
+// ExportChannels 导出渠道配置，密钥经过脱敏处理
+func ExportChannels(c *gin.Context) {
+	channelBatch := ChannelBatch{}
+	if err := c.ShouldBindJSON(&channelBatch); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	items, err := buildChannelExportItems(channelBatch.Ids, false)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data":    items,
+	})
+}
+
+// ExportChannelsWithKey 导出渠道配置（包含完整密钥）
+// 此函数依赖 SecureVerificationRequired 中间件，确保用户已通过安全验证
+func ExportChannelsWithKey(c *gin.Context) {
+	userId := c.GetInt("id")
+	channelBatch := ChannelBatch{}
+	if err := c.ShouldBindJSON(&channelBatch); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	items, err := buildChannelExportItems(channelBatch.Ids, true)
+	if err != nil {
+		common.ApiError(c, fmt.Errorf("获取渠道信息失败: %v", err))
+		return
+	}
+
+	// 记录操作日志
+	model.RecordLog(userId, model.LogTypeSystem, fmt.Sprintf("导出渠道密钥信息 (渠道数量: %d)", len(items)))
+
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "导出成功",
+		"data":    items,
+	})
+}
+
 type PatchChannel struct {
 	model.Channel
 	MultiKeyMode *string `json:"multi_key_mode"`
@@ -998,6 +1139,7 @@ func UpdateChannel(c *gin.Context) {
 	}
 	model.InitChannelCache()
 	service.ResetProxyClientCache()
+	recordChannelVersion(c, originChannel, &channel.Channel, model.ChannelVersionSourceEdit, 0)
 	channel.Key = ""
 	clearChannelInfo(&channel.Channel)
 	c.JSON(http.StatusOK, gin.H{
@@ -1229,11 +1371,18 @@ func CopyChannel(c *gin.Context) {
 // MultiKeyManageRequest represents the request for multi-key management operations
 type MultiKeyManageRequest struct {
 	ChannelId int    `json:"channel_id"`
-	Action    string `json:"action"`              // "disable_key", "enable_key", "delete_key", "delete_disabled_keys", "get_key_status"
+	Action    string `json:"action"`              // "disable_key", "enable_key", "delete_key", "delete_disabled_keys", "get_key_status", "get_key_stats", "set_rotation", "update_keys"
 	KeyIndex  *int   `json:"key_index,omitempty"` // for disable_key, enable_key, and delete_key actions
 	Page      int    `json:"page,omitempty"`      // for get_key_status pagination
 	PageSize  int    `json:"page_size,omitempty"` // for get_key_status pagination
 	Status    *int   `json:"status,omitempty"`    // for get_key_status filtering: 1=enabled, 2=manual_disabled, 3=auto_disabled, nil=all
+	// for set_rotation
+	MultiKeyMode string      `json:"multi_key_mode,omitempty"`
+	Weights      map[int]int `json:"weights,omitempty"`
+	// for update_keys
+	Keys    string `json:"keys,omitempty"`
+	KeyMode string `json:"key_mode,omitempty"` // "append" or "replace"
+	DryRun  bool   `json:"dry_run,omitempty"`
 }
 
 // MultiKeyStatusResponse represents the response for key status query
@@ -1247,6 +1396,8 @@ type MultiKeyStatusResponse struct {
 	EnabledCount        int `json:"enabled_count"`
 	ManualDisabledCount int `json:"manual_disabled_count"`
 	AutoDisabledCount   int `json:"auto_disabled_count"`
+	// Rotation
+	MultiKeyMode constant.MultiKeyMode `json:"multi_key_mode"`
 }
 
 type KeyStatus struct {
@@ -1255,6 +1406,69 @@ type KeyStatus struct {
 	DisabledTime int64  `json:"disabled_time,omitempty"`
 	Reason       string `json:"reason,omitempty"`
 	KeyPreview   string `json:"key_preview"` // first 10 chars of key for identification
+	Weight       int    `json:"weight"`
+	// Usage statistics recorded in memory on the current node
+	RequestCount   int64  `json:"request_count"`
+	RecentRequests int64  `json:"recent_requests"` // 最近两个小时的请求数，最少使用策略按此选择
+	ErrorCount     int64  `json:"error_count"`
+	LastUsedTime   int64  `json:"last_used_time,omitempty"`
+	LastErrorTime  int64  `json:"last_error_time,omitempty"`
+	LastError      string `json:"last_error,omitempty"`
+}
+
+// MultiKeyStatsResponse 多密钥渠道的调用统计，keys 包含全部密钥，hourly 为近24小时汇总
+type MultiKeyStatsResponse struct {
+	MultiKeyMode constant.MultiKeyMode          `json:"multi_key_mode"`
+	Keys         []KeyStatus                    `json:"keys"`
+	Hourly       []*model.ChannelKeyHourlyStats `json:"hourly"`
+}
+
+// MultiKeyUpdateDiff 批量更新密钥的去重差异，列表中为密钥预览
+type MultiKeyUpdateDiff struct {
+	Added      []string `json:"added"`
+	Duplicated []string `json:"duplicated"` // 输入中重复的密钥
+	Existing   []string `json:"existing"`   // 已存在于渠道中的密钥
+	Removed    []string `json:"removed"`    // 覆盖模式下将被移除的密钥
+	TotalAfter int      `json:"total_after"`
+}
+
+func previewMultiKey(key string) string {
+	if len(key) > 10 {
+		return key[:10] + "..."
+	}
+	return key
+}
+
+// buildKeyStatus 组装单个密钥的状态与调用统计
+func buildKeyStatus(channel *model.Channel, i int, key string) KeyStatus {
+	status := 1 // default enabled
+	if channel.ChannelInfo.MultiKeyStatusList != nil {
+		if s, exists := channel.ChannelInfo.MultiKeyStatusList[i]; exists {
+			status = s
+		}
+	}
+	keyStatus := KeyStatus{
+		Index:      i,
+		Status:     status,
+		KeyPreview: previewMultiKey(key),
+		Weight:     channel.ChannelInfo.GetMultiKeyWeight(i),
+	}
+	if status != 1 {
+		if channel.ChannelInfo.MultiKeyDisabledTime != nil {
+			keyStatus.DisabledTime = channel.ChannelInfo.MultiKeyDisabledTime[i]
+		}
+		if channel.ChannelInfo.MultiKeyDisabledReason != nil {
+			keyStatus.Reason = channel.ChannelInfo.MultiKeyDisabledReason[i]
+		}
+	}
+	stats := model.GetChannelKeyStats(channel.Id, key)
+	keyStatus.RequestCount = stats.RequestCount
+	keyStatus.RecentRequests = model.GetChannelKeyRecentRequests(channel.Id, key)
+	keyStatus.ErrorCount = stats.ErrorCount
+	keyStatus.LastUsedTime = stats.LastUsedTime
+	keyStatus.LastErrorTime = stats.LastErrorTime
+	keyStatus.LastError = stats.LastError
+	return keyStatus
 }
 
 // ManageMultiKeys handles multi-key management operations
@@ -1307,18 +1521,10 @@ func ManageMultiKeys(c *gin.Context) {
 		// Build all key status data first
 		var allKeyStatusList []KeyStatus
 		for i, key := range keys {
-			status := 1 // default enabled
-			var disabledTime int64
-			var reason string
-
-			if channel.ChannelInfo.MultiKeyStatusList != nil {
-				if s, exists := channel.ChannelInfo.MultiKeyStatusList[i]; exists {
-					status = s
-				}
-			}
+			keyStatus := buildKeyStatus(channel, i, key)
 
 			// Count for statistics (all keys)
-			switch status {
+			switch keyStatus.Status {
 			case 1:
 				enabledCount++
 			case 2:
@@ -1327,28 +1533,7 @@ func ManageMultiKeys(c *gin.Context) {
 				autoDisabledCount++
 			}
 
-			if status != 1 {
-				if channel.ChannelInfo.MultiKeyDisabledTime != nil {
-					disabledTime = channel.ChannelInfo.MultiKeyDisabledTime[i]
-				}
-				if channel.ChannelInfo.MultiKeyDisabledReason != nil {
-					reason = channel.ChannelInfo.MultiKeyDisabledReason[i]
-				}
-			}
-
-			// Create key preview (first 10 chars)
-			keyPreview := key
-			if len(key) > 10 {
-				keyPreview = key[:10] + "..."
-			}
-
-			allKeyStatusList = append(allKeyStatusList, KeyStatus{
-				Index:        i,
-				Status:       status,
-				DisabledTime: disabledTime,
-				Reason:       reason,
-				KeyPreview:   keyPreview,
-			})
+			allKeyStatusList = append(allKeyStatusList, keyStatus)
 		}
 
 		// Apply status filter if specified
@@ -1398,6 +1583,7 @@ func ManageMultiKeys(c *gin.Context) {
 				EnabledCount:        enabledCount,        // Overall statistics
 				ManualDisabledCount: manualDisabledCount, // Overall statistics
 				AutoDisabledCount:   autoDisabledCount,   // Overall statistics
+				MultiKeyMode:        channel.ChannelInfo.MultiKeyMode,
 			},
 		})
 		return
@@ -1581,6 +1767,7 @@ func ManageMultiKeys(c *gin.Context) {
 		var newStatusList = make(map[int]int)
 		var newDisabledTime = make(map[int]int64)
 		var newDisabledReason = make(map[int]string)
+		var newWeights = make(map[int]int)
 
 		newIndex := 0
 		for i, key := range keys {
@@ -1590,6 +1777,9 @@ func ManageMultiKeys(c *gin.Context) {
 			}
 
 			remainingKeys = append(remainingKeys, key)
+			if weight, exists := channel.ChannelInfo.MultiKeyWeights[i]; exists {
+				newWeights[newIndex] = weight
+			}
 
 			// 保留其他密钥的状态信息，重新索引
 			if channel.ChannelInfo.MultiKeyStatusList != nil {
@@ -1624,6 +1814,7 @@ func ManageMultiKeys(c *gin.Context) {
 		channel.ChannelInfo.MultiKeyStatusList = newStatusList
 		channel.ChannelInfo.MultiKeyDisabledTime = newDisabledTime
 		channel.ChannelInfo.MultiKeyDisabledReason = newDisabledReason
+		channel.ChannelInfo.MultiKeyWeights = newWeights
 
 		err = channel.Update()
 		if err != nil {
@@ -1632,6 +1823,7 @@ func ManageMultiKeys(c *gin.Context) {
 		}
 
 		model.InitChannelCache()
+		model.PruneChannelKeyStats(channel.Id, remainingKeys)
 		c.JSON(http.StatusOK, gin.H{
 			"success": true,
 			"message": "密钥已删除",
@@ -1645,6 +1837,7 @@ func ManageMultiKeys(c *gin.Context) {
 		var newStatusList = make(map[int]int)
 		var newDisabledTime = make(map[int]int64)
 		var newDisabledReason = make(map[int]string)
+		var newWeights = make(map[int]int)
 
 		newIndex := 0
 		for i, key := range keys {
@@ -1660,6 +1853,9 @@ func ManageMultiKeys(c *gin.Context) {
 				deletedCount++
 			} else {
 				remainingKeys = append(remainingKeys, key)
+				if weight, exists := channel.ChannelInfo.MultiKeyWeights[i]; exists {
+					newWeights[newIndex] = weight
+				}
 				// 保留非自动禁用密钥的状态信息，重新索引
 				if status != 1 {
 					newStatusList[newIndex] = status
@@ -1692,6 +1888,7 @@ func ManageMultiKeys(c *gin.Context) {
 		channel.ChannelInfo.MultiKeyStatusList = newStatusList
 		channel.ChannelInfo.MultiKeyDisabledTime = newDisabledTime
 		channel.ChannelInfo.MultiKeyDisabledReason = newDisabledReason
+		channel.ChannelInfo.MultiKeyWeights = newWeights
 
 		err = channel.Update()
 		if err != nil {
@@ -1700,6 +1897,7 @@ func ManageMultiKeys(c *gin.Context) {
 		}
 
 		model.InitChannelCache()
+		model.PruneChannelKeyStats(channel.Id, remainingKeys)
 		c.JSON(http.StatusOK, gin.H{
 			"success": true,
 			"message": fmt.Sprintf("已删除 %d 个自动禁用的密钥", deletedCount),
@@ -1707,6 +1905,227 @@ func ManageMultiKeys(c *gin.Context) {
 		})
 		return
 
+	case "get_key_stats":
+		keys := channel.GetKeys()
+		now := common.GetTimestamp()
+		currentHour := now - now%3600
+		hourly := make([]*model.ChannelKeyHourlyStats, 24)
+		for i := range hourly {
+			hourly[i] = &model.ChannelKeyHourlyStats{Time: currentHour - int64(23-i)*3600}
+		}
+		keyStatusList := make([]KeyStatus, 0, len(keys))
+		for i, key := range keys {
+			keyStatusList = append(keyStatusList, buildKeyStatus(channel, i, key))
+			for _, bucket := range model.GetChannelKeyStats(channel.Id, key).Hourly {
+				offset := 23 - int((currentHour-bucket.Time)/3600)
+				if offset < 0 || offset > 23 {
+					continue
+				}
+				hourly[offset].Requests += bucket.Requests
+				hourly[offset].Errors += bucket.Errors
+			}
+		}
+
+		c.JSON(http.StatusOK, gin.H{
+			"success": true,
+			"message": "",
+			"data": MultiKeyStatsResponse{
+				MultiKeyMode: channel.ChannelInfo.MultiKeyMode,
+				Keys:         keyStatusList,
+				Hourly:       hourly,
+			},
+		})
+		return
+
+	case "set_rotation":
+		mode := constant.MultiKeyMode(request.MultiKeyMode)
+		if !constant.IsValidMultiKeyMode(mode) {
+			c.JSON(http.StatusOK, gin.H{
+				"success": false,
+				"message": "不支持的轮换策略",
+			})
+			return
+		}
+
+		weights := make(map[int]int)
+		for idx, weight := range request.Weights {
+			if idx < 0 || idx >= channel.ChannelInfo.MultiKeySize {
+				c.JSON(http.StatusOK, gin.H{
+					"success": false,
+					"message": "密钥索引超出范围",
+				})
+				return
+			}
+			if weight < 1 || weight > 100 {
+				c.JSON(http.StatusOK, gin.H{
+					"success": false,
+					"message": "权重必须在 1 到 100 之间",
+				})
+				return
+			}
+			// 权重缺省为1，无需保存
+			if weight != 1 {
+				weights[idx] = weight
+			}
+		}
+
+		channel.ChannelInfo.MultiKeyMode = mode
+		if request.Weights != nil {
+			channel.ChannelInfo.MultiKeyWeights = weights
+		}
+
+		err = channel.Update()
+		if err != nil {
+			common.ApiError(c, err)
+			return
+		}
+
+		model.InitChannelCache()
+		c.JSON(http.StatusOK, gin.H{
+			"success": true,
+			"message": "轮换策略已保存",
+		})
+		return
+
+	case "update_keys":
+		if request.KeyMode != "append" && request.KeyMode != "replace" {
+			c.JSON(http.StatusOK, gin.H{
+				"success": false,
+				"message": "不支持的更新方式",
+			})
+			return
+		}
+		if channel.Type == constant.ChannelTypeVertexAi && channel.GetOtherSettings().VertexKeyType != dto.VertexKeyTypeAPIKey {
+			c.JSON(http.StatusOK, gin.H{
+				"success": false,
+				"message": "Vertex AI 服务账号密钥请在编辑渠道中更新",
+			})
+			return
+		}
+
+		oldKeys := channel.GetKeys()
+		existing := make(map[string]int, len(oldKeys)) // key -> old index
+		for i, key := range oldKeys {
+			if _, exists := existing[key]; !exists {
+				existing[key] = i
+			}
+		}
+
+		diff := MultiKeyUpdateDiff{
+			Added:      []string{},
+			Duplicated: []string{},
+			Existing:   []string{},
+			Removed:    []string{},
+		}
+		seen := make(map[string]bool)
+		var inputKeys []string
+		for _, key := range strings.Split(request.Keys, "\n") {
+			key = strings.TrimSpace(key)
+			if key == "" {
+				continue
+			}
+			if seen[key] {
+				diff.Duplicated = append(diff.Duplicated, previewMultiKey(key))
+				continue
+			}
+			seen[key] = true
+			inputKeys = append(inputKeys, key)
+			if _, exists := existing[key]; exists {
+				diff.Existing = append(diff.Existing, previewMultiKey(key))
+			} else {
+				diff.Added = append(diff.Added, previewMultiKey(key))
+			}
+		}
+		if len(inputKeys) == 0 {
+			c.JSON(http.StatusOK, gin.H{
+				"success": false,
+				"message": "未输入有效的密钥",
+			})
+			return
+		}
+
+		var newKeys []string
+		if request.KeyMode == "append" {
+			newKeys = append(newKeys, oldKeys...)
+			for _, key := range inputKeys {
+				if _, exists := existing[key]; !exists {
+					newKeys = append(newKeys, key)
+				}
+			}
+		} else {
+			newKeys = inputKeys
+			for _, key := range oldKeys {
+				if !seen[key] {
+					diff.Removed = append(diff.Removed, previewMultiKey(key))
+				}
+			}
+		}
+		diff.TotalAfter = len(newKeys)
+
+		if request.DryRun {
+			c.JSON(http.StatusOK, gin.H{
+				"success": true,
+				"message": "",
+				"data":    diff,
+			})
+			return
+		}
+		if len(diff.Added) == 0 && len(diff.Removed) == 0 {
+			c.JSON(http.StatusOK, gin.H{
+				"success": false,
+				"message": "密钥没有变化",
+			})
+			return
+		}
+
+		// 按密钥内容迁移保留密钥的状态、禁用信息与权重，新密钥默认启用
+		info := &channel.ChannelInfo
+		var newStatusList = make(map[int]int)
+		var newDisabledTime = make(map[int]int64)
+		var newDisabledReason = make(map[int]string)
+		var newWeights = make(map[int]int)
+		for newIndex, key := range newKeys {
+			oldIndex, exists := existing[key]
+			if !exists {
+				continue
+			}
+			if status, ok := info.MultiKeyStatusList[oldIndex]; ok && status != 1 {
+				newStatusList[newIndex] = status
+				if t, ok := info.MultiKeyDisabledTime[oldIndex]; ok {
+					newDisabledTime[newIndex] = t
+				}
+				if r, ok := info.MultiKeyDisabledReason[oldIndex]; ok {
+					newDisabledReason[newIndex] = r
+				}
+			}
+			if weight, ok := info.MultiKeyWeights[oldIndex]; ok {
+				newWeights[newIndex] = weight
+			}
+		}
+
+		channel.Key = strings.Join(newKeys, "\n")
+		info.MultiKeySize = len(newKeys)
+		info.MultiKeyStatusList = newStatusList
+		info.MultiKeyDisabledTime = newDisabledTime
+		info.MultiKeyDisabledReason = newDisabledReason
+		info.MultiKeyWeights = newWeights
+		info.MultiKeyPollingIndex = 0
+
+		err = channel.Update()
+		if err != nil {
+			common.ApiError(c, err)
+			return
+		}
+
+		model.InitChannelCache()
+		model.PruneChannelKeyStats(channel.Id, newKeys)
+		c.JSON(http.StatusOK, gin.H{
+			"success": true,
+			"message": fmt.Sprintf("密钥已更新，新增 %d 个，移除 %d 个", len(diff.Added), len(diff.Removed)),
+			"data":    diff,
+		})
+		return
+
 	default:
 		c.JSON(http.StatusOK, gin.H{
 			"success": false,
@@ -0,0 +1,227 @@
+package controller
+
+import (
+	"encoding/csv"
+	"fmt"
+	"net/http"
+	"strconv"
+	"strings"
+	"time"
+
+	"github.com/QuantumNous/new-api/common"
+	"github.com/QuantumNous/new-api/model"
+
+	"github.com/gin-gonic/gin"
+)
+
+const (
+	logExportDefaultChunkSize = 20000
+	logExportMaxChunkSize     = 100000
+	logExportBatchSize        = 1000
+)
+
+type logExportColumn struct {
+	Key   string
+	Value func(log *model.Log, other map[string]interface{}) interface{}
+}
+
+func logOtherValue(key string) func(log *model.Log, other map[string]interface{}) interface{} {
+	return func(log *model.Log, other map[string]interface{}) interface{} {
+		if other == nil {
+			return nil
+		}
+		return other[key]
+	}
+}
+
+// logExportColumns 可导出的列，顺序即导出顺序；ratio、cache 等计费明细来自日志的 other 字段
+var logExportColumns = []logExportColumn{
+	{"id", func(log *model.Log, _ map[string]interface{}) interface{} { return log.Id }},
+	{"created_at", func(log *model.Log, _ map[string]interface{}) interface{} { return log.CreatedAt }},
+	{"time", func(log *model.Log, _ map[string]interface{}) interface{} {
+		return time.Unix(log.CreatedAt, 0).Format("2006-01-02 15:04:05")
+	}},
+	{"type", func(log *model.Log, _ map[string]interface{}) interface{} { return log.Type }},
+	{"username", func(log *model.Log, _ map[string]interface{}) interface{} { return log.Username }},
+	{"token_name", func(log *model.Log, _ map[string]interface{}) interface{} { return log.TokenName }},
+	{"model_name", func(log *model.Log, _ map[string]interface{}) interface{} { return log.ModelName }},
+	{"channel", func(log *model.Log, _ map[string]interface{}) interface{} { return log.ChannelId }},
+	{"channel_name", func(log *model.Log, _ map[string]interface{}) interface{} { return log.ChannelName }},
+	{"group", func(log *model.Log, _ map[string]interface{}) interface{} { return log.Group }},
+	{"quota", func(log *model.Log, _ map[string]interface{}) interface{} { return log.Quota }},
+	{"amount", func(log *model.Log, _ map[string]interface{}) interface{} {
+		return strconv.FormatFloat(float64(log.Quota)/common.QuotaPerUnit, 'f', 6, 64)
+	}},
+	{"prompt_tokens", func(log *model.Log, _ map[string]interface{}) interface{} { return log.PromptTokens }},
+	{"completion_tokens", func(log *model.Log, _ map[string]interface{}) interface{} { return log.CompletionTokens }},
+	{"use_time", func(log *model.Log, _ map[string]interface{}) interface{} { return log.UseTime }},
+	{"is_stream", func(log *model.Log, _ map[string]interface{}) interface{} { return log.IsStream }},
+	{"ip", func(log *model.Log, _ map[string]interface{}) interface{} { return log.Ip }},
+	{"request_id", func(log *model.Log, _ map[string]interface{}) interface{} { return log.RequestId }},
+	{"content", func(log *model.Log, _ map[string]interface{}) interface{} { return log.Content }},
+	{"model_ratio", logOtherValue("model_ratio")},
+	{"group_ratio", logOtherValue("group_ratio")},
+	{"completion_ratio", logOtherValue("completion_ratio")},
+	{"model_price", logOtherValue("model_price")},
+	{"cache_tokens", logOtherValue("cache_tokens")},
+	{"cache_ratio", logOtherValue("cache_ratio")},
+	{"cache_creation_tokens", logOtherValue("cache_creation_tokens")},
+	{"cache_creation_ratio", logOtherValue("cache_creation_ratio")},
+	{"other", func(log *model.Log, _ map[string]interface{}) interface{} { return log.Other }},
+}
+
+// parseLogExportColumns 解析逗号分隔的列名，为空时导出全部列
+func parseLogExportColumns(param string) ([]logExportColumn, error) {
+	if strings.TrimSpace(param) == "" {
+		return logExportColumns, nil
+	}
+	columnMap := make(map[string]logExportColumn, len(logExportColumns))
+	for _, column := range logExportColumns {
+		columnMap[column.Key] = column
+	}
+	columns := make([]logExportColumn, 0)
+	for _, key := range strings.Split(param, ",") {
+		column, ok := columnMap[strings.TrimSpace(key)]
+		if !ok {
+			return nil, fmt.Errorf("不支持的导出列：%s", key)
+		}
+		columns = append(columns, column)
+	}
+	return columns, nil
+}
+
+func formatLogExportCell(value interface{}) string {
+	switch v := value.(type) {
+	case nil:
+		return ""
+	case string:
+		return v
+	case float64:
+		return strconv.FormatFloat(v, 'f', -1, 64)
+	default:
+		return fmt.Sprint(v)
+	}
+}
+
+// parseLogFilter 解析与日志列表相同的筛选参数
+func parseLogFilter(c *gin.Context) *model.LogFilter {
+	logType, _ := strconv.Atoi(c.Query("type"))
+	startTimestamp, _ := strconv.ParseInt(c.Query("start_timestamp"), 10, 64)
+	endTimestamp, _ := strconv.ParseInt(c.Query("end_timestamp"), 10, 64)
+	channel, _ := strconv.Atoi(c.Query("channel"))
+	return &model.LogFilter{
+		LogType:        logType,
+		StartTimestamp: startTimestamp,
+		EndTimestamp:   endTimestamp,
+		ModelName:      c.Query("model_name"),
+		Username:       c.Query("username"),
+		TokenName:      c.Query("token_name"),
+		Channel:        channel,
+		Group:          c.Query("group"),
+	}
+}
+
+// parseUserLogFilter 解析当前用户的日志筛选条件，忽略仅管理员可用的用户名和渠道筛选
+func parseUserLogFilter(c *gin.Context) *model.LogFilter {
+	filter := parseLogFilter(c)
+	filter.UserId = c.GetInt("id")
+	filter.Username = ""
+	filter.Channel = 0
+	return filter
+}
+
+// ExportLogs 以流式响应导出日志，每次请求导出一个分片。
+// 响应头 X-Export-Next-Cursor 为下一分片的游标（0 表示已导出完毕），X-Export-Rows 为本分片行数，
+// 客户端可以据此校验分片是否完整，并在中断后从上一个完成的游标继续导出
+func ExportLogs(c *gin.Context) {
+	filter := parseLogFilter(c)
+	format := c.DefaultQuery("format", "csv")
+	if format != "csv" && format != "jsonl" {
+		common.ApiErrorMsg(c, "不支持的导出格式")
+		return
+	}
+	columns, err := parseLogExportColumns(c.Query("columns"))
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	cursor, _ := strconv.Atoi(c.Query("cursor"))
+	chunkSize, _ := strconv.Atoi(c.Query("chunk_size"))
+	if chunkSize <= 0 {
+		chunkSize = logExportDefaultChunkSize
+	}
+	if chunkSize > logExportMaxChunkSize {
+		chunkSize = logExportMaxChunkSize
+	}
+
+	withHeader := cursor == 0 || c.Query("with_header") == "true"
+	if cursor == 0 {
+		cursor, err = model.GetLogExportStartCursor(filter)
+		if err != nil {
+			common.ApiError(c, err)
+			return
+		}
+	}
+	nextCursor, rows, err := model.GetLogExportChunk(filter, cursor, chunkSize)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+
+	contentType := "text/csv; charset=utf-8"
+	if format == "jsonl" {
+		contentType = "application/x-ndjson; charset=utf-8"
+	}
+	c.Header("Content-Type", contentType)
+	c.Header("Cache-Control", "no-cache")
+	c.Header("X-Export-Next-Cursor", strconv.Itoa(nextCursor))
+	c.Header("X-Export-Rows", strconv.FormatInt(rows, 10))
+	c.Status(http.StatusOK)
+
+	csvWriter := csv.NewWriter(c.Writer)
+	// 只有文件的第一个分片输出表头，多个分片直接拼接即可得到完整文件
+	if format == "csv" && withHeader {
+		header := make([]string, len(columns))
+		for i, column := range columns {
+			header[i] = column.Key
+		}
+		_ = csvWriter.Write(header)
+	}
+
+	err = model.IterateLogExportChunk(filter, cursor, nextCursor, logExportBatchSize, func(logs []*model.Log) error {
+		for _, log := range logs {
+			other, _ := common.StrToMap(log.Other)
+			if format == "jsonl" {
+				record := make(map[string]interface{}, len(columns))
+				for _, column := range columns {
+					record[column.Key] = column.Value(log, other)
+				}
+				line, err := common.Marshal(record)
+				if err != nil {
+					return err
+				}
+				if _, err := c.Writer.Write(append(line, '\n')); err != nil {
+					return err
+				}
+				continue
+			}
+			row := make([]string, len(columns))
+			for i, column := range columns {
+				row[i] = formatLogExportCell(column.Value(log, other))
+			}
+			if err := csvWriter.Write(row); err != nil {
+				return err
+			}
+		}
+		csvWriter.Flush()
+		if err := csvWriter.Error(); err != nil {
+			return err
+		}
+		c.Writer.Flush()
+		return nil
+	})
+	if err != nil {
+		// 响应已经开始输出，无法再返回错误信息；客户端通过 X-Export-Rows 发现分片不完整后重试
+		common.SysLog(fmt.Sprintf("failed to export logs: cursor=%d, error=%v", cursor, err))
+	}
+}
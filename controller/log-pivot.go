@@ -0,0 +1,83 @@
+package controller
+
+import (
+	"strconv"
+	"strings"
+
+	"github.com/QuantumNous/new-api/common"
+	"github.com/QuantumNous/new-api/model"
+
+	"github.com/gin-gonic/gin"
+	"github.com/samber/lo"
+)
+
+// logPivotUserDimensions 普通用户可用的分组维度，渠道和用户仅管理员可用
+var logPivotUserDimensions = []string{"model", "token", "group", "day"}
+
+type LogPivotResponse struct {
+	Rows         []*model.LogPivotRow `json:"rows"`
+	ChannelNames map[int]string       `json:"channel_names,omitempty"`
+}
+
+func getLogPivot(c *gin.Context, filter *model.LogFilter, isAdmin bool) {
+	dimensions := lo.Compact(lo.Map(strings.Split(c.Query("dimensions"), ","), func(d string, _ int) string {
+		return strings.TrimSpace(d)
+	}))
+	if !isAdmin {
+		for _, d := range dimensions {
+			if !lo.Contains(logPivotUserDimensions, d) {
+				common.ApiErrorMsg(c, "不支持的分组维度："+d)
+				return
+			}
+		}
+	}
+	// tz_offset 为浏览器时区相对 UTC 的偏移秒数，用于按天分组
+	tzOffset, _ := strconv.Atoi(c.Query("tz_offset"))
+	if tzOffset < -14*3600 || tzOffset > 14*3600 {
+		tzOffset = 0
+	}
+	rows, err := model.GetLogPivot(filter, dimensions, tzOffset)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	resp := LogPivotResponse{Rows: rows}
+	if isAdmin && lo.Contains(dimensions, "channel") {
+		resp.ChannelNames = getLogPivotChannelNames(rows, lo.IndexOf(dimensions, "channel"))
+	}
+	common.ApiSuccess(c, resp)
+}
+
+// getLogPivotChannelNames 查询透视结果中出现的渠道名称
+func getLogPivotChannelNames(rows []*model.LogPivotRow, dimIndex int) map[int]string {
+	ids := lo.Uniq(lo.FilterMap(rows, func(row *model.LogPivotRow, _ int) (int, bool) {
+		value := row.Dim1
+		if dimIndex == 1 {
+			value = row.Dim2
+		}
+		id, err := strconv.Atoi(value)
+		return id, err == nil && id != 0
+	}))
+	names := make(map[int]string, len(ids))
+	if len(ids) == 0 {
+		return names
+	}
+	channels, err := model.GetChannelsByIds(ids)
+	if err != nil {
+		return names
+	}
+	for _, channel := range channels {
+		names[channel.Id] = channel.Name
+	}
+	return names
+}
+
+// GetLogPivot 按维度聚合全部日志
+func GetLogPivot(c *gin.Context) {
+	getLogPivot(c, parseLogFilter(c), true)
+}
+
+// GetUserLogPivot 按维度聚合当前用户的日志
+func GetUserLogPivot(c *gin.Context) {
+	getLogPivot(c, parseUserLogFilter(c), false)
+}
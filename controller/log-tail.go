@@ -0,0 +1,177 @@
+package controller
+
+import (
+	"crypto/aes"
+	"crypto/cipher"
+	"crypto/rand"
+	"crypto/sha256"
+	"encoding/base64"
+	"errors"
+	"fmt"
+	"strconv"
+	"time"
+
+	"github.com/QuantumNous/new-api/common"
+	"github.com/QuantumNous/new-api/model"
+
+	"github.com/gin-gonic/gin"
+)
+
+const (
+	logTailPollInterval      = time.Second
+	logTailHeartbeatInterval = 15 * time.Second
+	// logTailMaxDuration 单个连接的最长时间，到期后由客户端携带 cursor 重新连接，避免遗忘的页面一直轮询
+	logTailMaxDuration = 30 * time.Minute
+	logTailBatchSize   = 200
+)
+
+type logTailEvent struct {
+	Logs   []*model.Log `json:"logs"`
+	Cursor string       `json:"cursor"`
+}
+
+func newLogTailCipher() (cipher.AEAD, error) {
+	key := sha256.Sum256([]byte(common.CryptoSecret + ":log-tail"))
+	block, err := aes.NewCipher(key[:])
+	if err != nil {
+		return nil, err
+	}
+	return cipher.NewGCM(block)
+}
+
+// encodeLogTailCursor 将日志 id 编码为游标。普通用户的日志 id 会被脱敏，
+// 游标中的 id 与用户 id 一起加密，用户无法从中得知真实的日志 id，也不能使用其他用户的游标
+func encodeLogTailCursor(userId int, id int) (string, error) {
+	if userId == 0 {
+		return strconv.Itoa(id), nil
+	}
+	aead, err := newLogTailCipher()
+	if err != nil {
+		return "", err
+	}
+	nonce := make([]byte, aead.NonceSize())
+	if _, err := rand.Read(nonce); err != nil {
+		return "", err
+	}
+	sealed := aead.Seal(nonce, nonce, []byte(fmt.Sprintf("%d:%d", userId, id)), nil)
+	return base64.RawURLEncoding.EncodeToString(sealed), nil
+}
+
+// decodeLogTailCursor 解析 encodeLogTailCursor 生成的游标
+func decodeLogTailCursor(userId int, cursor string) (int, error) {
+	if userId == 0 {
+		return strconv.Atoi(cursor)
+	}
+	sealed, err := base64.RawURLEncoding.DecodeString(cursor)
+	if err != nil {
+		return 0, err
+	}
+	aead, err := newLogTailCipher()
+	if err != nil {
+		return 0, err
+	}
+	if len(sealed) < aead.NonceSize() {
+		return 0, errors.New("invalid cursor")
+	}
+	plain, err := aead.Open(nil, sealed[:aead.NonceSize()], sealed[aead.NonceSize():], nil)
+	if err != nil {
+		return 0, err
+	}
+	var cursorUserId, id int
+	if _, err := fmt.Sscanf(string(plain), "%d:%d", &cursorUserId, &id); err != nil {
+		return 0, err
+	}
+	if cursorUserId != userId {
+		return 0, errors.New("invalid cursor")
+	}
+	return id, nil
+}
+
+// tailLogs 以 SSE 推送满足筛选条件的新日志。服务端每秒按 id 游标查询一次，
+// 每个事件携带 cursor，断线重连时通过 cursor 参数从该位置继续。
+// 游标无效（例如服务重启后密钥变化）时从最新的日志开始推送
+func tailLogs(c *gin.Context, filter *model.LogFilter) {
+	afterId := 0
+	if cursor := c.Query("cursor"); cursor != "" {
+		afterId, _ = decodeLogTailCursor(filter.UserId, cursor)
+	}
+	if afterId <= 0 {
+		latestId, err := model.GetLatestLogId(filter)
+		if err != nil {
+			common.ApiError(c, err)
+			return
+		}
+		afterId = latestId
+	}
+
+	c.Header("Content-Type", "text/event-stream")
+	c.Header("Cache-Control", "no-cache")
+	c.Header("Connection", "keep-alive")
+	c.Header("X-Accel-Buffering", "no")
+
+	writeEvent := func(logs []*model.Log, lastId int) bool {
+		cursor, err := encodeLogTailCursor(filter.UserId, lastId)
+		if err != nil {
+			common.SysLog(fmt.Sprintf("failed to encode log tail cursor: error=%v", err))
+			return false
+		}
+		data, err := common.Marshal(logTailEvent{Logs: logs, Cursor: cursor})
+		if err != nil {
+			return false
+		}
+		if _, err := fmt.Fprintf(c.Writer, "data: %s\n\n", data); err != nil {
+			return false
+		}
+		c.Writer.Flush()
+		return true
+	}
+	// 先发送一个空事件，告知客户端连接已建立以及起始游标
+	if !writeEvent([]*model.Log{}, afterId) {
+		return
+	}
+
+	ctx := c.Request.Context()
+	ticker := time.NewTicker(logTailPollInterval)
+	defer ticker.Stop()
+	deadline := time.After(logTailMaxDuration)
+	lastWrite := time.Now()
+	for {
+		select {
+		case <-ctx.Done():
+			return
+		case <-deadline:
+			return
+		case <-ticker.C:
+		}
+		logs, lastId, err := model.GetLogsAfter(filter, afterId, logTailBatchSize)
+		if err != nil {
+			common.SysLog(fmt.Sprintf("failed to tail logs: error=%v", err))
+			continue
+		}
+		if len(logs) > 0 {
+			afterId = lastId
+			if !writeEvent(logs, lastId) {
+				return
+			}
+			lastWrite = time.Now()
+			continue
+		}
+		if time.Since(lastWrite) >= logTailHeartbeatInterval {
+			if _, err := fmt.Fprint(c.Writer, ": ping\n\n"); err != nil {
+				return
+			}
+			c.Writer.Flush()
+			lastWrite = time.Now()
+		}
+	}
+}
+
+// TailLogs 实时推送全部日志
+func TailLogs(c *gin.Context) {
+	tailLogs(c, parseLogFilter(c))
+}
+
+// TailUserLogs 实时推送当前用户的日志
+func TailUserLogs(c *gin.Context) {
+	tailLogs(c, parseUserLogFilter(c))
+}
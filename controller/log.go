@@ -3,6 +3,7 @@ package controller
 import (
 	"net/http"
 	"strconv"
+	"strings"
 
 	"github.com/QuantumNous/new-api/common"
 	"github.com/QuantumNous/new-api/model"
@@ -82,6 +83,35 @@ func SearchUserLogs(c *gin.Context) {
 	return
 }
 
+// GetLogTrace 按请求 ID 获取一次请求的全部日志，用于请求追踪
+func GetLogTrace(c *gin.Context) {
+	requestId := strings.TrimSpace(c.Param("request_id"))
+	if requestId == "" {
+		common.ApiErrorMsg(c, "请求 ID 不能为空")
+		return
+	}
+	logs, err := model.GetLogsByRequestId(requestId, 0)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	common.ApiSuccess(c, logs)
+}
+
+func GetUserLogTrace(c *gin.Context) {
+	requestId := strings.TrimSpace(c.Param("request_id"))
+	if requestId == "" {
+		common.ApiErrorMsg(c, "请求 ID 不能为空")
+		return
+	}
+	logs, err := model.GetLogsByRequestId(requestId, c.GetInt("id"))
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	common.ApiSuccess(c, logs)
+}
+
 func GetLogByKey(c *gin.Context) {
 	key := c.Query("key")
 	logs, err := model.GetLogByKey(key)
@@ -51,3 +51,45 @@ func GetUserQuotaDates(c *gin.Context) {
 	})
 	return
 }
+
+// GetTokenQuotaDates 获取当前用户单个令牌的用量数据和请求统计
+func GetTokenQuotaDates(c *gin.Context) {
+	userId := c.GetInt("id")
+	tokenId, err := strconv.Atoi(c.Param("id"))
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	startTimestamp, _ := strconv.ParseInt(c.Query("start_timestamp"), 10, 64)
+	endTimestamp, _ := strconv.ParseInt(c.Query("end_timestamp"), 10, 64)
+	if endTimestamp-startTimestamp > 2592000 {
+		c.JSON(http.StatusOK, gin.H{
+			"success": false,
+			"message": "时间跨度不能超过 1 个月",
+		})
+		return
+	}
+	if _, err := model.GetTokenByIds(tokenId, userId); err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	dates, err := model.GetQuotaDataByTokenId(tokenId, startTimestamp, endTimestamp)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	stat, err := model.GetTokenLogStat(tokenId, startTimestamp, endTimestamp)
+	if err != nil {
+		common.ApiError(c, err)
+		return
+	}
+	c.JSON(http.StatusOK, gin.H{
+		"success": true,
+		"message": "",
+		"data": gin.H{
+			"quota_data":          dates,
+			"stat":                stat,
+			"data_export_enabled": common.DataExportEnabled,
+		},
+	})
+}
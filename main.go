@@ -102,6 +102,10 @@ func main() {
 
 	go controller.AutomaticallyTestChannels()
 
+	go controller.AutomaticallyRunChannelTestPolicies()
+
+	go model.CleanupExpiredChannelHealthRecords()
+
 	if common.IsMasterNode && constant.UpdateTask {
 		gopool.Go(func() {
 			controller.UpdateMidjourneyTaskBulk()
@@ -65,6 +65,15 @@ type ChannelInfo struct {
 	MultiKeyDisabledTime   map[int]int64         `json:"multi_key_disabled_time,omitempty"`   // key禁用时间列表，key index -> time
 	MultiKeyPollingIndex   int                   `json:"multi_key_polling_index"`             // 多Key模式下轮询的key索引
 	MultiKeyMode           constant.MultiKeyMode `json:"multi_key_mode"`
+	MultiKeyWeights        map[int]int           `json:"multi_key_weights,omitempty"` // 加权模式下的key权重，key index -> weight，缺省为1
+}
+
+// GetMultiKeyWeight 获取key在加权模式下的权重，未设置时为1
+func (c *ChannelInfo) GetMultiKeyWeight(idx int) int {
+	if weight, ok := c.MultiKeyWeights[idx]; ok && weight > 0 {
+		return weight
+	}
+	return 1
 }
 
 // Value implements driver.Valuer interface
@@ -183,6 +192,24 @@ func (channel *Channel) GetNextEnabledKey() (string, int, *types.NewAPIError) {
 		}
 		// Fallback – should not happen, but return first enabled key
 		return keys[enabledIdx[0]], enabledIdx[0], nil
+	case constant.MultiKeyModeLeastUsed:
+		// Pick the enabled key with the fewest recent requests recorded on this node
+		selectedIdx := enabledIdx[SelectLeastUsedChannelKey(channel.Id, keys, enabledIdx)]
+		return keys[selectedIdx], selectedIdx, nil
+	case constant.MultiKeyModeWeighted:
+		// Randomly pick one enabled key, proportional to its weight
+		totalWeight := 0
+		for _, idx := range enabledIdx {
+			totalWeight += channel.ChannelInfo.GetMultiKeyWeight(idx)
+		}
+		r := rand.Intn(totalWeight)
+		for _, idx := range enabledIdx {
+			r -= channel.ChannelInfo.GetMultiKeyWeight(idx)
+			if r < 0 {
+				return keys[idx], idx, nil
+			}
+		}
+		return keys[enabledIdx[0]], enabledIdx[0], nil
 	default:
 		// Unknown mode, default to first enabled key (or original key string)
 		return keys[enabledIdx[0]], enabledIdx[0], nil
@@ -402,8 +429,20 @@ func BatchDeleteChannels(ids []int) error {
 			tx.Rollback()
 			return err
 		}
+		if err := tx.Where("channel_id in (?)", chunk).Delete(&ChannelHealthRecord{}).Error; err != nil {
+			tx.Rollback()
+			return err
+		}
+		if err := tx.Where("channel_id in (?)", chunk).Delete(&ChannelVersion{}).Error; err != nil {
+			tx.Rollback()
+			return err
+		}
 	}
-	return tx.Commit().Error
+	if err := tx.Commit().Error; err != nil {
+		return err
+	}
+	ResetChannelKeyStats(ids)
+	return nil
 }
 
 func (channel *Channel) GetPriority() int64 {
@@ -493,6 +532,11 @@ func (channel *Channel) Update() error {
 				}
 			}
 		}
+		for idx := range channel.ChannelInfo.MultiKeyWeights {
+			if idx >= channel.ChannelInfo.MultiKeySize {
+				delete(channel.ChannelInfo.MultiKeyWeights, idx)
+			}
+		}
 	}
 	var err error
 	err = DB.Model(channel).Updates(channel).Error
@@ -521,7 +565,9 @@ func (channel *Channel) UpdateBalance(balance float64) {
 	}).Error
 	if err != nil {
 		common.SysLog(fmt.Sprintf("failed to update balance: channel_id=%d, error=%v", channel.Id, err))
+		return
 	}
+	RecordChannelBalance(channel.Id, balance)
 }
 
 func (channel *Channel) Delete() error {
@@ -531,7 +577,15 @@ func (channel *Channel) Delete() error {
 		return err
 	}
 	err = channel.DeleteAbilities()
-	return err
+	if err != nil {
+		return err
+	}
+	ResetChannelKeyStats([]int{channel.Id})
+	err = DeleteChannelHealthRecords([]int{channel.Id})
+	if err != nil {
+		return err
+	}
+	return DeleteChannelVersions([]int{channel.Id})
 }
 
 var channelStatusLock sync.Mutex
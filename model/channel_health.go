@@ -0,0 +1,103 @@
+package model
+
+import (
+	"fmt"
+	"time"
+
+	"github.com/QuantumNous/new-api/common"
+)
+
+const (
+	ChannelHealthKindTest    = "test"
+	ChannelHealthKindBalance = "balance"
+)
+
+// ChannelHealthRetentionDays 渠道健康记录保留天数
+const ChannelHealthRetentionDays = 30
+
+// channelHealthCleanupInterval 过期健康记录的清理间隔
+const channelHealthCleanupInterval = 6 * time.Hour
+
+// ChannelHealthRecord 渠道健康记录，保存每次测试结果与余额快照
+type ChannelHealthRecord struct {
+	Id           int     `json:"id" gorm:"primaryKey;autoIncrement"`
+	ChannelId    int     `json:"channel_id" gorm:"not null;index:idx_channel_health_channel_time,priority:1"`
+	CreatedAt    int64   `json:"created_at" gorm:"bigint;index:idx_channel_health_channel_time,priority:2"`
+	Kind         string  `json:"kind" gorm:"type:varchar(16);not null"`
+	ModelName    string  `json:"model_name" gorm:"type:varchar(255);default:''"`
+	Success      bool    `json:"success"`
+	ResponseTime int64   `json:"response_time"` // in milliseconds
+	Balance      float64 `json:"balance"`       // in USD
+	Message      string  `json:"message" gorm:"type:text"`
+}
+
+func (ChannelHealthRecord) TableName() string {
+	return "channel_health_records"
+}
+
+// RecordChannelTestResult 记录一次渠道测试结果
+func RecordChannelTestResult(channelId int, modelName string, success bool, responseTime int64, message string) {
+	record := &ChannelHealthRecord{
+		ChannelId:    channelId,
+		CreatedAt:    common.GetTimestamp(),
+		Kind:         ChannelHealthKindTest,
+		ModelName:    modelName,
+		Success:      success,
+		ResponseTime: responseTime,
+		Message:      message,
+	}
+	if err := DB.Create(record).Error; err != nil {
+		common.SysLog("failed to record channel test result: " + err.Error())
+	}
+}
+
+// RecordChannelBalance 记录一次渠道余额快照
+func RecordChannelBalance(channelId int, balance float64) {
+	record := &ChannelHealthRecord{
+		ChannelId: channelId,
+		CreatedAt: common.GetTimestamp(),
+		Kind:      ChannelHealthKindBalance,
+		Success:   true,
+		Balance:   balance,
+	}
+	if err := DB.Create(record).Error; err != nil {
+		common.SysLog("failed to record channel balance: " + err.Error())
+	}
+}
+
+// GetChannelHealthRecords 获取渠道在指定时间之后的健康记录，按时间正序
+func GetChannelHealthRecords(channelId int, startTime int64, modelName string) ([]*ChannelHealthRecord, error) {
+	var records []*ChannelHealthRecord
+	query := DB.Where("channel_id = ? AND created_at >= ?", channelId, startTime)
+	if modelName != "" {
+		// 按模型筛选时保留余额快照，便于同图对照
+		query = query.Where("((kind = ? AND model_name = ?) OR kind = ?)", ChannelHealthKindTest, modelName, ChannelHealthKindBalance)
+	}
+	err := query.Order("created_at asc").Find(&records).Error
+	return records, err
+}
+
+// DeleteChannelHealthRecords 删除渠道的全部健康记录
+func DeleteChannelHealthRecords(channelIds []int) error {
+	return DB.Where("channel_id in (?)", channelIds).Delete(&ChannelHealthRecord{}).Error
+}
+
+// DeleteExpiredChannelHealthRecords 清理超过保留期的健康记录
+func DeleteExpiredChannelHealthRecords() error {
+	expiredTime := common.GetTimestamp() - ChannelHealthRetentionDays*24*60*60
+	return DB.Where("created_at < ?", expiredTime).Delete(&ChannelHealthRecord{}).Error
+}
+
+// CleanupExpiredChannelHealthRecords 定期清理过期的健康记录，只在 Master 节点运行。
+// 单渠道测试、批量模型测试和测试策略都会写入健康记录，不能依赖全部渠道测试来清理
+func CleanupExpiredChannelHealthRecords() {
+	if !common.IsMasterNode {
+		return
+	}
+	for {
+		if err := DeleteExpiredChannelHealthRecords(); err != nil {
+			common.SysLog(fmt.Sprintf("failed to delete expired channel health records: %v", err))
+		}
+		time.Sleep(channelHealthCleanupInterval)
+	}
+}
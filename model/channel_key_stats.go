@@ -0,0 +1,218 @@
+package model
+
+import (
+	"encoding/hex"
+	"sync"
+	"time"
+
+	"github.com/QuantumNous/new-api/common"
+)
+
+// channelKeyStatsHours 多密钥统计保留的小时数
+const channelKeyStatsHours = 24
+
+// channelKeyRecentHours 最少使用策略比较的时间窗口：当前小时与上一个小时。
+// 使用近期请求数而非累计请求数，新增或重新启用的密钥只需追平近期流量，不会长时间独占渠道请求
+const channelKeyRecentHours = 2
+
+// ChannelKeyHourlyStats 单个小时内的请求与错误次数
+type ChannelKeyHourlyStats struct {
+	Time     int64 `json:"time"`
+	Requests int64 `json:"requests"`
+	Errors   int64 `json:"errors"`
+}
+
+// ChannelKeyStats 多密钥渠道中单个密钥的调用统计
+// 统计只保存在当前节点内存中，重启后清零；以密钥摘要为索引，删除或调整密钥顺序后依然对应
+type ChannelKeyStats struct {
+	RequestCount  int64                    `json:"request_count"`
+	ErrorCount    int64                    `json:"error_count"`
+	LastUsedTime  int64                    `json:"last_used_time"`
+	LastErrorTime int64                    `json:"last_error_time"`
+	LastError     string                   `json:"last_error"`
+	Hourly        []*ChannelKeyHourlyStats `json:"-"`
+}
+
+// channelKeyStatsSet 单个渠道的密钥统计
+type channelKeyStatsSet struct {
+	digests map[string]string           // 密钥 -> 摘要，记录请求时写入，查询时无需重复计算摘要
+	stats   map[string]*ChannelKeyStats // 摘要 -> 统计
+}
+
+var (
+	channelKeyStats     = make(map[int]*channelKeyStatsSet)
+	channelKeyStatsLock sync.RWMutex
+)
+
+func channelKeyDigest(key string) string {
+	return hex.EncodeToString(common.Sha256Raw([]byte(key)))
+}
+
+// getOrCreateChannelKeyStats 调用方需持有写锁
+func getOrCreateChannelKeyStats(channelId int, key string) *ChannelKeyStats {
+	set, ok := channelKeyStats[channelId]
+	if !ok {
+		set = &channelKeyStatsSet{
+			digests: make(map[string]string),
+			stats:   make(map[string]*ChannelKeyStats),
+		}
+		channelKeyStats[channelId] = set
+	}
+	digest, ok := set.digests[key]
+	if !ok {
+		digest = channelKeyDigest(key)
+		set.digests[key] = digest
+	}
+	stats, ok := set.stats[digest]
+	if !ok {
+		stats = &ChannelKeyStats{}
+		set.stats[digest] = stats
+	}
+	return stats
+}
+
+// lookupChannelKeyStats 调用方需持有读锁；密钥从未记录过请求时返回 nil
+func lookupChannelKeyStats(channelId int, key string) *ChannelKeyStats {
+	set, ok := channelKeyStats[channelId]
+	if !ok {
+		return nil
+	}
+	digest, ok := set.digests[key]
+	if !ok {
+		return nil
+	}
+	return set.stats[digest]
+}
+
+// recentRequests 返回最近 channelKeyRecentHours 个小时内的请求数
+func (s *ChannelKeyStats) recentRequests(now int64) int64 {
+	since := now - now%3600 - (channelKeyRecentHours-1)*3600
+	var count int64
+	for _, bucket := range s.Hourly {
+		if bucket.Time >= since {
+			count += bucket.Requests
+		}
+	}
+	return count
+}
+
+// currentHourly 返回当前小时的统计桶，并丢弃超过保留期的旧桶
+func (s *ChannelKeyStats) currentHourly(now int64) *ChannelKeyHourlyStats {
+	hour := now - now%3600
+	if n := len(s.Hourly); n > 0 && s.Hourly[n-1].Time == hour {
+		return s.Hourly[n-1]
+	}
+	expired := hour - (channelKeyStatsHours-1)*3600
+	kept := s.Hourly[:0]
+	for _, bucket := range s.Hourly {
+		if bucket.Time >= expired {
+			kept = append(kept, bucket)
+		}
+	}
+	bucket := &ChannelKeyHourlyStats{Time: hour}
+	s.Hourly = append(kept, bucket)
+	return bucket
+}
+
+// RecordChannelKeyRequest 记录一次密钥被选中发起请求
+func RecordChannelKeyRequest(channelId int, key string) {
+	now := time.Now().Unix()
+	channelKeyStatsLock.Lock()
+	defer channelKeyStatsLock.Unlock()
+	stats := getOrCreateChannelKeyStats(channelId, key)
+	stats.RequestCount++
+	stats.LastUsedTime = now
+	stats.currentHourly(now).Requests++
+}
+
+// RecordChannelKeyError 记录一次密钥请求失败
+func RecordChannelKeyError(channelId int, key string, message string) {
+	now := time.Now().Unix()
+	channelKeyStatsLock.Lock()
+	defer channelKeyStatsLock.Unlock()
+	stats := getOrCreateChannelKeyStats(channelId, key)
+	stats.ErrorCount++
+	stats.LastErrorTime = now
+	stats.LastError = message
+	stats.currentHourly(now).Errors++
+}
+
+// GetChannelKeyStats 获取密钥统计的副本，没有记录时返回零值
+func GetChannelKeyStats(channelId int, key string) ChannelKeyStats {
+	channelKeyStatsLock.RLock()
+	defer channelKeyStatsLock.RUnlock()
+	if stats := lookupChannelKeyStats(channelId, key); stats != nil {
+		result := *stats
+		result.Hourly = make([]*ChannelKeyHourlyStats, len(stats.Hourly))
+		for i, bucket := range stats.Hourly {
+			copied := *bucket
+			result.Hourly[i] = &copied
+		}
+		return result
+	}
+	return ChannelKeyStats{}
+}
+
+// GetChannelKeyRecentRequests 获取密钥最近两个小时的请求数
+func GetChannelKeyRecentRequests(channelId int, key string) int64 {
+	channelKeyStatsLock.RLock()
+	defer channelKeyStatsLock.RUnlock()
+	if stats := lookupChannelKeyStats(channelId, key); stats != nil {
+		return stats.recentRequests(time.Now().Unix())
+	}
+	return 0
+}
+
+// SelectLeastUsedChannelKey 在候选密钥中选出最近请求数最少的一个，返回其在 candidates 中的下标。
+// 只加一次读锁，供每次请求选择密钥时调用
+func SelectLeastUsedChannelKey(channelId int, keys []string, candidates []int) int {
+	now := time.Now().Unix()
+	channelKeyStatsLock.RLock()
+	defer channelKeyStatsLock.RUnlock()
+	selected := 0
+	var minCount int64 = -1
+	for i, idx := range candidates {
+		var count int64
+		if stats := lookupChannelKeyStats(channelId, keys[idx]); stats != nil {
+			count = stats.recentRequests(now)
+		}
+		if minCount < 0 || count < minCount {
+			selected = i
+			minCount = count
+		}
+	}
+	return selected
+}
+
+// ResetChannelKeyStats 清空渠道的全部密钥统计，渠道删除后调用
+func ResetChannelKeyStats(channelIds []int) {
+	channelKeyStatsLock.Lock()
+	defer channelKeyStatsLock.Unlock()
+	for _, channelId := range channelIds {
+		delete(channelKeyStats, channelId)
+	}
+}
+
+// PruneChannelKeyStats 只保留渠道当前密钥的统计，删除或替换密钥后调用
+func PruneChannelKeyStats(channelId int, keys []string) {
+	kept := make(map[string]bool, len(keys))
+	for _, key := range keys {
+		kept[channelKeyDigest(key)] = true
+	}
+	channelKeyStatsLock.Lock()
+	defer channelKeyStatsLock.Unlock()
+	set, ok := channelKeyStats[channelId]
+	if !ok {
+		return
+	}
+	for key, digest := range set.digests {
+		if !kept[digest] {
+			delete(set.digests, key)
+		}
+	}
+	for digest := range set.stats {
+		if !kept[digest] {
+			delete(set.stats, digest)
+		}
+	}
+}
@@ -0,0 +1,126 @@
+package model
+
+import (
+	"github.com/samber/lo"
+)
+
+// ChannelQuery 渠道列表的高级查询条件，各条件之间为"且"关系，未设置的条件不参与筛选
+type ChannelQuery struct {
+	Types             []int    `json:"types,omitempty"`
+	Statuses          []int    `json:"statuses,omitempty"`
+	Tags              []string `json:"tags,omitempty"`
+	PriorityMin       *int64   `json:"priority_min,omitempty"`
+	PriorityMax       *int64   `json:"priority_max,omitempty"`
+	BalanceBelow      *float64 `json:"balance_below,omitempty"`       // in USD
+	ResponseTimeAbove *int     `json:"response_time_above,omitempty"` // in milliseconds
+	LastTestFailed    bool     `json:"last_test_failed,omitempty"`
+	Models            []string `json:"models,omitempty"` // 渠道需同时包含的模型
+}
+
+func (q *ChannelQuery) IsEmpty() bool {
+	return len(q.Types) == 0 && len(q.Statuses) == 0 && len(q.Tags) == 0 &&
+		q.PriorityMin == nil && q.PriorityMax == nil && q.BalanceBelow == nil &&
+		q.ResponseTimeAbove == nil && !q.LastTestFailed && len(q.Models) == 0
+}
+
+// matchChannel 判断渠道是否满足除最近测试结果以外的全部条件
+func (q *ChannelQuery) matchChannel(channel *Channel) bool {
+	if len(q.Types) > 0 && !lo.Contains(q.Types, channel.Type) {
+		return false
+	}
+	if len(q.Statuses) > 0 && !lo.Contains(q.Statuses, channel.Status) {
+		return false
+	}
+	if len(q.Tags) > 0 && !lo.Contains(q.Tags, channel.GetTag()) {
+		return false
+	}
+	priority := channel.GetPriority()
+	if q.PriorityMin != nil && priority < *q.PriorityMin {
+		return false
+	}
+	if q.PriorityMax != nil && priority > *q.PriorityMax {
+		return false
+	}
+	if q.BalanceBelow != nil && channel.Balance >= *q.BalanceBelow {
+		return false
+	}
+	if q.ResponseTimeAbove != nil && channel.ResponseTime <= *q.ResponseTimeAbove {
+		return false
+	}
+	if len(q.Models) > 0 {
+		models := channel.GetModels()
+		for _, m := range q.Models {
+			if !lo.Contains(models, m) {
+				return false
+			}
+		}
+	}
+	return true
+}
+
+// GetChannelLastTestFailed 返回最近一次测试失败的渠道 ID 集合
+func GetChannelLastTestFailed(channelIds []int) (map[int]bool, error) {
+	failed := make(map[int]bool)
+	if len(channelIds) == 0 {
+		return failed, nil
+	}
+	for _, chunk := range lo.Chunk(channelIds, 200) {
+		var records []*ChannelHealthRecord
+		latestIds := DB.Model(&ChannelHealthRecord{}).Select("MAX(id)").
+			Where("kind = ? AND channel_id in (?)", ChannelHealthKindTest, chunk).
+			Group("channel_id")
+		err := DB.Select("channel_id", "success").Where("id in (?)", latestIds).Find(&records).Error
+		if err != nil {
+			return nil, err
+		}
+		for _, record := range records {
+			if !record.Success {
+				failed[record.ChannelId] = true
+			}
+		}
+	}
+	return failed, nil
+}
+
+// FilterChannelsByQuery 按高级查询条件筛选渠道，保持原有顺序
+func FilterChannelsByQuery(channels []*Channel, q *ChannelQuery) ([]*Channel, error) {
+	if q == nil || q.IsEmpty() {
+		return channels, nil
+	}
+	filtered := lo.Filter(channels, func(channel *Channel, _ int) bool {
+		return q.matchChannel(channel)
+	})
+	if !q.LastTestFailed {
+		return filtered, nil
+	}
+	failed, err := GetChannelLastTestFailed(lo.Map(filtered, func(channel *Channel, _ int) int {
+		return channel.Id
+	}))
+	if err != nil {
+		return nil, err
+	}
+	return lo.Filter(filtered, func(channel *Channel, _ int) bool {
+		return failed[channel.Id]
+	}), nil
+}
+
+// CountChannelsByQueries 统计每个查询条件命中的渠道数量，用于已保存视图的计数
+func CountChannelsByQueries(queries map[string]*ChannelQuery) (map[string]int, error) {
+	counts := make(map[string]int, len(queries))
+	if len(queries) == 0 {
+		return counts, nil
+	}
+	var channels []*Channel
+	err := DB.Omit("key").Find(&channels).Error
+	if err != nil {
+		return nil, err
+	}
+	for id, q := range queries {
+		matched, err := FilterChannelsByQuery(channels, q)
+		if err != nil {
+			return nil, err
+		}
+		counts[id] = len(matched)
+	}
+	return counts, nil
+}
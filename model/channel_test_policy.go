@@ -0,0 +1,222 @@
+package model
+
+import (
+	"strconv"
+	"strings"
+
+	"github.com/QuantumNous/new-api/common"
+)
+
+const (
+	ChannelTestPolicyTriggerSchedule = "schedule"
+	ChannelTestPolicyTriggerManual   = "manual"
+
+	ChannelTestPolicyEventFailed   = "failed"
+	ChannelTestPolicyEventDisabled = "disabled"
+	ChannelTestPolicyEventEnabled  = "enabled"
+	ChannelTestPolicyEventSkipped  = "skipped"
+)
+
+// ChannelTestPolicy 定时测试策略：按渠道 ID 或标签圈定渠道，定期测试指定模型，
+// 并根据连续失败/成功次数自动禁用或重新启用渠道
+type ChannelTestPolicy struct {
+	Id               int    `json:"id"`
+	Name             string `json:"name" gorm:"type:varchar(64);not null"`
+	Enabled          bool   `json:"enabled"`
+	ChannelIds       string `json:"channel_ids" gorm:"type:text"` // 逗号分隔的渠道 ID
+	Tags             string `json:"tags" gorm:"type:text"`        // 逗号分隔的渠道标签
+	Models           string `json:"models" gorm:"type:text"`      // 逗号分隔的测试模型，为空时使用渠道默认测试模型
+	EndpointType     string `json:"endpoint_type" gorm:"type:varchar(32);default:''"`
+	IntervalMinutes  int    `json:"interval_minutes" gorm:"default:30"`
+	MaxResponseTime  int64  `json:"max_response_time" gorm:"bigint;default:0"` // in milliseconds, 0 means unlimited
+	AutoDisable      bool   `json:"auto_disable"`
+	DisableThreshold int    `json:"disable_threshold" gorm:"default:3"` // 连续失败多少次后禁用
+	AutoEnable       bool   `json:"auto_enable"`
+	EnableThreshold  int    `json:"enable_threshold" gorm:"default:1"` // 连续成功多少次后重新启用
+	ChannelState     string `json:"-" gorm:"type:text"`                // 各渠道的连续失败/成功次数
+	LastRunTime      int64  `json:"last_run_time" gorm:"bigint"`
+	CreatedTime      int64  `json:"created_time" gorm:"bigint"`
+	UpdatedTime      int64  `json:"updated_time" gorm:"bigint"`
+	Running          bool   `json:"running" gorm:"-"`
+}
+
+// ChannelTestPolicyState 渠道在某个策略下的连续测试结果
+type ChannelTestPolicyState struct {
+	Failures  int `json:"failures"`
+	Successes int `json:"successes"`
+}
+
+// ChannelTestPolicyEvent 策略运行日志中的单条事件
+type ChannelTestPolicyEvent struct {
+	ChannelId   int    `json:"channel_id"`
+	ChannelName string `json:"channel_name"`
+	Model       string `json:"model,omitempty"`
+	Action      string `json:"action"`
+	Reason      string `json:"reason"`
+}
+
+// ChannelTestPolicyRun 策略的一次运行记录
+type ChannelTestPolicyRun struct {
+	Id            int       `json:"id"`
+	PolicyId      int       `json:"policy_id" gorm:"index"`
+	Trigger       string    `json:"trigger" gorm:"type:varchar(16)"`
+	StartTime     int64     `json:"start_time" gorm:"bigint;index"`
+	EndTime       int64     `json:"end_time" gorm:"bigint"`
+	ChannelCount  int       `json:"channel_count"`
+	TestedCount   int       `json:"tested_count"`
+	FailedCount   int       `json:"failed_count"`
+	DisabledCount int       `json:"disabled_count"`
+	EnabledCount  int       `json:"enabled_count"`
+	Events        JSONValue `json:"events" gorm:"type:json"`
+}
+
+func splitCommaList(value string) []string {
+	items := make([]string, 0)
+	for _, item := range strings.Split(value, ",") {
+		item = strings.TrimSpace(item)
+		if item != "" {
+			items = append(items, item)
+		}
+	}
+	return items
+}
+
+// GetChannelIds 解析策略圈定的渠道 ID
+func (p *ChannelTestPolicy) GetChannelIds() []int {
+	ids := make([]int, 0)
+	for _, item := range splitCommaList(p.ChannelIds) {
+		if id, err := strconv.Atoi(item); err == nil {
+			ids = append(ids, id)
+		}
+	}
+	return ids
+}
+
+func (p *ChannelTestPolicy) GetTags() []string {
+	return splitCommaList(p.Tags)
+}
+
+func (p *ChannelTestPolicy) GetModels() []string {
+	return splitCommaList(p.Models)
+}
+
+func (p *ChannelTestPolicy) GetChannelState() map[int]*ChannelTestPolicyState {
+	state := make(map[int]*ChannelTestPolicyState)
+	if p.ChannelState == "" {
+		return state
+	}
+	if err := common.UnmarshalJsonStr(p.ChannelState, &state); err != nil {
+		common.SysLog("failed to unmarshal channel test policy state: " + err.Error())
+	}
+	return state
+}
+
+// IsDue 判断策略是否到了下一次运行时间
+func (p *ChannelTestPolicy) IsDue(now int64) bool {
+	interval := p.IntervalMinutes
+	if interval < 1 {
+		interval = 1
+	}
+	return now-p.LastRunTime >= int64(interval)*60
+}
+
+// Insert 新建策略
+func (p *ChannelTestPolicy) Insert() error {
+	now := common.GetTimestamp()
+	p.CreatedTime = now
+	p.UpdatedTime = now
+	return DB.Create(p).Error
+}
+
+// Update 更新策略配置，不覆盖运行状态
+func (p *ChannelTestPolicy) Update() error {
+	p.UpdatedTime = common.GetTimestamp()
+	return DB.Omit("channel_state", "last_run_time", "created_time").Save(p).Error
+}
+
+// SaveRunState 保存运行后的渠道状态与运行时间
+func (p *ChannelTestPolicy) SaveRunState(state map[int]*ChannelTestPolicyState, runTime int64) error {
+	stateBytes, err := common.Marshal(state)
+	if err != nil {
+		return err
+	}
+	p.ChannelState = string(stateBytes)
+	p.LastRunTime = runTime
+	return DB.Model(p).Updates(map[string]interface{}{
+		"channel_state": p.ChannelState,
+		"last_run_time": p.LastRunTime,
+	}).Error
+}
+
+func GetChannelTestPolicyById(id int) (*ChannelTestPolicy, error) {
+	policy := &ChannelTestPolicy{}
+	err := DB.First(policy, "id = ?", id).Error
+	return policy, err
+}
+
+func GetAllChannelTestPolicies() ([]*ChannelTestPolicy, error) {
+	var policies []*ChannelTestPolicy
+	err := DB.Order("id desc").Find(&policies).Error
+	return policies, err
+}
+
+func GetEnabledChannelTestPolicies() ([]*ChannelTestPolicy, error) {
+	var policies []*ChannelTestPolicy
+	err := DB.Where("enabled = ?", true).Find(&policies).Error
+	return policies, err
+}
+
+// DeleteChannelTestPolicyById 删除策略及其运行记录
+func DeleteChannelTestPolicyById(id int) error {
+	if err := DB.Where("policy_id = ?", id).Delete(&ChannelTestPolicyRun{}).Error; err != nil {
+		return err
+	}
+	return DB.Delete(&ChannelTestPolicy{}, id).Error
+}
+
+// GetChannelTestPolicyChannels 获取策略圈定的渠道（包含密钥，用于测试）
+func GetChannelTestPolicyChannels(p *ChannelTestPolicy) ([]*Channel, error) {
+	ids := p.GetChannelIds()
+	tags := p.GetTags()
+	var channels []*Channel
+	if len(ids) == 0 && len(tags) == 0 {
+		return channels, nil
+	}
+	query := DB.Model(&Channel{})
+	if len(ids) > 0 && len(tags) > 0 {
+		query = query.Where("id in (?) OR tag in (?)", ids, tags)
+	} else if len(ids) > 0 {
+		query = query.Where("id in (?)", ids)
+	} else {
+		query = query.Where("tag in (?)", tags)
+	}
+	err := query.Order("id asc").Find(&channels).Error
+	return channels, err
+}
+
+// GetChannelTestPolicyCandidates 获取可供策略选择的渠道（不含密钥）
+func GetChannelTestPolicyCandidates() ([]*Channel, error) {
+	var channels []*Channel
+	err := DB.Select("id", "name", "tag", "status", "models").Order("id desc").Find(&channels).Error
+	return channels, err
+}
+
+// InsertChannelTestPolicyRun 写入运行记录，并清理超过保留期的旧记录
+func InsertChannelTestPolicyRun(run *ChannelTestPolicyRun) error {
+	if err := DB.Create(run).Error; err != nil {
+		return err
+	}
+	expiredTime := common.GetTimestamp() - ChannelHealthRetentionDays*24*60*60
+	return DB.Where("policy_id = ? AND start_time < ?", run.PolicyId, expiredTime).Delete(&ChannelTestPolicyRun{}).Error
+}
+
+func GetChannelTestPolicyRuns(policyId int, startIdx int, num int) ([]*ChannelTestPolicyRun, int64, error) {
+	var runs []*ChannelTestPolicyRun
+	var total int64
+	query := DB.Model(&ChannelTestPolicyRun{}).Where("policy_id = ?", policyId)
+	if err := query.Count(&total).Error; err != nil {
+		return nil, 0, err
+	}
+	err := query.Order("id desc").Limit(num).Offset(startIdx).Find(&runs).Error
+	return runs, total, err
+}
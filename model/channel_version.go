@@ -0,0 +1,221 @@
+package model
+
+import (
+	"bytes"
+	"errors"
+
+	"github.com/QuantumNous/new-api/common"
+
+	"gorm.io/gorm"
+)
+
+const (
+	ChannelVersionSourceBaseline  = "baseline"
+	ChannelVersionSourceEdit      = "edit"
+	ChannelVersionSourceTagEdit   = "tag_edit"
+	ChannelVersionSourceBatchEdit = "batch_edit"
+	ChannelVersionSourceRollback  = "rollback"
+)
+
+// ChannelVersionRetention 每个渠道最多保留的版本数
+const ChannelVersionRetention = 50
+
+// ChannelVersionConfig 版本中保存的渠道配置，不包含密钥、状态和多密钥信息
+type ChannelVersionConfig struct {
+	Name               string `json:"name"`
+	BaseURL            string `json:"base_url"`
+	Other              string `json:"other"`
+	OpenAIOrganization string `json:"openai_organization"`
+	Models             string `json:"models"`
+	Group              string `json:"group"`
+	Tag                string `json:"tag"`
+	ModelMapping       string `json:"model_mapping"`
+	StatusCodeMapping  string `json:"status_code_mapping"`
+	Priority           int64  `json:"priority"`
+	Weight             uint   `json:"weight"`
+	AutoBan            int    `json:"auto_ban"`
+	TestModel          string `json:"test_model"`
+	ParamOverride      string `json:"param_override"`
+	HeaderOverride     string `json:"header_override"`
+	Setting            string `json:"setting"`
+	OtherSettings      string `json:"settings"`
+	Remark             string `json:"remark"`
+}
+
+// ChannelVersion 渠道配置的历史版本，每次保存产生一条
+type ChannelVersion struct {
+	Id           int       `json:"id"`
+	ChannelId    int       `json:"channel_id" gorm:"index"`
+	Version      int       `json:"version"`
+	Source       string    `json:"source" gorm:"type:varchar(16)"`
+	RollbackFrom int       `json:"rollback_from"` // 回滚来源版本号，仅回滚产生的版本有值
+	UserId       int       `json:"user_id"`
+	Username     string    `json:"username" gorm:"type:varchar(64)"`
+	Config       JSONValue `json:"config" gorm:"type:json"`
+	CreatedTime  int64     `json:"created_time" gorm:"bigint;index"`
+}
+
+func derefString(value *string) string {
+	if value == nil {
+		return ""
+	}
+	return *value
+}
+
+// NewChannelVersionConfig 提取渠道当前的可版本化配置
+func NewChannelVersionConfig(channel *Channel) ChannelVersionConfig {
+	config := ChannelVersionConfig{
+		Name:               channel.Name,
+		BaseURL:            derefString(channel.BaseURL),
+		Other:              channel.Other,
+		OpenAIOrganization: derefString(channel.OpenAIOrganization),
+		Models:             channel.Models,
+		Group:              channel.Group,
+		Tag:                derefString(channel.Tag),
+		ModelMapping:       derefString(channel.ModelMapping),
+		StatusCodeMapping:  derefString(channel.StatusCodeMapping),
+		Priority:           channel.GetPriority(),
+		Weight:             uint(channel.GetWeight()),
+		TestModel:          derefString(channel.TestModel),
+		ParamOverride:      derefString(channel.ParamOverride),
+		HeaderOverride:     derefString(channel.HeaderOverride),
+		Setting:            derefString(channel.Setting),
+		OtherSettings:      channel.OtherSettings,
+		Remark:             derefString(channel.Remark),
+	}
+	if channel.AutoBan != nil {
+		config.AutoBan = *channel.AutoBan
+	}
+	return config
+}
+
+// ApplyTo 将版本配置写回渠道对象，所有字段都显式赋值以便清空后来新增的内容
+func (config ChannelVersionConfig) ApplyTo(channel *Channel) {
+	channel.Name = config.Name
+	channel.BaseURL = common.GetPointer(config.BaseURL)
+	channel.Other = config.Other
+	channel.OpenAIOrganization = common.GetPointer(config.OpenAIOrganization)
+	channel.Models = config.Models
+	channel.Group = config.Group
+	channel.Tag = common.GetPointer(config.Tag)
+	channel.ModelMapping = common.GetPointer(config.ModelMapping)
+	channel.StatusCodeMapping = common.GetPointer(config.StatusCodeMapping)
+	channel.Priority = common.GetPointer(config.Priority)
+	channel.Weight = common.GetPointer(config.Weight)
+	channel.AutoBan = common.GetPointer(config.AutoBan)
+	channel.TestModel = common.GetPointer(config.TestModel)
+	channel.ParamOverride = common.GetPointer(config.ParamOverride)
+	channel.HeaderOverride = common.GetPointer(config.HeaderOverride)
+	channel.Setting = common.GetPointer(config.Setting)
+	channel.OtherSettings = config.OtherSettings
+	channel.Remark = common.GetPointer(config.Remark)
+}
+
+// channelVersionColumns 版本配置对应的渠道列
+var channelVersionColumns = []string{
+	"name", "base_url", "other", "openai_organization", "models", "group", "tag",
+	"model_mapping", "status_code_mapping", "priority", "weight", "auto_ban", "test_model",
+	"param_override", "header_override", "setting", "settings", "remark",
+}
+
+// SaveVersionConfig 保存渠道的全部可版本化配置。Updates 会跳过零值字段，
+// 这里显式选择配置列，空字符串等零值同样会写入，保证回滚能清空后来新增的内容
+func (channel *Channel) SaveVersionConfig() error {
+	err := DB.Model(channel).Select(channelVersionColumns).Updates(channel).Error
+	if err != nil {
+		return err
+	}
+	DB.Model(channel).First(channel, "id = ?", channel.Id)
+	return channel.UpdateAbilities(nil)
+}
+
+// GetConfig 解析版本中保存的渠道配置
+func (v *ChannelVersion) GetConfig() (ChannelVersionConfig, error) {
+	config := ChannelVersionConfig{}
+	err := common.Unmarshal(v.Config, &config)
+	return config, err
+}
+
+func getLatestChannelVersion(channelId int) (*ChannelVersion, error) {
+	version := &ChannelVersion{}
+	err := DB.Where("channel_id = ?", channelId).Order("version desc").First(version).Error
+	if errors.Is(err, gorm.ErrRecordNotFound) {
+		return nil, nil
+	}
+	return version, err
+}
+
+// RecordChannelVersion 记录渠道保存后的配置，与最新版本相同时不产生新版本。
+// origin 为保存前的渠道，渠道还没有任何版本时会先将其记录为基线版本，保证首次修改也能回滚
+func RecordChannelVersion(origin *Channel, channel *Channel, source string, rollbackFrom int, userId int, username string) error {
+	latest, err := getLatestChannelVersion(channel.Id)
+	if err != nil {
+		return err
+	}
+	if latest == nil && origin != nil {
+		baselineBytes, err := common.Marshal(NewChannelVersionConfig(origin))
+		if err != nil {
+			return err
+		}
+		latest = &ChannelVersion{
+			ChannelId:   channel.Id,
+			Version:     1,
+			Source:      ChannelVersionSourceBaseline,
+			Config:      JSONValue(baselineBytes),
+			CreatedTime: common.GetTimestamp(),
+		}
+		if err := DB.Create(latest).Error; err != nil {
+			return err
+		}
+	}
+	configBytes, err := common.Marshal(NewChannelVersionConfig(channel))
+	if err != nil {
+		return err
+	}
+	nextVersion := 1
+	if latest != nil {
+		if bytes.Equal(latest.Config, configBytes) {
+			return nil
+		}
+		nextVersion = latest.Version + 1
+	}
+	version := &ChannelVersion{
+		ChannelId:    channel.Id,
+		Version:      nextVersion,
+		Source:       source,
+		RollbackFrom: rollbackFrom,
+		UserId:       userId,
+		Username:     username,
+		Config:       JSONValue(configBytes),
+		CreatedTime:  common.GetTimestamp(),
+	}
+	if err := DB.Create(version).Error; err != nil {
+		return err
+	}
+	if nextVersion > ChannelVersionRetention {
+		return DB.Where("channel_id = ? AND version <= ?", channel.Id, nextVersion-ChannelVersionRetention).Delete(&ChannelVersion{}).Error
+	}
+	return nil
+}
+
+func GetChannelVersions(channelId int, startIdx int, num int) ([]*ChannelVersion, int64, error) {
+	var versions []*ChannelVersion
+	var total int64
+	query := DB.Model(&ChannelVersion{}).Where("channel_id = ?", channelId)
+	if err := query.Count(&total).Error; err != nil {
+		return nil, 0, err
+	}
+	err := query.Order("version desc").Limit(num).Offset(startIdx).Find(&versions).Error
+	return versions, total, err
+}
+
+func GetChannelVersionById(channelId int, id int) (*ChannelVersion, error) {
+	version := &ChannelVersion{}
+	err := DB.First(version, "id = ? AND channel_id = ?", id, channelId).Error
+	return version, err
+}
+
+// DeleteChannelVersions 删除渠道的全部历史版本
+func DeleteChannelVersions(channelIds []int) error {
+	return DB.Where("channel_id in (?)", channelIds).Delete(&ChannelVersion{}).Error
+}
@@ -0,0 +1,85 @@
+package model
+
+import (
+	"testing"
+
+	"github.com/QuantumNous/new-api/common"
+
+	"github.com/glebarez/sqlite"
+	"gorm.io/gorm"
+)
+
+func setupChannelVersionTestDB(t *testing.T) {
+	t.Helper()
+	db, err := gorm.Open(sqlite.Open(":memory:"), &gorm.Config{})
+	if err != nil {
+		t.Fatalf("failed to open sqlite: %v", err)
+	}
+	if err := db.AutoMigrate(&Channel{}, &Ability{}, &ChannelVersion{}); err != nil {
+		t.Fatalf("failed to migrate: %v", err)
+	}
+	originDB := DB
+	DB = db
+	t.Cleanup(func() {
+		DB = originDB
+	})
+	initCol()
+}
+
+func TestSaveVersionConfigClearsEmptyFields(t *testing.T) {
+	setupChannelVersionTestDB(t)
+
+	channel := &Channel{
+		Name:   "test",
+		Key:    "sk-test",
+		Models: "gpt-4o",
+		Group:  "default",
+		Status: common.ChannelStatusEnabled,
+	}
+	if err := DB.Create(channel).Error; err != nil {
+		t.Fatalf("failed to create channel: %v", err)
+	}
+	if err := RecordChannelVersion(nil, channel, ChannelVersionSourceEdit, 0, 1, "root"); err != nil {
+		t.Fatalf("failed to record version: %v", err)
+	}
+	version, err := getLatestChannelVersion(channel.Id)
+	if err != nil || version == nil {
+		t.Fatalf("failed to load version: %v", err)
+	}
+
+	// 保存版本之后新增的配置
+	err = DB.Model(&Channel{}).Where("id = ?", channel.Id).Updates(map[string]interface{}{
+		"other":    "2024-05-01-preview",
+		"settings": `{"azure_responses_version":"preview"}`,
+	}).Error
+	if err != nil {
+		t.Fatalf("failed to update channel: %v", err)
+	}
+
+	current, err := GetChannelById(channel.Id, true)
+	if err != nil {
+		t.Fatalf("failed to load channel: %v", err)
+	}
+	config, err := version.GetConfig()
+	if err != nil {
+		t.Fatalf("failed to parse version config: %v", err)
+	}
+	config.ApplyTo(current)
+	if err := current.SaveVersionConfig(); err != nil {
+		t.Fatalf("failed to save version config: %v", err)
+	}
+
+	restored := &Channel{}
+	if err := DB.First(restored, "id = ?", channel.Id).Error; err != nil {
+		t.Fatalf("failed to reload channel: %v", err)
+	}
+	if restored.Other != "" {
+		t.Errorf("expected other to be cleared, got %q", restored.Other)
+	}
+	if restored.OtherSettings != "" {
+		t.Errorf("expected settings to be cleared, got %q", restored.OtherSettings)
+	}
+	if restored.Key != "sk-test" {
+		t.Errorf("expected key to be kept, got %q", restored.Key)
+	}
+}
@@ -0,0 +1,155 @@
+package model
+
+import (
+	"github.com/QuantumNous/new-api/types"
+
+	"gorm.io/gorm"
+)
+
+// LogFilter 日志导出与统计使用的筛选条件，与日志列表 GetAllLogs 保持一致。
+// UserId 不为 0 时只筛选该用户的日志
+type LogFilter struct {
+	UserId         int
+	LogType        int
+	StartTimestamp int64
+	EndTimestamp   int64
+	ModelName      string
+	Username       string
+	TokenName      string
+	Channel        int
+	Group          string
+}
+
+func (f *LogFilter) query() *gorm.DB {
+	tx := LOG_DB.Model(&Log{})
+	if f.UserId != 0 {
+		tx = tx.Where("logs.user_id = ?", f.UserId)
+	}
+	if f.LogType != LogTypeUnknown {
+		tx = tx.Where("logs.type = ?", f.LogType)
+	}
+	if f.ModelName != "" {
+		tx = tx.Where("logs.model_name like ?", f.ModelName)
+	}
+	if f.Username != "" {
+		tx = tx.Where("logs.username = ?", f.Username)
+	}
+	if f.TokenName != "" {
+		tx = tx.Where("logs.token_name = ?", f.TokenName)
+	}
+	if f.StartTimestamp != 0 {
+		tx = tx.Where("logs.created_at >= ?", f.StartTimestamp)
+	}
+	if f.EndTimestamp != 0 {
+		tx = tx.Where("logs.created_at <= ?", f.EndTimestamp)
+	}
+	if f.Channel != 0 {
+		tx = tx.Where("logs.channel_id = ?", f.Channel)
+	}
+	if f.Group != "" {
+		tx = tx.Where("logs."+logGroupCol+" = ?", f.Group)
+	}
+	return tx
+}
+
+// queryBefore 限定 id 小于游标的日志，游标为 0 时表示从最新一条开始
+func (f *LogFilter) queryBefore(cursor int) *gorm.DB {
+	tx := f.query()
+	if cursor > 0 {
+		tx = tx.Where("logs.id < ?", cursor)
+	}
+	return tx
+}
+
+// GetLatestLogId 返回满足筛选条件的最大日志 id，没有日志时返回 0
+func GetLatestLogId(filter *LogFilter) (int, error) {
+	var ids []int
+	err := filter.query().Order("logs.id desc").Limit(1).Pluck("logs.id", &ids).Error
+	if err != nil || len(ids) == 0 {
+		return 0, err
+	}
+	return ids[0], nil
+}
+
+// GetLogExportStartCursor 返回首个分片使用的游标，即当前最大日志 id + 1。
+// 导出开始后新写入的日志 id 都不小于该游标，不会混入分片导致行数校验失败
+func GetLogExportStartCursor(filter *LogFilter) (int, error) {
+	latestId, err := GetLatestLogId(filter)
+	if err != nil || latestId == 0 {
+		return 0, err
+	}
+	return latestId + 1, nil
+}
+
+// GetLogExportChunk 计算从游标开始、最多 limit 条日志的分片。
+// 日志按 id 倒序导出，返回分片内最小的 id 作为下一分片的游标，以及分片的行数；
+// 剩余日志不足 limit 条时返回的游标为 0，表示这是最后一个分片
+func GetLogExportChunk(filter *LogFilter, cursor int, limit int) (nextCursor int, rows int64, err error) {
+	var ids []int
+	err = filter.queryBefore(cursor).Order("logs.id desc").Offset(limit-1).Limit(1).Pluck("logs.id", &ids).Error
+	if err != nil {
+		return 0, 0, err
+	}
+	if len(ids) > 0 {
+		return ids[0], int64(limit), nil
+	}
+	err = filter.queryBefore(cursor).Count(&rows).Error
+	return 0, rows, err
+}
+
+// IterateLogExportChunk 按批次读取分片 [nextCursor, cursor) 内的日志，批次之间使用 id 游标而不是 OFFSET，
+// 避免大分片越翻越慢
+func IterateLogExportChunk(filter *LogFilter, cursor int, nextCursor int, batchSize int, fn func(logs []*Log) error) error {
+	upper := cursor
+	for {
+		var logs []*Log
+		tx := filter.queryBefore(upper)
+		if nextCursor > 0 {
+			tx = tx.Where("logs.id >= ?", nextCursor)
+		}
+		if err := tx.Order("logs.id desc").Limit(batchSize).Find(&logs).Error; err != nil {
+			return err
+		}
+		if len(logs) == 0 {
+			return nil
+		}
+		if err := fillLogChannelNames(logs); err != nil {
+			return err
+		}
+		if err := fn(logs); err != nil {
+			return err
+		}
+		if len(logs) < batchSize {
+			return nil
+		}
+		upper = logs[len(logs)-1].Id
+	}
+}
+
+// fillLogChannelNames 为日志补充渠道名称
+func fillLogChannelNames(logs []*Log) error {
+	channelIds := types.NewSet[int]()
+	for _, log := range logs {
+		if log.ChannelId != 0 {
+			channelIds.Add(log.ChannelId)
+		}
+	}
+	if channelIds.Len() == 0 {
+		return nil
+	}
+	var channels []struct {
+		Id   int    `gorm:"column:id"`
+		Name string `gorm:"column:name"`
+	}
+	if err := DB.Table("channels").Select("id, name").Where("id IN ?", channelIds.Items()).Find(&channels).Error; err != nil {
+		return err
+	}
+	channelMap := make(map[int]string, len(channels))
+	for _, channel := range channels {
+		channelMap[channel.Id] = channel.Name
+	}
+	for i := range logs {
+		logs[i].ChannelName = channelMap[logs[i].ChannelId]
+	}
+	return nil
+}
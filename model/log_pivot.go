@@ -0,0 +1,82 @@
+package model
+
+import (
+	"fmt"
+)
+
+// LogPivotLimit 透视结果的最大行数
+const LogPivotLimit = 1000
+
+// LogPivotRow 透视表的一行，Dim1/Dim2 为分组维度的值，只有一个维度时 Dim2 为空。
+// 按天分组时维度值为当天零点（按请求时区）的时间戳
+type LogPivotRow struct {
+	Dim1             string  `json:"dim1"`
+	Dim2             string  `json:"dim2"`
+	Requests         int64   `json:"requests"`
+	Errors           int64   `json:"errors"`
+	PromptTokens     int64   `json:"prompt_tokens"`
+	CompletionTokens int64   `json:"completion_tokens"`
+	Quota            int64   `json:"quota"`
+	AvgUseTime       float64 `json:"avg_use_time"`
+}
+
+// logPivotDimensionExpr 返回维度对应的 SQL 表达式，按天分组时需要时区偏移（秒）
+func logPivotDimensionExpr(dimension string, tzOffset int) (string, error) {
+	switch dimension {
+	case "model":
+		return "logs.model_name", nil
+	case "channel":
+		return "logs.channel_id", nil
+	case "token":
+		return "logs.token_name", nil
+	case "user":
+		return "logs.username", nil
+	case "group":
+		return "logs." + logGroupCol, nil
+	case "day":
+		// 先平移到请求时区再按 86400 取整，最后平移回 UTC 时间戳；取模在各数据库中行为一致
+		return fmt.Sprintf("(logs.created_at + %d) - ((logs.created_at + %d) %% 86400) - %d", tzOffset, tzOffset, tzOffset), nil
+	default:
+		return "", fmt.Errorf("不支持的分组维度：%s", dimension)
+	}
+}
+
+// GetLogPivot 按一个或两个维度聚合日志，统计请求数、错误数、tokens、额度和平均耗时。
+// 未指定日志类型时只统计消费日志和错误日志
+func GetLogPivot(filter *LogFilter, dimensions []string, tzOffset int) ([]*LogPivotRow, error) {
+	if len(dimensions) == 0 || len(dimensions) > 2 {
+		return nil, fmt.Errorf("分组维度数量必须为 1 或 2")
+	}
+	dim1, err := logPivotDimensionExpr(dimensions[0], tzOffset)
+	if err != nil {
+		return nil, err
+	}
+	dim2 := "''"
+	if len(dimensions) == 2 {
+		if dimensions[1] == dimensions[0] {
+			return nil, fmt.Errorf("两个分组维度不能相同")
+		}
+		if dim2, err = logPivotDimensionExpr(dimensions[1], tzOffset); err != nil {
+			return nil, err
+		}
+	}
+
+	tx := filter.query()
+	if filter.LogType == LogTypeUnknown {
+		tx = tx.Where("logs.type in (?)", []int{LogTypeConsume, LogTypeError})
+	}
+	rows := make([]*LogPivotRow, 0)
+	err = tx.Select(fmt.Sprintf(`%s as dim1, %s as dim2,
+		SUM(CASE WHEN logs.type = %d THEN 1 ELSE 0 END) as requests,
+		SUM(CASE WHEN logs.type = %d THEN 1 ELSE 0 END) as errors,
+		SUM(logs.prompt_tokens) as prompt_tokens,
+		SUM(logs.completion_tokens) as completion_tokens,
+		SUM(logs.quota) as quota,
+		COALESCE(AVG(CASE WHEN logs.type = %d THEN logs.use_time END), 0) as avg_use_time`,
+		dim1, dim2, LogTypeConsume, LogTypeError, LogTypeConsume)).
+		Group("dim1, dim2").
+		Order("SUM(logs.quota) desc").
+		Limit(LogPivotLimit).
+		Scan(&rows).Error
+	return rows, err
+}
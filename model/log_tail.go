@@ -0,0 +1,21 @@
+package model
+
+// GetLogsAfter 按 id 升序获取游标之后新写入的日志，用于实时日志。
+// 返回的 lastId 为本批次最大的原始 id，用作下一次查询的游标；普通用户的日志 id 会被脱敏，
+// 调用方不能将 lastId 原样返回给普通用户
+func GetLogsAfter(filter *LogFilter, afterId int, limit int) (logs []*Log, lastId int, err error) {
+	err = filter.query().Where("logs.id > ?", afterId).Order("logs.id asc").Limit(limit).Find(&logs).Error
+	if err != nil {
+		return nil, afterId, err
+	}
+	lastId = afterId
+	if len(logs) > 0 {
+		lastId = logs[len(logs)-1].Id
+	}
+	if filter.UserId != 0 {
+		formatUserLogs(logs)
+		return logs, lastId, nil
+	}
+	err = fillLogChannelNames(logs)
+	return logs, lastId, err
+}
@@ -268,6 +268,10 @@ func migrateDB() error {
 		&TwoFA{},
 		&TwoFABackupCode{},
 		&Checkin{},
+		&ChannelHealthRecord{},
+		&ChannelTestPolicy{},
+		&ChannelTestPolicyRun{},
+		&ChannelVersion{},
 	)
 	if err != nil {
 		return err
@@ -302,6 +306,10 @@ func migrateDBFast() error {
 		{&TwoFA{}, "TwoFA"},
 		{&TwoFABackupCode{}, "TwoFABackupCode"},
 		{&Checkin{}, "Checkin"},
+		{&ChannelHealthRecord{}, "ChannelHealthRecord"},
+		{&ChannelTestPolicy{}, "ChannelTestPolicy"},
+		{&ChannelTestPolicyRun{}, "ChannelTestPolicyRun"},
+		{&ChannelVersion{}, "ChannelVersion"},
 	}
 	// 动态计算migration数量，确保errChan缓冲区足够大
 	errChan := make(chan error, len(migrations))
@@ -0,0 +1,51 @@
+package model
+
+import (
+	"errors"
+
+	"gorm.io/gorm"
+)
+
+// TokenLogStat 令牌在一段时间内的请求统计，来自日志表
+type TokenLogStat struct {
+	Requests   int64  `json:"requests"`
+	Errors     int64  `json:"errors"`
+	LastUsedAt int64  `json:"last_used_at"`
+	LastIp     string `json:"last_ip"`
+}
+
+// GetTokenLogStat 统计令牌的消费和错误请求数，并取最近一次请求的时间和 IP（不受时间范围限制）
+func GetTokenLogStat(tokenId int, startTime int64, endTime int64) (*TokenLogStat, error) {
+	stat := &TokenLogStat{}
+	var counts []struct {
+		Type  int
+		Count int64
+	}
+	err := LOG_DB.Model(&Log{}).Select("type, count(*) as count").
+		Where("token_id = ? and type in (?) and created_at >= ? and created_at <= ?",
+			tokenId, []int{LogTypeConsume, LogTypeError}, startTime, endTime).
+		Group("type").Scan(&counts).Error
+	if err != nil {
+		return nil, err
+	}
+	for _, item := range counts {
+		if item.Type == LogTypeError {
+			stat.Errors = item.Count
+		}
+		stat.Requests += item.Count
+	}
+
+	last := &Log{}
+	err = LOG_DB.Select("created_at", "ip").
+		Where("token_id = ? and type in (?)", tokenId, []int{LogTypeConsume, LogTypeError}).
+		Order("id desc").First(last).Error
+	if errors.Is(err, gorm.ErrRecordNotFound) {
+		return stat, nil
+	}
+	if err != nil {
+		return nil, err
+	}
+	stat.LastUsedAt = last.CreatedAt
+	stat.LastIp = last.Ip
+	return stat, nil
+}
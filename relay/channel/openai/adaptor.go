@@ -370,6 +370,10 @@ func (a *Adaptor) ConvertAudioRequest(c *gin.Context, info *relaycommon.RelayInf
 			if key == "model" {
 				continue
 			}
+			// playground 通过 group 字段指定分组，不转发给上游
+			if key == "group" && info.IsPlayground {
+				continue
+			}
 			for _, value := range values {
 				writer.WriteField(key, value)
 				logger.LogDebug(c.Request.Context(), fmt.Sprintf("--form '%s=\"%s\"'", key, value))
@@ -52,9 +52,18 @@ const (
 	RelayModeGemini
 )
 
+// NormalizePlaygroundPath 将 /pg 下的 playground 路由映射为对应的 /v1 路由
+func NormalizePlaygroundPath(path string) string {
+	if strings.HasPrefix(path, "/pg/") {
+		return "/v1/" + strings.TrimPrefix(path, "/pg/")
+	}
+	return path
+}
+
 func Path2RelayMode(path string) int {
 	relayMode := RelayModeUnknown
-	if strings.HasPrefix(path, "/v1/chat/completions") || strings.HasPrefix(path, "/pg/chat/completions") {
+	path = NormalizePlaygroundPath(path)
+	if strings.HasPrefix(path, "/v1/chat/completions") {
 		relayMode = RelayModeChatCompletions
 	} else if strings.HasPrefix(path, "/v1/completions") {
 		relayMode = RelayModeCompletions
@@ -10,7 +10,8 @@ import (
 
 func SetApiRouter(router *gin.Engine) {
 	apiRouter := router.Group("/api")
-	apiRouter.Use(gzip.Gzip(gzip.DefaultCompression))
+	// 实时日志是 SSE 长连接，gzip 会缓冲事件直到缓冲区写满，需要排除
+	apiRouter.Use(gzip.Gzip(gzip.DefaultCompression, gzip.WithExcludedPaths([]string{"/api/log/tail", "/api/log/self/tail"})))
 	apiRouter.Use(middleware.GlobalAPIRateLimit())
 	{
 		apiRouter.GET("/setup", controller.GetSetup)
@@ -140,12 +141,23 @@ func SetApiRouter(router *gin.Engine) {
 		{
 			channelRoute.GET("/", controller.GetAllChannels)
 			channelRoute.GET("/search", controller.SearchChannels)
+			channelRoute.POST("/query/counts", controller.CountChannelQueries)
 			channelRoute.GET("/models", controller.ChannelListModels)
 			channelRoute.GET("/models_enabled", controller.EnabledListModels)
 			channelRoute.GET("/:id", controller.GetChannel)
 			channelRoute.POST("/:id/key", middleware.RootAuth(), middleware.CriticalRateLimit(), middleware.DisableCache(), middleware.SecureVerificationRequired(), controller.GetChannelKey)
 			channelRoute.GET("/test", controller.TestAllChannels)
 			channelRoute.GET("/test/:id", controller.TestChannel)
+			channelRoute.GET("/health/:id", controller.GetChannelHealthHistory)
+			channelRoute.GET("/test_policy", controller.GetChannelTestPolicies)
+			channelRoute.GET("/test_policy/options", controller.GetChannelTestPolicyOptions)
+			channelRoute.POST("/test_policy", controller.CreateChannelTestPolicy)
+			channelRoute.PUT("/test_policy", controller.UpdateChannelTestPolicy)
+			channelRoute.DELETE("/test_policy/:id", controller.DeleteChannelTestPolicy)
+			channelRoute.POST("/test_policy/:id/run", controller.RunChannelTestPolicy)
+			channelRoute.GET("/test_policy/:id/runs", controller.GetChannelTestPolicyRuns)
+			channelRoute.GET("/versions/:id", controller.GetChannelVersions)
+			channelRoute.POST("/versions/:id/rollback", controller.RollbackChannelVersion)
 			channelRoute.GET("/update_balance", controller.UpdateAllChannelsBalance)
 			channelRoute.GET("/update_balance/:id", controller.UpdateChannelBalance)
 			channelRoute.POST("/", controller.AddChannel)
@@ -156,6 +168,8 @@ func SetApiRouter(router *gin.Engine) {
 			channelRoute.PUT("/tag", controller.EditTagChannels)
 			channelRoute.DELETE("/:id", controller.DeleteChannel)
 			channelRoute.POST("/batch", controller.DeleteChannelBatch)
+			channelRoute.POST("/export", controller.ExportChannels)
+			channelRoute.POST("/export/keys", middleware.RootAuth(), middleware.CriticalRateLimit(), middleware.DisableCache(), middleware.SecureVerificationRequired(), controller.ExportChannelsWithKey)
 			channelRoute.POST("/fix", controller.FixChannelsAbilities)
 			channelRoute.GET("/fetch_models/:id", controller.FetchUpstreamModels)
 			channelRoute.POST("/fetch_models", controller.FetchModels)
@@ -164,6 +178,7 @@ func SetApiRouter(router *gin.Engine) {
 			channelRoute.DELETE("/ollama/delete", controller.OllamaDeleteModel)
 			channelRoute.GET("/ollama/version/:id", controller.OllamaVersion)
 			channelRoute.POST("/batch/tag", controller.BatchSetChannelTag)
+			channelRoute.POST("/batch/edit", controller.BatchEditChannels)
 			channelRoute.GET("/tag/models", controller.GetTagModels)
 			channelRoute.POST("/copy/:id", controller.CopyChannel)
 			channelRoute.POST("/multi_key/manage", controller.ManageMultiKeys)
@@ -205,14 +220,22 @@ func SetApiRouter(router *gin.Engine) {
 		logRoute.GET("/", middleware.AdminAuth(), controller.GetAllLogs)
 		logRoute.DELETE("/", middleware.AdminAuth(), controller.DeleteHistoryLogs)
 		logRoute.GET("/stat", middleware.AdminAuth(), controller.GetLogsStat)
+		logRoute.GET("/export", middleware.AdminAuth(), controller.ExportLogs)
+		logRoute.GET("/trace/:request_id", middleware.AdminAuth(), controller.GetLogTrace)
+		logRoute.GET("/pivot", middleware.AdminAuth(), controller.GetLogPivot)
+		logRoute.GET("/tail", middleware.AdminAuth(), controller.TailLogs)
 		logRoute.GET("/self/stat", middleware.UserAuth(), controller.GetLogsSelfStat)
 		logRoute.GET("/search", middleware.AdminAuth(), controller.SearchAllLogs)
 		logRoute.GET("/self", middleware.UserAuth(), controller.GetUserLogs)
 		logRoute.GET("/self/search", middleware.UserAuth(), controller.SearchUserLogs)
+		logRoute.GET("/self/trace/:request_id", middleware.UserAuth(), controller.GetUserLogTrace)
+		logRoute.GET("/self/pivot", middleware.UserAuth(), controller.GetUserLogPivot)
+		logRoute.GET("/self/tail", middleware.UserAuth(), controller.TailUserLogs)
 
 		dataRoute := apiRouter.Group("/data")
 		dataRoute.GET("/", middleware.AdminAuth(), controller.GetAllQuotaDates)
 		dataRoute.GET("/self", middleware.UserAuth(), controller.GetUserQuotaDates)
+		dataRoute.GET("/token/:id", middleware.UserAuth(), controller.GetTokenQuotaDates)
 
 		logRoute.Use(middleware.CORS())
 		{
@@ -58,7 +58,24 @@ func SetRelayRouter(router *gin.Engine) {
 	playgroundRouter := router.Group("/pg")
 	playgroundRouter.Use(middleware.UserAuth(), middleware.Distribute())
 	{
-		playgroundRouter.POST("/chat/completions", controller.Playground)
+		playgroundRouter.POST("/chat/completions", func(c *gin.Context) {
+			controller.Playground(c, types.RelayFormatOpenAI)
+		})
+		playgroundRouter.POST("/embeddings", func(c *gin.Context) {
+			controller.Playground(c, types.RelayFormatEmbedding)
+		})
+		playgroundRouter.POST("/images/generations", func(c *gin.Context) {
+			controller.Playground(c, types.RelayFormatOpenAIImage)
+		})
+		playgroundRouter.POST("/audio/speech", func(c *gin.Context) {
+			controller.Playground(c, types.RelayFormatOpenAIAudio)
+		})
+		playgroundRouter.POST("/audio/transcriptions", func(c *gin.Context) {
+			controller.Playground(c, types.RelayFormatOpenAIAudio)
+		})
+		playgroundRouter.POST("/rerank", func(c *gin.Context) {
+			controller.Playground(c, types.RelayFormatRerank)
+		})
 	}
 	relayV1Router := router.Group("/v1")
 	relayV1Router.Use(middleware.TokenAuth())
@@ -57,6 +57,10 @@ func GenerateTextOtherInfo(ctx *gin.Context, relayInfo *relaycommon.RelayInfo, m
 
 	adminInfo := make(map[string]interface{})
 	adminInfo["use_channel"] = ctx.GetStringSlice("use_channel")
+	// 分组解析过程：令牌分组为 auto 时，实际使用的分组可能在重试中变化
+	adminInfo["user_group"] = relayInfo.UserGroup
+	adminInfo["token_group"] = relayInfo.TokenGroup
+	adminInfo["using_group"] = relayInfo.UsingGroup
 	isMultiKey := common.GetContextKeyBool(ctx, constant.ContextKeyChannelIsMultiKey)
 	if isMultiKey {
 		adminInfo["is_multi_key"] = true
@@ -0,0 +1,477 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Button,
+  Empty,
+  Input,
+  InputNumber,
+  Select,
+  TabPane,
+  Tabs,
+  TextArea,
+  Toast,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Copy, Mic, Send, Square, Trash2, Upload } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import {
+  API_ENDPOINTS,
+  ENDPOINT_DEFAULTS,
+  TTS_FORMAT_OPTIONS,
+  TTS_VOICE_OPTIONS,
+} from '../../constants/playground.constants';
+import { copy } from '../../helpers';
+
+const AUDIO_TABS = {
+  SPEECH: 'speech',
+  TRANSCRIPTION: 'transcription',
+};
+
+const toOptions = (values) => values.map((value) => ({ label: value, value }));
+
+const formatDuration = (seconds) =>
+  `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+
+const AudioTester = ({ inputs, loading, onRequest, onPreviewChange }) => {
+  const { t } = useTranslation();
+  const [activeTab, setActiveTab] = useState(AUDIO_TABS.SPEECH);
+
+  // 语音合成
+  const [speechForm, setSpeechForm] = useState(ENDPOINT_DEFAULTS.speech);
+  const [clips, setClips] = useState([]);
+  const clipUrlsRef = useRef([]);
+
+  // 语音识别
+  const [transcriptionForm, setTranscriptionForm] = useState(
+    ENDPOINT_DEFAULTS.transcription,
+  );
+  const [audioFile, setAudioFile] = useState(null);
+  const [audioFileUrl, setAudioFileUrl] = useState(null);
+  const [transcripts, setTranscripts] = useState([]);
+  const [recording, setRecording] = useState(false);
+  const [recordSeconds, setRecordSeconds] = useState(0);
+  const recorderRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const speechPayload = useMemo(
+    () => ({
+      model: inputs.model,
+      group: inputs.group,
+      ...speechForm,
+    }),
+    [inputs.model, inputs.group, speechForm],
+  );
+
+  const transcriptionPayload = useMemo(() => {
+    const fields = {
+      model: inputs.model,
+      group: inputs.group,
+      response_format: 'json',
+    };
+    if (transcriptionForm.language.trim()) {
+      fields.language = transcriptionForm.language.trim();
+    }
+    if (transcriptionForm.prompt.trim()) {
+      fields.prompt = transcriptionForm.prompt.trim();
+    }
+    return fields;
+  }, [inputs.model, inputs.group, transcriptionForm]);
+
+  useEffect(() => {
+    if (activeTab === AUDIO_TABS.SPEECH) {
+      onPreviewChange(speechPayload);
+      return;
+    }
+    onPreviewChange({
+      ...transcriptionPayload,
+      file: audioFile
+        ? { file: audioFile.name, type: audioFile.type, size: audioFile.size }
+        : null,
+    });
+  }, [
+    activeTab,
+    speechPayload,
+    transcriptionPayload,
+    audioFile,
+    onPreviewChange,
+  ]);
+
+  // 待识别音频的本地播放地址
+  useEffect(() => {
+    if (!audioFile) {
+      setAudioFileUrl(null);
+      return;
+    }
+    const url = URL.createObjectURL(audioFile);
+    setAudioFileUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [audioFile]);
+
+  // 卸载时释放合成音频并停止录音
+  useEffect(
+    () => () => {
+      clipUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+      const recorder = recorderRef.current;
+      if (recorder && recorder.state !== 'inactive') {
+        recorder.onstop = null;
+        recorder.stop();
+        recorder.stream.getTracks().forEach((track) => track.stop());
+      }
+    },
+    [],
+  );
+
+  useEffect(() => {
+    if (!recording) return;
+    const timer = setInterval(() => setRecordSeconds((prev) => prev + 1), 1000);
+    return () => clearInterval(timer);
+  }, [recording]);
+
+  const handleSpeechSend = async () => {
+    const response = await onRequest(
+      API_ENDPOINTS.AUDIO_SPEECH,
+      speechPayload,
+      {
+        responseType: 'blob',
+      },
+    );
+    if (!response) return;
+
+    const url = URL.createObjectURL(response.blob);
+    clipUrlsRef.current.push(url);
+    setClips((prev) => [
+      {
+        id: `${Date.now()}`,
+        url,
+        text: speechPayload.input,
+        voice: speechPayload.voice,
+        format: speechPayload.response_format,
+        size: response.blob.size,
+      },
+      ...prev,
+    ]);
+  };
+
+  const handleClipRemove = (clip) => {
+    URL.revokeObjectURL(clip.url);
+    clipUrlsRef.current = clipUrlsRef.current.filter((url) => url !== clip.url);
+    setClips((prev) => prev.filter((item) => item.id !== clip.id));
+  };
+
+  const startRecording = async () => {
+    if (!navigator.mediaDevices?.getUserMedia || !window.MediaRecorder) {
+      Toast.error(t('当前浏览器不支持录音'));
+      return;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream);
+      const chunks = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.onstop = () => {
+        stream.getTracks().forEach((track) => track.stop());
+        const type = recorder.mimeType || 'audio/webm';
+        const extension = type.split('/')[1]?.split(';')[0] || 'webm';
+        setAudioFile(
+          new File(chunks, `recording-${Date.now()}.${extension}`, { type }),
+        );
+        setRecording(false);
+      };
+      recorderRef.current = recorder;
+      recorder.start();
+      setRecordSeconds(0);
+      setRecording(true);
+    } catch (error) {
+      console.error('无法开始录音:', error);
+      Toast.error(t('无法访问麦克风，请检查浏览器权限'));
+    }
+  };
+
+  const stopRecording = () => {
+    recorderRef.current?.stop();
+    recorderRef.current = null;
+  };
+
+  const handleTranscriptionSend = async () => {
+    if (!audioFile) return;
+
+    const formData = new FormData();
+    formData.append('file', audioFile, audioFile.name);
+    Object.entries(transcriptionPayload).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        formData.append(key, value);
+      }
+    });
+
+    const response = await onRequest(
+      API_ENDPOINTS.AUDIO_TRANSCRIPTIONS,
+      formData,
+    );
+    if (!response) return;
+
+    setTranscripts((prev) => [
+      {
+        id: `${Date.now()}`,
+        fileName: audioFile.name,
+        text: response.data?.text ?? JSON.stringify(response.data),
+      },
+      ...prev,
+    ]);
+  };
+
+  const renderSpeech = () => (
+    <div className='space-y-6'>
+      <div className='space-y-3'>
+        <TextArea
+          value={speechForm.input}
+          onChange={(value) =>
+            setSpeechForm((prev) => ({ ...prev, input: value }))
+          }
+          placeholder={t('请输入需要合成语音的文本')}
+          autosize={{ minRows: 3, maxRows: 8 }}
+          className='!rounded-lg'
+        />
+        <div className='grid grid-cols-3 gap-3'>
+          <div>
+            <Typography.Text className='text-xs text-gray-500 block mb-1'>
+              {t('音色')}
+            </Typography.Text>
+            <Select
+              value={speechForm.voice}
+              onChange={(value) =>
+                setSpeechForm((prev) => ({ ...prev, voice: value }))
+              }
+              optionList={toOptions(TTS_VOICE_OPTIONS)}
+              allowCreate
+              filter
+              style={{ width: '100%' }}
+            />
+          </div>
+          <div>
+            <Typography.Text className='text-xs text-gray-500 block mb-1'>
+              {t('音频格式')}
+            </Typography.Text>
+            <Select
+              value={speechForm.response_format}
+              onChange={(value) =>
+                setSpeechForm((prev) => ({ ...prev, response_format: value }))
+              }
+              optionList={toOptions(TTS_FORMAT_OPTIONS)}
+              style={{ width: '100%' }}
+            />
+          </div>
+          <div>
+            <Typography.Text className='text-xs text-gray-500 block mb-1'>
+              {t('语速')}
+            </Typography.Text>
+            <InputNumber
+              value={speechForm.speed}
+              onChange={(value) =>
+                setSpeechForm((prev) => ({ ...prev, speed: value || 1 }))
+              }
+              min={0.25}
+              max={4}
+              step={0.25}
+              style={{ width: '100%' }}
+            />
+          </div>
+        </div>
+        <div className='flex justify-end'>
+          <Button
+            icon={<Send size={14} />}
+            theme='solid'
+            loading={loading}
+            disabled={!inputs.model || !speechForm.input.trim()}
+            onClick={handleSpeechSend}
+            className='!rounded-lg'
+          >
+            {t('合成')}
+          </Button>
+        </div>
+      </div>
+
+      {clips.length > 0 ? (
+        <div className='space-y-3'>
+          {clips.map((clip) => (
+            <div
+              key={clip.id}
+              className='p-3 rounded-lg border border-gray-200 dark:border-gray-700 space-y-2'
+            >
+              <div className='flex items-center justify-between gap-2'>
+                <Typography.Text
+                  ellipsis={{ showTooltip: true }}
+                  className='text-sm flex-1 min-w-0'
+                >
+                  {clip.text}
+                </Typography.Text>
+                <Typography.Text className='text-xs text-gray-500 flex-shrink-0'>
+                  {clip.voice} · {clip.format} · {(clip.size / 1024).toFixed(1)}{' '}
+                  KB
+                </Typography.Text>
+                <Button
+                  icon={<Trash2 size={12} />}
+                  size='small'
+                  theme='borderless'
+                  type='danger'
+                  onClick={() => handleClipRemove(clip)}
+                />
+              </div>
+              <audio controls src={clip.url} className='w-full' />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <Empty description={t('合成的音频将显示在这里')} />
+      )}
+    </div>
+  );
+
+  const renderTranscription = () => (
+    <div className='space-y-6'>
+      <div className='space-y-3'>
+        <div className='flex flex-wrap items-center gap-2'>
+          <input
+            ref={fileInputRef}
+            type='file'
+            accept='audio/*'
+            className='hidden'
+            onChange={(event) => {
+              const file = event.target.files?.[0];
+              if (file) setAudioFile(file);
+              event.target.value = '';
+            }}
+          />
+          <Button
+            icon={<Upload size={14} />}
+            theme='light'
+            disabled={recording}
+            onClick={() => fileInputRef.current?.click()}
+            className='!rounded-lg'
+          >
+            {t('选择音频文件')}
+          </Button>
+          {recording ? (
+            <Button
+              icon={<Square size={14} />}
+              type='danger'
+              theme='solid'
+              onClick={stopRecording}
+              className='!rounded-lg'
+            >
+              {t('停止录音')} {formatDuration(recordSeconds)}
+            </Button>
+          ) : (
+            <Button
+              icon={<Mic size={14} />}
+              theme='light'
+              onClick={startRecording}
+              className='!rounded-lg'
+            >
+              {t('录音')}
+            </Button>
+          )}
+          {audioFile && (
+            <Typography.Text className='text-xs text-gray-500'>
+              {audioFile.name} · {(audioFile.size / 1024).toFixed(1)} KB
+            </Typography.Text>
+          )}
+        </div>
+        {audioFileUrl && (
+          <audio controls src={audioFileUrl} className='w-full' />
+        )}
+        <div className='grid grid-cols-1 md:grid-cols-3 gap-3'>
+          <Input
+            value={transcriptionForm.language}
+            onChange={(value) =>
+              setTranscriptionForm((prev) => ({ ...prev, language: value }))
+            }
+            placeholder={t('语言（可选，如 zh、en）')}
+            className='!rounded-lg'
+          />
+          <Input
+            value={transcriptionForm.prompt}
+            onChange={(value) =>
+              setTranscriptionForm((prev) => ({ ...prev, prompt: value }))
+            }
+            placeholder={t('提示词（可选）')}
+            className='!rounded-lg md:col-span-2'
+          />
+        </div>
+        <div className='flex justify-end'>
+          <Button
+            icon={<Send size={14} />}
+            theme='solid'
+            loading={loading}
+            disabled={!inputs.model || !audioFile || recording}
+            onClick={handleTranscriptionSend}
+            className='!rounded-lg'
+          >
+            {t('识别')}
+          </Button>
+        </div>
+      </div>
+
+      {transcripts.length > 0 ? (
+        <div className='space-y-3'>
+          {transcripts.map((transcript) => (
+            <div
+              key={transcript.id}
+              className='p-3 rounded-lg border border-gray-200 dark:border-gray-700'
+            >
+              <div className='flex items-center justify-between mb-1'>
+                <Typography.Text className='text-xs text-gray-500'>
+                  {transcript.fileName}
+                </Typography.Text>
+                <Button
+                  icon={<Copy size={12} />}
+                  size='small'
+                  theme='borderless'
+                  type='tertiary'
+                  onClick={() => copy(transcript.text)}
+                />
+              </div>
+              <Typography.Paragraph className='text-sm whitespace-pre-wrap'>
+                {transcript.text}
+              </Typography.Paragraph>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <Empty description={t('识别结果将显示在这里')} />
+      )}
+    </div>
+  );
+
+  return (
+    <Tabs type='button' activeKey={activeTab} onChange={setActiveTab}>
+      <TabPane tab={t('语音合成')} itemKey={AUDIO_TABS.SPEECH}>
+        <div className='pt-4'>{renderSpeech()}</div>
+      </TabPane>
+      <TabPane tab={t('语音识别')} itemKey={AUDIO_TABS.TRANSCRIPTION}>
+        <div className='pt-4'>{renderTranscription()}</div>
+      </TabPane>
+    </Tabs>
+  );
+};
+
+export default AudioTester;
@@ -0,0 +1,126 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useMemo } from 'react';
+import { Empty, SideSheet, Tag, Typography } from '@douyinfe/semi-ui';
+import { GitBranch } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { buildBranchTree, getTextContent } from '../../helpers';
+
+const ROLE_LABELS = {
+  user: 'User',
+  assistant: 'Assistant',
+  system: 'System',
+  tool: 'Tool',
+};
+
+const BranchTreePanel = ({
+  visible,
+  messages,
+  disabled,
+  isMobile,
+  onBranchJump,
+  onClose,
+}) => {
+  const { t } = useTranslation();
+  const tree = useMemo(() => buildBranchTree(messages), [messages]);
+
+  const renderVariant = (variant, total) => {
+    const preview = getTextContent(variant.head) || t('（无文本内容）');
+    const clickable = !disabled && !variant.isLive;
+
+    return (
+      <div key={variant.key}>
+        <div
+          className={`px-3 py-2 rounded-lg transition-colors ${
+            variant.isLive
+              ? 'bg-purple-50 dark:bg-purple-900/20'
+              : clickable
+                ? 'cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800'
+                : 'opacity-50 cursor-not-allowed'
+          }`}
+          onClick={() => clickable && onBranchJump(variant.path)}
+        >
+          <div className='flex items-center gap-2'>
+            <Tag size='small' color={variant.isLive ? 'purple' : 'grey'}>
+              {variant.target + 1}/{total}
+            </Tag>
+            <Typography.Text className='text-xs text-gray-500'>
+              {ROLE_LABELS[variant.head.role] || variant.head.role}
+            </Typography.Text>
+            <Typography.Text className='text-xs text-gray-400'>
+              {t('{{count}} 条消息', { count: variant.length })}
+            </Typography.Text>
+            {variant.isLive && (
+              <Tag size='small' color='green'>
+                {t('当前')}
+              </Tag>
+            )}
+          </div>
+          <Typography.Text
+            ellipsis={{ showTooltip: true }}
+            className='text-sm block mt-1'
+          >
+            {preview}
+          </Typography.Text>
+        </div>
+        {variant.children.length > 0 && (
+          <div className='ml-3 pl-3 border-l border-gray-200 dark:border-gray-700'>
+            {variant.children.map(renderBranchPoint)}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  function renderBranchPoint(point) {
+    return (
+      <div key={point.key} className='space-y-1 mt-2'>
+        <div className='flex items-center gap-1 text-xs text-gray-500'>
+          <GitBranch size={12} />
+          {t('第 {{index}} 条消息', { index: point.index + 1 })}
+        </div>
+        {point.variants.map((variant) =>
+          renderVariant(variant, point.variants.length),
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <SideSheet
+      title={t('对话分支')}
+      visible={visible}
+      onCancel={onClose}
+      width={isMobile ? '100%' : 420}
+      bodyStyle={{ padding: '0 16px 16px' }}
+    >
+      {tree.length === 0 ? (
+        <Empty
+          description={t('重新生成或编辑消息后，原有内容会作为分支保留在这里')}
+          className='py-8'
+        />
+      ) : (
+        tree.map(renderBranchPoint)
+      )}
+    </SideSheet>
+  );
+};
+
+export default BranchTreePanel;
@@ -19,7 +19,15 @@ For commercial licensing, please contact support@quantumnous.com
 
 import React from 'react';
 import { Card, Chat, Typography, Button } from '@douyinfe/semi-ui';
-import { MessageSquare, Eye, EyeOff } from 'lucide-react';
+import {
+  MessageSquare,
+  Eye,
+  EyeOff,
+  Columns3,
+  GitBranch,
+  PanelLeftClose,
+  PanelLeftOpen,
+} from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import CustomInputRender from './CustomInputRender';
 
@@ -29,6 +37,8 @@ const ChatArea = ({
   inputs,
   styleState,
   showDebugPanel,
+  showSessionPanel,
+  sessionTitle,
   roleInfo,
   onMessageSend,
   onMessageCopy,
@@ -37,6 +47,10 @@ const ChatArea = ({
   onStopGenerator,
   onClearMessages,
   onToggleDebugPanel,
+  onToggleSessionPanel,
+  onToggleCompareMode,
+  branchCount,
+  onToggleBranchTree,
   renderCustomChatContent,
   renderChatBoxAction,
 }) => {
@@ -65,12 +79,26 @@ const ChatArea = ({
         <div className='px-6 py-4 bg-gradient-to-r from-purple-500 to-blue-500 rounded-t-2xl'>
           <div className='flex items-center justify-between'>
             <div className='flex items-center gap-3'>
+              <Button
+                icon={
+                  showSessionPanel ? (
+                    <PanelLeftClose size={16} />
+                  ) : (
+                    <PanelLeftOpen size={16} />
+                  )
+                }
+                onClick={onToggleSessionPanel}
+                theme='borderless'
+                type='primary'
+                size='small'
+                className='!rounded-lg !text-white/80 hover:!text-white hover:!bg-white/10'
+              />
               <div className='w-10 h-10 rounded-full bg-white/20 backdrop-blur flex items-center justify-center'>
                 <MessageSquare size={20} className='text-white' />
               </div>
               <div>
                 <Typography.Title heading={5} className='!text-white mb-0'>
-                  {t('AI 对话')}
+                  {sessionTitle || t('AI 对话')}
                 </Typography.Title>
                 <Typography.Text className='!text-white/80 text-sm hidden sm:inline'>
                   {inputs.model || t('选择模型开始对话')}
@@ -78,6 +106,28 @@ const ChatArea = ({
               </div>
             </div>
             <div className='flex items-center gap-2'>
+              {branchCount > 0 && (
+                <Button
+                  icon={<GitBranch size={14} />}
+                  onClick={onToggleBranchTree}
+                  theme='borderless'
+                  type='primary'
+                  size='small'
+                  className='!rounded-lg !text-white/80 hover:!text-white hover:!bg-white/10'
+                >
+                  {t('分支')} ({branchCount})
+                </Button>
+              )}
+              <Button
+                icon={<Columns3 size={14} />}
+                onClick={onToggleCompareMode}
+                theme='borderless'
+                type='primary'
+                size='small'
+                className='!rounded-lg !text-white/80 hover:!text-white hover:!bg-white/10'
+              >
+                {t('对比')}
+              </Button>
               <Button
                 icon={showDebugPanel ? <EyeOff size={14} /> : <Eye size={14} />}
                 onClick={onToggleDebugPanel}
@@ -0,0 +1,148 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Input, Select, Tag, Typography } from '@douyinfe/semi-ui';
+import { Globe, KeyRound } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import CodeViewer from './CodeViewer';
+import {
+  CODE_LANGUAGES,
+  fetchActiveTokens,
+  generateCodeSnippet,
+  getServerAddress,
+} from '../../helpers';
+
+const TOKEN_FETCH_SIZE = 100;
+
+const maskKey = (key) => `sk-${key.slice(0, 4)}…${key.slice(-4)}`;
+
+const CodeExportPanel = ({ payload, customRequestMode }) => {
+  const { t } = useTranslation();
+  const [tokens, setTokens] = useState([]);
+  const [tokensLoading, setTokensLoading] = useState(true);
+  // 空字符串表示使用占位符，便于分享代码时不暴露令牌
+  const [apiKey, setApiKey] = useState('');
+  const [serverAddress, setServerAddress] = useState(getServerAddress);
+  const [languageKey, setLanguageKey] = useState(CODE_LANGUAGES[0].key);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchActiveTokens(TOKEN_FETCH_SIZE).then((items) => {
+      if (cancelled) return;
+      setTokens(items);
+      if (items.length > 0) {
+        setApiKey(`sk-${items[0].key}`);
+      }
+      setTokensLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const tokenOptions = useMemo(
+    () => [
+      { value: '', label: t('使用占位符') },
+      ...tokens.map((token) => ({
+        value: `sk-${token.key}`,
+        label: `${token.name} (${maskKey(token.key)})`,
+      })),
+    ],
+    [tokens, t],
+  );
+
+  const language = CODE_LANGUAGES.find((item) => item.key === languageKey);
+
+  const snippet = useMemo(
+    () =>
+      generateCodeSnippet(languageKey, {
+        payload,
+        apiKey,
+        baseUrl: serverAddress,
+      }),
+    [languageKey, payload, apiKey, serverAddress],
+  );
+
+  return (
+    <div className='h-full flex flex-col gap-3'>
+      <div className='grid grid-cols-2 gap-2 flex-shrink-0'>
+        <Select
+          prefix={<KeyRound size={14} className='ml-2 text-gray-400' />}
+          value={apiKey}
+          onChange={setApiKey}
+          optionList={tokenOptions}
+          loading={tokensLoading}
+          size='small'
+          className='!rounded-lg'
+        />
+        <Input
+          prefix={<Globe size={14} className='ml-2 text-gray-400' />}
+          value={serverAddress}
+          onChange={setServerAddress}
+          placeholder={t('服务器地址')}
+          size='small'
+          className='!rounded-lg'
+        />
+      </div>
+
+      <div className='flex items-center justify-between gap-2 flex-shrink-0'>
+        <Select
+          value={languageKey}
+          onChange={setLanguageKey}
+          optionList={CODE_LANGUAGES.map((item) => ({
+            value: item.key,
+            label: item.label,
+          }))}
+          size='small'
+          style={{ width: 160 }}
+          className='!rounded-lg'
+        />
+        <div className='flex items-center gap-1'>
+          {customRequestMode && (
+            <Tag color='orange' size='small'>
+              {t('自定义请求体')}
+            </Tag>
+          )}
+          <Tag color={payload?.stream ? 'blue' : 'grey'} size='small'>
+            {payload?.stream ? t('流式') : t('非流式')}
+          </Tag>
+        </div>
+      </div>
+
+      <div className='flex-1 min-h-0'>
+        {payload ? (
+          <CodeViewer
+            content={snippet}
+            title='code'
+            language={language?.language}
+          />
+        ) : (
+          <div className='h-full flex items-center justify-center'>
+            <Typography.Text type='tertiary'>
+              {t('当前接口暂不支持生成代码')}
+            </Typography.Text>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CodeExportPanel;
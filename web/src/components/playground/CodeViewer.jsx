@@ -91,6 +91,10 @@ const codeThemeStyles = {
   },
 };
 
+// 内容通过 innerHTML 渲染，需先转义 HTML 特殊字符
+const escapeHtml = (str) =>
+  str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
 const highlightJson = (str) => {
   return str.replace(
     /("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d*)?(?:[eE][+-]?\d+)?)/g,
@@ -168,15 +172,17 @@ const CodeViewer = ({ content, title, language = 'json' }) => {
   }, [formattedContent, contentMetrics.isLarge, isExpanded]);
 
   const highlightedContent = useMemo(() => {
+    const escapedContent = escapeHtml(displayContent);
+
     if (contentMetrics.isVeryLarge && !isExpanded) {
-      return displayContent;
+      return escapedContent;
     }
 
     if (isJsonLike(displayContent, language)) {
-      return highlightJson(displayContent);
+      return highlightJson(escapedContent);
     }
 
-    return displayContent;
+    return escapedContent;
   }, [displayContent, language, contentMetrics.isVeryLarge, isExpanded]);
 
   const handleCopy = useCallback(async () => {
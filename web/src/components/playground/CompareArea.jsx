@@ -0,0 +1,449 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useCallback, useRef, useState } from 'react';
+import {
+  Button,
+  Card,
+  Empty,
+  Select,
+  Tag,
+  TextArea,
+  Tooltip,
+  Typography,
+} from '@douyinfe/semi-ui';
+import {
+  ArrowUpToLine,
+  Columns3,
+  Plus,
+  Send,
+  Square,
+  Trash2,
+  X,
+  XCircle,
+} from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import MessageContent from './MessageContent';
+import {
+  COMPARE_LIMITS,
+  MESSAGE_ROLES,
+  MESSAGE_STATUS,
+} from '../../constants/playground.constants';
+import { getTextContent, renderGroupOption, selectFilter } from '../../helpers';
+import { canPromoteResult } from '../../hooks/playground/useCompareMode';
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined || Number.isNaN(ms)) return '-';
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+};
+
+// 根据时间戳与用量计算单列指标
+const getResultMetrics = (result) => {
+  const latency =
+    result.completedAt !== null ? result.completedAt - result.startedAt : null;
+  const firstToken =
+    result.firstTokenAt !== null
+      ? result.firstTokenAt - result.startedAt
+      : null;
+  const completionTokens = result.usage?.completion_tokens;
+  const generationSeconds =
+    result.completedAt !== null && result.firstTokenAt !== null
+      ? (result.completedAt - result.firstTokenAt) / 1000
+      : 0;
+
+  return {
+    latency,
+    firstToken,
+    promptTokens: result.usage?.prompt_tokens,
+    completionTokens,
+    tokensPerSecond:
+      completionTokens && generationSeconds > 0
+        ? completionTokens / generationSeconds
+        : null,
+  };
+};
+
+const CompareArea = ({
+  compareTargets,
+  compareRun,
+  isComparing,
+  models,
+  groups,
+  styleState,
+  onTargetsChange,
+  onRunCompare,
+  onStopCompare,
+  onPromoteResult,
+  onClearCompare,
+  onToggleResultReasoning,
+  onExitCompareMode,
+}) => {
+  const { t } = useTranslation();
+  const [prompt, setPrompt] = useState('');
+  const columnRefs = useRef({});
+  const syncingRef = useRef(false);
+
+  const canRun =
+    !isComparing &&
+    prompt.trim() !== '' &&
+    compareTargets.length >= COMPARE_LIMITS.MIN_TARGETS &&
+    compareTargets.every((target) => target.model);
+
+  const handleSend = () => {
+    if (!canRun) return;
+    onRunCompare(prompt.trim());
+    setPrompt('');
+  };
+
+  const updateTarget = (targetId, field, value) => {
+    onTargetsChange(
+      compareTargets.map((target) =>
+        target.id === targetId ? { ...target, [field]: value } : target,
+      ),
+    );
+  };
+
+  const addTarget = () => {
+    const last = compareTargets[compareTargets.length - 1] || {};
+    onTargetsChange([
+      ...compareTargets,
+      {
+        id: `target-${Date.now()}`,
+        model: last.model || '',
+        group: last.group || '',
+      },
+    ]);
+  };
+
+  const removeTarget = (targetId) => {
+    onTargetsChange(compareTargets.filter((target) => target.id !== targetId));
+  };
+
+  // 同步各列的滚动位置，便于逐段对比
+  const handleColumnScroll = useCallback((targetId) => {
+    if (syncingRef.current) return;
+    const source = columnRefs.current[targetId];
+    if (!source) return;
+
+    const maxScroll = source.scrollHeight - source.clientHeight;
+    const ratio = maxScroll > 0 ? source.scrollTop / maxScroll : 0;
+
+    syncingRef.current = true;
+    Object.entries(columnRefs.current).forEach(([id, element]) => {
+      if (id === targetId || !element) return;
+      element.scrollTop = ratio * (element.scrollHeight - element.clientHeight);
+    });
+    requestAnimationFrame(() => {
+      syncingRef.current = false;
+    });
+  }, []);
+
+  const renderMetrics = (result) => {
+    const metrics = getResultMetrics(result);
+    return (
+      <div className='flex flex-wrap gap-1'>
+        <Tooltip content={t('从发送请求到响应结束的总耗时')}>
+          <Tag size='small' color='blue'>
+            {t('延迟')}: {formatDuration(metrics.latency)}
+          </Tag>
+        </Tooltip>
+        <Tooltip content={t('从发送请求到收到首个内容片段的耗时')}>
+          <Tag size='small' color='cyan'>
+            {t('首字时间')}: {formatDuration(metrics.firstToken)}
+          </Tag>
+        </Tooltip>
+        <Tag size='small' color='grey'>
+          {t('提示')}: {metrics.promptTokens ?? '-'} / {t('补全')}:{' '}
+          {metrics.completionTokens ?? '-'}
+        </Tag>
+        {metrics.tokensPerSecond !== null && (
+          <Tag size='small' color='green'>
+            {metrics.tokensPerSecond.toFixed(1)} tokens/s
+          </Tag>
+        )}
+      </div>
+    );
+  };
+
+  const renderResult = (target) => {
+    const result = compareRun?.results[target.id];
+    if (!result) {
+      return (
+        <div className='flex items-center justify-center h-full text-gray-400 text-sm'>
+          {t('发送消息后在此显示回答')}
+        </div>
+      );
+    }
+
+    if (result.status === MESSAGE_STATUS.ERROR) {
+      return (
+        <div className='flex items-start gap-2 p-3 bg-red-50 dark:bg-red-900/20 rounded-lg'>
+          <XCircle size={16} className='text-red-600 flex-shrink-0 mt-0.5' />
+          <Typography.Text className='text-red-600 text-sm break-all'>
+            {result.error}
+          </Typography.Text>
+        </div>
+      );
+    }
+
+    return (
+      <MessageContent
+        message={{
+          id: `${compareRun.id}-${target.id}`,
+          role: MESSAGE_ROLES.ASSISTANT,
+          content: result.content,
+          reasoningContent: result.reasoningContent,
+          toolCalls: result.toolCalls,
+          isReasoningExpanded: result.isReasoningExpanded,
+          status: result.status,
+        }}
+        className=''
+        styleState={styleState}
+        onToggleReasoningExpansion={() => onToggleResultReasoning(target.id)}
+      />
+    );
+  };
+
+  const renderColumn = (target) => {
+    const result = compareRun?.results[target.id];
+    const canPromote = canPromoteResult(result);
+
+    return (
+      <div
+        key={target.id}
+        className='flex flex-col min-h-0 rounded-xl overflow-hidden'
+        style={{ border: '1px solid var(--semi-color-border)' }}
+      >
+        <div className='p-2 space-y-2 flex-shrink-0 bg-gray-50 dark:bg-gray-800'>
+          <div className='flex items-center gap-1'>
+            <Select
+              placeholder={t('请选择模型')}
+              filter={selectFilter}
+              value={target.model || undefined}
+              optionList={models}
+              onChange={(value) => updateTarget(target.id, 'model', value)}
+              disabled={isComparing}
+              size='small'
+              className='flex-1 min-w-0'
+            />
+            <Button
+              icon={<Trash2 size={14} />}
+              size='small'
+              theme='borderless'
+              type='danger'
+              onClick={() => removeTarget(target.id)}
+              disabled={
+                isComparing ||
+                compareTargets.length <= COMPARE_LIMITS.MIN_TARGETS
+              }
+            />
+          </div>
+          <Select
+            placeholder={t('请选择分组')}
+            filter={selectFilter}
+            value={target.group}
+            optionList={groups}
+            renderOptionItem={renderGroupOption}
+            onChange={(value) => updateTarget(target.id, 'group', value)}
+            disabled={isComparing}
+            size='small'
+            style={{ width: '100%' }}
+          />
+        </div>
+
+        <div
+          ref={(element) => {
+            columnRefs.current[target.id] = element;
+          }}
+          onScroll={() => handleColumnScroll(target.id)}
+          className='flex-1 overflow-y-auto p-3 model-settings-scroll'
+        >
+          {renderResult(target)}
+        </div>
+
+        {result && (
+          <div
+            className='p-2 space-y-2 flex-shrink-0'
+            style={{ borderTop: '1px solid var(--semi-color-border)' }}
+          >
+            {renderMetrics(result)}
+            <Button
+              icon={<ArrowUpToLine size={14} />}
+              size='small'
+              theme='light'
+              type='primary'
+              block
+              disabled={!canPromote || isComparing}
+              onClick={() => onPromoteResult(target.id)}
+            >
+              {t('提升为主对话')}
+            </Button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card
+      className='h-full'
+      bordered={false}
+      bodyStyle={{
+        padding: 0,
+        height: 'calc(100vh - 66px)',
+        display: 'flex',
+        flexDirection: 'column',
+        overflow: 'hidden',
+      }}
+    >
+      <div className='px-6 py-4 bg-gradient-to-r from-purple-500 to-blue-500 rounded-t-2xl flex-shrink-0'>
+        <div className='flex items-center justify-between'>
+          <div className='flex items-center gap-3'>
+            <div className='w-10 h-10 rounded-full bg-white/20 backdrop-blur flex items-center justify-center'>
+              <Columns3 size={20} className='text-white' />
+            </div>
+            <div>
+              <Typography.Title heading={5} className='!text-white mb-0'>
+                {t('模型对比')}
+              </Typography.Title>
+              <Typography.Text className='!text-white/80 text-sm hidden sm:inline'>
+                {t('同一条消息并行发送到多个模型或分组')}
+              </Typography.Text>
+            </div>
+          </div>
+          <div className='flex items-center gap-2'>
+            <Button
+              icon={<Plus size={14} />}
+              onClick={addTarget}
+              disabled={
+                isComparing ||
+                compareTargets.length >= COMPARE_LIMITS.MAX_TARGETS
+              }
+              theme='borderless'
+              type='primary'
+              size='small'
+              className='!rounded-lg !text-white/80 hover:!text-white hover:!bg-white/10'
+            >
+              {t('添加列')}
+            </Button>
+            <Button
+              icon={<X size={14} />}
+              onClick={onExitCompareMode}
+              disabled={isComparing}
+              theme='borderless'
+              type='primary'
+              size='small'
+              className='!rounded-lg !text-white/80 hover:!text-white hover:!bg-white/10'
+            >
+              {t('退出对比')}
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      {compareRun?.userMessage && (
+        <div className='px-4 pt-3 flex-shrink-0'>
+          <div className='flex items-start gap-2 p-3 rounded-lg bg-purple-50 dark:bg-purple-900/20'>
+            <Typography.Text strong className='text-xs text-purple-600'>
+              {t('用户')}
+            </Typography.Text>
+            <Typography.Paragraph
+              ellipsis={{ rows: 3, expandable: true }}
+              className='text-sm flex-1 !mb-0'
+            >
+              {getTextContent(compareRun.userMessage)}
+            </Typography.Paragraph>
+          </div>
+        </div>
+      )}
+
+      <div className='flex-1 min-h-0 overflow-x-auto p-4'>
+        {compareTargets.length === 0 ? (
+          <Empty description={t('请添加对比目标')} />
+        ) : (
+          <div
+            className='grid gap-3 h-full'
+            style={{
+              gridTemplateColumns: `repeat(${compareTargets.length}, minmax(260px, 1fr))`,
+            }}
+          >
+            {compareTargets.map(renderColumn)}
+          </div>
+        )}
+      </div>
+
+      <div
+        className='p-4 flex-shrink-0'
+        style={{ borderTop: '1px solid var(--semi-color-border)' }}
+      >
+        <div className='flex items-end gap-2'>
+          <TextArea
+            value={prompt}
+            onChange={setPrompt}
+            placeholder={t('输入消息，同时发送给所有对比列...')}
+            autosize={{ minRows: 1, maxRows: 6 }}
+            onKeyDown={(e) => {
+              if (
+                e.key === 'Enter' &&
+                !e.shiftKey &&
+                !e.nativeEvent.isComposing
+              ) {
+                e.preventDefault();
+                handleSend();
+              }
+            }}
+            className='flex-1'
+          />
+          {isComparing ? (
+            <Button
+              icon={<Square size={14} />}
+              type='danger'
+              theme='solid'
+              onClick={onStopCompare}
+            >
+              {t('停止')}
+            </Button>
+          ) : (
+            <Button
+              icon={<Send size={14} />}
+              type='primary'
+              theme='solid'
+              disabled={!canRun}
+              onClick={handleSend}
+            >
+              {t('发送')}
+            </Button>
+          )}
+          {compareRun && !isComparing && (
+            <Button theme='borderless' type='tertiary' onClick={onClearCompare}>
+              {t('清空')}
+            </Button>
+          )}
+        </div>
+        {!styleState.isMobile && (
+          <Typography.Text className='text-xs text-gray-400 mt-1 block'>
+            {t('对比请求会携带主对话的历史消息与系统提示词')}
+          </Typography.Text>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default CompareArea;
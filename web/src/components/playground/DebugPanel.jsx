@@ -26,10 +26,11 @@ import {
   Button,
   Dropdown,
 } from '@douyinfe/semi-ui';
-import { Code, Zap, Clock, X, Eye, Send } from 'lucide-react';
+import { Code, Zap, Clock, X, Eye, Send, Terminal } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import CodeViewer from './CodeViewer';
 import SSEViewer from './SSEViewer';
+import CodeExportPanel from './CodeExportPanel';
 
 const DebugPanel = ({
   debugData,
@@ -38,6 +39,7 @@ const DebugPanel = ({
   styleState,
   onCloseDebugPanel,
   customRequestMode,
+  previewPayload,
 }) => {
   const { t } = useTranslation();
 
@@ -193,6 +195,8 @@ const DebugPanel = ({
             {debugData.sseMessages && debugData.sseMessages.length > 0 ? (
               <SSEViewer
                 sseData={debugData.sseMessages}
+                sseTimings={debugData.sseTimings}
+                isStreaming={debugData.isStreaming}
                 title='response'
               />
             ) : (
@@ -203,6 +207,21 @@ const DebugPanel = ({
               />
             )}
           </TabPane>
+
+          <TabPane
+            tab={
+              <div className='flex items-center gap-2'>
+                <Terminal size={16} />
+                {t('生成代码')}
+              </div>
+            }
+            itemKey='code'
+          >
+            <CodeExportPanel
+              payload={previewPayload}
+              customRequestMode={customRequestMode}
+            />
+          </TabPane>
         </Tabs>
       </div>
 
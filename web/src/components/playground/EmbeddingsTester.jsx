@@ -0,0 +1,292 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Button,
+  Empty,
+  InputNumber,
+  TextArea,
+  Tooltip,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Copy, Plus, Send, Trash2 } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import {
+  API_ENDPOINTS,
+  ENDPOINT_DEFAULTS,
+} from '../../constants/playground.constants';
+import { copy } from '../../helpers';
+
+const MAX_INPUTS = 8;
+const PREVIEW_DIMENSIONS = 48;
+
+const vectorNorm = (vector) =>
+  Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+const cosineSimilarity = (a, b) => {
+  if (a.length !== b.length) return null;
+  const denominator = vectorNorm(a) * vectorNorm(b);
+  if (!denominator) return null;
+  return a.reduce((sum, value, i) => sum + value * b[i], 0) / denominator;
+};
+
+// 相似度越高颜色越深
+const similarityStyle = (score) => ({
+  backgroundColor: `rgba(99, 102, 241, ${Math.max(0, score) * 0.6})`,
+  color: score > 0.6 ? '#fff' : undefined,
+});
+
+const EmbeddingsTester = ({ inputs, loading, onRequest, onPreviewChange }) => {
+  const { t } = useTranslation();
+  const [texts, setTexts] = useState(ENDPOINT_DEFAULTS.embeddings.inputs);
+  const [dimensions, setDimensions] = useState(
+    ENDPOINT_DEFAULTS.embeddings.dimensions,
+  );
+  const [result, setResult] = useState(null);
+
+  const payload = useMemo(() => {
+    const body = {
+      model: inputs.model,
+      group: inputs.group,
+      input: texts.filter((text) => text.trim() !== ''),
+    };
+    if (dimensions) {
+      body.dimensions = dimensions;
+    }
+    return body;
+  }, [inputs.model, inputs.group, texts, dimensions]);
+
+  useEffect(() => {
+    onPreviewChange(payload);
+  }, [payload, onPreviewChange]);
+
+  const handleTextChange = (index, value) => {
+    setTexts((prev) => prev.map((text, i) => (i === index ? value : text)));
+  };
+
+  const handleSend = async () => {
+    const response = await onRequest(API_ENDPOINTS.EMBEDDINGS, payload);
+    if (response) {
+      setResult({ inputs: payload.input, data: response.data });
+    }
+  };
+
+  const vectors = useMemo(() => {
+    const items = Array.isArray(result?.data?.data) ? result.data.data : [];
+    return [...items]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .filter((item) => Array.isArray(item.embedding));
+  }, [result]);
+
+  const renderVectorPreview = (item) => {
+    const embedding = item.embedding;
+    const preview = embedding.slice(0, PREVIEW_DIMENSIONS);
+    const maxAbs = Math.max(...preview.map(Math.abs), 1e-9);
+
+    return (
+      <div
+        key={item.index}
+        className='p-3 rounded-lg border border-gray-200 dark:border-gray-700'
+      >
+        <div className='flex items-center justify-between gap-2 mb-2'>
+          <Typography.Text
+            strong
+            ellipsis={{ showTooltip: true }}
+            className='text-sm flex-1 min-w-0'
+          >
+            #{item.index} {result.inputs[item.index]}
+          </Typography.Text>
+          <Typography.Text className='text-xs text-gray-500 flex-shrink-0'>
+            {t('维度')}: {embedding.length} · {t('模长')}:{' '}
+            {vectorNorm(embedding).toFixed(4)}
+          </Typography.Text>
+          <Tooltip content={t('复制向量')}>
+            <Button
+              icon={<Copy size={12} />}
+              size='small'
+              theme='borderless'
+              type='tertiary'
+              onClick={() => copy(JSON.stringify(embedding))}
+            />
+          </Tooltip>
+        </div>
+        <div className='flex items-center h-12 gap-px'>
+          {preview.map((value, i) => (
+            <Tooltip key={i} content={`[${i}] ${value}`}>
+              <div className='flex-1 h-full flex flex-col'>
+                <div className='flex-1 flex items-end'>
+                  {value > 0 && (
+                    <div
+                      className='w-full bg-indigo-400 rounded-t-sm'
+                      style={{ height: `${(value / maxAbs) * 100}%` }}
+                    />
+                  )}
+                </div>
+                <div className='flex-1 flex items-start border-t border-gray-200 dark:border-gray-700'>
+                  {value < 0 && (
+                    <div
+                      className='w-full bg-orange-400 rounded-b-sm'
+                      style={{ height: `${(-value / maxAbs) * 100}%` }}
+                    />
+                  )}
+                </div>
+              </div>
+            </Tooltip>
+          ))}
+        </div>
+        <Typography.Text className='text-xs text-gray-500 font-mono block mt-2 truncate'>
+          [
+          {embedding
+            .slice(0, 6)
+            .map((value) => value.toFixed(5))
+            .join(', ')}
+          {embedding.length > 6 ? ', …' : ''}]
+        </Typography.Text>
+      </div>
+    );
+  };
+
+  const renderSimilarityMatrix = () => {
+    if (vectors.length < 2) return null;
+
+    return (
+      <div>
+        <Typography.Text strong className='text-sm block mb-2'>
+          {t('余弦相似度')}
+        </Typography.Text>
+        <div className='overflow-x-auto'>
+          <table className='text-xs border-collapse'>
+            <thead>
+              <tr>
+                <th className='p-2' />
+                {vectors.map((item) => (
+                  <th key={item.index} className='p-2 font-medium'>
+                    #{item.index}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {vectors.map((row) => (
+                <tr key={row.index}>
+                  <th className='p-2 font-medium text-left'>#{row.index}</th>
+                  {vectors.map((column) => {
+                    const score = cosineSimilarity(
+                      row.embedding,
+                      column.embedding,
+                    );
+                    return (
+                      <td
+                        key={column.index}
+                        className='p-2 text-center font-mono rounded'
+                        style={
+                          score === null ? undefined : similarityStyle(score)
+                        }
+                      >
+                        {score === null ? '-' : score.toFixed(4)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className='space-y-6'>
+      <div className='space-y-3'>
+        {texts.map((text, index) => (
+          <div key={index} className='flex items-start gap-2'>
+            <Typography.Text className='text-xs text-gray-500 mt-2 w-6 flex-shrink-0'>
+              #{index}
+            </Typography.Text>
+            <TextArea
+              value={text}
+              onChange={(value) => handleTextChange(index, value)}
+              placeholder={t('请输入需要向量化的文本')}
+              autosize={{ minRows: 1, maxRows: 6 }}
+              className='!rounded-lg flex-1'
+            />
+            <Button
+              icon={<Trash2 size={14} />}
+              theme='borderless'
+              type='danger'
+              disabled={texts.length <= 1}
+              onClick={() =>
+                setTexts((prev) => prev.filter((_, i) => i !== index))
+              }
+            />
+          </div>
+        ))}
+        <div className='flex flex-wrap items-center justify-between gap-2'>
+          <Button
+            icon={<Plus size={14} />}
+            theme='light'
+            disabled={texts.length >= MAX_INPUTS}
+            onClick={() => setTexts((prev) => [...prev, ''])}
+            className='!rounded-lg'
+          >
+            {t('添加文本')}
+          </Button>
+          <div className='flex items-center gap-2'>
+            <Typography.Text className='text-sm'>{t('维度')}</Typography.Text>
+            <InputNumber
+              value={dimensions}
+              onChange={(value) => setDimensions(value || null)}
+              min={1}
+              placeholder={t('默认')}
+              style={{ width: 120 }}
+            />
+            <Button
+              icon={<Send size={14} />}
+              theme='solid'
+              loading={loading}
+              disabled={!inputs.model || payload.input.length === 0}
+              onClick={handleSend}
+              className='!rounded-lg'
+            >
+              {t('发送')}
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      {vectors.length > 0 ? (
+        <div className='space-y-4'>
+          {result.data.usage && (
+            <Typography.Text className='text-xs text-gray-500'>
+              {t('输入 Token')}: {result.data.usage.prompt_tokens ?? '-'}
+            </Typography.Text>
+          )}
+          {renderSimilarityMatrix()}
+          <div className='space-y-3'>{vectors.map(renderVectorPreview)}</div>
+        </div>
+      ) : (
+        <Empty description={t('发送请求后在此查看向量结果')} />
+      )}
+    </div>
+  );
+};
+
+export default EmbeddingsTester;
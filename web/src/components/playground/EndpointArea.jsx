@@ -0,0 +1,162 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React from 'react';
+import { Button, Card, Typography } from '@douyinfe/semi-ui';
+import {
+  AudioLines,
+  Binary,
+  Eye,
+  EyeOff,
+  FlaskConical,
+  Image as ImageIcon,
+  ListOrdered,
+  MessageSquare,
+} from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { ENDPOINT_MODES } from '../../constants/playground.constants';
+import EmbeddingsTester from './EmbeddingsTester';
+import ImageTester from './ImageTester';
+import AudioTester from './AudioTester';
+import RerankTester from './RerankTester';
+import EvalRunner from './EvalRunner';
+
+const ENDPOINT_TESTERS = {
+  [ENDPOINT_MODES.EMBEDDINGS]: {
+    title: '向量嵌入',
+    icon: Binary,
+    component: EmbeddingsTester,
+  },
+  [ENDPOINT_MODES.IMAGES]: {
+    title: '图像生成',
+    icon: ImageIcon,
+    component: ImageTester,
+  },
+  [ENDPOINT_MODES.AUDIO]: {
+    title: '语音',
+    icon: AudioLines,
+    component: AudioTester,
+  },
+  [ENDPOINT_MODES.RERANK]: {
+    title: '重排序',
+    icon: ListOrdered,
+    component: RerankTester,
+  },
+  [ENDPOINT_MODES.EVAL]: {
+    title: '批量评测',
+    icon: FlaskConical,
+    component: EvalRunner,
+  },
+};
+
+const EndpointArea = ({
+  endpointMode,
+  inputs,
+  styleState,
+  showDebugPanel,
+  endpointLoading,
+  evalRunner,
+  onEndpointRequest,
+  onPreviewChange,
+  onToggleDebugPanel,
+  onExitEndpointMode,
+}) => {
+  const { t } = useTranslation();
+  const tester = ENDPOINT_TESTERS[endpointMode];
+
+  if (!tester) return null;
+
+  const Icon = tester.icon;
+  const Tester = tester.component;
+
+  return (
+    <Card
+      className='h-full'
+      bordered={false}
+      bodyStyle={{
+        padding: 0,
+        height: 'calc(100vh - 66px)',
+        display: 'flex',
+        flexDirection: 'column',
+        overflow: 'hidden',
+      }}
+    >
+      <div
+        className={`bg-gradient-to-r from-purple-500 to-blue-500 rounded-t-2xl ${
+          styleState.isMobile ? 'px-4 py-3' : 'px-6 py-4'
+        }`}
+      >
+        <div className='flex items-center justify-between'>
+          <div className='flex items-center gap-3'>
+            <div className='w-10 h-10 rounded-full bg-white/20 backdrop-blur flex items-center justify-center'>
+              <Icon size={20} className='text-white' />
+            </div>
+            <div>
+              <Typography.Title heading={5} className='!text-white mb-0'>
+                {t(tester.title)}
+              </Typography.Title>
+              <Typography.Text className='!text-white/80 text-sm hidden sm:inline'>
+                {inputs.model || t('请选择模型')}
+              </Typography.Text>
+            </div>
+          </div>
+          <div className='flex items-center gap-2'>
+            <Button
+              icon={<MessageSquare size={14} />}
+              onClick={onExitEndpointMode}
+              theme='borderless'
+              type='primary'
+              size='small'
+              className='!rounded-lg !text-white/80 hover:!text-white hover:!bg-white/10'
+            >
+              {t('返回对话')}
+            </Button>
+            {!styleState.isMobile && (
+              <Button
+                icon={showDebugPanel ? <EyeOff size={14} /> : <Eye size={14} />}
+                onClick={onToggleDebugPanel}
+                theme='borderless'
+                type='primary'
+                size='small'
+                className='!rounded-lg !text-white/80 hover:!text-white hover:!bg-white/10'
+              >
+                {showDebugPanel ? t('隐藏调试') : t('显示调试')}
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className='flex-1 overflow-y-auto p-4 md:p-6'>
+        <div className='max-w-4xl mx-auto'>
+          <Tester
+            key={endpointMode}
+            inputs={inputs}
+            loading={endpointLoading}
+            onRequest={onEndpointRequest}
+            onPreviewChange={onPreviewChange}
+            evalRunner={evalRunner}
+          />
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default EndpointArea;
@@ -0,0 +1,420 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Button,
+  Checkbox,
+  Empty,
+  Input,
+  InputNumber,
+  Progress,
+  Select,
+  Table,
+  Tag,
+  Toast,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Download, Play, Square, Trash2, Upload } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import {
+  EVAL_LIMITS,
+  EVAL_SCORING_METHODS,
+} from '../../constants/playground.constants';
+import { EVAL_ROW_STATUS } from '../../hooks/playground/useEvalRunner';
+import {
+  buildEvalResultsCsv,
+  downloadTextAsFile,
+  parseEvalDataset,
+} from '../../helpers';
+
+const STATUS_TAGS = {
+  [EVAL_ROW_STATUS.PENDING]: { color: 'grey', text: '待运行' },
+  [EVAL_ROW_STATUS.RUNNING]: { color: 'blue', text: '运行中' },
+  [EVAL_ROW_STATUS.ERROR]: { color: 'red', text: '请求失败' },
+  [EVAL_ROW_STATUS.STOPPED]: { color: 'grey', text: '已停止' },
+};
+
+const formatLatency = (latency) =>
+  latency === null ? '-' : `${(latency / 1000).toFixed(2)}s`;
+
+const EvalRunner = ({ inputs, evalRunner, onPreviewChange }) => {
+  const { t } = useTranslation();
+  const {
+    evalResults,
+    isEvalRunning,
+    buildEvalPayload,
+    runEval,
+    stopEval,
+    clearEval,
+  } = evalRunner;
+  const fileInputRef = useRef(null);
+  const [dataset, setDataset] = useState(null);
+  const [scoringMethod, setScoringMethod] = useState(
+    EVAL_SCORING_METHODS.EXACT,
+  );
+  const [jsonPath, setJsonPath] = useState('');
+  const [ignoreCase, setIgnoreCase] = useState(false);
+  const [concurrency, setConcurrency] = useState(
+    EVAL_LIMITS.DEFAULT_CONCURRENCY,
+  );
+
+  // 以数据集第一行作为请求预览
+  useEffect(() => {
+    const firstRow = dataset?.rows[0];
+    onPreviewChange(firstRow ? buildEvalPayload(firstRow) : null);
+  }, [dataset, buildEvalPayload, onPreviewChange]);
+
+  const scoringOptions = [
+    { value: EVAL_SCORING_METHODS.EXACT, label: t('精确匹配') },
+    { value: EVAL_SCORING_METHODS.REGEX, label: t('正则匹配') },
+    { value: EVAL_SCORING_METHODS.JSON_FIELD, label: t('JSON 字段') },
+  ];
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const rows = parseEvalDataset(await file.text(), file.name);
+      if (rows.length === 0) {
+        Toast.error(t('数据集为空'));
+        return;
+      }
+      if (rows.length > EVAL_LIMITS.MAX_ROWS) {
+        Toast.error(
+          t('数据集最多 {{count}} 行', { count: EVAL_LIMITS.MAX_ROWS }),
+        );
+        return;
+      }
+      setDataset({ name: file.name, rows });
+      clearEval();
+    } catch (error) {
+      Toast.error(t('数据集解析失败: ') + error.message);
+    }
+  };
+
+  const handleRun = () => {
+    runEval(
+      dataset.rows,
+      { method: scoringMethod, jsonPath: jsonPath.trim(), ignoreCase },
+      concurrency,
+    );
+  };
+
+  const handleExport = () => {
+    // 添加 BOM，避免表格软件打开时中文乱码
+    downloadTextAsFile(
+      '\uFEFF' + buildEvalResultsCsv(evalResults),
+      `playground-eval-${new Date().toISOString().split('T')[0]}.csv`,
+    );
+  };
+
+  const summary = useMemo(() => {
+    const finished = evalResults.filter(
+      (result) =>
+        result.status === EVAL_ROW_STATUS.DONE ||
+        result.status === EVAL_ROW_STATUS.ERROR,
+    );
+    const scored = finished.filter((result) => result.passed !== null);
+    const passed = scored.filter((result) => result.passed).length;
+    const latencies = finished.map((result) => result.latency);
+    return {
+      finished: finished.length,
+      passed,
+      failed: scored.length - passed,
+      passRate: scored.length > 0 ? (passed / scored.length) * 100 : null,
+      avgLatency:
+        latencies.length > 0
+          ? latencies.reduce((sum, latency) => sum + latency, 0) /
+            latencies.length
+          : null,
+      totalTokens: finished.reduce(
+        (sum, result) => sum + (result.usage?.total_tokens || 0),
+        0,
+      ),
+    };
+  }, [evalResults]);
+
+  const renderResultTag = (record) => {
+    if (record.status === EVAL_ROW_STATUS.DONE) {
+      if (record.passed === null) {
+        return <Tag color='grey'>{t('未评分')}</Tag>;
+      }
+      return record.passed ? (
+        <Tag color='green'>{t('通过')}</Tag>
+      ) : (
+        <Tag color='red'>{t('未通过')}</Tag>
+      );
+    }
+    const tag = STATUS_TAGS[record.status];
+    return <Tag color={tag.color}>{t(tag.text)}</Tag>;
+  };
+
+  const renderText = (text) => (
+    <Typography.Paragraph
+      ellipsis={{
+        rows: 3,
+        showTooltip: { opts: { style: { maxWidth: 480 } } },
+      }}
+      className='text-sm whitespace-pre-wrap break-all'
+    >
+      {text || '-'}
+    </Typography.Paragraph>
+  );
+
+  const columns = [
+    {
+      title: '#',
+      dataIndex: 'index',
+      width: 60,
+    },
+    {
+      title: t('输入'),
+      dataIndex: 'input',
+      render: renderText,
+    },
+    {
+      title: t('期望输出'),
+      dataIndex: 'expected',
+      render: renderText,
+    },
+    {
+      title: t('模型输出'),
+      dataIndex: 'output',
+      render: (text, record) => renderText(record.error || text),
+    },
+    {
+      title: t('结果'),
+      dataIndex: 'passed',
+      width: 110,
+      render: (_, record) => (
+        <div className='space-y-1'>
+          {renderResultTag(record)}
+          {record.reason && (
+            <Typography.Text
+              type='tertiary'
+              size='small'
+              ellipsis={{ showTooltip: true }}
+              className='block'
+            >
+              {record.reason}
+            </Typography.Text>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: t('耗时'),
+      dataIndex: 'latency',
+      width: 80,
+      render: formatLatency,
+    },
+    {
+      title: t('Tokens'),
+      dataIndex: 'usage',
+      width: 110,
+      render: (usage) =>
+        usage ? (
+          <Typography.Text className='font-mono text-xs'>
+            {usage.prompt_tokens ?? 0} / {usage.completion_tokens ?? 0}
+          </Typography.Text>
+        ) : (
+          '-'
+        ),
+    },
+  ];
+
+  const total = evalResults.length;
+
+  return (
+    <div className='space-y-6'>
+      <div className='space-y-3'>
+        <div className='flex flex-wrap items-center gap-2'>
+          <input
+            ref={fileInputRef}
+            type='file'
+            accept='.jsonl,.csv'
+            className='hidden'
+            onChange={handleFileChange}
+          />
+          <Button
+            icon={<Upload size={14} />}
+            theme='light'
+            disabled={isEvalRunning}
+            onClick={() => fileInputRef.current?.click()}
+            className='!rounded-lg'
+          >
+            {t('导入数据集')}
+          </Button>
+          {dataset && (
+            <Typography.Text className='text-sm'>
+              {dataset.name} ·{' '}
+              {t('{{count}} 条用例', { count: dataset.rows.length })}
+            </Typography.Text>
+          )}
+        </div>
+        <Typography.Text type='tertiary' size='small' className='block'>
+          {t(
+            '支持 JSONL 与带表头的 CSV：input 为用户消息，expected 为期望输出，其余字段会填充系统提示词中的同名变量',
+          )}
+        </Typography.Text>
+
+        <div className='flex flex-wrap items-center gap-3'>
+          <div className='flex items-center gap-2'>
+            <Typography.Text className='text-sm'>
+              {t('评分方式')}
+            </Typography.Text>
+            <Select
+              value={scoringMethod}
+              onChange={setScoringMethod}
+              optionList={scoringOptions}
+              disabled={isEvalRunning}
+              style={{ width: 140 }}
+            />
+          </div>
+          {scoringMethod === EVAL_SCORING_METHODS.JSON_FIELD && (
+            <Input
+              value={jsonPath}
+              onChange={setJsonPath}
+              placeholder={t('字段路径，如 result.label')}
+              disabled={isEvalRunning}
+              style={{ width: 200 }}
+              className='!rounded-lg'
+            />
+          )}
+          <Checkbox
+            checked={ignoreCase}
+            onChange={(e) => setIgnoreCase(e.target.checked)}
+            disabled={isEvalRunning}
+          >
+            {t('忽略大小写')}
+          </Checkbox>
+          <div className='flex items-center gap-2'>
+            <Typography.Text className='text-sm'>{t('并发数')}</Typography.Text>
+            <InputNumber
+              value={concurrency}
+              onChange={(value) =>
+                setConcurrency(value || EVAL_LIMITS.DEFAULT_CONCURRENCY)
+              }
+              min={1}
+              max={EVAL_LIMITS.MAX_CONCURRENCY}
+              disabled={isEvalRunning}
+              style={{ width: 90 }}
+            />
+          </div>
+        </div>
+
+        <div className='flex flex-wrap items-center justify-end gap-2'>
+          <Button
+            icon={<Trash2 size={14} />}
+            theme='borderless'
+            type='tertiary'
+            disabled={isEvalRunning || total === 0}
+            onClick={clearEval}
+            className='!rounded-lg'
+          >
+            {t('清空结果')}
+          </Button>
+          <Button
+            icon={<Download size={14} />}
+            theme='light'
+            disabled={isEvalRunning || total === 0}
+            onClick={handleExport}
+            className='!rounded-lg'
+          >
+            {t('导出 CSV')}
+          </Button>
+          {isEvalRunning ? (
+            <Button
+              icon={<Square size={14} />}
+              type='danger'
+              theme='solid'
+              onClick={stopEval}
+              className='!rounded-lg'
+            >
+              {t('停止')}
+            </Button>
+          ) : (
+            <Button
+              icon={<Play size={14} />}
+              theme='solid'
+              disabled={
+                !inputs.model ||
+                !dataset ||
+                (scoringMethod === EVAL_SCORING_METHODS.JSON_FIELD &&
+                  !jsonPath.trim())
+              }
+              onClick={handleRun}
+              className='!rounded-lg'
+            >
+              {t('开始评测')}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {total > 0 ? (
+        <div className='space-y-3'>
+          <Progress
+            percent={(summary.finished / total) * 100}
+            showInfo={false}
+            size='small'
+            stroke='var(--semi-color-primary)'
+          />
+          <div className='flex flex-wrap gap-x-6 gap-y-1 text-sm'>
+            <Typography.Text>
+              {t('进度')}: {summary.finished} / {total}
+            </Typography.Text>
+            <Typography.Text type='success'>
+              {t('通过')}: {summary.passed}
+            </Typography.Text>
+            <Typography.Text type='danger'>
+              {t('未通过')}: {summary.failed}
+            </Typography.Text>
+            <Typography.Text>
+              {t('通过率')}:{' '}
+              {summary.passRate === null
+                ? '-'
+                : `${summary.passRate.toFixed(1)}%`}
+            </Typography.Text>
+            <Typography.Text>
+              {t('平均耗时')}: {formatLatency(summary.avgLatency)}
+            </Typography.Text>
+            <Typography.Text>
+              {t('总 Tokens')}: {summary.totalTokens}
+            </Typography.Text>
+          </div>
+          <Table
+            columns={columns}
+            dataSource={evalResults}
+            rowKey='index'
+            pagination={{ pageSize: 20 }}
+            size='small'
+          />
+        </div>
+      ) : (
+        <Empty description={t('导入数据集并开始评测后在此查看结果')} />
+      )}
+    </div>
+  );
+};
+
+export default EvalRunner;
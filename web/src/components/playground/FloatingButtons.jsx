@@ -19,7 +19,7 @@ For commercial licensing, please contact support@quantumnous.com
 
 import React from 'react';
 import { Button } from '@douyinfe/semi-ui';
-import { Settings, Eye, EyeOff } from 'lucide-react';
+import { Settings, Eye, EyeOff, MessagesSquare } from 'lucide-react';
 
 const FloatingButtons = ({
   styleState,
@@ -27,6 +27,7 @@ const FloatingButtons = ({
   showDebugPanel,
   onToggleSettings,
   onToggleDebugPanel,
+  onToggleSessionPanel,
 }) => {
   if (!styleState.isMobile) return null;
 
@@ -79,6 +80,29 @@ const FloatingButtons = ({
           className='lg:hidden'
         />
       )}
+
+      {/* 会话按钮 */}
+      {!showSettings && (
+        <Button
+          icon={<MessagesSquare size={18} />}
+          onClick={onToggleSessionPanel}
+          theme='solid'
+          type='primary'
+          style={{
+            position: 'fixed',
+            right: 16,
+            bottom: 190,
+            zIndex: 1000,
+            width: 36,
+            height: 36,
+            borderRadius: '50%',
+            padding: 0,
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.2)',
+            background: 'linear-gradient(to right, #6366f1, #8b5cf6)',
+          }}
+          className='lg:hidden'
+        />
+      )}
     </>
   );
 };
@@ -0,0 +1,227 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Button,
+  Empty,
+  Image,
+  ImagePreview,
+  InputNumber,
+  Select,
+  TextArea,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Download, Send } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import {
+  API_ENDPOINTS,
+  ENDPOINT_DEFAULTS,
+  IMAGE_QUALITY_OPTIONS,
+  IMAGE_SIZE_OPTIONS,
+} from '../../constants/playground.constants';
+
+const toOptions = (values) => values.map((value) => ({ label: value, value }));
+
+// 兼容 url 与 b64_json 两种返回格式
+const getImageSrc = (item) => {
+  if (item.url) return item.url;
+  if (item.b64_json) return `data:image/png;base64,${item.b64_json}`;
+  return null;
+};
+
+// data URL 无法通过 window.open 打开，统一使用带 download 属性的链接
+const downloadImage = (image) => {
+  const link = document.createElement('a');
+  link.href = image.src;
+  link.download = `image-${image.id}.png`;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.click();
+};
+
+const ImageTester = ({ inputs, loading, onRequest, onPreviewChange }) => {
+  const { t } = useTranslation();
+  const [form, setForm] = useState(ENDPOINT_DEFAULTS.images);
+  const [images, setImages] = useState([]);
+
+  const updateForm = (name, value) => {
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const payload = useMemo(
+    () => ({
+      model: inputs.model,
+      group: inputs.group,
+      ...form,
+    }),
+    [inputs.model, inputs.group, form],
+  );
+
+  useEffect(() => {
+    onPreviewChange(payload);
+  }, [payload, onPreviewChange]);
+
+  const handleSend = async () => {
+    const response = await onRequest(API_ENDPOINTS.IMAGE_GENERATIONS, payload);
+    if (!response) return;
+
+    const items = Array.isArray(response.data?.data) ? response.data.data : [];
+    // 新生成的图片排在最前，保留之前的结果便于对比
+    setImages((prev) => [
+      ...items
+        .map((item, index) => ({
+          id: `${Date.now()}-${index}`,
+          src: getImageSrc(item),
+          prompt: payload.prompt,
+          revisedPrompt: item.revised_prompt,
+          model: payload.model,
+          size: payload.size,
+        }))
+        .filter((image) => image.src),
+      ...prev,
+    ]);
+  };
+
+  return (
+    <div className='space-y-6'>
+      <div className='space-y-3'>
+        <TextArea
+          value={form.prompt}
+          onChange={(value) => updateForm('prompt', value)}
+          placeholder={t('请输入图片描述')}
+          autosize={{ minRows: 3, maxRows: 8 }}
+          className='!rounded-lg'
+        />
+        <div className='grid grid-cols-2 md:grid-cols-4 gap-3'>
+          <div>
+            <Typography.Text className='text-xs text-gray-500 block mb-1'>
+              {t('尺寸')}
+            </Typography.Text>
+            <Select
+              value={form.size}
+              onChange={(value) => updateForm('size', value)}
+              optionList={toOptions(IMAGE_SIZE_OPTIONS)}
+              style={{ width: '100%' }}
+            />
+          </div>
+          <div>
+            <Typography.Text className='text-xs text-gray-500 block mb-1'>
+              {t('质量')}
+            </Typography.Text>
+            <Select
+              value={form.quality}
+              onChange={(value) => updateForm('quality', value)}
+              optionList={toOptions(IMAGE_QUALITY_OPTIONS)}
+              style={{ width: '100%' }}
+            />
+          </div>
+          <div>
+            <Typography.Text className='text-xs text-gray-500 block mb-1'>
+              {t('返回格式')}
+            </Typography.Text>
+            <Select
+              value={form.response_format}
+              onChange={(value) => updateForm('response_format', value)}
+              optionList={toOptions(['url', 'b64_json'])}
+              style={{ width: '100%' }}
+            />
+          </div>
+          <div>
+            <Typography.Text className='text-xs text-gray-500 block mb-1'>
+              {t('数量')}
+            </Typography.Text>
+            <InputNumber
+              value={form.n}
+              onChange={(value) => updateForm('n', value || 1)}
+              min={1}
+              max={10}
+              style={{ width: '100%' }}
+            />
+          </div>
+        </div>
+        <div className='flex justify-end gap-2'>
+          {images.length > 0 && (
+            <Button
+              theme='borderless'
+              type='tertiary'
+              onClick={() => setImages([])}
+              className='!rounded-lg'
+            >
+              {t('清空图库')}
+            </Button>
+          )}
+          <Button
+            icon={<Send size={14} />}
+            theme='solid'
+            loading={loading}
+            disabled={!inputs.model || !form.prompt.trim()}
+            onClick={handleSend}
+            className='!rounded-lg'
+          >
+            {t('生成')}
+          </Button>
+        </div>
+      </div>
+
+      {images.length > 0 ? (
+        <ImagePreview>
+          <div className='grid grid-cols-2 md:grid-cols-3 gap-4'>
+            {images.map((image) => (
+              <div
+                key={image.id}
+                className='rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden'
+              >
+                <Image
+                  src={image.src}
+                  width='100%'
+                  imgStyle={{ objectFit: 'cover', aspectRatio: '1 / 1' }}
+                />
+                <div className='p-2 space-y-1'>
+                  <Typography.Paragraph
+                    ellipsis={{ rows: 2, showTooltip: true }}
+                    className='text-xs'
+                  >
+                    {image.revisedPrompt || image.prompt}
+                  </Typography.Paragraph>
+                  <div className='flex items-center justify-between'>
+                    <Typography.Text className='text-xs text-gray-500'>
+                      {image.model} · {image.size}
+                    </Typography.Text>
+                    <Button
+                      icon={<Download size={12} />}
+                      size='small'
+                      theme='borderless'
+                      type='tertiary'
+                      onClick={() => downloadImage(image)}
+                    />
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </ImagePreview>
+      ) : (
+        <Empty description={t('生成的图片将显示在这里')} />
+      )}
+    </div>
+  );
+};
+
+export default ImageTester;
@@ -19,8 +19,17 @@ For commercial licensing, please contact support@quantumnous.com
 
 import React from 'react';
 import { Button, Tooltip } from '@douyinfe/semi-ui';
-import { RefreshCw, Copy, Trash2, UserCheck, Edit } from 'lucide-react';
+import {
+  RefreshCw,
+  Copy,
+  Trash2,
+  UserCheck,
+  Edit,
+  ChevronLeft,
+  ChevronRight,
+} from 'lucide-react';
 import { useTranslation } from 'react-i18next';
+import { getBranchInfo } from '../../helpers';
 
 const MessageActions = ({
   message,
@@ -30,6 +39,7 @@ const MessageActions = ({
   onMessageDelete,
   onRoleToggle,
   onMessageEdit,
+  onBranchSwitch,
   isAnyMessageGenerating = false,
   isEditing = false,
 }) => {
@@ -45,9 +55,40 @@ const MessageActions = ({
     message.content &&
     typeof onMessageEdit === 'function' &&
     !isEditing;
+  const branchInfo = getBranchInfo(message);
 
   return (
     <div className='flex items-center gap-0.5'>
+      {branchInfo && onBranchSwitch && (
+        <div className='flex items-center mr-1 text-xs text-gray-500'>
+          <Button
+            theme='borderless'
+            type='tertiary'
+            size='small'
+            icon={<ChevronLeft size={styleState.isMobile ? 12 : 14} />}
+            onClick={() => onBranchSwitch(message, message.branches.active - 1)}
+            disabled={shouldDisableActions || branchInfo.current <= 1}
+            className={`!rounded-full ${styleState.isMobile ? '!w-6 !h-6' : '!w-7 !h-7'} !p-0`}
+            aria-label={t('上一个分支')}
+          />
+          <span className='tabular-nums'>
+            {branchInfo.current}/{branchInfo.total}
+          </span>
+          <Button
+            theme='borderless'
+            type='tertiary'
+            size='small'
+            icon={<ChevronRight size={styleState.isMobile ? 12 : 14} />}
+            onClick={() => onBranchSwitch(message, message.branches.active + 1)}
+            disabled={
+              shouldDisableActions || branchInfo.current >= branchInfo.total
+            }
+            className={`!rounded-full ${styleState.isMobile ? '!w-6 !h-6' : '!w-7 !h-7'} !p-0`}
+            aria-label={t('下一个分支')}
+          />
+        </div>
+      )}
+
       {!isLoading && (
         <Tooltip
           content={shouldDisableActions ? t('操作暂时被禁用') : t('重试')}
@@ -21,9 +21,20 @@ import React, { useRef, useEffect } from 'react';
 import { Typography, TextArea, Button } from '@douyinfe/semi-ui';
 import MarkdownRenderer from '../common/markdown/MarkdownRenderer';
 import ThinkingContent from './ThinkingContent';
-import { Loader2, Check, X } from 'lucide-react';
+import ToolCallsContent from './ToolCallsContent';
+import StructuredOutputCheck from './StructuredOutputCheck';
+import { Loader2, Check, X, Wrench } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 
+// 工具结果按代码块展示，JSON 内容格式化后高亮
+const formatToolResult = (content) => {
+  try {
+    return '```json\n' + JSON.stringify(JSON.parse(content), null, 2) + '\n```';
+  } catch (error) {
+    return '```\n' + content + '\n```';
+  }
+};
+
 const MessageContent = ({
   message,
   className,
@@ -169,6 +180,7 @@ const MessageContent = ({
     message.role === 'assistant' &&
     isThinkingStatus &&
     !finalExtractedThinkingContent &&
+    !(message.toolCalls?.length > 0) &&
     (!finalDisplayableFinalContent ||
       finalDisplayableFinalContent.trim() === '')
   ) {
@@ -206,6 +218,27 @@ const MessageContent = ({
         </div>
       )}
 
+      {message.role === 'tool' && (
+        <div className='mb-2 sm:mb-4'>
+          <div
+            className='flex items-center gap-2 p-2 sm:p-3 bg-gradient-to-r from-sky-50 to-cyan-50 rounded-lg'
+            style={{ border: '1px solid var(--semi-color-border)' }}
+          >
+            <div className='w-4 h-4 sm:w-5 sm:h-5 rounded-full bg-gradient-to-br from-sky-500 to-cyan-600 flex items-center justify-center shadow-sm'>
+              <Wrench size={10} className='text-white' />
+            </div>
+            <Typography.Text className='text-sky-700 text-xs sm:text-sm font-medium'>
+              {t('工具结果')}
+            </Typography.Text>
+            {message.toolName && (
+              <Typography.Text className='text-xs sm:text-sm font-mono'>
+                {message.toolName}
+              </Typography.Text>
+            )}
+          </div>
+        </div>
+      )}
+
       {message.role === 'assistant' && (
         <ThinkingContent
           message={message}
@@ -216,6 +249,10 @@ const MessageContent = ({
         />
       )}
 
+      {message.role === 'assistant' && (
+        <ToolCallsContent message={message} styleState={styleState} />
+      )}
+
       {isEditing ? (
         <div className='space-y-3'>
           <TextArea
@@ -353,7 +390,11 @@ const MessageContent = ({
                   className={`prose prose-xs sm:prose-sm prose-gray max-w-none overflow-x-auto text-xs sm:text-sm ${message.role === 'user' ? 'user-message' : ''}`}
                 >
                   <MarkdownRenderer
-                    content={message.content}
+                    content={
+                      message.role === 'tool'
+                        ? formatToolResult(message.content)
+                        : message.content
+                    }
                     className={message.role === 'user' ? 'user-message' : ''}
                     animated={false}
                     previousContentLength={0}
@@ -366,6 +407,12 @@ const MessageContent = ({
           return null;
         })()
       )}
+
+      {message.role === 'assistant' &&
+        message.status === 'complete' &&
+        message.responseFormat &&
+        !(message.toolCalls?.length > 0) &&
+        !isEditing && <StructuredOutputCheck message={message} />}
     </div>
   );
 };
@@ -37,6 +37,8 @@ export const OptimizedMessageContent = React.memo(
         nextProps.message.reasoningContent &&
       prevProps.message.isReasoningExpanded ===
         nextProps.message.isReasoningExpanded &&
+      prevProps.message.toolCalls === nextProps.message.toolCalls &&
+      prevProps.message.responseFormat === nextProps.message.responseFormat &&
       prevProps.isEditing === nextProps.isEditing &&
       prevProps.editValue === nextProps.editValue &&
       prevProps.styleState.isMobile === nextProps.styleState.isMobile
@@ -51,9 +53,11 @@ export const OptimizedMessageActions = React.memo(
     return (
       prevProps.message.id === nextProps.message.id &&
       prevProps.message.role === nextProps.message.role &&
+      prevProps.message.branches === nextProps.message.branches &&
       prevProps.isAnyMessageGenerating === nextProps.isAnyMessageGenerating &&
       prevProps.isEditing === nextProps.isEditing &&
-      prevProps.onMessageReset === nextProps.onMessageReset
+      prevProps.onMessageReset === nextProps.onMessageReset &&
+      prevProps.onBranchSwitch === nextProps.onBranchSwitch
     );
   },
 );
@@ -70,6 +74,10 @@ export const OptimizedSettingsPanel = React.memo(
       JSON.stringify(prevProps.groups) === JSON.stringify(nextProps.groups) &&
       prevProps.customRequestMode === nextProps.customRequestMode &&
       prevProps.customRequestBody === nextProps.customRequestBody &&
+      prevProps.systemPrompt === nextProps.systemPrompt &&
+      prevProps.endpointMode === nextProps.endpointMode &&
+      JSON.stringify(prevProps.promptTemplates) ===
+        JSON.stringify(nextProps.promptTemplates) &&
       prevProps.showDebugPanel === nextProps.showDebugPanel &&
       prevProps.showSettings === nextProps.showSettings &&
       JSON.stringify(prevProps.previewPayload) ===
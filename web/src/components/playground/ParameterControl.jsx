@@ -18,7 +18,19 @@ For commercial licensing, please contact support@quantumnous.com
 */
 
 import React from 'react';
-import { Input, Slider, Typography, Button, Tag } from '@douyinfe/semi-ui';
+import {
+  Input,
+  InputNumber,
+  Slider,
+  Typography,
+  Button,
+  Tag,
+  TagInput,
+  TextArea,
+  RadioGroup,
+  Radio,
+  Divider,
+} from '@douyinfe/semi-ui';
 import { useTranslation } from 'react-i18next';
 import {
   Hash,
@@ -29,7 +41,34 @@ import {
   Shuffle,
   Check,
   X,
+  Layers,
+  OctagonX,
+  Scale,
+  Lightbulb,
+  Braces,
 } from 'lucide-react';
+import {
+  JSON_SCHEMA_TEMPLATE,
+  REASONING_EFFORT_OPTIONS,
+  RESPONSE_FORMAT_TYPES,
+} from '../../constants/playground.constants';
+
+// 校验 JSON 对象文本，合法或为空时返回 null，否则返回错误提示
+const getJsonObjectError = (text, t, requiredField) => {
+  if (!text || !text.trim()) return null;
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return t('必须是 JSON 对象');
+    }
+    if (requiredField && !(requiredField in parsed)) {
+      return t('缺少 {{field}} 字段', { field: requiredField });
+    }
+    return null;
+  } catch (error) {
+    return `${t('JSON格式错误')}: ${error.message}`;
+  }
+};
 
 const ParameterControl = ({
   inputs,
@@ -290,6 +329,262 @@ const ParameterControl = ({
           disabled={!parameterEnabled.seed || disabled}
         />
       </div>
+
+      <Divider margin='12px' align='left'>
+        <Typography.Text type='tertiary' size='small'>
+          {t('输出控制')}
+        </Typography.Text>
+      </Divider>
+
+      {/* Response Format */}
+      <div
+        className={`transition-opacity duration-200 mb-4 ${!parameterEnabled.response_format || disabled ? 'opacity-50' : ''}`}
+      >
+        <div className='flex items-center justify-between mb-2'>
+          <div className='flex items-center gap-2'>
+            <Braces size={16} className='text-gray-500' />
+            <Typography.Text strong className='text-sm'>
+              Response Format
+            </Typography.Text>
+          </div>
+          <Button
+            theme={parameterEnabled.response_format ? 'solid' : 'borderless'}
+            type={parameterEnabled.response_format ? 'primary' : 'tertiary'}
+            size='small'
+            icon={
+              parameterEnabled.response_format ? (
+                <Check size={10} />
+              ) : (
+                <X size={10} />
+              )
+            }
+            onClick={() => onParameterToggle('response_format')}
+            className='!rounded-full !w-4 !h-4 !p-0 !min-w-0'
+            disabled={disabled}
+          />
+        </div>
+        <Typography.Text className='text-xs text-gray-500 mb-2'>
+          {t('要求模型输出 JSON，json_schema 模式下会按 Schema 校验回答')}
+        </Typography.Text>
+        <RadioGroup
+          type='button'
+          buttonSize='small'
+          value={inputs.response_format}
+          onChange={(e) => onInputChange('response_format', e.target.value)}
+          disabled={!parameterEnabled.response_format || disabled}
+          className='mt-2'
+        >
+          {RESPONSE_FORMAT_TYPES.map((type) => (
+            <Radio key={type} value={type}>
+              {type}
+            </Radio>
+          ))}
+        </RadioGroup>
+        {inputs.response_format === 'json_schema' &&
+          (() => {
+            const schemaError = getJsonObjectError(
+              inputs.json_schema,
+              t,
+              'schema',
+            );
+            return (
+              <div className='mt-2 space-y-1'>
+                <div className='flex items-center justify-between'>
+                  <Typography.Text className='text-xs text-gray-500'>
+                    {t('JSON Schema（含 name、strict、schema 字段）')}
+                  </Typography.Text>
+                  <Button
+                    size='small'
+                    theme='borderless'
+                    type='tertiary'
+                    onClick={() =>
+                      onInputChange(
+                        'json_schema',
+                        JSON.stringify(JSON_SCHEMA_TEMPLATE, null, 2),
+                      )
+                    }
+                    disabled={!parameterEnabled.response_format || disabled}
+                  >
+                    {t('填入模板')}
+                  </Button>
+                </div>
+                <TextArea
+                  value={inputs.json_schema}
+                  onChange={(value) => onInputChange('json_schema', value)}
+                  placeholder={JSON.stringify(JSON_SCHEMA_TEMPLATE, null, 2)}
+                  autosize={{ minRows: 4, maxRows: 16 }}
+                  className='!rounded-lg font-mono text-xs'
+                  style={{ fontFamily: 'monospace' }}
+                  disabled={!parameterEnabled.response_format || disabled}
+                />
+                {schemaError && (
+                  <Typography.Text className='text-xs text-red-600 block'>
+                    {schemaError}
+                  </Typography.Text>
+                )}
+              </div>
+            );
+          })()}
+      </div>
+
+      {/* Reasoning Effort */}
+      <div
+        className={`transition-opacity duration-200 mb-4 ${!parameterEnabled.reasoning_effort || disabled ? 'opacity-50' : ''}`}
+      >
+        <div className='flex items-center justify-between mb-2'>
+          <div className='flex items-center gap-2'>
+            <Lightbulb size={16} className='text-gray-500' />
+            <Typography.Text strong className='text-sm'>
+              Reasoning Effort
+            </Typography.Text>
+          </div>
+          <Button
+            theme={parameterEnabled.reasoning_effort ? 'solid' : 'borderless'}
+            type={parameterEnabled.reasoning_effort ? 'primary' : 'tertiary'}
+            size='small'
+            icon={
+              parameterEnabled.reasoning_effort ? (
+                <Check size={10} />
+              ) : (
+                <X size={10} />
+              )
+            }
+            onClick={() => onParameterToggle('reasoning_effort')}
+            className='!rounded-full !w-4 !h-4 !p-0 !min-w-0'
+            disabled={disabled}
+          />
+        </div>
+        <Typography.Text className='text-xs text-gray-500 mb-2'>
+          {t('推理模型的思考强度')}
+        </Typography.Text>
+        <RadioGroup
+          type='button'
+          buttonSize='small'
+          value={inputs.reasoning_effort}
+          onChange={(e) => onInputChange('reasoning_effort', e.target.value)}
+          disabled={!parameterEnabled.reasoning_effort || disabled}
+          className='mt-2'
+        >
+          {REASONING_EFFORT_OPTIONS.map((effort) => (
+            <Radio key={effort} value={effort}>
+              {effort}
+            </Radio>
+          ))}
+        </RadioGroup>
+      </div>
+
+      {/* N */}
+      <div
+        className={`transition-opacity duration-200 mb-4 ${!parameterEnabled.n || disabled ? 'opacity-50' : ''}`}
+      >
+        <div className='flex items-center justify-between mb-2'>
+          <div className='flex items-center gap-2'>
+            <Layers size={16} className='text-gray-500' />
+            <Typography.Text strong className='text-sm'>
+              N
+            </Typography.Text>
+            <Typography.Text className='text-xs text-gray-400'>
+              ({t('对话中仅展示第一个候选')})
+            </Typography.Text>
+          </div>
+          <Button
+            theme={parameterEnabled.n ? 'solid' : 'borderless'}
+            type={parameterEnabled.n ? 'primary' : 'tertiary'}
+            size='small'
+            icon={parameterEnabled.n ? <Check size={10} /> : <X size={10} />}
+            onClick={() => onParameterToggle('n')}
+            className='!rounded-full !w-4 !h-4 !p-0 !min-w-0'
+            disabled={disabled}
+          />
+        </div>
+        <InputNumber
+          min={1}
+          max={16}
+          value={inputs.n}
+          onChange={(value) => onInputChange('n', value)}
+          className='!rounded-lg w-full'
+          style={{ width: '100%' }}
+          disabled={!parameterEnabled.n || disabled}
+        />
+      </div>
+
+      {/* Stop */}
+      <div
+        className={`transition-opacity duration-200 mb-4 ${!parameterEnabled.stop || disabled ? 'opacity-50' : ''}`}
+      >
+        <div className='flex items-center justify-between mb-2'>
+          <div className='flex items-center gap-2'>
+            <OctagonX size={16} className='text-gray-500' />
+            <Typography.Text strong className='text-sm'>
+              Stop
+            </Typography.Text>
+          </div>
+          <Button
+            theme={parameterEnabled.stop ? 'solid' : 'borderless'}
+            type={parameterEnabled.stop ? 'primary' : 'tertiary'}
+            size='small'
+            icon={parameterEnabled.stop ? <Check size={10} /> : <X size={10} />}
+            onClick={() => onParameterToggle('stop')}
+            className='!rounded-full !w-4 !h-4 !p-0 !min-w-0'
+            disabled={disabled}
+          />
+        </div>
+        <TagInput
+          value={inputs.stop}
+          onChange={(value) => onInputChange('stop', value)}
+          placeholder={t('输入停止序列后回车，最多 4 个')}
+          max={4}
+          allowDuplicates={false}
+          className='!rounded-lg'
+          disabled={!parameterEnabled.stop || disabled}
+        />
+      </div>
+
+      {/* Logit Bias */}
+      <div
+        className={`transition-opacity duration-200 mb-4 ${!parameterEnabled.logit_bias || disabled ? 'opacity-50' : ''}`}
+      >
+        <div className='flex items-center justify-between mb-2'>
+          <div className='flex items-center gap-2'>
+            <Scale size={16} className='text-gray-500' />
+            <Typography.Text strong className='text-sm'>
+              Logit Bias
+            </Typography.Text>
+          </div>
+          <Button
+            theme={parameterEnabled.logit_bias ? 'solid' : 'borderless'}
+            type={parameterEnabled.logit_bias ? 'primary' : 'tertiary'}
+            size='small'
+            icon={
+              parameterEnabled.logit_bias ? (
+                <Check size={10} />
+              ) : (
+                <X size={10} />
+              )
+            }
+            onClick={() => onParameterToggle('logit_bias')}
+            className='!rounded-full !w-4 !h-4 !p-0 !min-w-0'
+            disabled={disabled}
+          />
+        </div>
+        <Typography.Text className='text-xs text-gray-500 mb-2'>
+          {t('以 token ID 为键、-100 到 100 的偏置为值的 JSON 对象')}
+        </Typography.Text>
+        <TextArea
+          value={inputs.logit_bias}
+          onChange={(value) => onInputChange('logit_bias', value)}
+          placeholder='{"50256": -100}'
+          autosize={{ minRows: 2, maxRows: 6 }}
+          className='!rounded-lg mt-2'
+          style={{ fontFamily: 'monospace' }}
+          disabled={!parameterEnabled.logit_bias || disabled}
+        />
+        {getJsonObjectError(inputs.logit_bias, t) && (
+          <Typography.Text className='text-xs text-red-600 block'>
+            {getJsonObjectError(inputs.logit_bias, t)}
+          </Typography.Text>
+        )}
+      </div>
     </>
   );
 };
@@ -0,0 +1,383 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Button,
+  Empty,
+  Input,
+  Modal,
+  Select,
+  Spin,
+  Tag,
+  TextArea,
+  Toast,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Check, FilePlus2, History, Save, Search, Trash2 } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { extractPromptVariables } from '../../helpers';
+import { getLatestPromptVersion } from './promptStore';
+import PromptVersionDiff from './PromptVersionDiff';
+
+// 对比选项中代表“当前编辑内容”的值
+const DRAFT_VERSION = 'draft';
+
+const PromptLibraryModal = ({
+  visible,
+  templates,
+  loading,
+  systemPrompt,
+  styleState,
+  onSave,
+  onDelete,
+  onApply,
+  onClose,
+}) => {
+  const { t } = useTranslation();
+  const [keyword, setKeyword] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState({ name: '', content: '', note: '' });
+  const [diffBase, setDiffBase] = useState(null);
+  const [diffTarget, setDiffTarget] = useState(DRAFT_VERSION);
+  const [saving, setSaving] = useState(false);
+
+  const selectedTemplate = templates.find((item) => item.id === selectedId);
+
+  const startNewTemplate = () => {
+    setSelectedId(null);
+    setDraft({ name: '', content: systemPrompt || '', note: '' });
+    setDiffBase(null);
+    setDiffTarget(DRAFT_VERSION);
+  };
+
+  const selectTemplate = (template) => {
+    const versions = template.versions;
+    setSelectedId(template.id);
+    setDraft({
+      name: template.name,
+      content: getLatestPromptVersion(template).content,
+      note: '',
+    });
+    // 默认对比上一个版本与最新版本
+    setDiffBase(versions[Math.max(versions.length - 2, 0)].version);
+    setDiffTarget(versions[versions.length - 1].version);
+  };
+
+  // 打开时默认以当前系统提示词新建模板
+  useEffect(() => {
+    if (visible) {
+      startNewTemplate();
+      setKeyword('');
+    }
+  }, [visible]);
+
+  const filteredTemplates = useMemo(() => {
+    const trimmed = keyword.trim().toLowerCase();
+    if (!trimmed) return templates;
+    return templates.filter((template) =>
+      [template.name, getLatestPromptVersion(template)?.content].some((field) =>
+        (field || '').toLowerCase().includes(trimmed),
+      ),
+    );
+  }, [templates, keyword]);
+
+  const draftVariables = useMemo(
+    () => extractPromptVariables(draft.content),
+    [draft.content],
+  );
+
+  const getVersionContent = (version) => {
+    if (version === DRAFT_VERSION) return draft.content;
+    return (
+      selectedTemplate?.versions.find((item) => item.version === version)
+        ?.content || ''
+    );
+  };
+
+  const versionOptions = [
+    { value: DRAFT_VERSION, label: t('当前编辑') },
+    ...(selectedTemplate?.versions || [])
+      .slice()
+      .reverse()
+      .map((version) => ({
+        value: version.version,
+        label: `v${version.version}${version.note ? ` · ${version.note}` : ''}`,
+      })),
+  ];
+
+  const handleSave = async () => {
+    setSaving(true);
+    const saved = await onSave({
+      templateId: selectedId,
+      name: draft.name.trim(),
+      content: draft.content,
+      note: draft.note.trim(),
+    });
+    setSaving(false);
+    if (!saved) {
+      Toast.error(t('保存模板失败'));
+      return;
+    }
+    selectTemplate(saved);
+    Toast.success(t('模板已保存'));
+  };
+
+  const handleApply = () => {
+    onApply(draft.content);
+    Toast.success(t('已应用到系统提示词'));
+    onClose();
+  };
+
+  const handleDelete = () => {
+    if (!selectedTemplate) return;
+    Modal.confirm({
+      title: t('删除模板'),
+      content: t('确定要删除模板「{{name}}」及其全部版本吗？', {
+        name: selectedTemplate.name,
+      }),
+      okText: t('确定'),
+      cancelText: t('取消'),
+      okButtonProps: { type: 'danger' },
+      onOk: async () => {
+        await onDelete(selectedTemplate.id);
+        startNewTemplate();
+      },
+    });
+  };
+
+  const renderTemplateList = () => (
+    <div className='flex flex-col min-h-0'>
+      <div className='flex items-center gap-2 mb-3'>
+        <Input
+          prefix={<Search size={14} className='ml-2 text-gray-400' />}
+          placeholder={t('搜索模板')}
+          value={keyword}
+          onChange={setKeyword}
+          showClear
+          size='small'
+          className='!rounded-lg flex-1'
+        />
+        <Button
+          icon={<FilePlus2 size={14} />}
+          size='small'
+          theme='light'
+          onClick={startNewTemplate}
+          className='!rounded-lg'
+        />
+      </div>
+      <div className='flex-1 overflow-y-auto space-y-1 max-h-[50vh]'>
+        {loading ? (
+          <div className='flex justify-center py-8'>
+            <Spin />
+          </div>
+        ) : filteredTemplates.length === 0 ? (
+          <Empty
+            description={keyword ? t('没有匹配的模板') : t('暂无模板')}
+            className='py-8'
+          />
+        ) : (
+          filteredTemplates.map((template) => (
+            <div
+              key={template.id}
+              className={`px-3 py-2 rounded-lg cursor-pointer transition-colors ${
+                template.id === selectedId
+                  ? 'bg-purple-50 dark:bg-purple-900/20'
+                  : 'hover:bg-gray-50 dark:hover:bg-gray-800'
+              }`}
+              onClick={() => selectTemplate(template)}
+            >
+              <Typography.Text
+                strong={template.id === selectedId}
+                ellipsis={{ showTooltip: true }}
+                className='text-sm block'
+              >
+                {template.name}
+              </Typography.Text>
+              <Typography.Text className='text-xs text-gray-500 block'>
+                v{getLatestPromptVersion(template).version} ·{' '}
+                {new Date(template.updatedAt).toLocaleString()}
+              </Typography.Text>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+
+  const renderVersionHistory = () => {
+    if (!selectedTemplate) return null;
+
+    return (
+      <div className='space-y-3'>
+        <div className='flex items-center gap-2'>
+          <History size={14} className='text-gray-500' />
+          <Typography.Text strong className='text-sm'>
+            {t('版本历史')}
+          </Typography.Text>
+        </div>
+        <div className='space-y-1 max-h-40 overflow-y-auto'>
+          {selectedTemplate.versions
+            .slice()
+            .reverse()
+            .map((version) => (
+              <div
+                key={version.version}
+                className='flex items-center justify-between gap-2 px-2 py-1 rounded hover:bg-gray-50 dark:hover:bg-gray-800'
+              >
+                <Typography.Text
+                  ellipsis={{ showTooltip: true }}
+                  className='text-xs flex-1 min-w-0'
+                >
+                  <span className='font-mono mr-2'>v{version.version}</span>
+                  {version.note}
+                </Typography.Text>
+                <Typography.Text className='text-xs text-gray-500 flex-shrink-0'>
+                  {new Date(version.createdAt).toLocaleString()}
+                </Typography.Text>
+                <Button
+                  size='small'
+                  theme='borderless'
+                  onClick={() =>
+                    setDraft((prev) => ({ ...prev, content: version.content }))
+                  }
+                >
+                  {t('载入')}
+                </Button>
+              </div>
+            ))}
+        </div>
+
+        <div className='flex items-center gap-2'>
+          <Select
+            value={diffBase}
+            onChange={setDiffBase}
+            optionList={versionOptions}
+            size='small'
+            style={{ width: 180 }}
+          />
+          <Typography.Text className='text-xs text-gray-500'>→</Typography.Text>
+          <Select
+            value={diffTarget}
+            onChange={setDiffTarget}
+            optionList={versionOptions}
+            size='small'
+            style={{ width: 180 }}
+          />
+        </div>
+        {diffBase !== null && (
+          <PromptVersionDiff
+            oldText={getVersionContent(diffBase)}
+            newText={getVersionContent(diffTarget)}
+          />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Modal
+      title={t('提示词库')}
+      visible={visible}
+      onCancel={onClose}
+      footer={null}
+      width={styleState.isMobile ? '100%' : 960}
+    >
+      <div className='grid grid-cols-1 md:grid-cols-[240px_1fr] gap-6 pb-4'>
+        {renderTemplateList()}
+
+        <div className='space-y-3 min-w-0'>
+          <Input
+            value={draft.name}
+            onChange={(value) => setDraft((prev) => ({ ...prev, name: value }))}
+            placeholder={t('模板名称')}
+            maxLength={60}
+            className='!rounded-lg'
+          />
+          <TextArea
+            value={draft.content}
+            onChange={(value) =>
+              setDraft((prev) => ({ ...prev, content: value }))
+            }
+            placeholder={t('提示词内容，可使用 {{example}} 作为占位符', {
+              example: '{{name}}',
+            })}
+            autosize={{ minRows: 6, maxRows: 14 }}
+            className='!rounded-lg font-mono'
+          />
+          {draftVariables.length > 0 && (
+            <div className='flex flex-wrap items-center gap-1'>
+              <Typography.Text className='text-xs text-gray-500 mr-1'>
+                {t('变量')}:
+              </Typography.Text>
+              {draftVariables.map((name) => (
+                <Tag key={name} size='small' color='violet'>
+                  {name}
+                </Tag>
+              ))}
+            </div>
+          )}
+          <div className='flex flex-wrap items-center gap-2'>
+            <Input
+              value={draft.note}
+              onChange={(value) =>
+                setDraft((prev) => ({ ...prev, note: value }))
+              }
+              placeholder={t('版本说明（可选）')}
+              size='small'
+              className='!rounded-lg flex-1 min-w-[160px]'
+            />
+            {selectedTemplate && (
+              <Button
+                icon={<Trash2 size={14} />}
+                type='danger'
+                theme='borderless'
+                onClick={handleDelete}
+                className='!rounded-lg'
+              />
+            )}
+            <Button
+              icon={<Save size={14} />}
+              theme='light'
+              loading={saving}
+              disabled={!draft.name.trim() || !draft.content.trim()}
+              onClick={handleSave}
+              className='!rounded-lg'
+            >
+              {selectedTemplate ? t('保存新版本') : t('保存模板')}
+            </Button>
+            <Button
+              icon={<Check size={14} />}
+              theme='solid'
+              disabled={!draft.content.trim()}
+              onClick={handleApply}
+              className='!rounded-lg'
+            >
+              {t('应用')}
+            </Button>
+          </div>
+
+          {renderVersionHistory()}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default PromptLibraryModal;
@@ -0,0 +1,83 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useState } from 'react';
+import { Modal, TextArea, Typography } from '@douyinfe/semi-ui';
+import { useTranslation } from 'react-i18next';
+
+const PromptVariablesModal = ({
+  visible,
+  variables,
+  values,
+  onConfirm,
+  onCancel,
+}) => {
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState({});
+
+  // 每次打开时以上次填写的值作为初始值
+  useEffect(() => {
+    if (visible) {
+      setDraft(
+        variables.reduce(
+          (acc, name) => ({ ...acc, [name]: values[name] || '' }),
+          {},
+        ),
+      );
+    }
+  }, [visible, variables, values]);
+
+  const allFilled = variables.every((name) => (draft[name] || '').trim());
+
+  return (
+    <Modal
+      title={t('填写提示词变量')}
+      visible={visible}
+      onOk={() => onConfirm(draft)}
+      onCancel={onCancel}
+      okText={t('确定')}
+      cancelText={t('取消')}
+      okButtonProps={{ disabled: !allFilled }}
+      width={520}
+    >
+      <Typography.Text type='tertiary' className='text-sm block mb-4'>
+        {t('系统提示词中包含以下变量，发送前会替换为填写的内容')}
+      </Typography.Text>
+      <div className='space-y-4 max-h-[60vh] overflow-y-auto'>
+        {variables.map((name) => (
+          <div key={name}>
+            <Typography.Text strong className='text-sm font-mono block mb-1'>
+              {`{{${name}}}`}
+            </Typography.Text>
+            <TextArea
+              value={draft[name] || ''}
+              onChange={(value) =>
+                setDraft((prev) => ({ ...prev, [name]: value }))
+              }
+              autosize={{ minRows: 1, maxRows: 6 }}
+              className='!rounded-lg'
+            />
+          </div>
+        ))}
+      </div>
+    </Modal>
+  );
+};
+
+export default PromptVariablesModal;
@@ -0,0 +1,77 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useMemo } from 'react';
+import { Typography } from '@douyinfe/semi-ui';
+import { useTranslation } from 'react-i18next';
+import { diffLines } from '../../helpers';
+
+const LINE_STYLES = {
+  added: {
+    className: 'bg-green-50 text-green-700 dark:bg-green-900/20',
+    marker: '+',
+  },
+  removed: {
+    className: 'bg-red-50 text-red-700 line-through dark:bg-red-900/20',
+    marker: '-',
+  },
+  equal: { className: 'text-gray-600 dark:text-gray-300', marker: ' ' },
+};
+
+const PromptVersionDiff = ({ oldText, newText }) => {
+  const { t } = useTranslation();
+  const lines = useMemo(() => diffLines(oldText, newText), [oldText, newText]);
+
+  const stats = lines.reduce(
+    (acc, line) => ({ ...acc, [line.type]: acc[line.type] + 1 }),
+    { added: 0, removed: 0, equal: 0 },
+  );
+
+  if (stats.added === 0 && stats.removed === 0) {
+    return (
+      <Typography.Text type='tertiary' className='text-sm'>
+        {t('两个版本内容相同')}
+      </Typography.Text>
+    );
+  }
+
+  return (
+    <div>
+      <div className='flex gap-3 mb-2 text-xs'>
+        <span className='text-green-600'>+{stats.added}</span>
+        <span className='text-red-600'>-{stats.removed}</span>
+      </div>
+      <div className='rounded-lg border border-gray-200 dark:border-gray-700 overflow-auto max-h-72 font-mono text-xs'>
+        {lines.map((line, index) => (
+          <div
+            key={index}
+            className={`flex whitespace-pre-wrap break-all px-2 ${LINE_STYLES[line.type].className}`}
+          >
+            <span className='select-none w-4 flex-shrink-0'>
+              {LINE_STYLES[line.type].marker}
+            </span>
+            <span>{line.text || ' '}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PromptVersionDiff;
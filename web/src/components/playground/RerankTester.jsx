@@ -0,0 +1,221 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Button,
+  Empty,
+  InputNumber,
+  Progress,
+  Table,
+  TextArea,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Plus, Send, Trash2 } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import {
+  API_ENDPOINTS,
+  ENDPOINT_DEFAULTS,
+} from '../../constants/playground.constants';
+
+const MAX_DOCUMENTS = 20;
+
+const RerankTester = ({ inputs, loading, onRequest, onPreviewChange }) => {
+  const { t } = useTranslation();
+  const [query, setQuery] = useState(ENDPOINT_DEFAULTS.rerank.query);
+  const [documents, setDocuments] = useState(
+    ENDPOINT_DEFAULTS.rerank.documents,
+  );
+  const [topN, setTopN] = useState(ENDPOINT_DEFAULTS.rerank.top_n);
+  const [result, setResult] = useState(null);
+
+  const payload = useMemo(() => {
+    const body = {
+      model: inputs.model,
+      group: inputs.group,
+      query,
+      documents: documents.filter((document) => document.trim() !== ''),
+      return_documents: true,
+    };
+    if (topN) {
+      body.top_n = topN;
+    }
+    return body;
+  }, [inputs.model, inputs.group, query, documents, topN]);
+
+  useEffect(() => {
+    onPreviewChange(payload);
+  }, [payload, onPreviewChange]);
+
+  const handleDocumentChange = (index, value) => {
+    setDocuments((prev) =>
+      prev.map((document, i) => (i === index ? value : document)),
+    );
+  };
+
+  const handleSend = async () => {
+    const response = await onRequest(API_ENDPOINTS.RERANK, payload);
+    if (response) {
+      setResult({ documents: payload.documents, data: response.data });
+    }
+  };
+
+  const rows = useMemo(() => {
+    const results = Array.isArray(result?.data?.results)
+      ? result.data.results
+      : [];
+    return [...results]
+      .sort((a, b) => b.relevance_score - a.relevance_score)
+      .map((item, rank) => ({
+        key: item.index,
+        rank: rank + 1,
+        index: item.index,
+        score: item.relevance_score,
+        // 上游未返回文档内容时按索引回填
+        document:
+          typeof item.document === 'string'
+            ? item.document
+            : (item.document?.text ?? result.documents[item.index] ?? ''),
+      }));
+  }, [result]);
+
+  const maxScore = Math.max(...rows.map((row) => row.score), 1e-9);
+
+  const columns = [
+    {
+      title: t('排名'),
+      dataIndex: 'rank',
+      width: 70,
+    },
+    {
+      title: t('文档'),
+      dataIndex: 'document',
+      render: (text, record) => (
+        <Typography.Paragraph
+          ellipsis={{ rows: 2, showTooltip: true }}
+          className='text-sm'
+        >
+          <span className='text-gray-500 mr-1'>#{record.index}</span>
+          {text}
+        </Typography.Paragraph>
+      ),
+    },
+    {
+      title: t('相关性分数'),
+      dataIndex: 'score',
+      width: 200,
+      render: (score) => (
+        <div>
+          <Typography.Text className='font-mono text-sm'>
+            {score.toFixed(6)}
+          </Typography.Text>
+          <Progress
+            percent={Math.max(0, (score / maxScore) * 100)}
+            showInfo={false}
+            size='small'
+            stroke='var(--semi-color-primary)'
+          />
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <div className='space-y-6'>
+      <div className='space-y-3'>
+        <TextArea
+          value={query}
+          onChange={setQuery}
+          placeholder={t('请输入查询语句')}
+          autosize={{ minRows: 1, maxRows: 4 }}
+          className='!rounded-lg'
+        />
+        {documents.map((document, index) => (
+          <div key={index} className='flex items-start gap-2'>
+            <Typography.Text className='text-xs text-gray-500 mt-2 w-6 flex-shrink-0'>
+              #{index}
+            </Typography.Text>
+            <TextArea
+              value={document}
+              onChange={(value) => handleDocumentChange(index, value)}
+              placeholder={t('请输入候选文档')}
+              autosize={{ minRows: 1, maxRows: 6 }}
+              className='!rounded-lg flex-1'
+            />
+            <Button
+              icon={<Trash2 size={14} />}
+              theme='borderless'
+              type='danger'
+              disabled={documents.length <= 1}
+              onClick={() =>
+                setDocuments((prev) => prev.filter((_, i) => i !== index))
+              }
+            />
+          </div>
+        ))}
+        <div className='flex flex-wrap items-center justify-between gap-2'>
+          <Button
+            icon={<Plus size={14} />}
+            theme='light'
+            disabled={documents.length >= MAX_DOCUMENTS}
+            onClick={() => setDocuments((prev) => [...prev, ''])}
+            className='!rounded-lg'
+          >
+            {t('添加文档')}
+          </Button>
+          <div className='flex items-center gap-2'>
+            <Typography.Text className='text-sm'>Top N</Typography.Text>
+            <InputNumber
+              value={topN}
+              onChange={(value) => setTopN(value || null)}
+              min={1}
+              placeholder={t('全部')}
+              style={{ width: 120 }}
+            />
+            <Button
+              icon={<Send size={14} />}
+              theme='solid'
+              loading={loading}
+              disabled={
+                !inputs.model || !query.trim() || payload.documents.length === 0
+              }
+              onClick={handleSend}
+              className='!rounded-lg'
+            >
+              {t('发送')}
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      {rows.length > 0 ? (
+        <Table
+          columns={columns}
+          dataSource={rows}
+          pagination={false}
+          size='small'
+        />
+      ) : (
+        <Empty description={t('发送请求后在此查看重排结果')} />
+      )}
+    </div>
+  );
+};
+
+export default RerankTester;
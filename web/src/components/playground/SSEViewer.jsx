@@ -22,14 +22,17 @@ import { Button, Tooltip, Toast, Collapse, Badge, Typography } from '@douyinfe/s
 import { Copy, ChevronDown, ChevronUp, Zap, CheckCircle, XCircle } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { copy } from '../../helpers';
+import StreamMetrics from './StreamMetrics';
 
 /**
  * SSEViewer component for displaying Server-Sent Events in an interactive format
  * @param {Object} props - Component props
  * @param {Array} props.sseData - Array of SSE messages to display
+ * @param {Array} props.sseTimings - Arrival time (ms since request start) of each message
+ * @param {boolean} props.isStreaming - Whether the stream is still being received
  * @returns {JSX.Element} Rendered SSE viewer component
  */
-const SSEViewer = ({ sseData }) => {
+const SSEViewer = ({ sseData, sseTimings, isStreaming }) => {
   const { t } = useTranslation();
   const [expandedKeys, setExpandedKeys] = useState([]);
   const [copied, setCopied] = useState(false);
@@ -221,6 +224,13 @@ const SSEViewer = ({ sseData }) => {
         </div>
       </div>
 
+      {/* 流式指标与回放 */}
+      <StreamMetrics
+        sseData={sseData}
+        sseTimings={sseTimings}
+        isStreaming={isStreaming}
+      />
+
       {/* SSE 数据列表 */}
       <div className='flex-1 overflow-auto p-4'>
         <Collapse
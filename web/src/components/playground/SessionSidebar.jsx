@@ -0,0 +1,273 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useMemo, useState } from 'react';
+import {
+  Button,
+  Card,
+  Dropdown,
+  Empty,
+  Input,
+  Modal,
+  Spin,
+  Typography,
+} from '@douyinfe/semi-ui';
+import {
+  Copy,
+  MessagesSquare,
+  MoreHorizontal,
+  Pencil,
+  Plus,
+  Search,
+  Trash2,
+  X,
+} from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+
+const SessionSidebar = ({
+  sessions,
+  activeSessionId,
+  loading,
+  disabled,
+  styleState,
+  onSessionSwitch,
+  onSessionCreate,
+  onSessionRename,
+  onSessionDuplicate,
+  onSessionDelete,
+  onClose,
+}) => {
+  const { t } = useTranslation();
+  const [keyword, setKeyword] = useState('');
+  const [renameTarget, setRenameTarget] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const getSessionTitle = (session) =>
+    session.name || session.preview || t('新会话');
+
+  const filteredSessions = useMemo(() => {
+    const trimmed = keyword.trim().toLowerCase();
+    if (!trimmed) return sessions;
+    return sessions.filter((session) =>
+      [session.name, session.preview, session.model].some((field) =>
+        (field || '').toLowerCase().includes(trimmed),
+      ),
+    );
+  }, [sessions, keyword]);
+
+  const openRename = (session) => {
+    setRenameTarget(session);
+    setRenameValue(session.name || '');
+  };
+
+  const handleRenameOk = () => {
+    if (renameTarget) {
+      onSessionRename(renameTarget.id, renameValue);
+    }
+    setRenameTarget(null);
+  };
+
+  const handleDelete = (session) => {
+    Modal.confirm({
+      title: t('删除会话'),
+      content: t('确定要删除会话「{{name}}」吗？此操作不可撤销。', {
+        name: getSessionTitle(session),
+      }),
+      okText: t('确定'),
+      cancelText: t('取消'),
+      okButtonProps: {
+        type: 'danger',
+      },
+      onOk: () => onSessionDelete(session.id),
+    });
+  };
+
+  const renderSessionItem = (session) => {
+    const isActive = session.id === activeSessionId;
+
+    return (
+      <div
+        key={session.id}
+        className={`group flex items-start gap-2 px-3 py-2 rounded-lg cursor-pointer transition-colors ${
+          isActive
+            ? 'bg-purple-50 dark:bg-purple-900/20'
+            : 'hover:bg-gray-50 dark:hover:bg-gray-800'
+        } ${disabled && !isActive ? 'opacity-50 cursor-not-allowed' : ''}`}
+        onClick={() => {
+          if (!disabled) onSessionSwitch(session.id);
+        }}
+      >
+        <div className='flex-1 min-w-0'>
+          <Typography.Text
+            strong={isActive}
+            ellipsis={{ showTooltip: true }}
+            className='text-sm block'
+          >
+            {getSessionTitle(session)}
+          </Typography.Text>
+          <Typography.Text className='text-xs text-gray-500 block truncate'>
+            {[
+              session.model,
+              t('{{count}} 条消息', { count: session.messageCount }),
+            ]
+              .filter(Boolean)
+              .join(' · ')}
+          </Typography.Text>
+          <Typography.Text className='text-xs text-gray-400 block'>
+            {new Date(session.updatedAt).toLocaleString()}
+          </Typography.Text>
+        </div>
+
+        <div onClick={(e) => e.stopPropagation()}>
+          <Dropdown
+            trigger='click'
+            position='bottomRight'
+            menu={[
+              {
+                node: 'item',
+                name: t('重命名'),
+                icon: <Pencil size={14} />,
+                onClick: () => openRename(session),
+              },
+              {
+                node: 'item',
+                name: t('复制'),
+                icon: <Copy size={14} />,
+                disabled,
+                onClick: () => onSessionDuplicate(session.id),
+              },
+              { node: 'divider' },
+              {
+                node: 'item',
+                name: t('删除'),
+                type: 'danger',
+                icon: <Trash2 size={14} />,
+                disabled: disabled && isActive,
+                onClick: () => handleDelete(session),
+              },
+            ]}
+          >
+            <Button
+              icon={<MoreHorizontal size={14} />}
+              size='small'
+              theme='borderless'
+              type='tertiary'
+              className='!rounded-lg'
+            />
+          </Dropdown>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Card
+      className='h-full flex flex-col'
+      bordered={false}
+      bodyStyle={{
+        padding: styleState.isMobile ? '16px' : '16px 12px',
+        height: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+      }}
+    >
+      <div className='flex items-center justify-between mb-4 flex-shrink-0'>
+        <div className='flex items-center'>
+          <div className='w-8 h-8 rounded-full bg-gradient-to-r from-indigo-500 to-purple-500 flex items-center justify-center mr-2'>
+            <MessagesSquare size={16} className='text-white' />
+          </div>
+          <Typography.Title heading={6} className='mb-0'>
+            {t('会话')}
+          </Typography.Title>
+        </div>
+
+        <div className='flex items-center gap-1'>
+          <Button
+            icon={<Plus size={14} />}
+            size='small'
+            theme='light'
+            type='primary'
+            onClick={onSessionCreate}
+            disabled={disabled || loading}
+            className='!rounded-lg'
+          >
+            {t('新建')}
+          </Button>
+          {styleState.isMobile && onClose && (
+            <Button
+              icon={<X size={16} />}
+              onClick={onClose}
+              theme='borderless'
+              type='tertiary'
+              size='small'
+              className='!rounded-lg'
+            />
+          )}
+        </div>
+      </div>
+
+      <Input
+        prefix={<Search size={14} className='ml-2 text-gray-400' />}
+        placeholder={t('搜索会话')}
+        value={keyword}
+        onChange={setKeyword}
+        showClear
+        size='small'
+        className='!rounded-lg mb-3 flex-shrink-0'
+      />
+
+      <div className='flex-1 overflow-y-auto space-y-1 model-settings-scroll'>
+        {loading ? (
+          <div className='flex justify-center py-8'>
+            <Spin />
+          </div>
+        ) : filteredSessions.length === 0 ? (
+          <Empty
+            description={keyword ? t('没有匹配的会话') : t('暂无会话')}
+            className='py-8'
+          />
+        ) : (
+          filteredSessions.map(renderSessionItem)
+        )}
+      </div>
+
+      <Modal
+        title={t('重命名会话')}
+        visible={!!renameTarget}
+        onOk={handleRenameOk}
+        onCancel={() => setRenameTarget(null)}
+        okText={t('确定')}
+        cancelText={t('取消')}
+        okButtonProps={{ disabled: !renameValue.trim() }}
+        width={400}
+      >
+        <Input
+          value={renameValue}
+          onChange={setRenameValue}
+          placeholder={t('请输入会话名称')}
+          maxLength={60}
+          onEnterPress={() => renameValue.trim() && handleRenameOk()}
+          autoFocus
+        />
+      </Modal>
+    </Card>
+  );
+};
+
+export default SessionSidebar;
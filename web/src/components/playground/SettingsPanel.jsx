@@ -18,14 +18,33 @@ For commercial licensing, please contact support@quantumnous.com
 */
 
 import React from 'react';
-import { Card, Select, Typography, Button, Switch } from '@douyinfe/semi-ui';
-import { Sparkles, Users, ToggleLeft, X, Settings } from 'lucide-react';
+import {
+  Card,
+  Select,
+  Typography,
+  Button,
+  Switch,
+  TextArea,
+} from '@douyinfe/semi-ui';
+import {
+  Sparkles,
+  Users,
+  ToggleLeft,
+  X,
+  Settings,
+  ScrollText,
+  Route,
+  BookOpen,
+  Variable,
+} from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { renderGroupOption, selectFilter } from '../../helpers';
 import ParameterControl from './ParameterControl';
 import ImageUrlInput from './ImageUrlInput';
 import ConfigManager from './ConfigManager';
 import CustomRequestEditor from './CustomRequestEditor';
+import ToolsEditor from './ToolsEditor';
+import { ENDPOINT_MODES } from '../../constants/playground.constants';
 
 const SettingsPanel = ({
   inputs,
@@ -36,6 +55,10 @@ const SettingsPanel = ({
   showDebugPanel,
   customRequestMode,
   customRequestBody,
+  systemPrompt,
+  endpointMode,
+  promptTemplates,
+  promptVariables,
   onInputChange,
   onParameterToggle,
   onCloseSettings,
@@ -43,10 +66,28 @@ const SettingsPanel = ({
   onConfigReset,
   onCustomRequestModeChange,
   onCustomRequestBodyChange,
+  onSystemPromptChange,
+  onEndpointModeChange,
+  onOpenPromptLibrary,
+  onOpenPromptVariables,
   previewPayload,
   messages,
 }) => {
   const { t } = useTranslation();
+  // 非对话接口只使用分组与模型，其余对话参数隐藏
+  const isChatMode = endpointMode === ENDPOINT_MODES.CHAT;
+  // 批量评测同样使用对话接口，沿用系统提示词与参数设置
+  const usesChatPayload = isChatMode || endpointMode === ENDPOINT_MODES.EVAL;
+  const ignoredByCustomRequest = isChatMode && customRequestMode;
+
+  const endpointModeOptions = [
+    { value: ENDPOINT_MODES.CHAT, label: t('对话') },
+    { value: ENDPOINT_MODES.EMBEDDINGS, label: t('向量嵌入') },
+    { value: ENDPOINT_MODES.IMAGES, label: t('图像生成') },
+    { value: ENDPOINT_MODES.AUDIO, label: t('语音') },
+    { value: ENDPOINT_MODES.RERANK, label: t('重排序') },
+    { value: ENDPOINT_MODES.EVAL, label: t('批量评测') },
+  ];
 
   const currentConfig = {
     inputs,
@@ -54,6 +95,8 @@ const SettingsPanel = ({
     showDebugPanel,
     customRequestMode,
     customRequestBody,
+    systemPrompt,
+    promptTemplates,
   };
 
   return (
@@ -104,23 +147,42 @@ const SettingsPanel = ({
       )}
 
       <div className='space-y-6 overflow-y-auto flex-1 pr-2 model-settings-scroll'>
+        {/* 接口类型 */}
+        <div>
+          <div className='flex items-center gap-2 mb-2'>
+            <Route size={16} className='text-gray-500' />
+            <Typography.Text strong className='text-sm'>
+              {t('接口类型')}
+            </Typography.Text>
+          </div>
+          <Select
+            value={endpointMode}
+            onChange={onEndpointModeChange}
+            optionList={endpointModeOptions}
+            style={{ width: '100%' }}
+            className='!rounded-lg'
+          />
+        </div>
+
         {/* 自定义请求体编辑器 */}
-        <CustomRequestEditor
-          customRequestMode={customRequestMode}
-          customRequestBody={customRequestBody}
-          onCustomRequestModeChange={onCustomRequestModeChange}
-          onCustomRequestBodyChange={onCustomRequestBodyChange}
-          defaultPayload={previewPayload}
-        />
+        {isChatMode && (
+          <CustomRequestEditor
+            customRequestMode={customRequestMode}
+            customRequestBody={customRequestBody}
+            onCustomRequestModeChange={onCustomRequestModeChange}
+            onCustomRequestBodyChange={onCustomRequestBodyChange}
+            defaultPayload={previewPayload}
+          />
+        )}
 
         {/* 分组选择 */}
-        <div className={customRequestMode ? 'opacity-50' : ''}>
+        <div className={ignoredByCustomRequest ? 'opacity-50' : ''}>
           <div className='flex items-center gap-2 mb-2'>
             <Users size={16} className='text-gray-500' />
             <Typography.Text strong className='text-sm'>
               {t('分组')}
             </Typography.Text>
-            {customRequestMode && (
+            {ignoredByCustomRequest && (
               <Typography.Text className='text-xs text-orange-600'>
                 ({t('已在自定义模式中忽略')})
               </Typography.Text>
@@ -141,18 +203,18 @@ const SettingsPanel = ({
             style={{ width: '100%' }}
             dropdownStyle={{ width: '100%', maxWidth: '100%' }}
             className='!rounded-lg'
-            disabled={customRequestMode}
+            disabled={ignoredByCustomRequest}
           />
         </div>
 
         {/* 模型选择 */}
-        <div className={customRequestMode ? 'opacity-50' : ''}>
+        <div className={ignoredByCustomRequest ? 'opacity-50' : ''}>
           <div className='flex items-center gap-2 mb-2'>
             <Sparkles size={16} className='text-gray-500' />
             <Typography.Text strong className='text-sm'>
               {t('模型')}
             </Typography.Text>
-            {customRequestMode && (
+            {ignoredByCustomRequest && (
               <Typography.Text className='text-xs text-orange-600'>
                 ({t('已在自定义模式中忽略')})
               </Typography.Text>
@@ -172,58 +234,126 @@ const SettingsPanel = ({
             style={{ width: '100%' }}
             dropdownStyle={{ width: '100%', maxWidth: '100%' }}
             className='!rounded-lg'
-            disabled={customRequestMode}
-          />
-        </div>
-
-        {/* 图片URL输入 */}
-        <div className={customRequestMode ? 'opacity-50' : ''}>
-          <ImageUrlInput
-            imageUrls={inputs.imageUrls}
-            imageEnabled={inputs.imageEnabled}
-            onImageUrlsChange={(urls) => onInputChange('imageUrls', urls)}
-            onImageEnabledChange={(enabled) =>
-              onInputChange('imageEnabled', enabled)
-            }
-            disabled={customRequestMode}
+            disabled={ignoredByCustomRequest}
           />
         </div>
 
-        {/* 参数控制组件 */}
-        <div className={customRequestMode ? 'opacity-50' : ''}>
-          <ParameterControl
-            inputs={inputs}
-            parameterEnabled={parameterEnabled}
-            onInputChange={onInputChange}
-            onParameterToggle={onParameterToggle}
-            disabled={customRequestMode}
-          />
-        </div>
-
-        {/* 流式输出开关 */}
-        <div className={customRequestMode ? 'opacity-50' : ''}>
-          <div className='flex items-center justify-between'>
-            <div className='flex items-center gap-2'>
-              <ToggleLeft size={16} className='text-gray-500' />
+        {/* 系统提示词 */}
+        {usesChatPayload && (
+          <div className={ignoredByCustomRequest ? 'opacity-50' : ''}>
+            <div className='flex items-center gap-2 mb-2'>
+              <ScrollText size={16} className='text-gray-500' />
               <Typography.Text strong className='text-sm'>
-                {t('流式输出')}
+                {t('系统提示词')}
               </Typography.Text>
-              {customRequestMode && (
+              {ignoredByCustomRequest && (
                 <Typography.Text className='text-xs text-orange-600'>
                   ({t('已在自定义模式中忽略')})
                 </Typography.Text>
               )}
+              <div className='flex items-center gap-1 ml-auto'>
+                {promptVariables.length > 0 && (
+                  <Button
+                    icon={<Variable size={12} />}
+                    size='small'
+                    theme='borderless'
+                    onClick={onOpenPromptVariables}
+                    disabled={ignoredByCustomRequest}
+                    className='!rounded-lg'
+                  >
+                    {t('变量')} ({promptVariables.length})
+                  </Button>
+                )}
+                <Button
+                  icon={<BookOpen size={12} />}
+                  size='small'
+                  theme='borderless'
+                  onClick={onOpenPromptLibrary}
+                  disabled={ignoredByCustomRequest}
+                  className='!rounded-lg'
+                >
+                  {t('提示词库')}
+                </Button>
+              </div>
             </div>
-            <Switch
-              checked={inputs.stream}
-              onChange={(checked) => onInputChange('stream', checked)}
-              checkedText={t('开')}
-              uncheckedText={t('关')}
-              size='small'
+            <TextArea
+              placeholder={t('可选，作为 system 消息发送在对话开头')}
+              value={systemPrompt}
+              onChange={onSystemPromptChange}
+              autosize={{ minRows: 2, maxRows: 8 }}
+              className='!rounded-lg'
+              disabled={ignoredByCustomRequest}
+            />
+          </div>
+        )}
+
+        {/* 图片URL输入 */}
+        {isChatMode && (
+          <div className={customRequestMode ? 'opacity-50' : ''}>
+            <ImageUrlInput
+              imageUrls={inputs.imageUrls}
+              imageEnabled={inputs.imageEnabled}
+              onImageUrlsChange={(urls) => onInputChange('imageUrls', urls)}
+              onImageEnabledChange={(enabled) =>
+                onInputChange('imageEnabled', enabled)
+              }
               disabled={customRequestMode}
             />
           </div>
-        </div>
+        )}
+
+        {/* 参数控制组件 */}
+        {usesChatPayload && (
+          <div className={ignoredByCustomRequest ? 'opacity-50' : ''}>
+            <ParameterControl
+              inputs={inputs}
+              parameterEnabled={parameterEnabled}
+              onInputChange={onInputChange}
+              onParameterToggle={onParameterToggle}
+              disabled={ignoredByCustomRequest}
+            />
+          </div>
+        )}
+
+        {/* 工具调用 */}
+        {isChatMode && (
+          <div className={customRequestMode ? 'opacity-50' : ''}>
+            <ToolsEditor
+              tools={inputs.tools}
+              toolChoice={inputs.tool_choice}
+              toolMocks={inputs.toolMocks}
+              onInputChange={onInputChange}
+              disabled={customRequestMode}
+            />
+          </div>
+        )}
+
+        {/* 流式输出开关 */}
+        {isChatMode && (
+          <div className={customRequestMode ? 'opacity-50' : ''}>
+            <div className='flex items-center justify-between'>
+              <div className='flex items-center gap-2'>
+                <ToggleLeft size={16} className='text-gray-500' />
+                <Typography.Text strong className='text-sm'>
+                  {t('流式输出')}
+                </Typography.Text>
+                {customRequestMode && (
+                  <Typography.Text className='text-xs text-orange-600'>
+                    ({t('已在自定义模式中忽略')})
+                  </Typography.Text>
+                )}
+              </div>
+              <Switch
+                checked={inputs.stream}
+                onChange={(checked) => onInputChange('stream', checked)}
+                checkedText={t('开')}
+                uncheckedText={t('关')}
+                size='small'
+                disabled={customRequestMode}
+              />
+            </div>
+          </div>
+        )}
       </div>
 
       {/* 桌面端的配置管理放在底部 */}
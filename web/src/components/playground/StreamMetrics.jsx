@@ -0,0 +1,291 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react';
+import { Button, Select, Tooltip, Typography } from '@douyinfe/semi-ui';
+import { Gauge, Play, Square } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { computeStreamMetrics, parseStreamChunk } from '../../helpers';
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const SPARKLINE_WIDTH = 300;
+const SPARKLINE_HEIGHT = 36;
+
+const formatMs = (value) => {
+  if (value === null || value === undefined) return '-';
+  return value >= 1000
+    ? `${(value / 1000).toFixed(2)}s`
+    : `${Math.round(value)}ms`;
+};
+
+// 数据块到达时间线：横轴为时间，竖线高度为距上一个 token 的间隔
+const ArrivalSparkline = ({ chunks, timings, metrics, progress }) => {
+  const { t } = useTranslation();
+  const total = Math.max(metrics.totalDuration, 1);
+  const maxGap = Math.max(...metrics.gaps, 1);
+
+  let previousTokenAt = null;
+  const bars = [];
+  chunks.forEach((raw, index) => {
+    if (!parseStreamChunk(raw).hasToken) return;
+    const time = timings[index];
+    const gap = previousTokenAt === null ? 0 : time - previousTokenAt;
+    previousTokenAt = time;
+    bars.push({
+      x: (time / total) * SPARKLINE_WIDTH,
+      height: Math.max((gap / maxGap) * SPARKLINE_HEIGHT, 2),
+    });
+  });
+
+  const ttftWidth =
+    metrics.timeToFirstToken === null
+      ? 0
+      : (metrics.timeToFirstToken / total) * SPARKLINE_WIDTH;
+
+  return (
+    <Tooltip content={t('竖线为 token 到达时刻，高度为与上一个 token 的间隔')}>
+      <svg
+        viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+        preserveAspectRatio='none'
+        className='w-full h-9 rounded bg-white dark:bg-gray-800'
+      >
+        <rect
+          x={0}
+          y={0}
+          width={ttftWidth}
+          height={SPARKLINE_HEIGHT}
+          fill='var(--semi-color-warning-light-default)'
+        />
+        {bars.map((bar, index) => (
+          <line
+            key={index}
+            x1={bar.x}
+            x2={bar.x}
+            y1={SPARKLINE_HEIGHT}
+            y2={SPARKLINE_HEIGHT - bar.height}
+            stroke='var(--semi-color-primary)'
+            strokeWidth={1}
+            vectorEffect='non-scaling-stroke'
+          />
+        ))}
+        {progress !== null && (
+          <line
+            x1={(progress / total) * SPARKLINE_WIDTH}
+            x2={(progress / total) * SPARKLINE_WIDTH}
+            y1={0}
+            y2={SPARKLINE_HEIGHT}
+            stroke='var(--semi-color-danger)'
+            strokeWidth={1.5}
+            vectorEffect='non-scaling-stroke'
+          />
+        )}
+      </svg>
+    </Tooltip>
+  );
+};
+
+/**
+ * 流式响应指标与回放
+ * @param {Object} props
+ * @param {Array<string>} props.sseData - SSE 原始数据
+ * @param {Array<number>} props.sseTimings - 各数据块相对请求开始的到达时间（毫秒）
+ * @param {boolean} props.isStreaming - 是否仍在接收
+ */
+const StreamMetrics = ({ sseData, sseTimings, isStreaming }) => {
+  const { t } = useTranslation();
+  const [speed, setSpeed] = useState(1);
+  const [replayTime, setReplayTime] = useState(null);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const frameRef = useRef(null);
+
+  const metrics = useMemo(
+    () => computeStreamMetrics(sseData, sseTimings),
+    [sseData, sseTimings],
+  );
+
+  const stopReplay = useCallback(() => {
+    if (frameRef.current) cancelAnimationFrame(frameRef.current);
+    frameRef.current = null;
+    setIsReplaying(false);
+    setReplayTime(null);
+  }, []);
+
+  // 按原始到达时间（乘以倍速）逐帧推进回放进度
+  const startReplay = useCallback(() => {
+    if (!metrics) return;
+    if (frameRef.current) cancelAnimationFrame(frameRef.current);
+    const startedAt = performance.now();
+    const tick = () => {
+      const elapsed = (performance.now() - startedAt) * speed;
+      if (elapsed >= metrics.totalDuration) {
+        frameRef.current = null;
+        setIsReplaying(false);
+        setReplayTime(metrics.totalDuration);
+        return;
+      }
+      setReplayTime(elapsed);
+      frameRef.current = requestAnimationFrame(tick);
+    };
+    setIsReplaying(true);
+    frameRef.current = requestAnimationFrame(tick);
+  }, [metrics, speed]);
+
+  // 新请求开始接收时结束回放
+  useEffect(() => {
+    if (isStreaming) stopReplay();
+  }, [isStreaming, stopReplay]);
+
+  // 卸载时取消动画帧
+  useEffect(
+    () => () => {
+      if (frameRef.current) cancelAnimationFrame(frameRef.current);
+    },
+    [],
+  );
+
+  const replayText = useMemo(() => {
+    if (replayTime === null) return '';
+    let text = '';
+    for (let i = 0; i < sseData.length && sseTimings[i] <= replayTime; i++) {
+      text += parseStreamChunk(sseData[i]).text;
+    }
+    return text;
+  }, [replayTime, sseData, sseTimings]);
+
+  if (!metrics) return null;
+
+  const items = [
+    { label: t('首字延迟'), value: formatMs(metrics.timeToFirstToken) },
+    { label: t('总耗时'), value: formatMs(metrics.totalDuration) },
+    {
+      label: t('字间延迟 P50 / P90 / P99'),
+      value: [
+        metrics.interTokenLatency.p50,
+        metrics.interTokenLatency.p90,
+        metrics.interTokenLatency.p99,
+      ]
+        .map(formatMs)
+        .join(' / '),
+    },
+    {
+      label: t('输出速度'),
+      value:
+        metrics.tokensPerSecond === null
+          ? '-'
+          : `${metrics.isEstimated ? '≈' : ''}${metrics.tokensPerSecond.toFixed(1)} tokens/s`,
+      tip: metrics.isEstimated ? t('响应未包含用量信息，按数据块数量估算') : '',
+    },
+  ];
+
+  return (
+    <div className='p-4 border-b border-gray-200 dark:border-gray-700 space-y-3 flex-shrink-0'>
+      <div className='flex items-center justify-between gap-2'>
+        <div className='flex items-center gap-2'>
+          <Gauge size={16} className='text-blue-500' />
+          <Typography.Text strong>{t('流式指标')}</Typography.Text>
+        </div>
+        <div className='flex items-center gap-2'>
+          <Select
+            size='small'
+            value={speed}
+            onChange={setSpeed}
+            disabled={isReplaying}
+            optionList={REPLAY_SPEEDS.map((value) => ({
+              value,
+              label: `${value}x`,
+            }))}
+            style={{ width: 80 }}
+          />
+          {isReplaying ? (
+            <Button
+              icon={<Square size={12} />}
+              size='small'
+              type='danger'
+              onClick={stopReplay}
+            >
+              {t('停止')}
+            </Button>
+          ) : (
+            <Button
+              icon={<Play size={12} />}
+              size='small'
+              disabled={isStreaming}
+              onClick={startReplay}
+            >
+              {t('回放')}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className='grid grid-cols-2 gap-2'>
+        {items.map((item) => (
+          <div
+            key={item.label}
+            className='px-3 py-2 rounded-lg bg-white dark:bg-gray-800'
+            title={item.tip}
+          >
+            <Typography.Text type='tertiary' size='small' className='block'>
+              {item.label}
+            </Typography.Text>
+            <Typography.Text strong className='font-mono text-sm'>
+              {item.value}
+            </Typography.Text>
+          </div>
+        ))}
+      </div>
+
+      <ArrivalSparkline
+        chunks={sseData}
+        timings={sseTimings}
+        metrics={metrics}
+        progress={replayTime}
+      />
+      <Typography.Text type='tertiary' size='small' className='block'>
+        {t('{{count}} 个数据块，其中 {{tokens}} 个包含输出', {
+          count: metrics.chunkCount,
+          tokens: metrics.tokenChunkCount,
+        })}
+      </Typography.Text>
+
+      {replayTime !== null && (
+        <div className='space-y-1'>
+          <Typography.Text type='tertiary' size='small' className='block'>
+            {t('回放')} {formatMs(replayTime)} /{' '}
+            {formatMs(metrics.totalDuration)}
+          </Typography.Text>
+          <div className='max-h-40 overflow-auto p-3 rounded-lg bg-white dark:bg-gray-800 text-sm whitespace-pre-wrap break-words'>
+            {replayText}
+            {isReplaying && (
+              <span className='inline-block w-1.5 h-4 ml-0.5 align-middle bg-blue-500 animate-pulse' />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StreamMetrics;
@@ -0,0 +1,133 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useMemo } from 'react';
+import { Typography } from '@douyinfe/semi-ui';
+import { CheckCircle2, XCircle } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import {
+  formatJsonLines,
+  getTextContent,
+  validateJsonSchema,
+} from '../../helpers';
+
+// 校验回答是否满足请求中的 response_format
+const checkStructuredOutput = (content, responseFormat) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content.trim());
+  } catch (error) {
+    return { parseError: error.message, errors: [] };
+  }
+
+  if (responseFormat.type === 'json_object') {
+    const isObject =
+      parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+    return {
+      parsed,
+      errors: isObject ? [] : [{ path: '', message: '顶层必须是 JSON 对象' }],
+    };
+  }
+
+  const schema = responseFormat.json_schema?.schema;
+  return { parsed, errors: schema ? validateJsonSchema(parsed, schema) : [] };
+};
+
+const StructuredOutputCheck = ({ message }) => {
+  const { t } = useTranslation();
+  const { responseFormat } = message;
+  const content = getTextContent(message);
+
+  const result = useMemo(
+    () => checkStructuredOutput(content, responseFormat),
+    [content, responseFormat],
+  );
+
+  const errorPaths = useMemo(
+    () => new Set(result.errors.map((error) => error.path)),
+    [result.errors],
+  );
+
+  const schemaName = responseFormat.json_schema?.name;
+  const passed = !result.parseError && result.errors.length === 0;
+
+  if (passed) {
+    return (
+      <div className='mt-2 flex items-center gap-1 text-green-600'>
+        <CheckCircle2 size={14} />
+        <Typography.Text className='!text-green-600 text-xs'>
+          {responseFormat.type === 'json_schema'
+            ? t('输出符合 JSON Schema {{name}}', { name: schemaName || '' })
+            : t('输出为合法的 JSON 对象')}
+        </Typography.Text>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className='mt-2 rounded-lg overflow-hidden'
+      style={{ border: '1px solid var(--semi-color-danger-light-active)' }}
+    >
+      <div className='flex items-center gap-1 px-3 py-2 bg-red-50 dark:bg-red-900/20 text-red-600'>
+        <XCircle size={14} className='flex-shrink-0' />
+        <Typography.Text className='!text-red-600 text-xs font-medium'>
+          {result.parseError
+            ? t('输出不是合法的 JSON：{{error}}', { error: result.parseError })
+            : t('输出有 {{count}} 处不符合要求', {
+                count: result.errors.length,
+              })}
+        </Typography.Text>
+      </div>
+
+      {result.errors.length > 0 && (
+        <>
+          <ul className='m-0 px-3 py-2 space-y-1 list-none'>
+            {result.errors.map((error, index) => (
+              <li key={index} className='text-xs'>
+                <span className='font-mono text-red-600 mr-2'>
+                  {error.path || '/'}
+                </span>
+                <span className='text-gray-600 dark:text-gray-300'>
+                  {t(error.message, error.params)}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <pre className='m-0 py-2 text-xs font-mono max-h-72 overflow-auto bg-gray-50 dark:bg-gray-900'>
+            {formatJsonLines(result.parsed).map((line, index) => (
+              <div
+                key={index}
+                className={`px-3 whitespace-pre ${
+                  errorPaths.has(line.path)
+                    ? 'bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300'
+                    : ''
+                }`}
+              >
+                {line.text}
+              </div>
+            ))}
+          </pre>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StructuredOutputCheck;
@@ -0,0 +1,94 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React from 'react';
+import { Tag, Typography } from '@douyinfe/semi-ui';
+import { Loader2, Wrench } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+
+// 参数是完整 JSON 时格式化展示，流式拼接中的片段原样展示
+const formatArguments = (args) => {
+  if (!args) return '{}';
+  try {
+    return JSON.stringify(JSON.parse(args), null, 2);
+  } catch (error) {
+    return args;
+  }
+};
+
+const ToolCallsContent = ({ message, styleState }) => {
+  const { t } = useTranslation();
+
+  if (!message.toolCalls || message.toolCalls.length === 0) return null;
+
+  const isStreaming =
+    message.status === 'loading' || message.status === 'incomplete';
+
+  return (
+    <div className='space-y-2 mb-2 sm:mb-4'>
+      {message.toolCalls.map((toolCall, index) => (
+        <div
+          key={toolCall.id || index}
+          className='rounded-lg overflow-hidden'
+          style={{ border: '1px solid var(--semi-color-border)' }}
+        >
+          <div className='flex items-center justify-between gap-2 px-3 py-2 bg-gradient-to-r from-sky-50 to-cyan-50'>
+            <div className='flex items-center gap-2 min-w-0'>
+              <div className='w-5 h-5 rounded-full bg-gradient-to-br from-sky-500 to-cyan-600 flex items-center justify-center shadow-sm flex-shrink-0'>
+                <Wrench size={12} className='text-white' />
+              </div>
+              <Typography.Text className='text-sky-700 text-xs sm:text-sm font-medium'>
+                {t('调用工具')}
+              </Typography.Text>
+              <Typography.Text
+                strong
+                ellipsis={{ showTooltip: true }}
+                className='text-xs sm:text-sm font-mono'
+              >
+                {toolCall.function?.name || '...'}
+              </Typography.Text>
+            </div>
+            <div className='flex items-center gap-2 flex-shrink-0'>
+              {isStreaming && (
+                <Loader2
+                  className='animate-spin text-sky-600'
+                  size={styleState.isMobile ? 12 : 14}
+                />
+              )}
+              {toolCall.id && (
+                <Tag
+                  size='small'
+                  color='cyan'
+                  className='hidden sm:inline-flex'
+                >
+                  {toolCall.id}
+                </Tag>
+              )}
+            </div>
+          </div>
+          <pre className='m-0 p-3 text-xs font-mono whitespace-pre-wrap break-all bg-white/70 max-h-60 overflow-y-auto'>
+            {formatArguments(toolCall.function?.arguments)}
+          </pre>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ToolCallsContent;
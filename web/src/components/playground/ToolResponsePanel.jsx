@@ -0,0 +1,122 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useState } from 'react';
+import { Button, TextArea, Typography } from '@douyinfe/semi-ui';
+import { CornerDownLeft, FlaskConical } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+
+const ToolResponsePanel = ({
+  toolCalls,
+  getMockResult,
+  onSubmit,
+  disabled,
+}) => {
+  const { t } = useTranslation();
+
+  // 默认填入模拟结果表中的内容
+  const [values, setValues] = useState(() =>
+    toolCalls.map((toolCall) => getMockResult(toolCall.function?.name) ?? ''),
+  );
+
+  const hasMocks = toolCalls.some(
+    (toolCall) => getMockResult(toolCall.function?.name) !== null,
+  );
+  const canSubmit = !disabled && values.every((value) => value.trim() !== '');
+
+  const updateValue = (index, value) => {
+    setValues((prev) => prev.map((item, i) => (i === index ? value : item)));
+  };
+
+  const fillMocks = () => {
+    setValues((prev) =>
+      toolCalls.map(
+        (toolCall, index) =>
+          getMockResult(toolCall.function?.name) ?? prev[index],
+      ),
+    );
+  };
+
+  const handleSubmit = () => {
+    if (!canSubmit) return;
+    onSubmit(
+      toolCalls.map((toolCall, index) => ({
+        toolCall,
+        content: values[index],
+      })),
+    );
+  };
+
+  return (
+    <div
+      className='mt-3 p-3 rounded-lg space-y-3 bg-gray-50 dark:bg-gray-800'
+      style={{ border: '1px dashed var(--semi-color-border)' }}
+    >
+      <Typography.Text strong className='text-xs sm:text-sm block'>
+        {t('回复工具调用结果')}
+      </Typography.Text>
+
+      {toolCalls.map((toolCall, index) => (
+        <div key={toolCall.id || index}>
+          <Typography.Text className='text-xs text-gray-500 font-mono block mb-1'>
+            {toolCall.function?.name}
+            {toolCall.id ? ` · ${toolCall.id}` : ''}
+          </Typography.Text>
+          <TextArea
+            value={values[index]}
+            onChange={(value) => updateValue(index, value)}
+            placeholder={t('输入该函数的返回结果（文本或 JSON）')}
+            autosize={{ minRows: 2, maxRows: 8 }}
+            className='!rounded-lg font-mono'
+            disabled={disabled}
+          />
+        </div>
+      ))}
+
+      <div className='flex items-center justify-end gap-2'>
+        {hasMocks && (
+          <Button
+            icon={<FlaskConical size={14} />}
+            size='small'
+            theme='light'
+            type='tertiary'
+            onClick={fillMocks}
+            disabled={disabled}
+            className='!rounded-lg'
+          >
+            {t('使用模拟结果')}
+          </Button>
+        )}
+        <Button
+          icon={<CornerDownLeft size={14} />}
+          size='small'
+          theme='solid'
+          type='primary'
+          onClick={handleSubmit}
+          disabled={!canSubmit}
+          className='!rounded-lg'
+        >
+          {t('提交结果并继续')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ToolResponsePanel;
@@ -0,0 +1,146 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useMemo, useState } from 'react';
+import { Button, Form, Modal, Select, Typography } from '@douyinfe/semi-ui';
+import { Wrench, Pencil } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import JSONEditor from '../common/ui/JSONEditor';
+import {
+  TOOL_CHOICE_MODES,
+  TOOL_DEFINITION_TEMPLATE,
+} from '../../constants/playground.constants';
+import { parseToolDefinitions } from '../../helpers';
+
+const ToolsEditor = ({
+  tools,
+  toolChoice,
+  toolMocks,
+  onInputChange,
+  disabled = false,
+}) => {
+  const { t } = useTranslation();
+  const [visible, setVisible] = useState(false);
+
+  const toolDefinitions = useMemo(() => parseToolDefinitions(tools), [tools]);
+  const toolNames = toolDefinitions.map((tool) => tool.function.name);
+
+  const toolChoiceOptions = [
+    ...TOOL_CHOICE_MODES.map((mode) => ({ label: mode, value: mode })),
+    ...toolNames.map((name) => ({
+      label: `${t('指定函数')}: ${name}`,
+      value: name,
+    })),
+  ];
+
+  // 模拟结果模板：为每个已定义的函数预置一条示例结果
+  const mockTemplate = Object.fromEntries(
+    toolNames.map((name) => [name, { result: 'ok' }]),
+  );
+
+  return (
+    <div>
+      <div className='flex items-center justify-between mb-2'>
+        <div className='flex items-center gap-2'>
+          <Wrench size={16} className='text-gray-500' />
+          <Typography.Text strong className='text-sm'>
+            {t('工具调用')}
+          </Typography.Text>
+          {disabled && (
+            <Typography.Text className='text-xs text-orange-600'>
+              ({t('已在自定义模式中忽略')})
+            </Typography.Text>
+          )}
+        </div>
+        <Button
+          icon={<Pencil size={14} />}
+          size='small'
+          theme='borderless'
+          type='primary'
+          onClick={() => setVisible(true)}
+          disabled={disabled}
+          className='!rounded-lg'
+        >
+          {t('编辑')}
+        </Button>
+      </div>
+
+      <div className='flex items-center gap-2'>
+        <Typography.Text className='text-xs text-gray-500 flex-shrink-0'>
+          {toolNames.length > 0
+            ? t('已定义 {{count}} 个工具', { count: toolNames.length })
+            : t('未定义工具')}
+        </Typography.Text>
+        <Select
+          value={toolChoice || 'auto'}
+          optionList={toolChoiceOptions}
+          onChange={(value) => onInputChange('tool_choice', value)}
+          disabled={disabled || toolNames.length === 0}
+          size='small'
+          className='flex-1 min-w-0 !rounded-lg'
+          prefix='tool_choice'
+        />
+      </div>
+
+      <Modal
+        title={t('工具调用')}
+        visible={visible}
+        onCancel={() => setVisible(false)}
+        footer={
+          <Button type='primary' onClick={() => setVisible(false)}>
+            {t('完成')}
+          </Button>
+        }
+        width={720}
+        bodyStyle={{ maxHeight: '70vh', overflowY: 'auto' }}
+      >
+        <Form>
+          <JSONEditor
+            field='tools'
+            label={t('工具定义')}
+            placeholder={JSON.stringify(TOOL_DEFINITION_TEMPLATE, null, 2)}
+            value={tools}
+            onChange={(value) => onInputChange('tools', value)}
+            editorType='object'
+            template={TOOL_DEFINITION_TEMPLATE}
+            templateLabel={t('填入模板')}
+            extraText={t(
+              '键为函数名，值包含 description 与 parameters（JSON Schema）；也可直接粘贴 OpenAI tools 数组',
+            )}
+          />
+          <JSONEditor
+            field='toolMocks'
+            label={t('模拟结果')}
+            placeholder={'{\n  "get_weather": {"temperature": 22}\n}'}
+            value={toolMocks}
+            onChange={(value) => onInputChange('toolMocks', value)}
+            editorType='keyValue'
+            template={toolNames.length > 0 ? mockTemplate : undefined}
+            templateLabel={t('填入模板')}
+            extraText={t(
+              '模型调用对应函数时，将自动填入此处的结果作为 tool 消息回复',
+            )}
+          />
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default ToolsEditor;
@@ -77,10 +77,16 @@ export const loadConfig = () => {
         },
         showDebugPanel:
           parsedConfig.showDebugPanel || DEFAULT_CONFIG.showDebugPanel,
+        showSessionPanel:
+          parsedConfig.showSessionPanel ?? DEFAULT_CONFIG.showSessionPanel,
         customRequestMode:
           parsedConfig.customRequestMode || DEFAULT_CONFIG.customRequestMode,
         customRequestBody:
           parsedConfig.customRequestBody || DEFAULT_CONFIG.customRequestBody,
+        compareMode: parsedConfig.compareMode || DEFAULT_CONFIG.compareMode,
+        compareTargets: Array.isArray(parsedConfig.compareTargets)
+          ? parsedConfig.compareTargets
+          : DEFAULT_CONFIG.compareTargets,
       };
 
       return mergedConfig;
@@ -205,14 +211,7 @@ export const importConfig = (file) => {
           const importedConfig = JSON.parse(e.target.result);
 
           if (importedConfig.inputs && importedConfig.parameterEnabled) {
-            // 如果导入的配置包含消息，也一起导入
-            if (
-              importedConfig.messages &&
-              Array.isArray(importedConfig.messages)
-            ) {
-              saveMessages(importedConfig.messages);
-            }
-
+            // 消息由调用方在确认导入后写入当前会话
             resolve(importedConfig);
           } else {
             reject(new Error('配置文件格式无效'));
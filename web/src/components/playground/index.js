@@ -28,6 +28,13 @@ export { default as ParameterControl } from './ParameterControl';
 export { default as ImageUrlInput } from './ImageUrlInput';
 export { default as FloatingButtons } from './FloatingButtons';
 export { default as ConfigManager } from './ConfigManager';
+export { default as SessionSidebar } from './SessionSidebar';
+export { default as CompareArea } from './CompareArea';
+export { default as ToolsEditor } from './ToolsEditor';
+export { default as ToolCallsContent } from './ToolCallsContent';
+export { default as ToolResponsePanel } from './ToolResponsePanel';
+export { default as EndpointArea } from './EndpointArea';
+export { default as CodeExportPanel } from './CodeExportPanel';
 
 export {
   saveConfig,
@@ -0,0 +1,80 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import { PLAYGROUND_DB } from '../../constants/playground.constants';
+
+let dbPromise = null;
+
+/**
+ * 打开（必要时创建或升级）Playground 的 IndexedDB 数据库
+ * @returns {Promise<IDBDatabase>} 数据库连接
+ */
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('当前浏览器不支持 IndexedDB'));
+      return;
+    }
+
+    const request = indexedDB.open(PLAYGROUND_DB.NAME, PLAYGROUND_DB.VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(PLAYGROUND_DB.SESSION_STORE)) {
+        const store = db.createObjectStore(PLAYGROUND_DB.SESSION_STORE, {
+          keyPath: 'id',
+        });
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+      if (!db.objectStoreNames.contains(PLAYGROUND_DB.PROMPT_STORE)) {
+        const store = db.createObjectStore(PLAYGROUND_DB.PROMPT_STORE, {
+          keyPath: 'id',
+        });
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    // 打开失败时允许下次重试
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * 在指定存储上执行一次事务操作
+ * @param {string} storeName - 存储名称
+ * @param {IDBTransactionMode} mode - 事务模式
+ * @param {Function} operation - 接收 objectStore，返回 IDBRequest
+ * @returns {Promise<any>} 请求结果
+ */
+export const runTransaction = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
@@ -0,0 +1,177 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import {
+  PLAYGROUND_DB,
+  STORAGE_KEYS,
+} from '../../constants/playground.constants';
+import { runTransaction } from './playgroundDb';
+
+// 提示词模板存储上的事务操作
+const runPromptTransaction = (mode, operation) =>
+  runTransaction(PLAYGROUND_DB.PROMPT_STORE, mode, operation);
+
+/**
+ * 生成模板 ID
+ * @returns {string} 模板 ID
+ */
+export const generatePromptId = () =>
+  `prompt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * 创建新的提示词模板（不写入数据库），内容作为第 1 个版本
+ * @param {Object} fields - name, content, note
+ * @returns {Object} 模板对象
+ */
+export const createPromptTemplate = ({ name, content, note = '' }) => {
+  const now = Date.now();
+  return {
+    id: generatePromptId(),
+    name,
+    versions: [{ version: 1, content, note, createdAt: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * 获取模板的最新版本
+ * @param {Object} template - 模板对象
+ * @returns {Object|null} 版本对象
+ */
+export const getLatestPromptVersion = (template) =>
+  template?.versions?.[template.versions.length - 1] || null;
+
+/**
+ * 为模板追加一个新版本（不写入数据库）
+ * @param {Object} template - 模板对象
+ * @param {string} content - 新版本内容
+ * @param {string} note - 版本说明
+ * @returns {Object} 更新后的模板对象
+ */
+export const appendPromptVersion = (template, content, note = '') => {
+  const now = Date.now();
+  const latest = getLatestPromptVersion(template);
+  return {
+    ...template,
+    versions: [
+      ...template.versions,
+      { version: (latest?.version || 0) + 1, content, note, createdAt: now },
+    ],
+    updatedAt: now,
+  };
+};
+
+/**
+ * 合并导入的模板：同 ID 的模板只追加本地不存在的版本内容
+ * @param {Object|undefined} existing - 本地已有的模板
+ * @param {Object} incoming - 导入的模板
+ * @returns {Object|null} 需要写入的模板，无变化时返回 null
+ */
+export const mergePromptTemplate = (existing, incoming) => {
+  const versions = (Array.isArray(incoming?.versions) ? incoming.versions : [])
+    .filter((version) => typeof version?.content === 'string')
+    .sort((a, b) => (a.version || 0) - (b.version || 0));
+  if (typeof incoming?.name !== 'string' || versions.length === 0) {
+    return null;
+  }
+
+  if (!existing) {
+    const now = Date.now();
+    return {
+      id: incoming.id || generatePromptId(),
+      name: incoming.name,
+      versions: versions.map((version, index) => ({
+        version: index + 1,
+        content: version.content,
+        note: version.note || '',
+        createdAt: version.createdAt || now,
+      })),
+      createdAt: incoming.createdAt || now,
+      updatedAt: incoming.updatedAt || now,
+    };
+  }
+
+  const knownContents = new Set(
+    existing.versions.map((version) => version.content),
+  );
+  let merged = existing;
+  versions.forEach((version) => {
+    if (!knownContents.has(version.content)) {
+      merged = appendPromptVersion(merged, version.content, version.note);
+      knownContents.add(version.content);
+    }
+  });
+  return merged === existing ? null : merged;
+};
+
+/**
+ * 获取全部模板，按最近更新时间倒序
+ * @returns {Promise<Array>} 模板数组
+ */
+export const listPromptTemplates = async () => {
+  const templates = await runPromptTransaction('readonly', (store) =>
+    store.getAll(),
+  );
+  return (templates || []).sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * 写入（新增或覆盖）模板
+ * @param {Object} template - 模板对象
+ * @returns {Promise<Object>} 写入后的模板对象
+ */
+export const putPromptTemplate = async (template) => {
+  await runPromptTransaction('readwrite', (store) => store.put(template));
+  return template;
+};
+
+/**
+ * 删除模板
+ * @param {string} id - 模板 ID
+ * @returns {Promise<void>}
+ */
+export const deletePromptTemplate = (id) =>
+  runPromptTransaction('readwrite', (store) => store.delete(id));
+
+/**
+ * 读取上次填写的变量值
+ * @returns {Object} 变量值
+ */
+export const loadPromptVariableValues = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEYS.PROMPT_VARIABLES);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('读取提示词变量失败:', error);
+    return {};
+  }
+};
+
+/**
+ * 保存变量值
+ * @param {Object} values - 变量值
+ */
+export const savePromptVariableValues = (values) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.PROMPT_VARIABLES, JSON.stringify(values));
+  } catch (error) {
+    console.error('保存提示词变量失败:', error);
+  }
+};
@@ -0,0 +1,157 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import {
+  PLAYGROUND_DB,
+  STORAGE_KEYS,
+} from '../../constants/playground.constants';
+import { openDatabase, runTransaction } from './playgroundDb';
+
+// 会话存储上的事务操作
+const runSessionTransaction = (mode, operation) =>
+  runTransaction(PLAYGROUND_DB.SESSION_STORE, mode, operation);
+
+/**
+ * 生成会话 ID
+ * @returns {string} 会话 ID
+ */
+export const generateSessionId = () =>
+  `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * 创建新的会话对象（不写入数据库）
+ * @param {Object} fields - 会话字段（name, messages, systemPrompt, inputs, parameterEnabled）
+ * @returns {Object} 会话对象
+ */
+export const createSession = (fields = {}) => {
+  const now = Date.now();
+  return {
+    name: '',
+    messages: [],
+    systemPrompt: '',
+    inputs: {},
+    parameterEnabled: {},
+    ...fields,
+    id: generateSessionId(),
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * 获取全部会话，按最近更新时间倒序
+ * @returns {Promise<Array>} 会话数组
+ */
+export const listSessions = async () => {
+  const sessions = await runSessionTransaction('readonly', (store) =>
+    store.getAll(),
+  );
+  return (sessions || []).sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * 获取单个会话
+ * @param {string} id - 会话 ID
+ * @returns {Promise<Object|undefined>} 会话对象
+ */
+export const getSession = (id) =>
+  runSessionTransaction('readonly', (store) => store.get(id));
+
+/**
+ * 写入（新增或覆盖）会话
+ * @param {Object} session - 会话对象
+ * @returns {Promise<Object>} 写入后的会话对象
+ */
+export const putSession = async (session) => {
+  await runSessionTransaction('readwrite', (store) => store.put(session));
+  return session;
+};
+
+/**
+ * 合并更新会话字段并刷新更新时间
+ * 读取与写入在同一个事务内完成，避免并发保存时相互覆盖
+ * @param {string} id - 会话 ID
+ * @param {Object} changes - 需要更新的字段
+ * @returns {Promise<Object|null>} 更新后的会话对象，不存在时返回 null
+ */
+export const updateSession = async (id, changes) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(
+      PLAYGROUND_DB.SESSION_STORE,
+      'readwrite',
+    );
+    const store = transaction.objectStore(PLAYGROUND_DB.SESSION_STORE);
+    let updated = null;
+
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const current = request.result;
+      if (!current) return;
+
+      // 内容未变化时不写入，避免仅切换会话就改变排序
+      const hasChanges = Object.keys(changes).some(
+        (key) => JSON.stringify(current[key]) !== JSON.stringify(changes[key]),
+      );
+      if (!hasChanges) {
+        updated = current;
+        return;
+      }
+
+      updated = { ...current, ...changes, id, updatedAt: Date.now() };
+      store.put(updated);
+    };
+    transaction.oncomplete = () => resolve(updated);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * 删除会话
+ * @param {string} id - 会话 ID
+ * @returns {Promise<void>}
+ */
+export const deleteSession = (id) =>
+  runSessionTransaction('readwrite', (store) => store.delete(id));
+
+/**
+ * 读取上次激活的会话 ID
+ * @returns {string|null} 会话 ID
+ */
+export const loadActiveSessionId = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEYS.ACTIVE_SESSION);
+  } catch (error) {
+    console.error('读取当前会话失败:', error);
+    return null;
+  }
+};
+
+/**
+ * 记录当前激活的会话 ID
+ * @param {string} id - 会话 ID
+ */
+export const saveActiveSessionId = (id) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.ACTIVE_SESSION, id);
+  } catch (error) {
+    console.error('保存当前会话失败:', error);
+  }
+};
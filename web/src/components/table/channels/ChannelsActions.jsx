@@ -32,6 +32,11 @@ const ChannelsActions = ({
   enableBatchDelete,
   batchDeleteChannels,
   setShowBatchSetTag,
+  setShowBatchEdit,
+  setShowImportModal,
+  setShowExportModal,
+  setShowTestPolicyModal,
+  setShowRoutingModal,
   testAllChannels,
   fixChannelsAbilities,
   updateAllChannelsBalance,
@@ -86,6 +91,60 @@ const ChannelsActions = ({
             {t('批量设置标签')}
           </Button>
 
+          <Button
+            size='small'
+            disabled={!enableBatchDelete}
+            type='tertiary'
+            onClick={() => setShowBatchEdit(true)}
+            className='w-full md:w-auto'
+          >
+            {t('批量编辑')}
+          </Button>
+
+          <Dropdown
+            size='small'
+            trigger='click'
+            render={
+              <Dropdown.Menu>
+                <Dropdown.Item onClick={() => setShowImportModal(true)}>
+                  {t('导入渠道')}
+                </Dropdown.Item>
+                <Dropdown.Item onClick={() => setShowExportModal(true)}>
+                  {t('导出渠道')}
+                </Dropdown.Item>
+              </Dropdown.Menu>
+            }
+          >
+            <Button
+              size='small'
+              theme='light'
+              type='tertiary'
+              className='w-full md:w-auto'
+            >
+              {t('导入/导出')}
+            </Button>
+          </Dropdown>
+
+          <Button
+            size='small'
+            theme='light'
+            type='tertiary'
+            onClick={() => setShowTestPolicyModal(true)}
+            className='w-full md:w-auto'
+          >
+            {t('定时测试')}
+          </Button>
+
+          <Button
+            size='small'
+            theme='light'
+            type='tertiary'
+            onClick={() => setShowRoutingModal(true)}
+            className='w-full md:w-auto'
+          >
+            {t('路由分析')}
+          </Button>
+
           <Dropdown
             size='small'
             trigger='click'
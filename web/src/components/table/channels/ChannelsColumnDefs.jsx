@@ -58,8 +58,8 @@ const renderType = (type, record = {}, t) => {
   let icon = getChannelIcon(type);
 
   if (channelInfo?.is_multi_key) {
-    icon =
-      channelInfo?.multi_key_mode === 'random' ? (
+    // 随机类策略与顺序类策略使用不同图标
+    icon = ['random', 'weighted'].includes(channelInfo?.multi_key_mode) ? (
         <div className='flex items-center gap-1'>
           <FaRandom className='text-blue-500' />
           {icon}
@@ -289,6 +289,10 @@ export const getChannelsColumns = ({
   checkOllamaVersion,
   setShowMultiKeyManageModal,
   setCurrentMultiKeyChannel,
+  setShowHealthModal,
+  setCurrentHealthChannel,
+  setShowVersionHistory,
+  setCurrentVersionChannel,
 }) => {
   return [
     {
@@ -584,6 +588,24 @@ export const getChannelsColumns = ({
       render: (text, record, index) => {
         if (record.children === undefined) {
           const moreMenuItems = [
+            {
+              node: 'item',
+              name: t('健康历史'),
+              type: 'tertiary',
+              onClick: () => {
+                setCurrentHealthChannel(record);
+                setShowHealthModal(true);
+              },
+            },
+            {
+              node: 'item',
+              name: t('配置历史'),
+              type: 'tertiary',
+              onClick: () => {
+                setCurrentVersionChannel(record);
+                setShowVersionHistory(true);
+              },
+            },
             {
               node: 'item',
               name: t('删除'),
@@ -18,8 +18,10 @@ For commercial licensing, please contact support@quantumnous.com
 */
 
 import React from 'react';
-import { Button, Form } from '@douyinfe/semi-ui';
+import { Button, Form, Tag } from '@douyinfe/semi-ui';
 import { IconSearch } from '@douyinfe/semi-icons';
+import { SlidersHorizontal } from 'lucide-react';
+import { countChannelQueryConditions } from '../../../helpers';
 
 const ChannelsFilters = ({
   setEditingChannel,
@@ -34,8 +36,15 @@ const ChannelsFilters = ({
   groupOptions,
   loading,
   searching,
+  advancedQuery,
+  activeView,
+  setShowQueryBuilder,
+  applyChannelQuery,
+  resetChannelQuery,
   t,
 }) => {
+  const conditionCount = countChannelQueryConditions(advancedQuery);
+
   return (
     <div className='flex flex-col md:flex-row justify-between items-center gap-2 w-full'>
       <div className='flex gap-2 w-full md:w-auto order-2 md:order-1'>
@@ -125,6 +134,26 @@ const ChannelsFilters = ({
               }}
             />
           </div>
+          <Button
+            size='small'
+            type={conditionCount > 0 ? 'primary' : 'tertiary'}
+            icon={<SlidersHorizontal size={14} />}
+            onClick={() => setShowQueryBuilder(true)}
+            className='w-full md:w-auto'
+          >
+            {t('高级查询')}
+            {conditionCount > 0 && ` (${conditionCount})`}
+          </Button>
+          {activeView && (
+            <Tag
+              color='blue'
+              closable
+              onClose={() => applyChannelQuery({})}
+              className='whitespace-nowrap'
+            >
+              {activeView.name}
+            </Tag>
+          )}
           <Button
             size='small'
             type='tertiary'
@@ -140,6 +169,7 @@ const ChannelsFilters = ({
             onClick={() => {
               if (formApi) {
                 formApi.reset();
+                resetChannelQuery();
                 // 重置后立即查询，使用setTimeout确保表单重置完成
                 setTimeout(() => {
                   refresh();
@@ -61,6 +61,10 @@ const ChannelsTable = (channelsData) => {
     // Multi-key management
     setShowMultiKeyManageModal,
     setCurrentMultiKeyChannel,
+    setShowHealthModal,
+    setCurrentHealthChannel,
+    setShowVersionHistory,
+    setCurrentVersionChannel,
   } = channelsData;
 
   // Get all columns
@@ -86,6 +90,10 @@ const ChannelsTable = (channelsData) => {
       checkOllamaVersion,
       setShowMultiKeyManageModal,
       setCurrentMultiKeyChannel,
+      setShowHealthModal,
+      setCurrentHealthChannel,
+      setShowVersionHistory,
+      setCurrentVersionChannel,
     });
   }, [
     t,
@@ -108,6 +116,10 @@ const ChannelsTable = (channelsData) => {
     checkOllamaVersion,
     setShowMultiKeyManageModal,
     setCurrentMultiKeyChannel,
+    setShowHealthModal,
+    setCurrentHealthChannel,
+    setShowVersionHistory,
+    setCurrentVersionChannel,
   ]);
 
   // Filter columns based on visibility settings
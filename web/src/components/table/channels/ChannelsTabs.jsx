@@ -33,64 +33,105 @@ const ChannelsTabs = ({
   pageSize,
   idSort,
   setActivePage,
+  savedViews,
+  viewCounts,
+  activeView,
+  applyChannelQuery,
   t,
 }) => {
-  if (enableTagMode) return null;
-
-  const handleTabChange = (key) => {
-    setActiveTypeKey(key);
-    setActivePage(1);
-    loadChannels(1, pageSize, idSort, enableTagMode, key);
-  };
-
-  return (
-    <Tabs
-      activeKey={activeTypeKey}
-      type='card'
-      collapsible
-      onChange={handleTabChange}
-      className='mb-2'
-    >
-      <TabPane
-        itemKey='all'
-        tab={
-          <span className='flex items-center gap-2'>
-            {t('全部')}
-            <Tag
-              color={activeTypeKey === 'all' ? 'red' : 'grey'}
-              shape='circle'
-            >
-              {channelTypeCounts['all'] || 0}
-            </Tag>
-          </span>
-        }
-      />
-
-      {CHANNEL_OPTIONS.filter((opt) =>
-        availableTypeKeys.includes(String(opt.value)),
-      ).map((option) => {
-        const key = String(option.value);
-        const count = channelTypeCounts[option.value] || 0;
-        return (
+  // 已保存视图，点击后应用视图的查询条件；标签聚合模式下同样可用
+  const viewTabs =
+    savedViews.length > 0 ? (
+      <Tabs
+        activeKey={activeView?.id || 'none'}
+        type='button'
+        collapsible
+        onChange={(key) => {
+          const view = savedViews.find((item) => item.id === key);
+          applyChannelQuery(view ? view.query : {}, view);
+        }}
+        className='mb-2'
+      >
+        <TabPane itemKey='none' tab={t('全部渠道')} />
+        {savedViews.map((view) => (
           <TabPane
-            key={key}
-            itemKey={key}
+            key={view.id}
+            itemKey={view.id}
             tab={
               <span className='flex items-center gap-2'>
-                {getChannelIcon(option.value)}
-                {option.label}
+                {view.name}
                 <Tag
-                  color={activeTypeKey === key ? 'red' : 'grey'}
+                  color={activeView?.id === view.id ? 'blue' : 'grey'}
                   shape='circle'
                 >
-                  {count}
+                  {viewCounts[view.id] ?? '-'}
                 </Tag>
               </span>
             }
           />
-        );
-      })}
-    </Tabs>
+        ))}
+      </Tabs>
+    ) : null;
+
+  if (enableTagMode) return viewTabs;
+
+  const handleTabChange = (key) => {
+    setActiveTypeKey(key);
+    setActivePage(1);
+    loadChannels(1, pageSize, idSort, enableTagMode, key);
+  };
+
+  return (
+    <>
+      {viewTabs}
+      <Tabs
+        activeKey={activeTypeKey}
+        type='card'
+        collapsible
+        onChange={handleTabChange}
+        className='mb-2'
+      >
+        <TabPane
+          itemKey='all'
+          tab={
+            <span className='flex items-center gap-2'>
+              {t('全部')}
+              <Tag
+                color={activeTypeKey === 'all' ? 'red' : 'grey'}
+                shape='circle'
+              >
+                {channelTypeCounts['all'] || 0}
+              </Tag>
+            </span>
+          }
+        />
+
+        {CHANNEL_OPTIONS.filter((opt) =>
+          availableTypeKeys.includes(String(opt.value)),
+        ).map((option) => {
+          const key = String(option.value);
+          const count = channelTypeCounts[option.value] || 0;
+          return (
+            <TabPane
+              key={key}
+              itemKey={key}
+              tab={
+                <span className='flex items-center gap-2'>
+                  {getChannelIcon(option.value)}
+                  {option.label}
+                  <Tag
+                    color={activeTypeKey === key ? 'red' : 'grey'}
+                    shape='circle'
+                  >
+                    {count}
+                  </Tag>
+                </span>
+              }
+            />
+          );
+        })}
+      </Tabs>
+    </>
   );
 };
 
@@ -28,11 +28,19 @@ import ChannelsTabs from './ChannelsTabs';
 import { useChannelsData } from '../../../hooks/channels/useChannelsData';
 import { useIsMobile } from '../../../hooks/common/useIsMobile';
 import BatchTagModal from './modals/BatchTagModal';
+import ChannelBatchEditModal from './modals/ChannelBatchEditModal';
 import ModelTestModal from './modals/ModelTestModal';
 import ColumnSelectorModal from './modals/ColumnSelectorModal';
 import EditChannelModal from './modals/EditChannelModal';
 import EditTagModal from './modals/EditTagModal';
 import MultiKeyManageModal from './modals/MultiKeyManageModal';
+import ChannelImportModal from './modals/ChannelImportModal';
+import ChannelExportModal from './modals/ChannelExportModal';
+import ChannelHealthModal from './modals/ChannelHealthModal';
+import ChannelTestPolicyModal from './modals/ChannelTestPolicyModal';
+import ChannelRoutingModal from './modals/ChannelRoutingModal';
+import ChannelVersionHistorySideSheet from './modals/ChannelVersionHistorySideSheet';
+import ChannelQueryBuilderModal from './modals/ChannelQueryBuilderModal';
 import { createCardProPagination } from '../../../helpers/utils';
 
 const ChannelsPage = () => {
@@ -56,6 +64,15 @@ const ChannelsPage = () => {
         editingChannel={channelsData.editingChannel}
       />
       <BatchTagModal {...channelsData} />
+      <ChannelBatchEditModal
+        visible={channelsData.showBatchEdit}
+        onCancel={() => channelsData.setShowBatchEdit(false)}
+        selectedChannels={channelsData.selectedChannels}
+        groupOptions={channelsData.groupOptions}
+        onSuccess={channelsData.refresh}
+      />
+      <ChannelImportModal {...channelsData} />
+      <ChannelExportModal {...channelsData} />
       <ModelTestModal {...channelsData} />
       <MultiKeyManageModal
         visible={channelsData.showMultiKeyManageModal}
@@ -63,6 +80,41 @@ const ChannelsPage = () => {
         channel={channelsData.currentMultiKeyChannel}
         onRefresh={channelsData.refresh}
       />
+      <ChannelHealthModal
+        visible={channelsData.showHealthModal}
+        onCancel={() => channelsData.setShowHealthModal(false)}
+        channel={channelsData.currentHealthChannel}
+      />
+      <ChannelQueryBuilderModal
+        visible={channelsData.showQueryBuilder}
+        onCancel={() => channelsData.setShowQueryBuilder(false)}
+        query={channelsData.advancedQuery}
+        channels={channelsData.channels}
+        savedViews={channelsData.savedViews}
+        viewCounts={channelsData.viewCounts}
+        onApply={(query, view) => {
+          channelsData.setShowQueryBuilder(false);
+          channelsData.applyChannelQuery(query, view);
+        }}
+        onSaveView={channelsData.saveChannelView}
+        onDeleteView={channelsData.deleteChannelView}
+      />
+      <ChannelVersionHistorySideSheet
+        visible={channelsData.showVersionHistory}
+        onCancel={() => channelsData.setShowVersionHistory(false)}
+        channel={channelsData.currentVersionChannel}
+        onRollback={channelsData.refresh}
+      />
+      <ChannelTestPolicyModal
+        visible={channelsData.showTestPolicyModal}
+        onCancel={() => channelsData.setShowTestPolicyModal(false)}
+        onRefresh={channelsData.refresh}
+      />
+      <ChannelRoutingModal
+        visible={channelsData.showRoutingModal}
+        onCancel={() => channelsData.setShowRoutingModal(false)}
+        groupOptions={channelsData.groupOptions}
+      />
 
       {/* Main Content */}
       {channelsData.globalPassThroughEnabled ? (
@@ -0,0 +1,488 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Banner,
+  Button,
+  Card,
+  Checkbox,
+  Input,
+  InputNumber,
+  Modal,
+  Select,
+  Space,
+  Table,
+  Tag,
+  TextArea,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { API, showError, showSuccess } from '../../../../helpers';
+import { CHANNEL_BATCH_EDIT_FIELDS } from '../../../../constants';
+import { useIsMobile } from '../../../../hooks/common/useIsMobile';
+
+const { Text } = Typography;
+
+const EMPTY_FORM = {
+  addModels: [],
+  removeModels: [],
+  modelMapping: '',
+  groups: [],
+  priority: null,
+  weight: null,
+  editProxy: false,
+  proxy: '',
+  autoBan: null,
+};
+
+const splitList = (value) =>
+  (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const isEmptyNumber = (value) =>
+  value === null || value === undefined || value === '';
+
+// 解析追加的模型重定向，只接受字符串到字符串的映射
+const parseMappingInput = (text) => {
+  if (!text.trim()) return {};
+  const mapping = JSON.parse(text);
+  if (
+    typeof mapping !== 'object' ||
+    mapping === null ||
+    Array.isArray(mapping) ||
+    Object.values(mapping).some((value) => typeof value !== 'string')
+  ) {
+    throw new Error('invalid mapping');
+  }
+  return mapping;
+};
+
+const ChannelBatchEditModal = ({
+  visible,
+  onCancel,
+  selectedChannels,
+  groupOptions,
+  onSuccess,
+}) => {
+  const { t } = useTranslation();
+  const isMobile = useIsMobile();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [targetIds, setTargetIds] = useState([]);
+  const [modelOptions, setModelOptions] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setForm(EMPTY_FORM);
+    setTargetIds(selectedChannels.map((channel) => channel.id));
+    setPreview(null);
+    setReport(null);
+  }, [visible]);
+
+  useEffect(() => {
+    if (!visible || modelOptions.length > 0) return;
+    (async () => {
+      try {
+        const res = await API.get('/api/channel/models');
+        setModelOptions(
+          (res.data.data || []).map((model) => ({
+            label: model.id,
+            value: model.id,
+          })),
+        );
+      } catch (error) {
+        showError(error.message);
+      }
+    })();
+  }, [visible]);
+
+  // 移除模型的候选项取自所选渠道现有的模型
+  const selectedModelOptions = useMemo(() => {
+    const models = new Set();
+    selectedChannels.forEach((channel) =>
+      splitList(channel.models).forEach((model) => models.add(model)),
+    );
+    return Array.from(models).map((model) => ({ label: model, value: model }));
+  }, [selectedChannels]);
+
+  const updateForm = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+    // 修改内容后需要重新预览
+    setPreview(null);
+  };
+
+  const mappingError = useMemo(() => {
+    try {
+      parseMappingInput(form.modelMapping);
+      return null;
+    } catch (e) {
+      return t('模型重定向必须是合法的 JSON 对象，值为字符串');
+    }
+  }, [form.modelMapping]);
+
+  const buildPayload = (dryRun) => {
+    const payload = { ids: targetIds, dry_run: dryRun };
+    if (form.addModels.length > 0) payload.add_models = form.addModels;
+    if (form.removeModels.length > 0) payload.remove_models = form.removeModels;
+    const mapping = parseMappingInput(form.modelMapping);
+    if (Object.keys(mapping).length > 0) payload.model_mapping = mapping;
+    if (form.groups.length > 0) payload.groups = form.groups;
+    if (!isEmptyNumber(form.priority)) payload.priority = Number(form.priority);
+    if (!isEmptyNumber(form.weight)) payload.weight = Number(form.weight);
+    if (form.editProxy) payload.proxy = form.proxy;
+    if (form.autoBan !== null) payload.auto_ban = form.autoBan;
+    return payload;
+  };
+
+  // 除 ids 与 dry_run 外至少有一项修改
+  const hasEdits = useMemo(
+    () => !mappingError && Object.keys(buildPayload(true)).length > 2,
+    [form, targetIds, mappingError],
+  );
+
+  const submit = async (dryRun) => {
+    setLoading(true);
+    try {
+      const res = await API.post(
+        '/api/channel/batch/edit',
+        buildPayload(dryRun),
+      );
+      const { success, message, data } = res.data;
+      if (!success) {
+        showError(message);
+        return;
+      }
+      if (dryRun) {
+        setPreview(data);
+        setReport(null);
+        return;
+      }
+      setReport(data);
+      setPreview(null);
+      if (data.failed === 0) {
+        showSuccess(t('已更新 {{count}} 个渠道', { count: data.updated }));
+      }
+      if (data.updated > 0) {
+        onSuccess?.();
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 只保留失败的渠道，修正后可以重新预览
+  const retryFailed = () => {
+    setTargetIds(
+      report.results
+        .filter((result) => result.error)
+        .map((result) => result.channel_id),
+    );
+    setReport(null);
+  };
+
+  const renderChange = (change) => {
+    const label = t(CHANNEL_BATCH_EDIT_FIELDS[change.field] || change.field);
+    if (change.field === 'models' || change.field === 'group') {
+      const before = splitList(change.before);
+      const after = splitList(change.after);
+      return (
+        <div key={change.field} className='flex flex-wrap items-center gap-1'>
+          <Text size='small' strong>
+            {label}
+          </Text>
+          {after
+            .filter((item) => !before.includes(item))
+            .map((item) => (
+              <Tag key={`+${item}`} size='small' color='green'>
+                + {item}
+              </Tag>
+            ))}
+          {before
+            .filter((item) => !after.includes(item))
+            .map((item) => (
+              <Tag key={`-${item}`} size='small' color='red'>
+                - {item}
+              </Tag>
+            ))}
+        </div>
+      );
+    }
+    return (
+      <div key={change.field} className='flex flex-wrap items-center gap-1'>
+        <Text size='small' strong>
+          {label}
+        </Text>
+        <Text
+          size='small'
+          delete
+          type='danger'
+          ellipsis={{ showTooltip: true }}
+          style={{ maxWidth: 200 }}
+        >
+          {change.before || t('（空）')}
+        </Text>
+        <Text size='small'>→</Text>
+        <Text
+          size='small'
+          type='success'
+          ellipsis={{ showTooltip: true }}
+          style={{ maxWidth: 200 }}
+        >
+          {change.after || t('（空）')}
+        </Text>
+      </div>
+    );
+  };
+
+  const renderResultStatus = (result, dryRun) => {
+    if (result.error) return <Tag color='red'>{t('失败')}</Tag>;
+    if (result.changes.length === 0)
+      return <Tag color='grey'>{t('无变化')}</Tag>;
+    return dryRun ? (
+      <Tag color='blue'>{t('将修改')}</Tag>
+    ) : (
+      <Tag color='green'>{t('已更新')}</Tag>
+    );
+  };
+
+  const result = report || preview;
+  const columns = [
+    {
+      title: t('渠道'),
+      dataIndex: 'channel_name',
+      width: 160,
+      render: (name, record) => (
+        <div className='flex flex-col'>
+          <Text strong>{name || '-'}</Text>
+          <Text type='tertiary' size='small'>
+            ID: {record.channel_id}
+          </Text>
+        </div>
+      ),
+    },
+    {
+      title: t('状态'),
+      width: 90,
+      render: (_, record) => renderResultStatus(record, result.dry_run),
+    },
+    {
+      title: t('变更'),
+      render: (_, record) =>
+        record.error ? (
+          <Text type='danger' size='small'>
+            {record.error}
+          </Text>
+        ) : (
+          <div className='flex flex-col gap-1'>
+            {record.changes.map(renderChange)}
+          </div>
+        ),
+    },
+  ];
+
+  const renderEditor = () => (
+    <Card className='!rounded-lg'>
+      <div className='grid grid-cols-1 md:grid-cols-2 gap-3'>
+        <div>
+          <Text size='small'>{t('添加模型')}</Text>
+          <Select
+            multiple
+            filter
+            allowCreate
+            maxTagCount={3}
+            value={form.addModels}
+            optionList={modelOptions}
+            onChange={(value) => updateForm('addModels', value)}
+            style={{ width: '100%' }}
+          />
+        </div>
+        <div>
+          <Text size='small'>{t('移除模型')}</Text>
+          <Select
+            multiple
+            filter
+            allowCreate
+            maxTagCount={3}
+            value={form.removeModels}
+            optionList={selectedModelOptions}
+            onChange={(value) => updateForm('removeModels', value)}
+            style={{ width: '100%' }}
+          />
+        </div>
+        <div className='md:col-span-2'>
+          <Text size='small'>{t('追加模型重定向')}</Text>
+          <TextArea
+            autosize={{ minRows: 2, maxRows: 6 }}
+            value={form.modelMapping}
+            onChange={(value) => updateForm('modelMapping', value)}
+            placeholder='{"gpt-4o": "gpt-4o-2024-11-20"}'
+            className='font-mono'
+          />
+          {mappingError ? (
+            <Text type='danger' size='small'>
+              {mappingError}
+            </Text>
+          ) : (
+            <Text type='tertiary' size='small'>
+              {t('与渠道现有的模型重定向合并，同名模型以此处为准')}
+            </Text>
+          )}
+        </div>
+        <div className='md:col-span-2'>
+          <Text size='small'>{t('分组（替换）')}</Text>
+          <Select
+            multiple
+            value={form.groups}
+            optionList={groupOptions}
+            onChange={(value) => updateForm('groups', value)}
+            placeholder={t('留空则不修改')}
+            style={{ width: '100%' }}
+          />
+        </div>
+        <div>
+          <Text size='small'>{t('优先级')}</Text>
+          <InputNumber
+            value={form.priority}
+            onChange={(value) => updateForm('priority', value)}
+            placeholder={t('留空则不修改')}
+            style={{ width: '100%' }}
+          />
+        </div>
+        <div>
+          <Text size='small'>{t('权重')}</Text>
+          <InputNumber
+            min={0}
+            value={form.weight}
+            onChange={(value) => updateForm('weight', value)}
+            placeholder={t('留空则不修改')}
+            style={{ width: '100%' }}
+          />
+        </div>
+        <div>
+          <Checkbox
+            checked={form.editProxy}
+            onChange={(e) => updateForm('editProxy', e.target.checked)}
+          >
+            <Text size='small'>{t('修改代理')}</Text>
+          </Checkbox>
+          <Input
+            disabled={!form.editProxy}
+            value={form.proxy}
+            onChange={(value) => updateForm('proxy', value)}
+            placeholder={t('留空则清除代理')}
+          />
+        </div>
+        <div>
+          <Text size='small'>{t('是否自动禁用')}</Text>
+          <Select
+            value={form.autoBan}
+            onChange={(value) => updateForm('autoBan', value)}
+            optionList={[
+              { value: null, label: t('不修改') },
+              { value: 1, label: t('开启') },
+              { value: 0, label: t('关闭') },
+            ]}
+            style={{ width: '100%' }}
+          />
+        </div>
+      </div>
+    </Card>
+  );
+
+  return (
+    <Modal
+      title={t('批量编辑')}
+      visible={visible}
+      onCancel={onCancel}
+      width={isMobile ? '100%' : 880}
+      maskClosable={false}
+      className='!rounded-lg'
+      footer={
+        <Space>
+          <Button onClick={onCancel}>{t('关闭')}</Button>
+          {report ? (
+            report.failed > 0 && (
+              <Button onClick={retryFailed}>{t('仅重试失败的渠道')}</Button>
+            )
+          ) : (
+            <>
+              <Button
+                loading={loading && !preview}
+                disabled={!hasEdits || !!mappingError || targetIds.length === 0}
+                onClick={() => submit(true)}
+              >
+                {t('预览修改')}
+              </Button>
+              <Button
+                theme='solid'
+                loading={loading && !!preview}
+                disabled={!preview || preview.updated === 0}
+                onClick={() => submit(false)}
+              >
+                {t('执行修改')}
+              </Button>
+            </>
+          )}
+        </Space>
+      }
+    >
+      <div className='flex flex-col gap-3'>
+        <Text type='secondary'>
+          {t('已选择 ${count} 个渠道').replace('${count}', targetIds.length)}
+        </Text>
+        {!report && renderEditor()}
+        {result && (
+          <>
+            <Banner
+              type={result.failed > 0 ? 'warning' : 'info'}
+              closeIcon={null}
+              description={
+                result.dry_run
+                  ? t(
+                      '预览：{{updated}} 个渠道将被修改，{{unchanged}} 个无变化，{{failed}} 个无法修改',
+                      result,
+                    )
+                  : t(
+                      '完成：已更新 {{updated}} 个渠道，{{unchanged}} 个无变化，{{failed}} 个失败',
+                      result,
+                    )
+              }
+            />
+            <Table
+              size='small'
+              rowKey='channel_id'
+              columns={columns}
+              dataSource={result.results}
+              pagination={{ pageSize: 10 }}
+            />
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default ChannelBatchEditModal;
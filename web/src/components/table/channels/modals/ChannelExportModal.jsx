@@ -0,0 +1,204 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useState } from 'react';
+import {
+  Banner,
+  Modal,
+  RadioGroup,
+  Radio,
+  Switch,
+  Typography,
+} from '@douyinfe/semi-ui';
+import {
+  API,
+  downloadTextAsFile,
+  serializeChannelExport,
+  showError,
+  showSuccess,
+} from '../../../../helpers';
+import { useSecureVerification } from '../../../../hooks/common/useSecureVerification';
+import { createApiCalls } from '../../../../services/secureVerification';
+import SecureVerificationModal from '../../../common/modals/SecureVerificationModal';
+
+const ChannelExportModal = ({
+  showExportModal,
+  setShowExportModal,
+  selectedChannels,
+  enableBatchDelete,
+  t,
+}) => {
+  const [format, setFormat] = useState('csv');
+  const [scope, setScope] = useState('all');
+  const [includeKeys, setIncludeKeys] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const hasSelection = enableBatchDelete && selectedChannels.length > 0;
+  const ids =
+    scope === 'selected' && hasSelection
+      ? selectedChannels.map((channel) => channel.id)
+      : [];
+
+  const saveExport = (items) => {
+    const content = serializeChannelExport(items, format);
+    const fileName = `channels-${new Date().toISOString().slice(0, 10)}.${format}`;
+    // CSV 加 BOM，避免 Excel 打开中文乱码
+    downloadTextAsFile(
+      format === 'csv' ? `\uFEFF${content}` : content,
+      fileName,
+    );
+    showSuccess(t('已导出 {{count}} 个渠道', { count: items.length }));
+    setShowExportModal(false);
+  };
+
+  const {
+    isModalVisible,
+    verificationMethods,
+    verificationState,
+    withVerification,
+    executeVerification,
+    cancelVerification,
+    setVerificationCode,
+    switchVerificationMethod,
+  } = useSecureVerification({
+    onSuccess: (result) => {
+      if (result && result.success) {
+        saveExport(result.data || []);
+      }
+    },
+  });
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      if (includeKeys) {
+        // 包含密钥时需要通过安全验证，已验证时直接返回结果
+        const result = await withVerification(
+          createApiCalls.exportChannelKeys(ids),
+          {
+            title: t('导出渠道密钥'),
+            description: t('为了保护账户安全，请验证您的身份。'),
+            preferredMethod: 'passkey',
+          },
+        );
+        if (result && result.success) {
+          saveExport(result.data || []);
+        }
+        return;
+      }
+
+      const res = await API.post('/api/channel/export', { ids });
+      const { success, message, data } = res.data;
+      if (success) {
+        saveExport(data || []);
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message || t('导出失败'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Modal
+        title={t('导出渠道')}
+        visible={showExportModal}
+        onOk={handleExport}
+        onCancel={() => setShowExportModal(false)}
+        okText={t('导出')}
+        okButtonProps={{ loading: exporting }}
+        maskClosable={false}
+        centered={true}
+        size='small'
+        className='!rounded-lg'
+      >
+        <div className='flex flex-col gap-4'>
+          <div>
+            <Typography.Text strong className='block mb-2'>
+              {t('导出范围')}
+            </Typography.Text>
+            <RadioGroup
+              value={scope}
+              onChange={(e) => setScope(e.target.value)}
+            >
+              <Radio value='all'>{t('全部渠道')}</Radio>
+              <Radio value='selected' disabled={!hasSelection}>
+                {t('已选择的渠道 ({{count}})', {
+                  count: hasSelection ? selectedChannels.length : 0,
+                })}
+              </Radio>
+            </RadioGroup>
+          </div>
+
+          <div>
+            <Typography.Text strong className='block mb-2'>
+              {t('文件格式')}
+            </Typography.Text>
+            <RadioGroup
+              type='button'
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+            >
+              <Radio value='csv'>CSV</Radio>
+              <Radio value='json'>JSON</Radio>
+            </RadioGroup>
+          </div>
+
+          <div className='flex items-center justify-between'>
+            <Typography.Text strong>{t('包含完整密钥')}</Typography.Text>
+            <Switch
+              size='small'
+              checked={includeKeys}
+              onChange={setIncludeKeys}
+            />
+          </div>
+
+          <Banner
+            type={includeKeys ? 'warning' : 'info'}
+            closeIcon={null}
+            description={
+              includeKeys
+                ? t(
+                    '导出完整密钥需要通过安全验证，并会记录操作日志，请妥善保管导出文件。',
+                  )
+                : t('密钥将以脱敏形式导出，重新导入前需要填写真实密钥。')
+            }
+          />
+        </div>
+      </Modal>
+
+      <SecureVerificationModal
+        visible={isModalVisible}
+        verificationMethods={verificationMethods}
+        verificationState={verificationState}
+        onVerify={executeVerification}
+        onCancel={cancelVerification}
+        onCodeChange={setVerificationCode}
+        onMethodSwitch={switchVerificationMethod}
+        title={verificationState.title}
+        description={verificationState.description}
+      />
+    </>
+  );
+};
+
+export default ChannelExportModal;
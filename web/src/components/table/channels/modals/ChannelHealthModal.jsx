@@ -0,0 +1,425 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Button,
+  Card,
+  Empty,
+  Modal,
+  Select,
+  Spin,
+  Table,
+  TabPane,
+  Tabs,
+  Tag,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { VChart } from '@visactor/react-vchart';
+import { initVChartSemiTheme } from '@visactor/vchart-semi-theme';
+import { RefreshCw } from 'lucide-react';
+import {
+  API,
+  aggregateChannelHealth,
+  renderQuotaWithAmount,
+  showError,
+  timestamp2string,
+  timestamp2string1,
+} from '../../../../helpers';
+import {
+  CHANNEL_HEALTH_RANGES,
+  CHANNEL_HEALTH_STATUS,
+  CHART_CONFIG,
+} from '../../../../constants';
+
+const { Text } = Typography;
+
+const STATUS_TAGS = {
+  [CHANNEL_HEALTH_STATUS.UNKNOWN]: { color: 'grey', text: '暂无数据' },
+  [CHANNEL_HEALTH_STATUS.HEALTHY]: { color: 'green', text: '稳定' },
+  [CHANNEL_HEALTH_STATUS.BLIP]: { color: 'yellow', text: '偶发失败' },
+  [CHANNEL_HEALTH_STATUS.FLAKY]: { color: 'orange', text: '不稳定' },
+  [CHANNEL_HEALTH_STATUS.DOWN]: { color: 'red', text: '持续失败' },
+};
+
+const formatRate = (rate) =>
+  rate === null ? '-' : `${(rate * 100).toFixed(1)}%`;
+
+const formatResponseTime = (ms) =>
+  ms === null ? '-' : `${(ms / 1000).toFixed(2)}s`;
+
+const buildLineSpec = (values, yField, title, formatValue) => ({
+  type: 'line',
+  data: [{ id: 'healthData', values }],
+  xField: 'Time',
+  yField,
+  point: { visible: values.length <= 60 },
+  title: { visible: true, text: title },
+  axes: [{ orient: 'left', label: { formatMethod: formatValue } }],
+  tooltip: {
+    mark: {
+      content: [{ key: title, value: (datum) => formatValue(datum[yField]) }],
+    },
+  },
+});
+
+const ChannelHealthModal = ({ visible, onCancel, channel }) => {
+  const { t } = useTranslation();
+  const [loading, setLoading] = useState(false);
+  const [records, setRecords] = useState([]);
+  const [rangeDays, setRangeDays] = useState(7);
+  const [modelFilter, setModelFilter] = useState('');
+  const [activeChart, setActiveChart] = useState('rate');
+
+  const range = CHANNEL_HEALTH_RANGES.find((item) => item.value === rangeDays);
+
+  const loadHistory = async () => {
+    if (!channel?.id) return;
+    setLoading(true);
+    try {
+      const startTimestamp =
+        Math.floor(Date.now() / 1000) - rangeDays * 24 * 60 * 60;
+      const res = await API.get(`/api/channel/health/${channel.id}`, {
+        params: { start_timestamp: startTimestamp, model: modelFilter },
+      });
+      const { success, message, data } = res.data;
+      if (success) {
+        setRecords(data || []);
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (visible) {
+      loadHistory();
+    }
+  }, [visible, channel?.id, rangeDays, modelFilter]);
+
+  useEffect(() => {
+    if (!visible) {
+      setModelFilter('');
+      setRecords([]);
+    }
+  }, [visible]);
+
+  useEffect(() => {
+    initVChartSemiTheme({
+      isWatchingThemeSwitch: true,
+    });
+  }, []);
+
+  const health = useMemo(
+    () => aggregateChannelHealth(records, range.bucket),
+    [records, range.bucket],
+  );
+
+  const modelOptions = useMemo(
+    () => [
+      { label: t('全部模型'), value: '' },
+      ...(channel?.models || '')
+        .split(',')
+        .filter(Boolean)
+        .map((model) => ({ label: model, value: model })),
+    ],
+    [channel?.models, t],
+  );
+
+  const chartSpecs = useMemo(() => {
+    const formatTime = (time) => timestamp2string1(time, range.granularity);
+    return {
+      rate: buildLineSpec(
+        health.buckets.map((bucket) => ({
+          Time: formatTime(bucket.time),
+          Rate: bucket.successRate * 100,
+        })),
+        'Rate',
+        t('成功率'),
+        (value) => `${Number(value).toFixed(1)}%`,
+      ),
+      latency: buildLineSpec(
+        health.buckets
+          .filter((bucket) => bucket.avgResponseTime !== null)
+          .map((bucket) => ({
+            Time: formatTime(bucket.time),
+            Latency: bucket.avgResponseTime,
+          })),
+        'Latency',
+        t('平均响应时间'),
+        (value) => formatResponseTime(Number(value)),
+      ),
+      balance: buildLineSpec(
+        health.balances.map((item) => ({
+          Time: timestamp2string(item.time),
+          Balance: item.balance,
+        })),
+        'Balance',
+        t('余额'),
+        (value) => renderQuotaWithAmount(Number(value).toFixed(2)),
+      ),
+    };
+  }, [health, range.granularity, t]);
+
+  const chartHasData = {
+    rate: health.buckets.length > 0,
+    latency: health.buckets.some((bucket) => bucket.avgResponseTime !== null),
+    balance: health.balances.length > 0,
+  };
+
+  const renderStatusTag = (status) => (
+    <Tag color={STATUS_TAGS[status].color} size='small'>
+      {t(STATUS_TAGS[status].text)}
+    </Tag>
+  );
+
+  const summaryItems = [
+    { label: t('测试次数'), value: health.summary.total },
+    { label: t('成功率'), value: formatRate(health.summary.successRate) },
+    {
+      label: t('平均响应时间'),
+      value: formatResponseTime(health.summary.avgResponseTime),
+    },
+    {
+      label: t('最新余额'),
+      value:
+        health.summary.balance === null
+          ? '-'
+          : renderQuotaWithAmount(health.summary.balance.toFixed(2)),
+    },
+  ];
+
+  const modelColumns = [
+    {
+      title: t('模型'),
+      dataIndex: 'model',
+      render: (model) => (
+        <Text
+          link
+          onClick={() => model !== '-' && setModelFilter(model)}
+          ellipsis={{ showTooltip: true }}
+          style={{ maxWidth: 220 }}
+        >
+          {model}
+        </Text>
+      ),
+    },
+    {
+      title: t('状态'),
+      dataIndex: 'status',
+      render: renderStatusTag,
+    },
+    {
+      title: t('成功 / 总数'),
+      dataIndex: 'total',
+      render: (total, row) => `${row.success} / ${total}`,
+    },
+    {
+      title: t('成功率'),
+      dataIndex: 'successRate',
+      render: formatRate,
+    },
+    {
+      title: t('平均响应时间'),
+      dataIndex: 'avgResponseTime',
+      render: formatResponseTime,
+    },
+    {
+      title: t('最近测试'),
+      dataIndex: 'lastTestedAt',
+      render: (time) => timestamp2string(time),
+    },
+    {
+      title: t('最近错误'),
+      dataIndex: 'lastMessage',
+      render: (message) =>
+        message ? (
+          <Text
+            type='danger'
+            ellipsis={{ showTooltip: true }}
+            style={{ maxWidth: 200 }}
+          >
+            {message}
+          </Text>
+        ) : (
+          '-'
+        ),
+    },
+  ];
+
+  const testColumns = [
+    {
+      title: t('时间'),
+      dataIndex: 'created_at',
+      render: (time) => timestamp2string(time),
+    },
+    {
+      title: t('模型'),
+      dataIndex: 'model_name',
+    },
+    {
+      title: t('结果'),
+      dataIndex: 'success',
+      render: (success) => (
+        <Tag color={success ? 'green' : 'red'} size='small'>
+          {success ? t('成功') : t('失败')}
+        </Tag>
+      ),
+    },
+    {
+      title: t('响应时间'),
+      dataIndex: 'response_time',
+      render: formatResponseTime,
+    },
+    {
+      title: t('信息'),
+      dataIndex: 'message',
+      render: (message) =>
+        message ? (
+          <Text ellipsis={{ showTooltip: true }} style={{ maxWidth: 320 }}>
+            {message}
+          </Text>
+        ) : (
+          '-'
+        ),
+    },
+  ];
+
+  return (
+    <Modal
+      title={
+        <div className='flex items-center gap-2'>
+          <span>{t('健康历史')}</span>
+          {channel && (
+            <Text type='tertiary' size='small'>
+              {channel.name}
+            </Text>
+          )}
+          {renderStatusTag(health.summary.status)}
+        </div>
+      }
+      visible={visible}
+      onCancel={onCancel}
+      footer={null}
+      width={1000}
+      style={{ maxWidth: '95vw' }}
+      centered
+    >
+      <div className='flex flex-col gap-4 pb-4'>
+        <div className='flex flex-wrap items-center gap-2'>
+          <Select
+            size='small'
+            value={rangeDays}
+            onChange={setRangeDays}
+            optionList={CHANNEL_HEALTH_RANGES.map((item) => ({
+              label: t(item.label),
+              value: item.value,
+            }))}
+            style={{ width: 140 }}
+          />
+          <Select
+            size='small'
+            value={modelFilter}
+            onChange={setModelFilter}
+            optionList={modelOptions}
+            filter
+            style={{ width: 240 }}
+          />
+          <Button
+            size='small'
+            type='tertiary'
+            icon={<RefreshCw size={14} />}
+            loading={loading}
+            onClick={loadHistory}
+          >
+            {t('刷新')}
+          </Button>
+        </div>
+
+        <Spin spinning={loading}>
+          <div className='grid grid-cols-2 md:grid-cols-4 gap-3'>
+            {summaryItems.map((item) => (
+              <Card key={item.label} bodyStyle={{ padding: 12 }}>
+                <Text type='tertiary' size='small'>
+                  {item.label}
+                </Text>
+                <div className='text-lg font-semibold mt-1'>{item.value}</div>
+              </Card>
+            ))}
+          </div>
+
+          <Tabs
+            type='slash'
+            activeKey={activeChart}
+            onChange={setActiveChart}
+            className='mt-2'
+          >
+            <TabPane tab={t('成功率')} itemKey='rate' />
+            <TabPane tab={t('响应时间')} itemKey='latency' />
+            <TabPane tab={t('余额')} itemKey='balance' />
+          </Tabs>
+          <div className='h-72'>
+            {chartHasData[activeChart] ? (
+              <VChart
+                key={activeChart}
+                spec={chartSpecs[activeChart]}
+                option={CHART_CONFIG}
+              />
+            ) : (
+              <Empty
+                className='pt-16'
+                description={
+                  activeChart === 'balance'
+                    ? t('暂无余额记录，更新余额后会在此显示')
+                    : t('暂无测试记录，测试渠道后会在此显示')
+                }
+              />
+            )}
+          </div>
+        </Spin>
+
+        {!modelFilter && health.models.length > 0 && (
+          <Table
+            size='small'
+            rowKey='model'
+            columns={modelColumns}
+            dataSource={health.models}
+            pagination={false}
+          />
+        )}
+
+        <Table
+          size='small'
+          rowKey='id'
+          columns={testColumns}
+          dataSource={[...health.tests].reverse()}
+          pagination={{ pageSize: 10 }}
+          empty={t('暂无测试记录')}
+        />
+      </div>
+    </Modal>
+  );
+};
+
+export default ChannelHealthModal;
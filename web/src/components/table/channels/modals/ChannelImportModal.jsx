@@ -0,0 +1,523 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  Banner,
+  Button,
+  Modal,
+  Progress,
+  Select,
+  Steps,
+  Switch,
+  Table,
+  Tag,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Download, Upload } from 'lucide-react';
+import {
+  API,
+  buildChannelImportPayload,
+  buildChannelImportRow,
+  buildChannelImportTemplate,
+  downloadTextAsFile,
+  findChannelImportConflicts,
+  guessChannelFieldMapping,
+  parseChannelImportFile,
+  showError,
+  showInfo,
+  showSuccess,
+  validateChannelImportRow,
+} from '../../../../helpers';
+import {
+  CHANNEL_IMPORT_LIMITS,
+  CHANNEL_OPTIONS,
+  CHANNEL_TRANSFER_FIELDS,
+} from '../../../../constants';
+
+const IMPORT_STEPS = {
+  UPLOAD: 0,
+  MAPPING: 1,
+  PREVIEW: 2,
+};
+
+const REQUIRED_FIELDS = ['name', 'key', 'models'];
+
+const ChannelImportModal = ({
+  showImportModal,
+  setShowImportModal,
+  refresh,
+  t,
+}) => {
+  const fileInputRef = useRef(null);
+  const shouldStopImportRef = useRef(false);
+  const [step, setStep] = useState(IMPORT_STEPS.UPLOAD);
+  const [fileName, setFileName] = useState('');
+  const [columns, setColumns] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [existingChannels, setExistingChannels] = useState([]);
+  const [loadingExisting, setLoadingExisting] = useState(false);
+  const [skipConflicts, setSkipConflicts] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [importResults, setImportResults] = useState({});
+  const [progress, setProgress] = useState(null);
+
+  const rows = useMemo(() => {
+    const importRows = records.map((record, index) =>
+      buildChannelImportRow(record, mapping, index),
+    );
+    const conflicts = findChannelImportConflicts(importRows, existingChannels);
+    return importRows.map((row, i) => ({
+      ...row,
+      ...validateChannelImportRow(row),
+      conflicts: conflicts[i],
+    }));
+  }, [records, mapping, existingChannels]);
+
+  const isImportable = (row) =>
+    row.errors.length === 0 &&
+    (!skipConflicts || row.conflicts.length === 0) &&
+    importResults[row.index]?.status !== 'success';
+
+  const importableCount = rows.filter(isImportable).length;
+  const invalidCount = rows.filter((row) => row.errors.length > 0).length;
+  const conflictCount = rows.filter(
+    (row) => row.errors.length === 0 && row.conflicts.length > 0,
+  ).length;
+
+  const resetState = () => {
+    setStep(IMPORT_STEPS.UPLOAD);
+    setFileName('');
+    setColumns([]);
+    setRecords([]);
+    setMapping({});
+    setImportResults({});
+    setProgress(null);
+  };
+
+  const handleClose = () => {
+    if (importing) {
+      showInfo(t('请先停止导入'));
+      return;
+    }
+    resetState();
+    setShowImportModal(false);
+  };
+
+  const downloadTemplate = (format) => {
+    downloadTextAsFile(
+      buildChannelImportTemplate(format),
+      `channel-import-template.${format}`,
+    );
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = parseChannelImportFile(await file.text(), file.name);
+      if (parsed.records.length === 0) {
+        showError(t('文件中没有渠道数据'));
+        return;
+      }
+      if (parsed.records.length > CHANNEL_IMPORT_LIMITS.MAX_ROWS) {
+        showError(
+          t('单次最多导入 {{count}} 个渠道', {
+            count: CHANNEL_IMPORT_LIMITS.MAX_ROWS,
+          }),
+        );
+        return;
+      }
+      setFileName(file.name);
+      setColumns(parsed.columns);
+      setRecords(parsed.records);
+      setMapping(guessChannelFieldMapping(parsed.columns));
+      setImportResults({});
+      setStep(IMPORT_STEPS.MAPPING);
+    } catch (error) {
+      showError(t(error.message));
+    }
+  };
+
+  // 获取已有渠道（密钥已脱敏），用于冲突检查
+  const loadExistingChannels = async () => {
+    setLoadingExisting(true);
+    try {
+      const res = await API.post('/api/channel/export', { ids: [] });
+      const { success, message, data } = res.data;
+      if (success) {
+        setExistingChannels(data || []);
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoadingExisting(false);
+    }
+  };
+
+  const goToPreview = async () => {
+    await loadExistingChannels();
+    setStep(IMPORT_STEPS.PREVIEW);
+  };
+
+  const importRow = async (row) => {
+    try {
+      const res = await API.post(
+        '/api/channel/',
+        buildChannelImportPayload(row),
+      );
+      const { success, message } = res.data;
+      return success
+        ? { status: 'success' }
+        : { status: 'failed', message: message || t('创建失败') };
+    } catch (error) {
+      return { status: 'failed', message: error.message };
+    }
+  };
+
+  const startImport = async () => {
+    const pendingRows = rows.filter(isImportable);
+    if (pendingRows.length === 0) {
+      showInfo(t('没有可导入的渠道'));
+      return;
+    }
+
+    setImporting(true);
+    shouldStopImportRef.current = false;
+    const batchSize = CHANNEL_IMPORT_LIMITS.BATCH_SIZE;
+    let created = 0;
+    setProgress({ done: 0, success: 0, total: pendingRows.length });
+
+    try {
+      for (let i = 0; i < pendingRows.length; i += batchSize) {
+        if (shouldStopImportRef.current) {
+          showInfo(t('导入已停止'));
+          break;
+        }
+
+        const batch = pendingRows.slice(i, i + batchSize);
+        const batchResults = await Promise.all(batch.map(importRow));
+        created += batchResults.filter(
+          (result) => result.status === 'success',
+        ).length;
+        setImportResults((prev) => {
+          const next = { ...prev };
+          batch.forEach((row, j) => {
+            next[row.index] = batchResults[j];
+          });
+          return next;
+        });
+        setProgress({
+          done: Math.min(i + batchSize, pendingRows.length),
+          success: created,
+          total: pendingRows.length,
+        });
+      }
+
+      if (!shouldStopImportRef.current) {
+        showSuccess(
+          t('导入完成！成功: {{success}}, 失败: {{fail}}', {
+            success: created,
+            fail: pendingRows.length - created,
+          }),
+        );
+      }
+    } finally {
+      setImporting(false);
+      if (created > 0) {
+        refresh();
+      }
+    }
+  };
+
+  const stopImport = () => {
+    shouldStopImportRef.current = true;
+  };
+
+  const renderIssues = (issues, color) =>
+    issues.map((issue, i) => (
+      <Tag key={i} color={color} size='small' className='mr-1 mb-1'>
+        {t(issue.reason, issue.params)}
+      </Tag>
+    ));
+
+  const getTypeLabel = (type) =>
+    CHANNEL_OPTIONS.find((option) => option.value === type)?.label || '-';
+
+  const previewColumns = [
+    { title: '#', dataIndex: 'index', width: 56 },
+    {
+      title: t('名称'),
+      dataIndex: 'name',
+      render: (text) => text || '-',
+    },
+    {
+      title: t('类型'),
+      dataIndex: 'type',
+      render: (type) => getTypeLabel(type),
+    },
+    {
+      title: t('模型'),
+      dataIndex: 'models',
+      render: (models) => (
+        <Typography.Text
+          ellipsis={{ showTooltip: true }}
+          style={{ width: 160 }}
+        >
+          {models.join(',') || '-'}
+        </Typography.Text>
+      ),
+    },
+    {
+      title: t('分组'),
+      dataIndex: 'groups',
+      render: (groups) => groups.join(','),
+    },
+    {
+      title: t('检查结果'),
+      dataIndex: 'errors',
+      render: (_, row) => {
+        const result = importResults[row.index];
+        if (result?.status === 'success') {
+          return <Tag color='green'>{t('已创建')}</Tag>;
+        }
+        if (result?.status === 'failed') {
+          return <Tag color='red'>{result.message}</Tag>;
+        }
+        if (
+          row.errors.length === 0 &&
+          row.conflicts.length === 0 &&
+          row.warnings.length === 0
+        ) {
+          return <Tag color='green'>{t('可导入')}</Tag>;
+        }
+        return (
+          <div className='flex flex-wrap'>
+            {renderIssues(row.errors, 'red')}
+            {renderIssues(row.conflicts, 'orange')}
+            {renderIssues(row.warnings, 'grey')}
+          </div>
+        );
+      },
+    },
+  ];
+
+  const renderUploadStep = () => (
+    <div className='flex flex-col gap-4'>
+      <Banner
+        type='info'
+        closeIcon={null}
+        description={t(
+          '支持带表头的 CSV 或渠道对象数组形式的 JSON。models 与 groups 用逗号分隔，多行密钥会创建为多密钥渠道。',
+        )}
+      />
+      <div className='flex flex-wrap items-center gap-2'>
+        <input
+          ref={fileInputRef}
+          type='file'
+          accept='.csv,.json'
+          className='hidden'
+          onChange={handleFileChange}
+        />
+        <Button
+          icon={<Upload size={14} />}
+          theme='solid'
+          onClick={() => fileInputRef.current?.click()}
+        >
+          {t('选择文件')}
+        </Button>
+        <Button
+          icon={<Download size={14} />}
+          type='tertiary'
+          onClick={() => downloadTemplate('csv')}
+        >
+          {t('下载 CSV 模板')}
+        </Button>
+        <Button
+          icon={<Download size={14} />}
+          type='tertiary'
+          onClick={() => downloadTemplate('json')}
+        >
+          {t('下载 JSON 模板')}
+        </Button>
+      </div>
+    </div>
+  );
+
+  const renderMappingStep = () => (
+    <div className='flex flex-col gap-3'>
+      <Typography.Text type='secondary'>
+        {t('文件 {{name}} 共 {{count}} 行，请确认每个渠道字段对应的列', {
+          name: fileName,
+          count: records.length,
+        })}
+      </Typography.Text>
+      {CHANNEL_TRANSFER_FIELDS.map((field) => (
+        <div key={field} className='flex items-center gap-3'>
+          <Typography.Text className='w-32 flex-shrink-0'>
+            {field}
+            {REQUIRED_FIELDS.includes(field) && (
+              <span className='text-red-500 ml-1'>*</span>
+            )}
+          </Typography.Text>
+          <Select
+            size='small'
+            className='flex-1'
+            placeholder={t('不导入')}
+            value={mapping[field]}
+            showClear
+            optionList={columns.map((column) => ({
+              label: column,
+              value: column,
+            }))}
+            onChange={(value) =>
+              setMapping((prev) => {
+                const next = { ...prev };
+                if (value === undefined) {
+                  delete next[field];
+                } else {
+                  next[field] = value;
+                }
+                return next;
+              })
+            }
+          />
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderPreviewStep = () => (
+    <div className='flex flex-col gap-3'>
+      <div className='flex flex-wrap items-center justify-between gap-2'>
+        <div className='flex flex-wrap gap-2'>
+          <Tag color='blue'>{t('共 {{count}} 行', { count: rows.length })}</Tag>
+          <Tag color='green'>
+            {t('可导入 {{count}} 行', { count: importableCount })}
+          </Tag>
+          <Tag color='red'>
+            {t('校验失败 {{count}} 行', { count: invalidCount })}
+          </Tag>
+          <Tag color='orange'>
+            {t('存在冲突 {{count}} 行', { count: conflictCount })}
+          </Tag>
+        </div>
+        <div className='flex items-center gap-2'>
+          <Typography.Text>{t('跳过冲突行')}</Typography.Text>
+          <Switch
+            size='small'
+            checked={skipConflicts}
+            disabled={importing}
+            onChange={setSkipConflicts}
+          />
+        </div>
+      </div>
+      {progress && (
+        <div>
+          <Progress
+            percent={Math.round((progress.done / progress.total) * 100)}
+            showInfo
+          />
+          <Typography.Text type='secondary' size='small'>
+            {t('已处理 {{done}} / {{total}}，成功 {{success}}', progress)}
+          </Typography.Text>
+        </div>
+      )}
+      <Table
+        size='small'
+        rowKey='index'
+        columns={previewColumns}
+        dataSource={rows}
+        loading={loadingExisting}
+        pagination={{ pageSize: 10 }}
+      />
+    </div>
+  );
+
+  const renderFooter = () => {
+    if (step === IMPORT_STEPS.UPLOAD) {
+      return <Button onClick={handleClose}>{t('取消')}</Button>;
+    }
+    if (step === IMPORT_STEPS.MAPPING) {
+      return (
+        <>
+          <Button onClick={resetState}>{t('重新选择文件')}</Button>
+          <Button theme='solid' loading={loadingExisting} onClick={goToPreview}>
+            {t('下一步')}
+          </Button>
+        </>
+      );
+    }
+    return (
+      <>
+        <Button
+          disabled={importing}
+          onClick={() => setStep(IMPORT_STEPS.MAPPING)}
+        >
+          {t('上一步')}
+        </Button>
+        {importing ? (
+          <Button type='danger' onClick={stopImport}>
+            {t('停止导入')}
+          </Button>
+        ) : (
+          <Button
+            theme='solid'
+            disabled={importableCount === 0}
+            onClick={startImport}
+          >
+            {t('导入 {{count}} 个渠道', { count: importableCount })}
+          </Button>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      title={t('导入渠道')}
+      visible={showImportModal}
+      onCancel={handleClose}
+      footer={renderFooter()}
+      maskClosable={false}
+      centered={true}
+      width={step === IMPORT_STEPS.PREVIEW ? 960 : 640}
+      style={{ maxWidth: '95vw' }}
+      className='!rounded-lg'
+    >
+      <div className='flex flex-col gap-4'>
+        <Steps type='basic' size='small' current={step}>
+          <Steps.Step title={t('选择文件')} />
+          <Steps.Step title={t('字段映射')} />
+          <Steps.Step title={t('校验并导入')} />
+        </Steps>
+        {step === IMPORT_STEPS.UPLOAD && renderUploadStep()}
+        {step === IMPORT_STEPS.MAPPING && renderMappingStep()}
+        {step === IMPORT_STEPS.PREVIEW && renderPreviewStep()}
+      </div>
+    </Modal>
+  );
+};
+
+export default ChannelImportModal;
@@ -0,0 +1,440 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Button,
+  Card,
+  Dropdown,
+  Empty,
+  Input,
+  InputNumber,
+  Modal,
+  Select,
+  Space,
+  Tag,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Link2, Plus, Trash2 } from 'lucide-react';
+import {
+  API,
+  buildChannelQueryUrl,
+  copy,
+  countChannelQueryConditions,
+  normalizeChannelQuery,
+  showError,
+  showSuccess,
+} from '../../../../helpers';
+import {
+  CHANNEL_OPTIONS,
+  CHANNEL_QUERY_FIELDS,
+  CHANNEL_QUERY_STATUS_OPTIONS,
+} from '../../../../constants';
+import { useIsMobile } from '../../../../hooks/common/useIsMobile';
+
+const { Text } = Typography;
+
+// 条件对应的查询字段，优先级范围由两个字段组成
+const FIELD_KEYS = {
+  priority: ['priority_min', 'priority_max'],
+};
+
+const getFieldKeys = (field) => FIELD_KEYS[field] || [field];
+
+const getActiveFields = (query) =>
+  CHANNEL_QUERY_FIELDS.map((field) => field.key).filter((field) =>
+    getFieldKeys(field).some((key) => query[key] !== undefined),
+  );
+
+const ChannelQueryBuilderModal = ({
+  visible,
+  onCancel,
+  query,
+  channels,
+  savedViews,
+  viewCounts,
+  onApply,
+  onSaveView,
+  onDeleteView,
+}) => {
+  const { t } = useTranslation();
+  const isMobile = useIsMobile();
+  const [draft, setDraft] = useState({});
+  const [activeFields, setActiveFields] = useState([]);
+  const [viewName, setViewName] = useState('');
+  const [modelOptions, setModelOptions] = useState([]);
+
+  useEffect(() => {
+    if (!visible) return;
+    const normalized = normalizeChannelQuery(query);
+    setDraft(normalized);
+    setActiveFields(getActiveFields(normalized));
+    setViewName('');
+  }, [visible]);
+
+  useEffect(() => {
+    if (!visible || modelOptions.length > 0) return;
+    (async () => {
+      try {
+        const res = await API.get('/api/channel/models');
+        setModelOptions(
+          (res.data.data || []).map((model) => ({
+            label: model.id,
+            value: model.id,
+          })),
+        );
+      } catch (error) {
+        showError(error.message);
+      }
+    })();
+  }, [visible]);
+
+  // 标签选项取自当前列表，也可以直接输入
+  const tagOptions = useMemo(() => {
+    const tags = new Set();
+    (channels || []).forEach((channel) => {
+      if (channel.tag) tags.add(channel.tag);
+      (channel.children || []).forEach((child) => {
+        if (child.tag) tags.add(child.tag);
+      });
+    });
+    return Array.from(tags).map((tag) => ({ label: tag, value: tag }));
+  }, [channels]);
+
+  const typeOptions = useMemo(
+    () =>
+      CHANNEL_OPTIONS.map((option) => ({
+        label: option.label,
+        value: option.value,
+      })),
+    [],
+  );
+
+  const normalizedDraft = useMemo(() => normalizeChannelQuery(draft), [draft]);
+  const conditionCount = countChannelQueryConditions(normalizedDraft);
+
+  const updateDraft = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const addField = (field) => {
+    setActiveFields((prev) => [...prev, field]);
+    if (field === 'last_test_failed') {
+      updateDraft('last_test_failed', true);
+    }
+  };
+
+  const removeField = (field) => {
+    setActiveFields((prev) => prev.filter((item) => item !== field));
+    setDraft((prev) => {
+      const next = { ...prev };
+      getFieldKeys(field).forEach((key) => delete next[key]);
+      return next;
+    });
+  };
+
+  const copyViewLink = async (viewQuery, name) => {
+    if (await copy(buildChannelQueryUrl(viewQuery, name))) {
+      showSuccess(t('链接已复制'));
+    }
+  };
+
+  const saveView = () => {
+    const name = viewName.trim();
+    if (!name) return;
+    if (savedViews.some((view) => view.name === name)) {
+      showError(t('视图名称已存在'));
+      return;
+    }
+    const view = onSaveView(name, normalizedDraft);
+    onApply(normalizedDraft, view);
+  };
+
+  const renderEditor = (field) => {
+    switch (field) {
+      case 'types':
+        return (
+          <Select
+            multiple
+            filter
+            maxTagCount={3}
+            value={draft.types || []}
+            optionList={typeOptions}
+            onChange={(value) => updateDraft('types', value)}
+            placeholder={t('选择渠道类型')}
+            style={{ width: '100%' }}
+          />
+        );
+      case 'statuses':
+        return (
+          <Select
+            multiple
+            value={draft.statuses || []}
+            optionList={CHANNEL_QUERY_STATUS_OPTIONS.map((option) => ({
+              value: option.value,
+              label: t(option.label),
+            }))}
+            onChange={(value) => updateDraft('statuses', value)}
+            placeholder={t('选择状态')}
+            style={{ width: '100%' }}
+          />
+        );
+      case 'tags':
+        return (
+          <Select
+            multiple
+            filter
+            allowCreate
+            value={draft.tags || []}
+            optionList={tagOptions}
+            onChange={(value) => updateDraft('tags', value)}
+            placeholder={t('选择或输入标签')}
+            style={{ width: '100%' }}
+          />
+        );
+      case 'priority':
+        return (
+          <div className='flex items-center gap-2'>
+            <InputNumber
+              value={draft.priority_min}
+              onChange={(value) => updateDraft('priority_min', value)}
+              placeholder={t('最小值')}
+              style={{ width: '100%' }}
+            />
+            <Text type='tertiary'>~</Text>
+            <InputNumber
+              value={draft.priority_max}
+              onChange={(value) => updateDraft('priority_max', value)}
+              placeholder={t('最大值')}
+              style={{ width: '100%' }}
+            />
+          </div>
+        );
+      case 'balance_below':
+        return (
+          <InputNumber
+            min={0}
+            prefix='$'
+            value={draft.balance_below}
+            onChange={(value) => updateDraft('balance_below', value)}
+            style={{ width: '100%' }}
+          />
+        );
+      case 'response_time_above':
+        return (
+          <InputNumber
+            min={0}
+            suffix='ms'
+            value={draft.response_time_above}
+            onChange={(value) => updateDraft('response_time_above', value)}
+            style={{ width: '100%' }}
+          />
+        );
+      case 'last_test_failed':
+        return (
+          <Text type='tertiary' size='small'>
+            {t('最近一次测试结果为失败的渠道')}
+          </Text>
+        );
+      case 'models':
+        return (
+          <Select
+            multiple
+            filter
+            allowCreate
+            maxTagCount={3}
+            value={draft.models || []}
+            optionList={modelOptions}
+            onChange={(value) => updateDraft('models', value)}
+            placeholder={t('渠道需同时包含所选模型')}
+            style={{ width: '100%' }}
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  const availableFields = CHANNEL_QUERY_FIELDS.filter(
+    (field) => !activeFields.includes(field.key),
+  );
+
+  return (
+    <Modal
+      title={t('高级查询')}
+      visible={visible}
+      onCancel={onCancel}
+      width={isMobile ? '100%' : 720}
+      footer={
+        <div className='flex justify-between'>
+          <Button
+            type='tertiary'
+            onClick={() => {
+              setDraft({});
+              setActiveFields([]);
+            }}
+          >
+            {t('清空条件')}
+          </Button>
+          <Space>
+            <Button onClick={onCancel}>{t('取消')}</Button>
+            <Button theme='solid' onClick={() => onApply(normalizedDraft)}>
+              {t('应用')}
+            </Button>
+          </Space>
+        </div>
+      }
+    >
+      <div className='flex flex-col gap-4'>
+        <Card
+          className='!rounded-lg'
+          title={
+            <Text strong>
+              {t('查询条件')}
+              <Text type='tertiary' size='small' className='ml-2'>
+                {t('所有条件需同时满足')}
+              </Text>
+            </Text>
+          }
+        >
+          <div className='flex flex-col gap-3'>
+            {activeFields.length === 0 && (
+              <Text type='tertiary' size='small'>
+                {t('尚未添加条件')}
+              </Text>
+            )}
+            {activeFields.map((field) => {
+              const meta = CHANNEL_QUERY_FIELDS.find(
+                (item) => item.key === field,
+              );
+              return (
+                <div key={field} className='flex items-center gap-2'>
+                  <Text className='w-28 flex-shrink-0'>{t(meta.label)}</Text>
+                  <div className='flex-1 min-w-0'>{renderEditor(field)}</div>
+                  <Button
+                    type='danger'
+                    theme='borderless'
+                    icon={<Trash2 size={14} />}
+                    onClick={() => removeField(field)}
+                  />
+                </div>
+              );
+            })}
+            {availableFields.length > 0 && (
+              <Dropdown
+                trigger='click'
+                position='bottomLeft'
+                menu={availableFields.map((field) => ({
+                  node: 'item',
+                  name: t(field.label),
+                  onClick: () => addField(field.key),
+                }))}
+              >
+                <Button
+                  type='tertiary'
+                  icon={<Plus size={14} />}
+                  className='self-start'
+                >
+                  {t('添加条件')}
+                </Button>
+              </Dropdown>
+            )}
+          </div>
+        </Card>
+
+        <Card
+          className='!rounded-lg'
+          title={<Text strong>{t('已保存视图')}</Text>}
+        >
+          <div className='flex flex-col gap-3'>
+            <div className='flex gap-2'>
+              <Input
+                value={viewName}
+                onChange={setViewName}
+                placeholder={t('视图名称')}
+                maxLength={32}
+              />
+              <Button
+                disabled={!viewName.trim() || conditionCount === 0}
+                onClick={saveView}
+              >
+                {t('保存为视图')}
+              </Button>
+              <Button
+                icon={<Link2 size={14} />}
+                disabled={conditionCount === 0}
+                onClick={() => copyViewLink(normalizedDraft)}
+              >
+                {t('复制链接')}
+              </Button>
+            </div>
+            {savedViews.length === 0 ? (
+              <Empty description={t('暂无已保存视图')} />
+            ) : (
+              savedViews.map((view) => (
+                <div
+                  key={view.id}
+                  className='flex items-center justify-between gap-2'
+                >
+                  <Space>
+                    <Text strong>{view.name}</Text>
+                    <Tag size='small' color='grey'>
+                      {t('{{count}} 个条件', {
+                        count: countChannelQueryConditions(view.query),
+                      })}
+                    </Tag>
+                    {viewCounts[view.id] !== undefined && (
+                      <Tag size='small' color='blue'>
+                        {t('{{count}} 个渠道', { count: viewCounts[view.id] })}
+                      </Tag>
+                    )}
+                  </Space>
+                  <Space>
+                    <Button
+                      size='small'
+                      theme='light'
+                      onClick={() => onApply(view.query, view)}
+                    >
+                      {t('应用')}
+                    </Button>
+                    <Button
+                      size='small'
+                      type='tertiary'
+                      icon={<Link2 size={14} />}
+                      onClick={() => copyViewLink(view.query, view.name)}
+                    />
+                    <Button
+                      size='small'
+                      type='danger'
+                      icon={<Trash2 size={14} />}
+                      onClick={() => onDeleteView(view.id)}
+                    />
+                  </Space>
+                </div>
+              ))
+            )}
+          </div>
+        </Card>
+      </div>
+    </Modal>
+  );
+};
+
+export default ChannelQueryBuilderModal;
@@ -0,0 +1,331 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Banner,
+  Button,
+  Empty,
+  Modal,
+  Progress,
+  Select,
+  Spin,
+  Table,
+  TabPane,
+  Tabs,
+  Tag,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { ChevronRight, RefreshCw } from 'lucide-react';
+import {
+  API,
+  buildChannelRoute,
+  findUnroutableModels,
+  getChannelIcon,
+  showError,
+} from '../../../../helpers';
+import { useIsMobile } from '../../../../hooks/common/useIsMobile';
+
+const { Text } = Typography;
+
+const PAGE_SIZE = 100;
+
+const STATUS_TAGS = {
+  2: { color: 'red', text: '手动禁用' },
+  3: { color: 'orange', text: '自动禁用' },
+};
+
+const ChannelRoutingModal = ({ visible, onCancel, groupOptions = [] }) => {
+  const { t } = useTranslation();
+  const isMobile = useIsMobile();
+  const [loading, setLoading] = useState(false);
+  const [channels, setChannels] = useState([]);
+  const [model, setModel] = useState('');
+  const [group, setGroup] = useState('default');
+  const [activeTab, setActiveTab] = useState('graph');
+
+  // 逐页加载全部渠道，与渠道列表使用同一接口
+  const loadAllChannels = async () => {
+    setLoading(true);
+    try {
+      const items = [];
+      for (let page = 1; ; page++) {
+        const res = await API.get(
+          `/api/channel/?p=${page}&page_size=${PAGE_SIZE}&id_sort=false&tag_mode=false`,
+        );
+        const { success, message, data } = res.data;
+        if (!success) {
+          showError(message);
+          return;
+        }
+        items.push(...(data.items || []));
+        if (!data.items?.length || items.length >= data.total) break;
+      }
+      setChannels(items);
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (visible) {
+      loadAllChannels();
+    } else {
+      setChannels([]);
+      setActiveTab('graph');
+    }
+  }, [visible]);
+
+  const modelOptions = useMemo(() => {
+    const models = new Set();
+    channels.forEach((channel) =>
+      (channel.models || '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean)
+        .forEach((item) => models.add(item)),
+    );
+    return [...models].sort().map((item) => ({ label: item, value: item }));
+  }, [channels]);
+
+  const route = useMemo(
+    () => (model ? buildChannelRoute(channels, model, group) : null),
+    [channels, model, group],
+  );
+  const unroutable = useMemo(() => findUnroutableModels(channels), [channels]);
+
+  const renderChannelNode = (channel) => {
+    const disabled = channel.share === null;
+    return (
+      <div
+        key={channel.id}
+        className={`rounded-lg border px-2 py-1.5 ${
+          disabled ? 'border-dashed border-gray-300 opacity-60' : ''
+        }`}
+      >
+        <div className='flex items-center gap-1 min-w-0'>
+          {getChannelIcon(channel.type)}
+          <Text ellipsis={{ showTooltip: true }} style={{ maxWidth: 150 }}>
+            {channel.name}
+          </Text>
+          <Text type='tertiary' size='small'>
+            #{channel.id}
+          </Text>
+        </div>
+        <div className='flex items-center gap-2 mt-1'>
+          {disabled ? (
+            <Tag size='small' color={STATUS_TAGS[channel.status]?.color}>
+              {t(STATUS_TAGS[channel.status]?.text || '未知状态')}
+            </Tag>
+          ) : (
+            <>
+              <Progress
+                percent={channel.share * 100}
+                showInfo={false}
+                size='small'
+                style={{ width: 80 }}
+              />
+              <Text size='small'>{(channel.share * 100).toFixed(1)}%</Text>
+            </>
+          )}
+          <Text type='tertiary' size='small'>
+            {t('权重')} {channel.weight || 0}
+          </Text>
+        </div>
+      </div>
+    );
+  };
+
+  const renderTier = (tier) => (
+    <div key={tier.priority} className='flex items-stretch gap-2'>
+      <ChevronRight size={18} className='self-center text-gray-400 shrink-0' />
+      <div
+        className={`rounded-xl border p-2 flex flex-col gap-2 w-60 shrink-0 ${
+          tier.attempt === null ? 'border-red-300' : ''
+        }`}
+      >
+        <div className='flex items-center justify-between gap-2'>
+          <Text strong>
+            {t('优先级')} {tier.priority}
+          </Text>
+          {tier.attempt === null ? (
+            <Tag size='small' color='red'>
+              {t('不可用')}
+            </Tag>
+          ) : (
+            <Tag size='small' color={tier.attempt === 0 ? 'green' : 'blue'}>
+              {tier.attempt === 0
+                ? t('首次请求')
+                : t('第 {{count}} 次重试', { count: tier.attempt })}
+            </Tag>
+          )}
+        </div>
+        {tier.channels.map(renderChannelNode)}
+      </div>
+    </div>
+  );
+
+  const renderGraph = () => {
+    if (!model) {
+      return <Empty className='py-12' description={t('请选择模型')} />;
+    }
+    if (route.total === 0) {
+      return (
+        <Empty
+          className='py-12'
+          description={t('没有渠道为该分组提供此模型')}
+        />
+      );
+    }
+    return (
+      <div className='flex flex-col gap-3'>
+        {route.healthyCount === 0 && (
+          <Banner
+            type='danger'
+            closeIcon={null}
+            description={t('该模型在此分组下的渠道均已禁用，请求将无法路由')}
+          />
+        )}
+        <div className='flex items-start gap-2 overflow-x-auto pb-2'>
+          <div className='rounded-xl border p-2 shrink-0 self-center'>
+            <Text strong className='font-mono'>
+              {model}
+            </Text>
+            <div>
+              <Text type='tertiary' size='small'>
+                {t('分组')}: {group}
+              </Text>
+            </div>
+          </div>
+          {route.tiers.map(renderTier)}
+        </div>
+        <Text type='tertiary' size='small'>
+          {t(
+            '同一优先级内按权重随机选择，权重全为 0 时平均分配；请求失败重试时依次降到下一优先级，重试次数超过层数时停留在最低优先级',
+          )}
+        </Text>
+      </div>
+    );
+  };
+
+  const unroutableColumns = [
+    {
+      title: t('模型'),
+      dataIndex: 'model',
+      render: (text) => <Text className='font-mono'>{text}</Text>,
+    },
+    { title: t('分组'), dataIndex: 'group' },
+    {
+      title: t('已禁用渠道'),
+      dataIndex: 'channelIds',
+      render: (ids) => ids.map((id) => `#${id}`).join(', '),
+    },
+    {
+      title: t('操作'),
+      key: 'action',
+      render: (_, record) => (
+        <Button
+          size='small'
+          theme='borderless'
+          onClick={() => {
+            setModel(record.model);
+            setGroup(record.group);
+            setActiveTab('graph');
+          }}
+        >
+          {t('查看路由')}
+        </Button>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      title={t('路由分析')}
+      visible={visible}
+      onCancel={onCancel}
+      footer={null}
+      width={isMobile ? '100%' : 1000}
+      className='!rounded-lg'
+    >
+      <Spin spinning={loading}>
+        <div className='flex flex-wrap items-center gap-2 mb-2'>
+          <Select
+            filter
+            allowCreate
+            placeholder={t('请选择模型')}
+            value={model || undefined}
+            onChange={(value) => setModel(value || '')}
+            optionList={modelOptions}
+            style={{ width: 260 }}
+          />
+          <Select
+            filter
+            placeholder={t('请选择分组')}
+            value={group}
+            onChange={setGroup}
+            optionList={groupOptions}
+            style={{ width: 180 }}
+          />
+          <Button
+            icon={<RefreshCw size={14} />}
+            theme='light'
+            type='tertiary'
+            onClick={loadAllChannels}
+          >
+            {t('刷新')}
+          </Button>
+        </div>
+        <Tabs type='line' activeKey={activeTab} onChange={setActiveTab}>
+          <TabPane tab={t('路由图')} itemKey='graph'>
+            <div className='pt-3'>{renderGraph()}</div>
+          </TabPane>
+          <TabPane
+            tab={
+              <span>
+                {t('无可用路由')}
+                {unroutable.length > 0 && (
+                  <Tag size='small' color='red' className='ml-1'>
+                    {unroutable.length}
+                  </Tag>
+                )}
+              </span>
+            }
+            itemKey='unroutable'
+          >
+            <Table
+              className='pt-3'
+              size='small'
+              columns={unroutableColumns}
+              dataSource={unroutable}
+              rowKey={(record) => `${record.model}-${record.group}`}
+              pagination={{ pageSize: 10 }}
+              empty={<Empty description={t('所有模型都有可用路由')} />}
+            />
+          </TabPane>
+        </Tabs>
+      </Spin>
+    </Modal>
+  );
+};
+
+export default ChannelRoutingModal;
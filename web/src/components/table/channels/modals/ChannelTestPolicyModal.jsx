@@ -0,0 +1,754 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Banner,
+  Button,
+  Empty,
+  Form,
+  Modal,
+  Popconfirm,
+  Space,
+  Switch,
+  Table,
+  Tag,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { ArrowLeft, Play, Plus, RefreshCw } from 'lucide-react';
+import {
+  API,
+  showError,
+  showSuccess,
+  timestamp2string,
+} from '../../../../helpers';
+import { CHANNEL_TEST_ENDPOINT_TYPES } from '../../../../constants';
+
+const { Text } = Typography;
+
+const VIEW = {
+  LIST: 'list',
+  EDIT: 'edit',
+  RUNS: 'runs',
+};
+
+const DEFAULT_POLICY = {
+  name: '',
+  enabled: true,
+  channel_ids: [],
+  tags: [],
+  models: [],
+  endpoint_type: '',
+  interval_minutes: 30,
+  max_response_time: 0,
+  auto_disable: true,
+  disable_threshold: 3,
+  auto_enable: true,
+  enable_threshold: 1,
+};
+
+const EVENT_TAGS = {
+  failed: { color: 'red', text: '测试失败' },
+  disabled: { color: 'orange', text: '已禁用' },
+  enabled: { color: 'green', text: '已启用' },
+  skipped: { color: 'grey', text: '已跳过' },
+};
+
+const splitList = (value) =>
+  (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// 后端以逗号分隔字符串保存列表，响应时间以毫秒保存，表单中使用数组与秒
+const policyToFormValues = (policy) => ({
+  ...DEFAULT_POLICY,
+  ...policy,
+  channel_ids: splitList(policy.channel_ids).map(Number),
+  tags: splitList(policy.tags),
+  models: splitList(policy.models),
+  max_response_time: (policy.max_response_time || 0) / 1000,
+});
+
+const formValuesToPolicy = (values, id) => ({
+  ...values,
+  id,
+  channel_ids: (values.channel_ids || []).join(','),
+  tags: (values.tags || []).join(','),
+  models: (values.models || []).join(','),
+  max_response_time: Math.round((values.max_response_time || 0) * 1000),
+});
+
+const ChannelTestPolicyModal = ({ visible, onCancel, onRefresh }) => {
+  const { t } = useTranslation();
+  const [view, setView] = useState(VIEW.LIST);
+  const [policies, setPolicies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [options, setOptions] = useState({ channels: [], tags: [] });
+  const [editingPolicy, setEditingPolicy] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [runsPolicy, setRunsPolicy] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [runsLoading, setRunsLoading] = useState(false);
+  const [runsPage, setRunsPage] = useState(1);
+  const [runsTotal, setRunsTotal] = useState(0);
+  const runsPageSize = 10;
+
+  const loadPolicies = async () => {
+    setLoading(true);
+    try {
+      const res = await API.get('/api/channel/test_policy');
+      const { success, message, data } = res.data;
+      if (success) {
+        setPolicies(data || []);
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadOptions = async () => {
+    try {
+      const res = await API.get('/api/channel/test_policy/options');
+      const { success, message, data } = res.data;
+      if (success) {
+        setOptions(data || { channels: [], tags: [] });
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const loadRuns = async (policy = runsPolicy, page = runsPage) => {
+    if (!policy) return;
+    setRunsLoading(true);
+    try {
+      const res = await API.get(
+        `/api/channel/test_policy/${policy.id}/runs?p=${page}&page_size=${runsPageSize}`,
+      );
+      const { success, message, data } = res.data;
+      if (success) {
+        setRuns(data.items || []);
+        setRunsTotal(data.total || 0);
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setRunsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (visible) {
+      setView(VIEW.LIST);
+      loadPolicies();
+      loadOptions();
+    }
+  }, [visible]);
+
+  // 有策略在运行时定期刷新状态
+  const hasRunning = policies.some((policy) => policy.running);
+  useEffect(() => {
+    if (!visible || !hasRunning) return;
+    const timer = setInterval(() => {
+      loadPolicies();
+      if (view === VIEW.RUNS) loadRuns();
+    }, 5000);
+    return () => clearInterval(timer);
+  }, [visible, hasRunning, view, runsPolicy, runsPage]);
+
+  const channelOptions = useMemo(
+    () =>
+      options.channels.map((channel) => ({
+        value: channel.id,
+        label: `#${channel.id} ${channel.name}${channel.tag ? ` [${channel.tag}]` : ''}`,
+      })),
+    [options.channels],
+  );
+
+  const modelOptions = useMemo(() => {
+    const models = new Set();
+    options.channels.forEach((channel) => {
+      (channel.models || []).forEach((model) => model && models.add(model));
+    });
+    return Array.from(models)
+      .sort()
+      .map((model) => ({ value: model, label: model }));
+  }, [options.channels]);
+
+  const endpointTypeOptions = CHANNEL_TEST_ENDPOINT_TYPES.map((item) => ({
+    value: item.value,
+    label: item.path ? `${t(item.label)} (${item.path})` : t(item.label),
+  }));
+
+  const openEdit = (policy) => {
+    setEditingPolicy(policy ? policyToFormValues(policy) : DEFAULT_POLICY);
+    setView(VIEW.EDIT);
+  };
+
+  const openRuns = (policy) => {
+    setRunsPolicy(policy);
+    setRunsPage(1);
+    setRuns([]);
+    setView(VIEW.RUNS);
+    loadRuns(policy, 1);
+  };
+
+  const savePolicy = async (values) => {
+    setSaving(true);
+    try {
+      const payload = formValuesToPolicy(values, editingPolicy?.id);
+      const res = editingPolicy?.id
+        ? await API.put('/api/channel/test_policy', payload)
+        : await API.post('/api/channel/test_policy', payload);
+      const { success, message } = res.data;
+      if (success) {
+        showSuccess(t('保存成功'));
+        setView(VIEW.LIST);
+        loadPolicies();
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const togglePolicy = async (policy, enabled) => {
+    try {
+      const res = await API.put('/api/channel/test_policy', {
+        ...policy,
+        enabled,
+      });
+      const { success, message } = res.data;
+      if (success) {
+        setPolicies((prev) =>
+          prev.map((item) =>
+            item.id === policy.id ? { ...item, enabled } : item,
+          ),
+        );
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const runPolicy = async (policy) => {
+    try {
+      const res = await API.post(`/api/channel/test_policy/${policy.id}/run`);
+      const { success, message } = res.data;
+      if (success) {
+        showSuccess(t('策略已开始运行，结果将记录在运行日志中'));
+        loadPolicies();
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const deletePolicy = async (policy) => {
+    try {
+      const res = await API.delete(`/api/channel/test_policy/${policy.id}`);
+      const { success, message } = res.data;
+      if (success) {
+        showSuccess(t('删除成功'));
+        loadPolicies();
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const handleClose = () => {
+    onCancel();
+    // 策略可能已改变渠道状态
+    onRefresh?.();
+  };
+
+  const renderScope = (policy) => {
+    const ids = splitList(policy.channel_ids);
+    const tags = splitList(policy.tags);
+    return (
+      <div className='flex flex-wrap gap-1'>
+        {ids.length > 0 && (
+          <Tag color='blue' shape='circle'>
+            {t('{{count}} 个渠道', { count: ids.length })}
+          </Tag>
+        )}
+        {tags.map((tag) => (
+          <Tag key={tag} color='cyan' shape='circle'>
+            {tag}
+          </Tag>
+        ))}
+      </div>
+    );
+  };
+
+  const policyColumns = [
+    {
+      title: t('名称'),
+      dataIndex: 'name',
+      render: (text, record) => (
+        <Space>
+          <Text strong>{text}</Text>
+          {record.running && (
+            <Tag color='light-blue' shape='circle'>
+              {t('运行中')}
+            </Tag>
+          )}
+        </Space>
+      ),
+    },
+    {
+      title: t('测试范围'),
+      dataIndex: 'channel_ids',
+      render: (_, record) => renderScope(record),
+    },
+    {
+      title: t('测试模型'),
+      dataIndex: 'models',
+      render: (text) => {
+        const models = splitList(text);
+        return models.length > 0 ? (
+          <Text ellipsis={{ showTooltip: true }} style={{ maxWidth: 160 }}>
+            {models.join(', ')}
+          </Text>
+        ) : (
+          <Text type='tertiary'>{t('默认测试模型')}</Text>
+        );
+      },
+    },
+    {
+      title: t('频率'),
+      dataIndex: 'interval_minutes',
+      render: (text) => t('每 {{count}} 分钟', { count: text }),
+    },
+    {
+      title: t('自动处理'),
+      dataIndex: 'auto_disable',
+      render: (_, record) => (
+        <div className='flex flex-col gap-1'>
+          {record.auto_disable && (
+            <Tag color='orange' shape='circle'>
+              {t('连续失败 {{count}} 次禁用', {
+                count: record.disable_threshold,
+              })}
+            </Tag>
+          )}
+          {record.auto_enable && (
+            <Tag color='green' shape='circle'>
+              {t('连续成功 {{count}} 次启用', {
+                count: record.enable_threshold,
+              })}
+            </Tag>
+          )}
+          {!record.auto_disable && !record.auto_enable && (
+            <Text type='tertiary'>{t('仅测试')}</Text>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: t('上次运行'),
+      dataIndex: 'last_run_time',
+      render: (text) =>
+        text ? (
+          timestamp2string(text)
+        ) : (
+          <Text type='tertiary'>{t('从未运行')}</Text>
+        ),
+    },
+    {
+      title: t('启用'),
+      dataIndex: 'enabled',
+      render: (text, record) => (
+        <Switch
+          size='small'
+          checked={text}
+          onChange={(checked) => togglePolicy(record, checked)}
+        />
+      ),
+    },
+    {
+      title: '',
+      dataIndex: 'operate',
+      fixed: 'right',
+      render: (_, record) => (
+        <Space>
+          <Button
+            size='small'
+            type='tertiary'
+            icon={<Play size={14} />}
+            disabled={record.running}
+            onClick={() => runPolicy(record)}
+          >
+            {t('立即运行')}
+          </Button>
+          <Button size='small' type='tertiary' onClick={() => openRuns(record)}>
+            {t('运行日志')}
+          </Button>
+          <Button size='small' type='tertiary' onClick={() => openEdit(record)}>
+            {t('编辑')}
+          </Button>
+          <Popconfirm
+            title={t('确定删除此策略？')}
+            content={t('策略的运行日志将一并删除')}
+            onConfirm={() => deletePolicy(record)}
+          >
+            <Button size='small' type='danger' disabled={record.running}>
+              {t('删除')}
+            </Button>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  const eventColumns = [
+    {
+      title: t('渠道'),
+      dataIndex: 'channel_id',
+      render: (text, record) => `#${text} ${record.channel_name}`,
+    },
+    {
+      title: t('模型'),
+      dataIndex: 'model',
+      render: (text) => text || '-',
+    },
+    {
+      title: t('动作'),
+      dataIndex: 'action',
+      render: (text) => {
+        const tag = EVENT_TAGS[text] || { color: 'grey', text };
+        return (
+          <Tag color={tag.color} shape='circle'>
+            {t(tag.text)}
+          </Tag>
+        );
+      },
+    },
+    {
+      title: t('原因'),
+      dataIndex: 'reason',
+      render: (text) => (
+        <Text ellipsis={{ showTooltip: true }} style={{ maxWidth: 360 }}>
+          {text}
+        </Text>
+      ),
+    },
+  ];
+
+  const runColumns = [
+    {
+      title: t('开始时间'),
+      dataIndex: 'start_time',
+      render: (text) => timestamp2string(text),
+    },
+    {
+      title: t('触发方式'),
+      dataIndex: 'trigger',
+      render: (text) =>
+        text === 'manual' ? (
+          <Tag shape='circle'>{t('手动')}</Tag>
+        ) : (
+          <Tag color='blue' shape='circle'>
+            {t('定时')}
+          </Tag>
+        ),
+    },
+    {
+      title: t('耗时'),
+      dataIndex: 'end_time',
+      render: (text, record) => `${Math.max(text - record.start_time, 0)}s`,
+    },
+    {
+      title: t('渠道数'),
+      dataIndex: 'channel_count',
+    },
+    {
+      title: t('测试次数'),
+      dataIndex: 'tested_count',
+    },
+    {
+      title: t('失败'),
+      dataIndex: 'failed_count',
+      render: (text) => <Text type={text > 0 ? 'danger' : ''}>{text}</Text>,
+    },
+    {
+      title: t('禁用'),
+      dataIndex: 'disabled_count',
+      render: (text) => <Text type={text > 0 ? 'warning' : ''}>{text}</Text>,
+    },
+    {
+      title: t('启用'),
+      dataIndex: 'enabled_count',
+      render: (text) => <Text type={text > 0 ? 'success' : ''}>{text}</Text>,
+    },
+  ];
+
+  // 状态变更排在前面，方便查看禁用与启用的原因
+  const eventOrder = { disabled: 0, enabled: 1, skipped: 2, failed: 3 };
+  const renderRunEvents = (record) => {
+    const events = [...(record.events || [])].sort(
+      (a, b) => (eventOrder[a.action] ?? 9) - (eventOrder[b.action] ?? 9),
+    );
+    if (events.length === 0) {
+      return <Text type='tertiary'>{t('本次运行全部通过，没有状态变更')}</Text>;
+    }
+    return (
+      <Table
+        size='small'
+        columns={eventColumns}
+        dataSource={events.map((event, index) => ({ ...event, key: index }))}
+        pagination={events.length > 10 ? { pageSize: 10 } : false}
+      />
+    );
+  };
+
+  const renderList = () => (
+    <>
+      <Banner
+        type='info'
+        className='!rounded-lg mb-3'
+        description={t(
+          '定时测试策略会按设定频率测试所选渠道，并根据连续失败或成功次数自动禁用或重新启用渠道。只有开启了自动禁用的渠道会被策略禁用，手动禁用的渠道不会被重新启用。',
+        )}
+      />
+      <div className='flex justify-end gap-2 mb-3'>
+        <Button
+          size='small'
+          type='tertiary'
+          icon={<RefreshCw size={14} />}
+          onClick={loadPolicies}
+        >
+          {t('刷新')}
+        </Button>
+        <Button
+          size='small'
+          theme='solid'
+          icon={<Plus size={14} />}
+          onClick={() => openEdit(null)}
+        >
+          {t('新建策略')}
+        </Button>
+      </div>
+      <Table
+        size='small'
+        rowKey='id'
+        loading={loading}
+        columns={policyColumns}
+        dataSource={policies}
+        pagination={false}
+        scroll={{ x: 'max-content' }}
+        empty={<Empty description={t('暂无定时测试策略')} />}
+      />
+    </>
+  );
+
+  const renderEdit = () => (
+    <Form initValues={editingPolicy} onSubmit={savePolicy} labelPosition='top'>
+      {({ values }) => (
+        <>
+          <Form.Input
+            field='name'
+            label={t('策略名称')}
+            placeholder={t('请输入策略名称')}
+            rules={[{ required: true, message: t('请输入策略名称') }]}
+            showClear
+          />
+          <Form.Select
+            field='channel_ids'
+            label={t('渠道')}
+            placeholder={t('选择需要测试的渠道')}
+            optionList={channelOptions}
+            multiple
+            filter
+            maxTagCount={8}
+            style={{ width: '100%' }}
+          />
+          <Form.Select
+            field='tags'
+            label={t('标签')}
+            placeholder={t('选择标签，标签下的所有渠道都会被测试')}
+            optionList={options.tags.map((tag) => ({ value: tag, label: tag }))}
+            multiple
+            filter
+            style={{ width: '100%' }}
+            extraText={t('渠道与标签至少填写一项，两者取并集')}
+          />
+          <Form.Select
+            field='models'
+            label={t('测试模型')}
+            placeholder={t('留空则使用各渠道的默认测试模型')}
+            optionList={modelOptions}
+            multiple
+            filter
+            allowCreate
+            style={{ width: '100%' }}
+            extraText={t('只会测试渠道实际支持的模型')}
+          />
+          <Form.Select
+            field='endpoint_type'
+            label={t('端点类型')}
+            optionList={endpointTypeOptions}
+            style={{ width: '100%' }}
+          />
+          <div className='grid grid-cols-1 md:grid-cols-2 gap-x-4'>
+            <Form.InputNumber
+              field='interval_minutes'
+              label={t('测试频率（分钟）')}
+              min={1}
+              precision={0}
+              style={{ width: '100%' }}
+            />
+            <Form.InputNumber
+              field='max_response_time'
+              label={t('响应时间阈值（秒）')}
+              min={0}
+              step={0.5}
+              style={{ width: '100%' }}
+              extraText={t('超过该时间视为失败，0 表示不限制')}
+            />
+          </div>
+          <div className='grid grid-cols-1 md:grid-cols-2 gap-x-4'>
+            <div>
+              <Form.Switch field='auto_disable' label={t('自动禁用')} />
+              <Form.InputNumber
+                field='disable_threshold'
+                label={t('连续失败次数')}
+                min={1}
+                precision={0}
+                disabled={!values.auto_disable}
+                style={{ width: '100%' }}
+              />
+            </div>
+            <div>
+              <Form.Switch field='auto_enable' label={t('自动启用')} />
+              <Form.InputNumber
+                field='enable_threshold'
+                label={t('连续成功次数')}
+                min={1}
+                precision={0}
+                disabled={!values.auto_enable}
+                style={{ width: '100%' }}
+              />
+            </div>
+          </div>
+          <Form.Switch field='enabled' label={t('启用策略')} />
+          <div className='flex justify-end gap-2 mt-4'>
+            <Button type='tertiary' onClick={() => setView(VIEW.LIST)}>
+              {t('取消')}
+            </Button>
+            <Button theme='solid' htmlType='submit' loading={saving}>
+              {t('保存')}
+            </Button>
+          </div>
+        </>
+      )}
+    </Form>
+  );
+
+  const renderRuns = () => (
+    <>
+      <div className='flex justify-end mb-3'>
+        <Button
+          size='small'
+          type='tertiary'
+          icon={<RefreshCw size={14} />}
+          onClick={() => loadRuns()}
+        >
+          {t('刷新')}
+        </Button>
+      </div>
+      <Table
+        size='small'
+        rowKey='id'
+        loading={runsLoading}
+        columns={runColumns}
+        dataSource={runs}
+        expandedRowRender={renderRunEvents}
+        rowExpandable={(record) => (record.events || []).length > 0}
+        pagination={{
+          currentPage: runsPage,
+          pageSize: runsPageSize,
+          total: runsTotal,
+          onPageChange: (page) => {
+            setRunsPage(page);
+            loadRuns(runsPolicy, page);
+          },
+        }}
+        empty={<Empty description={t('暂无运行记录')} />}
+      />
+    </>
+  );
+
+  const title =
+    view === VIEW.LIST ? (
+      t('定时测试策略')
+    ) : (
+      <Space>
+        <Button
+          size='small'
+          type='tertiary'
+          theme='borderless'
+          icon={<ArrowLeft size={16} />}
+          onClick={() => setView(VIEW.LIST)}
+        />
+        {view === VIEW.EDIT
+          ? editingPolicy?.id
+            ? t('编辑策略')
+            : t('新建策略')
+          : `${t('运行日志')} - ${runsPolicy?.name || ''}`}
+      </Space>
+    );
+
+  return (
+    <Modal
+      title={title}
+      visible={visible}
+      onCancel={handleClose}
+      footer={null}
+      width={980}
+      className='!rounded-lg'
+    >
+      {view === VIEW.LIST && renderList()}
+      {view === VIEW.EDIT && renderEdit()}
+      {view === VIEW.RUNS && renderRuns()}
+    </Modal>
+  );
+};
+
+export default ChannelTestPolicyModal;
@@ -0,0 +1,320 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Button,
+  Collapse,
+  Empty,
+  Modal,
+  SideSheet,
+  Space,
+  Spin,
+  Tag,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { History, RefreshCw, RotateCcw } from 'lucide-react';
+import {
+  API,
+  attachChannelVersionDiffs,
+  showError,
+  showSuccess,
+  timestamp2string,
+} from '../../../../helpers';
+import { CHANNEL_VERSION_SOURCES } from '../../../../constants';
+import { useIsMobile } from '../../../../hooks/common/useIsMobile';
+
+const { Text, Title } = Typography;
+
+// 后端每个渠道最多保留 50 个版本，一次全部加载
+const VERSION_PAGE_SIZE = 50;
+
+const DIFF_COLORS = { added: 'green', removed: 'red', changed: 'orange' };
+
+const formatValue = (value) =>
+  typeof value === 'string' ? value : JSON.stringify(value);
+
+const ChannelVersionHistorySideSheet = ({
+  visible,
+  onCancel,
+  channel,
+  onRollback,
+}) => {
+  const { t } = useTranslation();
+  const isMobile = useIsMobile();
+  const [loading, setLoading] = useState(false);
+  const [rollingBack, setRollingBack] = useState(null);
+  const [versions, setVersions] = useState([]);
+
+  const loadVersions = async () => {
+    if (!channel?.id) return;
+    setLoading(true);
+    try {
+      const res = await API.get(`/api/channel/versions/${channel.id}`, {
+        params: { p: 1, page_size: VERSION_PAGE_SIZE },
+      });
+      const { success, message, data } = res.data;
+      if (success) {
+        setVersions(data.items || []);
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (visible) {
+      loadVersions();
+    } else {
+      setVersions([]);
+    }
+  }, [visible, channel?.id]);
+
+  const versionsWithDiffs = useMemo(
+    () => attachChannelVersionDiffs(versions),
+    [versions],
+  );
+
+  const rollback = async (version) => {
+    setRollingBack(version.id);
+    try {
+      const res = await API.post(
+        `/api/channel/versions/${channel.id}/rollback`,
+        { version_id: version.id },
+      );
+      const { success, message } = res.data;
+      if (success) {
+        showSuccess(
+          t('已回滚到版本 {{version}}', { version: version.version }),
+        );
+        await loadVersions();
+        onRollback?.();
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  const confirmRollback = (version) => {
+    Modal.confirm({
+      title: t('确定回滚到版本 {{version}}？', { version: version.version }),
+      content: t('渠道配置将恢复为该版本的内容，密钥与状态不受影响'),
+      onOk: () => rollback(version),
+    });
+  };
+
+  const renderText = (value, className) => (
+    <span className={`font-mono break-all ${className}`}>
+      {value === '' ? t('（空）') : formatValue(value)}
+    </span>
+  );
+
+  const renderFieldDiff = (diff) => {
+    if (diff.added || diff.removed) {
+      return (
+        <div className='flex flex-wrap gap-1'>
+          {diff.added.map((item) => (
+            <Tag key={`+${item}`} size='small' color='green'>
+              + {item}
+            </Tag>
+          ))}
+          {diff.removed.map((item) => (
+            <Tag key={`-${item}`} size='small' color='red'>
+              - {item}
+            </Tag>
+          ))}
+        </div>
+      );
+    }
+    if (diff.changes?.length > 0) {
+      return (
+        <div className='flex flex-col gap-1'>
+          {diff.changes.map((item) => (
+            <div key={item.path} className='flex items-start gap-2 text-xs'>
+              <Tag size='small' color={DIFF_COLORS[item.type]}>
+                {t(
+                  item.type === 'added'
+                    ? '新增'
+                    : item.type === 'removed'
+                      ? '删除'
+                      : '修改',
+                )}
+              </Tag>
+              <span className='font-mono'>{item.path || '-'}</span>
+              <span className='font-mono break-all'>
+                {item.type !== 'added' && (
+                  <span className='text-red-500 line-through mr-1'>
+                    {JSON.stringify(item.before)}
+                  </span>
+                )}
+                {item.type !== 'removed' && (
+                  <span className='text-green-600'>
+                    {JSON.stringify(item.after)}
+                  </span>
+                )}
+              </span>
+            </div>
+          ))}
+        </div>
+      );
+    }
+    return (
+      <div className='flex flex-col gap-1 text-xs'>
+        {renderText(diff.before, 'text-red-500 line-through')}
+        {renderText(diff.after, 'text-green-600')}
+      </div>
+    );
+  };
+
+  const renderDiffs = (version) => {
+    if (version.diffs === null) {
+      return (
+        <Text type='tertiary' size='small'>
+          {t('这是最早保留的版本，没有可对比的上一版本')}
+        </Text>
+      );
+    }
+    if (version.diffs.length === 0) {
+      return (
+        <Text type='tertiary' size='small'>
+          {t('与上一版本相比没有配置变化')}
+        </Text>
+      );
+    }
+    return (
+      <div className='flex flex-col gap-3'>
+        {version.diffs.map((diff) => (
+          <div key={diff.key}>
+            <Text strong size='small'>
+              {t(diff.label)}
+            </Text>
+            <div className='mt-1'>{renderFieldDiff(diff)}</div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderHeader = (version, index) => {
+    const source =
+      CHANNEL_VERSION_SOURCES[version.source] || CHANNEL_VERSION_SOURCES.edit;
+    return (
+      <div className='flex items-center justify-between w-full gap-2 pr-2'>
+        <Space wrap>
+          <Text strong>v{version.version}</Text>
+          <Tag size='small' color={source.color}>
+            {t(source.label)}
+          </Tag>
+          {index === 0 && (
+            <Tag size='small' color='green'>
+              {t('当前')}
+            </Tag>
+          )}
+          {version.rollback_from > 0 && (
+            <Text type='tertiary' size='small'>
+              {t('来自版本 {{version}}', { version: version.rollback_from })}
+            </Text>
+          )}
+        </Space>
+        <Space>
+          <Text type='tertiary' size='small'>
+            {version.username || t('系统')} ·{' '}
+            {timestamp2string(version.created_time)}
+          </Text>
+          {index > 0 && (
+            <Button
+              size='small'
+              type='warning'
+              icon={<RotateCcw size={14} />}
+              loading={rollingBack === version.id}
+              onClick={(e) => {
+                e.stopPropagation();
+                confirmRollback(version);
+              }}
+            >
+              {t('回滚')}
+            </Button>
+          )}
+        </Space>
+      </div>
+    );
+  };
+
+  return (
+    <SideSheet
+      placement='right'
+      title={
+        <Space>
+          <Tag color='blue' shape='circle'>
+            <History size={14} />
+          </Tag>
+          <Title heading={4} className='m-0'>
+            {t('配置历史')}
+          </Title>
+          <Text type='tertiary'>{channel?.name}</Text>
+        </Space>
+      }
+      visible={visible}
+      width={isMobile ? '100%' : 720}
+      onCancel={onCancel}
+      footer={
+        <div className='flex justify-end'>
+          <Button icon={<RefreshCw size={14} />} onClick={loadVersions}>
+            {t('刷新')}
+          </Button>
+        </div>
+      }
+    >
+      <Spin spinning={loading}>
+        {versionsWithDiffs.length === 0 ? (
+          <Empty
+            description={t('暂无历史版本，保存渠道配置后会自动记录')}
+            className='py-8'
+          />
+        ) : (
+          <Collapse
+            key={versionsWithDiffs[0].id}
+            defaultActiveKey={[String(versionsWithDiffs[0].id)]}
+          >
+            {versionsWithDiffs.map((version, index) => (
+              <Collapse.Panel
+                key={version.id}
+                itemKey={String(version.id)}
+                header={renderHeader(version, index)}
+              >
+                {renderDiffs(version)}
+              </Collapse.Panel>
+            ))}
+          </Collapse>
+        )}
+      </Spin>
+    </SideSheet>
+  );
+};
+
+export default ChannelVersionHistorySideSheet;
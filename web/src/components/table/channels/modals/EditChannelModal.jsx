@@ -24,10 +24,11 @@ import {
   showError,
   showInfo,
   showSuccess,
-  verifyJSON,
+  validateChannelFields,
+  validateChannelOverrides,
 } from '../../../../helpers';
 import { useIsMobile } from '../../../../hooks/common/useIsMobile';
-import { CHANNEL_OPTIONS } from '../../../../constants';
+import { CHANNEL_OPTIONS, MULTI_KEY_MODE_OPTIONS } from '../../../../constants';
 import {
   SideSheet,
   Space,
@@ -55,6 +56,10 @@ import {
   selectFilter,
 } from '../../../../helpers';
 import ModelSelectModal from './ModelSelectModal';
+import ModelMappingModal from './ModelMappingModal';
+import ParamOverrideModal from './ParamOverrideModal';
+import HeaderOverrideModal from './HeaderOverrideModal';
+import StatusCodeMappingModal from './StatusCodeMappingModal';
 import OllamaModelModal from './OllamaModelModal';
 import JSONEditor from '../../../common/ui/JSONEditor';
 import SecureVerificationModal from '../../../common/modals/SecureVerificationModal';
@@ -181,6 +186,10 @@ const EditChannelModal = (props) => {
   const [isModalOpenurl, setIsModalOpenurl] = useState(false);
   const [modelModalVisible, setModelModalVisible] = useState(false);
   const [fetchedModels, setFetchedModels] = useState([]);
+  const [modelMappingModalVisible, setModelMappingModalVisible] =
+    useState(false);
+  // 当前打开的覆盖可视化编辑器对应的字段
+  const [overrideEditorField, setOverrideEditorField] = useState('');
   const [ollamaModalVisible, setOllamaModalVisible] = useState(false);
   const formApiRef = useRef(null);
   const [vertexKeys, setVertexKeys] = useState([]);
@@ -986,6 +995,14 @@ const EditChannelModal = (props) => {
     })();
   };
 
+  // 打开可视化重定向编辑器，尚未获取上游模型时自动获取一次
+  const openModelMappingModal = () => {
+    setModelMappingModalVisible(true);
+    if (fetchedModels.length === 0 && (isEdit || inputs.key)) {
+      fetchUpstreamModelList('models', { silent: true });
+    }
+  };
+
   const confirmMissingModelMappings = (missingModels) =>
     new Promise((resolve) => {
       const modal = Modal.confirm({
@@ -1128,19 +1145,14 @@ const EditChannelModal = (props) => {
     }
     delete localInputs.vertex_files;
 
-    if (!isEdit && (!localInputs.name || !localInputs.key)) {
-      showInfo(t('请填写渠道名称和渠道密钥！'));
+    const fieldError = validateChannelFields(localInputs, isEdit);
+    if (fieldError) {
+      showInfo(t(fieldError));
       return;
     }
-    if (!Array.isArray(localInputs.models) || localInputs.models.length === 0) {
-      showInfo(t('请至少选择一个模型！'));
-      return;
-    }
-    if (
-      localInputs.type === 45 &&
-      (!localInputs.base_url || localInputs.base_url.trim() === '')
-    ) {
-      showInfo(t('请输入API地址！'));
+    const overrideError = validateChannelOverrides(localInputs);
+    if (overrideError) {
+      showInfo(t(overrideError.message, overrideError.params));
       return;
     }
     const hasModelMapping =
@@ -1148,10 +1160,6 @@ const EditChannelModal = (props) => {
       localInputs.model_mapping.trim() !== '';
     let parsedModelMapping = null;
     if (hasModelMapping) {
-      if (!verifyJSON(localInputs.model_mapping)) {
-        showInfo(t('模型映射必须是合法的 JSON 格式！'));
-        return;
-      }
       try {
         parsedModelMapping = JSON.parse(localInputs.model_mapping);
       } catch (error) {
@@ -2105,10 +2113,10 @@ const EditChannelModal = (props) => {
                           field='multi_key_mode'
                           label={t('密钥聚合模式')}
                           placeholder={t('请选择多密钥使用策略')}
-                          optionList={[
-                            { label: t('随机'), value: 'random' },
-                            { label: t('轮询'), value: 'polling' },
-                          ]}
+                          optionList={MULTI_KEY_MODE_OPTIONS.map((option) => ({
+                            label: t(option.label),
+                            value: option.value,
+                          }))}
                           style={{ width: '100%' }}
                           value={inputs.multi_key_mode || 'random'}
                           onChange={(value) => {
@@ -2653,6 +2661,16 @@ const EditChannelModal = (props) => {
                       extraText={t(
                         '键为请求中的模型名称，值为要替换的模型名称',
                       )}
+                      extraFooter={
+                        <Button
+                          size='small'
+                          type='primary'
+                          theme='light'
+                          onClick={openModelMappingModal}
+                        >
+                          {t('可视化编辑')}
+                        </Button>
+                      }
                     />
                   </Card>
                 </div>
@@ -2770,6 +2788,14 @@ const EditChannelModal = (props) => {
                       }
                       extraText={
                         <div className='flex gap-2 flex-wrap'>
+                          <Text
+                            className='!text-semi-color-primary cursor-pointer'
+                            onClick={() =>
+                              setOverrideEditorField('param_override')
+                            }
+                          >
+                            {t('可视化编辑')}
+                          </Text>
                           <Text
                             className='!text-semi-color-primary cursor-pointer'
                             onClick={() =>
@@ -2833,6 +2859,14 @@ const EditChannelModal = (props) => {
                       extraText={
                         <div className='flex flex-col gap-1'>
                           <div className='flex gap-2 flex-wrap items-center'>
+                            <Text
+                              className='!text-semi-color-primary cursor-pointer'
+                              onClick={() =>
+                                setOverrideEditorField('header_override')
+                              }
+                            >
+                              {t('可视化编辑')}
+                            </Text>
                             <Text
                               className='!text-semi-color-primary cursor-pointer'
                               onClick={() =>
@@ -2890,6 +2924,18 @@ const EditChannelModal = (props) => {
                       extraText={t(
                         '键为原状态码，值为要复写的状态码，仅影响本地判断',
                       )}
+                      extraFooter={
+                        <Button
+                          size='small'
+                          type='primary'
+                          theme='light'
+                          onClick={() =>
+                            setOverrideEditorField('status_code_mapping')
+                          }
+                        >
+                          {t('可视化编辑')}
+                        </Button>
+                      }
                     />
 
                     {/* 字段透传控制 - OpenAI 渠道 */}
@@ -3164,6 +3210,58 @@ const EditChannelModal = (props) => {
         onCancel={() => setModelModalVisible(false)}
       />
 
+      <ModelMappingModal
+        visible={modelMappingModalVisible}
+        value={inputs.model_mapping || ''}
+        models={inputs.models || []}
+        upstreamModels={fetchedModels}
+        fetchingUpstream={loading}
+        onFetchUpstream={() =>
+          fetchUpstreamModelList('models', { silent: true })
+        }
+        onConfirm={(mappingText, missingModels) => {
+          handleInputChange('model_mapping', mappingText);
+          if (missingModels.length > 0) {
+            handleInputChange(
+              'models',
+              Array.from(new Set([...(inputs.models || []), ...missingModels])),
+            );
+          }
+          setModelMappingModalVisible(false);
+        }}
+        onCancel={() => setModelMappingModalVisible(false)}
+      />
+
+      <ParamOverrideModal
+        visible={overrideEditorField === 'param_override'}
+        value={inputs.param_override || ''}
+        onConfirm={(text) => {
+          handleInputChange('param_override', text);
+          setOverrideEditorField('');
+        }}
+        onCancel={() => setOverrideEditorField('')}
+      />
+
+      <HeaderOverrideModal
+        visible={overrideEditorField === 'header_override'}
+        value={inputs.header_override || ''}
+        onConfirm={(text) => {
+          handleInputChange('header_override', text);
+          setOverrideEditorField('');
+        }}
+        onCancel={() => setOverrideEditorField('')}
+      />
+
+      <StatusCodeMappingModal
+        visible={overrideEditorField === 'status_code_mapping'}
+        value={inputs.status_code_mapping || ''}
+        onConfirm={(text) => {
+          handleInputChange('status_code_mapping', text);
+          setOverrideEditorField('');
+        }}
+        onCancel={() => setOverrideEditorField('')}
+      />
+
       <OllamaModelModal
         visible={ollamaModalVisible}
         onCancel={() => setOllamaModalVisible(false)}
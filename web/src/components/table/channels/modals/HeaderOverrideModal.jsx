@@ -0,0 +1,236 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Banner,
+  Button,
+  Card,
+  Empty,
+  Input,
+  Modal,
+  Tag,
+  TextArea,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Plus, Trash2 } from 'lucide-react';
+import {
+  applyHeaderOverride,
+  parseHeaderLines,
+  parseHeaderOverride,
+  serializeHeaderOverride,
+  validateHeaderOverride,
+} from '../../../../helpers';
+import { useIsMobile } from '../../../../hooks/common/useIsMobile';
+
+const { Text } = Typography;
+
+const DEFAULT_SAMPLE_HEADERS = [
+  'Content-Type: application/json',
+  'User-Agent: Go-http-client/1.1',
+].join('\n');
+
+let rowSeq = 0;
+const nextRowKey = () => `header-${++rowSeq}`;
+
+const HeaderOverrideModal = ({ visible, value, onConfirm, onCancel }) => {
+  const { t } = useTranslation();
+  const isMobile = useIsMobile();
+  const [rows, setRows] = useState([]);
+  const [parseError, setParseError] = useState(null);
+  const [sampleHeaders, setSampleHeaders] = useState(DEFAULT_SAMPLE_HEADERS);
+  const [sampleKey, setSampleKey] = useState('sk-xxxx');
+
+  // 打开时从 JSON 载入，JSON 非法时不允许可视化编辑，避免覆盖原内容
+  useEffect(() => {
+    if (!visible) return;
+    const parsed = parseHeaderOverride(value);
+    setParseError(parsed.error);
+    setRows(
+      parsed.headers.map((header) => ({
+        key: nextRowKey(),
+        name: header.name,
+        value:
+          typeof header.value === 'string'
+            ? header.value
+            : JSON.stringify(header.value),
+      })),
+    );
+  }, [visible, value]);
+
+  const serialized = useMemo(() => serializeHeaderOverride(rows), [rows]);
+  const validationError = useMemo(
+    () => validateHeaderOverride(serialized),
+    [serialized],
+  );
+
+  const preview = useMemo(() => {
+    const before = parseHeaderLines(sampleHeaders);
+    const after = applyHeaderOverride(before, rows, sampleKey);
+    return after.map((header) => {
+      const origin = before.find(
+        (item) => item.name.toLowerCase() === header.name.toLowerCase(),
+      );
+      let status = 'unchanged';
+      if (!origin) status = 'added';
+      else if (origin.value !== header.value) status = 'changed';
+      return { ...header, before: origin?.value, status };
+    });
+  }, [sampleHeaders, sampleKey, rows]);
+
+  const updateRow = (key, patch) =>
+    setRows((prev) =>
+      prev.map((row) => (row.key === key ? { ...row, ...patch } : row)),
+    );
+
+  return (
+    <Modal
+      title={t('可视化请求头覆盖')}
+      visible={visible}
+      onCancel={onCancel}
+      onOk={() => onConfirm(serialized)}
+      okButtonProps={{ disabled: !!parseError || !!validationError }}
+      width={isMobile ? '100%' : 860}
+      className='!rounded-lg'
+    >
+      {parseError ? (
+        <Banner
+          type='danger'
+          closeIcon={null}
+          description={t(
+            '当前请求头覆盖不是合法的 JSON 对象，请先在文本框中修正后再使用可视化编辑',
+          )}
+        />
+      ) : (
+        <div className='grid grid-cols-1 md:grid-cols-2 gap-3'>
+          <div className='flex flex-col gap-2'>
+            {validationError && (
+              <Banner
+                type='warning'
+                closeIcon={null}
+                description={t(validationError.message, validationError.params)}
+              />
+            )}
+            {rows.length === 0 ? (
+              <Empty description={t('暂无规则')} />
+            ) : (
+              rows.map((row) => (
+                <div key={row.key} className='flex items-center gap-2'>
+                  <Input
+                    size='small'
+                    className='!w-40'
+                    placeholder={t('请求头名称')}
+                    value={row.name}
+                    onChange={(name) => updateRow(row.key, { name })}
+                  />
+                  <Input
+                    size='small'
+                    className='flex-1'
+                    placeholder={t('请求头值，支持 {api_key}')}
+                    value={row.value}
+                    onChange={(value) => updateRow(row.key, { value })}
+                  />
+                  <Button
+                    size='small'
+                    type='danger'
+                    theme='borderless'
+                    icon={<Trash2 size={14} />}
+                    onClick={() =>
+                      setRows((prev) =>
+                        prev.filter((item) => item.key !== row.key),
+                      )
+                    }
+                  />
+                </div>
+              ))
+            )}
+            <Button
+              icon={<Plus size={14} />}
+              onClick={() =>
+                setRows((prev) => [
+                  ...prev,
+                  { key: nextRowKey(), name: '', value: '' },
+                ])
+              }
+            >
+              {t('添加请求头')}
+            </Button>
+          </div>
+
+          <Card
+            className='!rounded-xl'
+            bodyStyle={{ padding: 12 }}
+            title={<Text strong>{t('试运行')}</Text>}
+          >
+            <div className='flex flex-col gap-2'>
+              <Input
+                size='small'
+                prefix={t('示例密钥')}
+                value={sampleKey}
+                onChange={setSampleKey}
+              />
+              <TextArea
+                autosize={{ minRows: 3, maxRows: 8 }}
+                className='font-mono'
+                placeholder={t('每行一个请求头，格式为 Name: value')}
+                value={sampleHeaders}
+                onChange={setSampleHeaders}
+              />
+              <Text strong size='small'>
+                {t('覆盖后的请求头')}
+              </Text>
+              {preview.map((header) => (
+                <div
+                  key={header.name}
+                  className='flex items-start gap-2 text-xs font-mono'
+                >
+                  {header.status !== 'unchanged' && (
+                    <Tag
+                      size='small'
+                      color={header.status === 'added' ? 'green' : 'orange'}
+                    >
+                      {t(header.status === 'added' ? '新增' : '修改')}
+                    </Tag>
+                  )}
+                  <span className='break-all'>
+                    {header.name}:{' '}
+                    {header.status === 'changed' && (
+                      <span className='text-red-500 line-through mr-1'>
+                        {header.before}
+                      </span>
+                    )}
+                    {header.value}
+                  </span>
+                </div>
+              ))}
+              <Text type='tertiary' size='small'>
+                {t(
+                  '渠道适配器会在覆盖之后设置鉴权等请求头，同名请求头可能被适配器再次改写',
+                )}
+              </Text>
+            </div>
+          </Card>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default HeaderOverrideModal;
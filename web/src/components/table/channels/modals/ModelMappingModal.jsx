@@ -0,0 +1,527 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Banner,
+  Button,
+  Card,
+  Checkbox,
+  Empty,
+  Input,
+  Modal,
+  Select,
+  Tag,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { IconSearch } from '@douyinfe/semi-icons';
+import { ArrowRight, RefreshCw } from 'lucide-react';
+import {
+  MODEL_MAPPING_RULE_TYPES,
+  expandModelMappingRule,
+  findModelMappingIssues,
+  parseModelMapping,
+  resolveMappedModel,
+  stringifyModelMapping,
+} from '../../../../helpers';
+import { useIsMobile } from '../../../../hooks/common/useIsMobile';
+
+const { Text } = Typography;
+
+const DRAG_TYPE = 'text/plain';
+
+const matchKeyword = (model, keyword) =>
+  !keyword || model.toLowerCase().includes(keyword.trim().toLowerCase());
+
+const ModelMappingModal = ({
+  visible,
+  value,
+  models = [],
+  upstreamModels = [],
+  fetchingUpstream,
+  onFetchUpstream,
+  onConfirm,
+  onCancel,
+}) => {
+  const { t } = useTranslation();
+  const isMobile = useIsMobile();
+  const [mapping, setMapping] = useState({});
+  const [parseError, setParseError] = useState(null);
+  const [activeSource, setActiveSource] = useState('');
+  const [dragOverSource, setDragOverSource] = useState('');
+  const [sourceKeyword, setSourceKeyword] = useState('');
+  const [upstreamKeyword, setUpstreamKeyword] = useState('');
+  const [rule, setRule] = useState({
+    type: MODEL_MAPPING_RULE_TYPES.PREFIX,
+    pattern: '',
+    replacement: '',
+  });
+  const [sampleModel, setSampleModel] = useState('');
+  const [addMissingModels, setAddMissingModels] = useState(true);
+
+  // 打开时从 JSON 载入，JSON 非法时不允许可视化编辑，避免覆盖原内容
+  useEffect(() => {
+    if (!visible) return;
+    const { mapping: parsed, error } = parseModelMapping(value);
+    setMapping(parsed || {});
+    setParseError(error);
+    setActiveSource('');
+    setSourceKeyword('');
+    setUpstreamKeyword('');
+    setRule({
+      type: MODEL_MAPPING_RULE_TYPES.PREFIX,
+      pattern: '',
+      replacement: '',
+    });
+    setSampleModel(models[0] || Object.keys(parsed || {})[0] || '');
+    setAddMissingModels(true);
+  }, [visible]);
+
+  // 左侧为用户可见模型：模型列表加上已有映射中的键
+  const sourceModels = useMemo(
+    () => Array.from(new Set([...models, ...Object.keys(mapping)])),
+    [models, mapping],
+  );
+
+  const filteredSources = sourceModels.filter((model) =>
+    matchKeyword(model, sourceKeyword),
+  );
+  const filteredUpstream = upstreamModels.filter((model) =>
+    matchKeyword(model, upstreamKeyword),
+  );
+  const customTarget = upstreamKeyword.trim();
+  const showCustomTarget =
+    customTarget !== '' && !upstreamModels.includes(customTarget);
+
+  const issues = useMemo(
+    () => findModelMappingIssues(mapping, models, upstreamModels),
+    [mapping, models, upstreamModels],
+  );
+  const unknownTargetSet = useMemo(
+    () => new Set(issues.unknownTargets),
+    [issues.unknownTargets],
+  );
+
+  const ruleResult = useMemo(
+    () => expandModelMappingRule(rule, sourceModels),
+    [rule, sourceModels],
+  );
+
+  const preview = sampleModel.trim()
+    ? resolveMappedModel(mapping, sampleModel.trim())
+    : null;
+
+  const setTarget = (source, target) => {
+    if (!source || !target) return;
+    setMapping((prev) => ({ ...prev, [source]: target }));
+  };
+
+  const removeMapping = (source) => {
+    setMapping((prev) => {
+      const next = { ...prev };
+      delete next[source];
+      return next;
+    });
+  };
+
+  // 点击上游模型时映射到当前选中的左侧模型，便于不方便拖拽的设备使用
+  const handleUpstreamClick = (target) => {
+    if (!activeSource) return;
+    setTarget(activeSource, target);
+    const index = filteredSources.indexOf(activeSource);
+    setActiveSource(filteredSources[index + 1] || '');
+  };
+
+  const applyRule = () => {
+    if (ruleResult.entries.length === 0) return;
+    setMapping((prev) => {
+      const next = { ...prev };
+      ruleResult.entries.forEach(({ from, to }) => {
+        next[from] = to;
+      });
+      return next;
+    });
+  };
+
+  const handleConfirm = () => {
+    onConfirm(
+      stringifyModelMapping(mapping),
+      addMissingModels ? issues.missingSources : [],
+    );
+  };
+
+  const renderTarget = (source) => {
+    const target = mapping[source];
+    if (typeof target !== 'string' || target === '') {
+      return (
+        <Text type='tertiary' size='small'>
+          {t('拖入上游模型')}
+        </Text>
+      );
+    }
+    const resolved = resolveMappedModel(mapping, source);
+    return (
+      <div className='flex items-center gap-1 min-w-0'>
+        <Tag
+          closable
+          color={
+            resolved.cycle
+              ? 'red'
+              : unknownTargetSet.has(resolved.model)
+                ? 'orange'
+                : 'blue'
+          }
+          onClose={() => removeMapping(source)}
+          className='max-w-full'
+        >
+          <span className='truncate'>{target}</span>
+        </Tag>
+        {resolved.cycle && (
+          <Text type='danger' size='small'>
+            {t('循环重定向')}
+          </Text>
+        )}
+        {!resolved.cycle && resolved.chain.length > 2 && (
+          <Text type='tertiary' size='small' className='truncate'>
+            → {resolved.model}
+          </Text>
+        )}
+      </div>
+    );
+  };
+
+  const renderSourceRow = (source) => {
+    const isActive = activeSource === source;
+    const isDragOver = dragOverSource === source;
+    const isMissing = !models.includes(source);
+    return (
+      <div
+        key={source}
+        className={`flex items-center gap-2 px-2 py-1.5 rounded-lg cursor-pointer border ${
+          isDragOver
+            ? 'border-blue-400 bg-blue-50'
+            : isActive
+              ? 'border-blue-300'
+              : 'border-transparent'
+        }`}
+        onClick={() => setActiveSource(isActive ? '' : source)}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOverSource(source);
+        }}
+        onDragLeave={() => setDragOverSource('')}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragOverSource('');
+          setTarget(source, e.dataTransfer.getData(DRAG_TYPE));
+        }}
+      >
+        <div className='w-5/12 min-w-0 flex items-center gap-1'>
+          <Text ellipsis={{ showTooltip: true }} className='font-mono text-xs'>
+            {source}
+          </Text>
+          {isMissing && (
+            <Tag size='small' color='orange'>
+              {t('未在模型列表')}
+            </Tag>
+          )}
+        </div>
+        <ArrowRight size={14} className='text-gray-400 flex-shrink-0' />
+        <div className='flex-1 min-w-0'>{renderTarget(source)}</div>
+      </div>
+    );
+  };
+
+  const renderUpstreamRow = (model, custom = false) => (
+    <div
+      key={custom ? `custom-${model}` : model}
+      draggable
+      onDragStart={(e) => e.dataTransfer.setData(DRAG_TYPE, model)}
+      onClick={() => handleUpstreamClick(model)}
+      className={`px-2 py-1.5 rounded-lg border border-dashed border-gray-300 ${
+        activeSource ? 'cursor-pointer hover:border-blue-400' : 'cursor-grab'
+      }`}
+    >
+      {custom ? (
+        <Text size='small'>
+          {t('使用自定义名称')}：<span className='font-mono'>{model}</span>
+        </Text>
+      ) : (
+        <Text ellipsis={{ showTooltip: true }} className='font-mono text-xs'>
+          {model}
+        </Text>
+      )}
+    </div>
+  );
+
+  return (
+    <Modal
+      title={t('可视化模型重定向')}
+      visible={visible}
+      onCancel={onCancel}
+      onOk={handleConfirm}
+      okButtonProps={{ disabled: !!parseError }}
+      width={isMobile ? '100%' : 960}
+      className='!rounded-lg'
+    >
+      {parseError ? (
+        <Banner
+          type='danger'
+          closeIcon={null}
+          description={t(
+            '当前模型重定向不是合法的 JSON 对象，请先在文本框中修正后再使用可视化编辑',
+          )}
+        />
+      ) : (
+        <div className='flex flex-col gap-3'>
+          <Text type='tertiary' size='small'>
+            {t(
+              '将右侧的上游模型拖到左侧模型上建立重定向，也可以先点击左侧模型再点击右侧模型。',
+            )}
+          </Text>
+
+          <div className='grid grid-cols-1 md:grid-cols-2 gap-3'>
+            <Card
+              className='!rounded-xl'
+              bodyStyle={{ padding: 12 }}
+              title={
+                <Text strong>
+                  {t('用户请求的模型')} ({sourceModels.length})
+                </Text>
+              }
+            >
+              <Input
+                size='small'
+                prefix={<IconSearch />}
+                placeholder={t('搜索模型...')}
+                value={sourceKeyword}
+                onChange={setSourceKeyword}
+                showClear
+                className='mb-2'
+              />
+              <div className='flex flex-col gap-1 max-h-80 overflow-y-auto'>
+                {filteredSources.length === 0 ? (
+                  <Empty description={t('暂无模型')} />
+                ) : (
+                  filteredSources.map(renderSourceRow)
+                )}
+              </div>
+            </Card>
+
+            <Card
+              className='!rounded-xl'
+              bodyStyle={{ padding: 12 }}
+              title={
+                <Text strong>
+                  {t('上游模型')} ({upstreamModels.length})
+                </Text>
+              }
+              headerExtraContent={
+                <Button
+                  size='small'
+                  type='tertiary'
+                  icon={<RefreshCw size={14} />}
+                  loading={fetchingUpstream}
+                  onClick={onFetchUpstream}
+                >
+                  {t('获取上游模型')}
+                </Button>
+              }
+            >
+              <Input
+                size='small'
+                prefix={<IconSearch />}
+                placeholder={t('搜索或输入自定义模型名称')}
+                value={upstreamKeyword}
+                onChange={setUpstreamKeyword}
+                showClear
+                className='mb-2'
+              />
+              <div className='flex flex-col gap-1 max-h-80 overflow-y-auto'>
+                {showCustomTarget && renderUpstreamRow(customTarget, true)}
+                {filteredUpstream.map((model) => renderUpstreamRow(model))}
+                {upstreamModels.length === 0 && !showCustomTarget && (
+                  <Empty description={t('点击右上角获取上游模型列表')} />
+                )}
+              </div>
+            </Card>
+          </div>
+
+          {(issues.missingSources.length > 0 ||
+            issues.unknownTargets.length > 0) && (
+            <Banner
+              type='warning'
+              closeIcon={null}
+              description={
+                <div className='flex flex-col gap-1 text-xs'>
+                  {issues.missingSources.length > 0 && (
+                    <div>
+                      {t('以下模型不在模型列表中，调用时会失败：')}
+                      <span className='font-mono break-all'>
+                        {issues.missingSources.join(', ')}
+                      </span>
+                      <div className='mt-1'>
+                        <Checkbox
+                          checked={addMissingModels}
+                          onChange={(e) =>
+                            setAddMissingModels(e.target.checked)
+                          }
+                        >
+                          {t('保存时自动加入模型列表')}
+                        </Checkbox>
+                      </div>
+                    </div>
+                  )}
+                  {issues.unknownTargets.length > 0 && (
+                    <div>
+                      {t('以下目标模型不在上游模型列表中：')}
+                      <span className='font-mono break-all'>
+                        {issues.unknownTargets.join(', ')}
+                      </span>
+                    </div>
+                  )}
+                </div>
+              }
+            />
+          )}
+
+          <Card
+            className='!rounded-xl'
+            bodyStyle={{ padding: 12 }}
+            title={<Text strong>{t('批量规则')}</Text>}
+          >
+            <div className='flex flex-col md:flex-row gap-2'>
+              <Select
+                size='small'
+                value={rule.type}
+                onChange={(type) => setRule((prev) => ({ ...prev, type }))}
+                optionList={[
+                  { value: MODEL_MAPPING_RULE_TYPES.PREFIX, label: t('前缀') },
+                  { value: MODEL_MAPPING_RULE_TYPES.REGEX, label: t('正则') },
+                ]}
+                style={{ width: 100 }}
+              />
+              <Input
+                size='small'
+                value={rule.pattern}
+                onChange={(pattern) =>
+                  setRule((prev) => ({ ...prev, pattern }))
+                }
+                placeholder={
+                  rule.type === MODEL_MAPPING_RULE_TYPES.REGEX
+                    ? '^gpt-(.*)$'
+                    : 'gpt-'
+                }
+              />
+              <Input
+                size='small'
+                value={rule.replacement}
+                onChange={(replacement) =>
+                  setRule((prev) => ({ ...prev, replacement }))
+                }
+                placeholder={
+                  rule.type === MODEL_MAPPING_RULE_TYPES.REGEX
+                    ? 'azure-gpt-$1'
+                    : 'azure-gpt-'
+                }
+              />
+              <Button
+                size='small'
+                theme='solid'
+                disabled={ruleResult.entries.length === 0}
+                onClick={applyRule}
+              >
+                {t('应用到 {{count}} 个模型', {
+                  count: ruleResult.entries.length,
+                })}
+              </Button>
+            </div>
+            <div className='mt-2 text-xs'>
+              {ruleResult.error ? (
+                <Text type='danger' size='small'>
+                  {t(ruleResult.error)}
+                </Text>
+              ) : ruleResult.entries.length > 0 ? (
+                <div className='flex flex-wrap gap-1 max-h-20 overflow-y-auto'>
+                  {ruleResult.entries.map(({ from, to }) => (
+                    <Tag key={from} size='small'>
+                      {from} → {to}
+                    </Tag>
+                  ))}
+                </div>
+              ) : (
+                <Text type='tertiary' size='small'>
+                  {t(
+                    '规则会作用于左侧所有模型，生成的重定向仍以普通 JSON 保存',
+                  )}
+                </Text>
+              )}
+            </div>
+          </Card>
+
+          <Card
+            className='!rounded-xl'
+            bodyStyle={{ padding: 12 }}
+            title={<Text strong>{t('重定向预览')}</Text>}
+          >
+            <div className='flex flex-col md:flex-row md:items-center gap-2'>
+              <Input
+                size='small'
+                value={sampleModel}
+                onChange={setSampleModel}
+                placeholder={t('输入请求中的 model')}
+                style={{ maxWidth: 280 }}
+              />
+              {preview && (
+                <div className='flex flex-wrap items-center gap-1 text-xs'>
+                  {preview.chain.map((model, index) => (
+                    <React.Fragment key={`${model}-${index}`}>
+                      {index > 0 && (
+                        <ArrowRight size={12} className='text-gray-400' />
+                      )}
+                      <Tag size='small' color={index === 0 ? 'grey' : 'blue'}>
+                        {model}
+                      </Tag>
+                    </React.Fragment>
+                  ))}
+                  {preview.cycle ? (
+                    <Text type='danger' size='small'>
+                      {t('重定向存在循环，请求会失败')}
+                    </Text>
+                  ) : preview.mapped ? (
+                    <Text type='success' size='small'>
+                      {t('上游实际收到：{{model}}', { model: preview.model })}
+                    </Text>
+                  ) : (
+                    <Text type='tertiary' size='small'>
+                      {t('不会被重定向')}
+                    </Text>
+                  )}
+                </div>
+              )}
+            </div>
+          </Card>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default ModelMappingModal;
@@ -29,7 +29,10 @@ import {
 } from '@douyinfe/semi-ui';
 import { IconSearch } from '@douyinfe/semi-icons';
 import { copy, showError, showInfo, showSuccess } from '../../../../helpers';
-import { MODEL_TABLE_PAGE_SIZE } from '../../../../constants';
+import {
+  CHANNEL_TEST_ENDPOINT_TYPES,
+  MODEL_TABLE_PAGE_SIZE,
+} from '../../../../constants';
 
 const ModelTestModal = ({
   showModelTestModal,
@@ -62,22 +65,10 @@ const ModelTestModal = ({
         )
     : [];
 
-  const endpointTypeOptions = [
-    { value: '', label: t('自动检测') },
-    { value: 'openai', label: 'OpenAI (/v1/chat/completions)' },
-    { value: 'openai-response', label: 'OpenAI Response (/v1/responses)' },
-    { value: 'anthropic', label: 'Anthropic (/v1/messages)' },
-    {
-      value: 'gemini',
-      label: 'Gemini (/v1beta/models/{model}:generateContent)',
-    },
-    { value: 'jina-rerank', label: 'Jina Rerank (/rerank)' },
-    {
-      value: 'image-generation',
-      label: t('图像生成') + ' (/v1/images/generations)',
-    },
-    { value: 'embeddings', label: 'Embeddings (/v1/embeddings)' },
-  ];
+  const endpointTypeOptions = CHANNEL_TEST_ENDPOINT_TYPES.map((item) => ({
+    value: item.value,
+    label: item.path ? `${t(item.label)} (${item.path})` : t(item.label),
+  }));
 
   const handleCopySelected = () => {
     if (selectedModelKeys.length === 0) {
@@ -0,0 +1,321 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Banner,
+  Button,
+  Card,
+  Empty,
+  InputNumber,
+  Select,
+  Spin,
+  Tabs,
+  TabPane,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { VChart } from '@visactor/react-vchart';
+import { initVChartSemiTheme } from '@visactor/vchart-semi-theme';
+import {
+  API,
+  showError,
+  showSuccess,
+  simulateKeyRotation,
+  timestamp2string1,
+} from '../../../../helpers';
+import { CHART_CONFIG, MULTI_KEY_MODE_OPTIONS } from '../../../../constants';
+
+const { Text } = Typography;
+
+const SIMULATION_MAX_REQUESTS = 100000;
+
+const buildBarSpec = (values, title, seriesField) => ({
+  type: 'bar',
+  data: [{ id: 'keyData', values }],
+  xField: seriesField ? ['Key', 'Type'] : 'Key',
+  yField: 'Count',
+  seriesField,
+  title: { visible: true, text: title },
+  legends: { visible: !!seriesField },
+});
+
+const MultiKeyAnalyticsPanel = ({ channelId, refreshKey, onSaved }) => {
+  const { t } = useTranslation();
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [stats, setStats] = useState({ keys: [], hourly: [] });
+  const [mode, setMode] = useState('random');
+  const [weights, setWeights] = useState({});
+  const [activeChart, setActiveChart] = useState('trend');
+  const [simulationRequests, setSimulationRequests] = useState(1000);
+  const [simulationSeed, setSimulationSeed] = useState(0);
+
+  const loadStats = async () => {
+    if (!channelId) return;
+    setLoading(true);
+    try {
+      const res = await API.post('/api/channel/multi_key/manage', {
+        channel_id: channelId,
+        action: 'get_key_stats',
+      });
+      const { success, message, data } = res.data;
+      if (success) {
+        setStats({ keys: data.keys || [], hourly: data.hourly || [] });
+        setMode(data.multi_key_mode || 'random');
+        setWeights(
+          Object.fromEntries(
+            (data.keys || []).map((key) => [key.index, key.weight || 1]),
+          ),
+        );
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(t('获取密钥统计失败'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 密钥状态加载完成后由父组件更新 refreshKey 触发刷新
+  useEffect(() => {
+    if (refreshKey > 0) {
+      loadStats();
+    }
+  }, [refreshKey]);
+
+  useEffect(() => {
+    initVChartSemiTheme({
+      isWatchingThemeSwitch: true,
+    });
+  }, []);
+
+  const handleSaveRotation = async () => {
+    setSaving(true);
+    try {
+      const payload = {
+        channel_id: channelId,
+        action: 'set_rotation',
+        multi_key_mode: mode,
+      };
+      if (mode === 'weighted') {
+        payload.weights = weights;
+      }
+      const res = await API.post('/api/channel/multi_key/manage', payload);
+      if (res.data.success) {
+        showSuccess(t('轮换策略已保存'));
+        onSaved && onSaved();
+      } else {
+        showError(res.data.message);
+      }
+    } catch (error) {
+      showError(t('保存轮换策略失败'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const keysWithWeights = useMemo(
+    () => stats.keys.map((key) => ({ ...key, weight: weights[key.index] })),
+    [stats.keys, weights],
+  );
+  const enabledKeys = useMemo(
+    () => keysWithWeights.filter((key) => key.status === 1),
+    [keysWithWeights],
+  );
+
+  const simulation = useMemo(
+    () =>
+      simulateKeyRotation(
+        mode,
+        enabledKeys,
+        Math.min(simulationRequests || 0, SIMULATION_MAX_REQUESTS),
+      ),
+    // simulationSeed 变化时重新模拟随机策略
+    [mode, enabledKeys, simulationRequests, simulationSeed],
+  );
+
+  const chartSpecs = useMemo(() => {
+    const requestsLabel = t('请求数');
+    const errorsLabel = t('错误数');
+    return {
+      trend: {
+        type: 'line',
+        data: [
+          {
+            id: 'trendData',
+            values: stats.hourly.flatMap((bucket) => {
+              const time = timestamp2string1(bucket.time, 'hour');
+              return [
+                { Time: time, Type: requestsLabel, Count: bucket.requests },
+                { Time: time, Type: errorsLabel, Count: bucket.errors },
+              ];
+            }),
+          },
+        ],
+        xField: 'Time',
+        yField: 'Count',
+        seriesField: 'Type',
+        title: { visible: true, text: t('近 24 小时请求趋势') },
+        legends: { visible: true },
+      },
+      keys: buildBarSpec(
+        stats.keys.flatMap((key) => [
+          {
+            Key: `#${key.index}`,
+            Type: requestsLabel,
+            Count: key.request_count,
+          },
+          { Key: `#${key.index}`, Type: errorsLabel, Count: key.error_count },
+        ]),
+        t('各密钥请求分布'),
+        'Type',
+      ),
+      simulation: buildBarSpec(
+        simulation.map((item) => ({
+          Key: `#${item.index}`,
+          Count: item.count,
+        })),
+        t('模拟流量分布'),
+      ),
+    };
+  }, [stats, simulation, t]);
+
+  const chartHasData = {
+    trend: stats.hourly.some((bucket) => bucket.requests > 0),
+    keys: stats.keys.some((key) => key.request_count > 0),
+    simulation: simulation.some((item) => item.count > 0),
+  };
+
+  return (
+    <Spin spinning={loading}>
+      <Card className='!rounded-xl mb-3' bodyStyle={{ padding: 12 }}>
+        <div className='flex flex-wrap items-center gap-2'>
+          <Text strong>{t('轮换策略')}</Text>
+          <Select
+            size='small'
+            value={mode}
+            onChange={setMode}
+            optionList={MULTI_KEY_MODE_OPTIONS.map((option) => ({
+              value: option.value,
+              label: t(option.label),
+            }))}
+            style={{ width: 140 }}
+          />
+          <Button
+            size='small'
+            type='primary'
+            loading={saving}
+            onClick={handleSaveRotation}
+          >
+            {t('保存')}
+          </Button>
+          <Text type='tertiary' size='small'>
+            {t('调用统计保存在当前节点内存中，重启后清零')}
+          </Text>
+        </div>
+        {mode === 'polling' && (
+          <Banner
+            type='warning'
+            description={t(
+              '轮询模式必须搭配Redis和内存缓存功能使用，否则性能将大幅降低，并且无法实现轮询功能',
+            )}
+            className='!rounded-lg mt-2'
+          />
+        )}
+        {mode === 'least_used' && (
+          <Text type='tertiary' size='small' className='block mt-2'>
+            {t('优先选择当前节点上最近两小时请求数最少的已启用密钥')}
+          </Text>
+        )}
+        {mode === 'weighted' && (
+          <div className='flex flex-wrap gap-2 mt-2 max-h-32 overflow-y-auto'>
+            {enabledKeys.map((key) => (
+              <InputNumber
+                key={key.index}
+                size='small'
+                prefix={`#${key.index}`}
+                min={1}
+                max={100}
+                value={weights[key.index]}
+                onChange={(value) =>
+                  setWeights((prev) => ({ ...prev, [key.index]: value || 1 }))
+                }
+                style={{ width: 120 }}
+              />
+            ))}
+          </div>
+        )}
+
+        <Tabs
+          type='slash'
+          activeKey={activeChart}
+          onChange={setActiveChart}
+          className='mt-2'
+          tabBarExtraContent={
+            activeChart === 'simulation' && (
+              <div className='flex items-center gap-2'>
+                <InputNumber
+                  size='small'
+                  min={1}
+                  max={SIMULATION_MAX_REQUESTS}
+                  value={simulationRequests}
+                  onChange={setSimulationRequests}
+                  suffix={t('次请求')}
+                  style={{ width: 150 }}
+                />
+                <Button
+                  size='small'
+                  onClick={() => setSimulationSeed((seed) => seed + 1)}
+                >
+                  {t('重新模拟')}
+                </Button>
+              </div>
+            )
+          }
+        >
+          <TabPane tab={t('请求趋势')} itemKey='trend' />
+          <TabPane tab={t('密钥分布')} itemKey='keys' />
+          <TabPane tab={t('策略模拟')} itemKey='simulation' />
+        </Tabs>
+        <div className='h-64'>
+          {chartHasData[activeChart] ? (
+            <VChart
+              key={activeChart}
+              spec={chartSpecs[activeChart]}
+              option={CHART_CONFIG}
+            />
+          ) : (
+            <Empty
+              className='pt-12'
+              description={
+                activeChart === 'simulation'
+                  ? t('没有已启用的密钥')
+                  : t('暂无调用记录')
+              }
+            />
+          )}
+        </div>
+      </Card>
+    </Spin>
+  );
+};
+
+export default MultiKeyAnalyticsPanel;
@@ -0,0 +1,190 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Banner,
+  Button,
+  Modal,
+  RadioGroup,
+  Radio,
+  Tag,
+  TextArea,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { API, showError, showSuccess } from '../../../../helpers';
+
+const { Text } = Typography;
+
+const DIFF_SECTIONS = [
+  { key: 'added', label: '新增密钥', color: 'green' },
+  { key: 'existing', label: '已存在的密钥', color: 'blue' },
+  { key: 'duplicated', label: '输入中重复的密钥', color: 'orange' },
+  { key: 'removed', label: '将被移除的密钥', color: 'red' },
+];
+
+const MultiKeyBulkUpdateModal = ({
+  visible,
+  channelId,
+  onCancel,
+  onSuccess,
+}) => {
+  const { t } = useTranslation();
+  const [keyMode, setKeyMode] = useState('append');
+  const [keysText, setKeysText] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!visible) {
+      setKeyMode('append');
+      setKeysText('');
+      setDiff(null);
+    }
+  }, [visible]);
+
+  // 修改输入或更新方式后需要重新预览
+  useEffect(() => {
+    setDiff(null);
+  }, [keyMode, keysText]);
+
+  const submit = async (dryRun) => {
+    setLoading(true);
+    try {
+      const res = await API.post('/api/channel/multi_key/manage', {
+        channel_id: channelId,
+        action: 'update_keys',
+        keys: keysText,
+        key_mode: keyMode,
+        dry_run: dryRun,
+      });
+      const { success, message, data } = res.data;
+      if (!success) {
+        showError(message);
+        return;
+      }
+      if (dryRun) {
+        setDiff(data);
+      } else {
+        showSuccess(message);
+        onSuccess && onSuccess();
+      }
+    } catch (error) {
+      showError(t('更新密钥失败'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const hasChanges = diff && (diff.added.length > 0 || diff.removed.length > 0);
+
+  return (
+    <Modal
+      title={t('批量更新密钥')}
+      visible={visible}
+      onCancel={onCancel}
+      width={640}
+      footer={
+        <div className='flex justify-end gap-2'>
+          <Button onClick={onCancel}>{t('取消')}</Button>
+          <Button
+            loading={loading && !diff}
+            disabled={!keysText.trim()}
+            onClick={() => submit(true)}
+          >
+            {t('预览变更')}
+          </Button>
+          <Button
+            type='primary'
+            theme='solid'
+            loading={loading && !!diff}
+            disabled={!hasChanges}
+            onClick={() => submit(false)}
+          >
+            {t('确认更新')}
+          </Button>
+        </div>
+      }
+    >
+      <div className='flex flex-col gap-3'>
+        <RadioGroup
+          type='button'
+          value={keyMode}
+          onChange={(e) => setKeyMode(e.target.value)}
+        >
+          <Radio value='append'>{t('追加')}</Radio>
+          <Radio value='replace'>{t('覆盖')}</Radio>
+        </RadioGroup>
+        <Text type='tertiary' size='small'>
+          {keyMode === 'replace'
+            ? t('覆盖模式：将完全替换现有的所有密钥')
+            : t('追加模式：将新密钥添加到现有密钥列表末尾')}
+        </Text>
+        <Text type='tertiary' size='small'>
+          {t('已存在的密钥会保留原有的状态与权重，重复的密钥只保留一个')}
+        </Text>
+        <TextArea
+          autosize={{ minRows: 6, maxRows: 14 }}
+          className='font-mono'
+          placeholder={t('每行一个密钥')}
+          value={keysText}
+          onChange={setKeysText}
+        />
+        {diff && (
+          <div className='flex flex-col gap-2'>
+            <Text strong>
+              {t('更新后共 {{count}} 个密钥', { count: diff.total_after })}
+            </Text>
+            {!hasChanges && (
+              <Banner
+                type='info'
+                closeIcon={null}
+                description={t('密钥没有变化')}
+              />
+            )}
+            {DIFF_SECTIONS.filter(
+              (section) => diff[section.key].length > 0,
+            ).map((section) => (
+              <div key={section.key}>
+                <Text size='small'>
+                  {t(section.label)} ({diff[section.key].length})
+                </Text>
+                <div className='flex flex-wrap gap-1 mt-1 max-h-24 overflow-y-auto'>
+                  {diff[section.key].map((preview, index) => (
+                    <Tag
+                      key={`${section.key}-${index}`}
+                      size='small'
+                      color={section.color}
+                      className='font-mono'
+                    >
+                      {preview}
+                    </Tag>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default MultiKeyBulkUpdateModal;
@@ -43,10 +43,14 @@ import {
 } from '@douyinfe/semi-illustrations';
 import {
   API,
+  getKeyErrorRate,
   showError,
   showSuccess,
   timestamp2string,
 } from '../../../../helpers';
+import { MULTI_KEY_MODE_OPTIONS } from '../../../../constants';
+import MultiKeyAnalyticsPanel from './MultiKeyAnalyticsPanel';
+import MultiKeyBulkUpdateModal from './MultiKeyBulkUpdateModal';
 
 const { Text } = Typography;
 
@@ -70,6 +74,11 @@ const MultiKeyManageModal = ({ visible, onCancel, channel, onRefresh }) => {
   // Filter states
   const [statusFilter, setStatusFilter] = useState(null); // null=all, 1=enabled, 2=manual_disabled, 3=auto_disabled
 
+  // Rotation & analytics states
+  const [multiKeyMode, setMultiKeyMode] = useState('');
+  const [statsRefreshKey, setStatsRefreshKey] = useState(0);
+  const [bulkUpdateVisible, setBulkUpdateVisible] = useState(false);
+
   // Load key status data
   const loadKeyStatus = async (
     page = currentPage,
@@ -106,6 +115,8 @@ const MultiKeyManageModal = ({ visible, onCancel, channel, onRefresh }) => {
         setEnabledCount(data.enabled_count || 0);
         setManualDisabledCount(data.manual_disabled_count || 0);
         setAutoDisabledCount(data.auto_disabled_count || 0);
+        setMultiKeyMode(data.multi_key_mode || '');
+        setStatsRefreshKey((key) => key + 1);
       } else {
         showError(res.data.message);
       }
@@ -312,6 +323,9 @@ const MultiKeyManageModal = ({ visible, onCancel, channel, onRefresh }) => {
       setManualDisabledCount(0);
       setAutoDisabledCount(0);
       setStatusFilter(null); // Reset filter
+      setMultiKeyMode('');
+      setBulkUpdateVisible(false);
+      setStatsRefreshKey(0);
     }
   }, [visible]);
 
@@ -376,6 +390,66 @@ const MultiKeyManageModal = ({ visible, onCancel, channel, onRefresh }) => {
       dataIndex: 'status',
       render: (status) => renderStatusTag(status),
     },
+    {
+      title: t('请求数'),
+      dataIndex: 'request_count',
+      render: (count) => count || 0,
+    },
+    {
+      title: t('错误率'),
+      dataIndex: 'error_count',
+      render: (_, record) => {
+        const rate = getKeyErrorRate(record);
+        if (rate === null) {
+          return <Text type='quaternary'>-</Text>;
+        }
+        return (
+          <Text type={rate >= 50 ? 'danger' : rate >= 10 ? 'warning' : ''}>
+            {rate.toFixed(1)}%
+          </Text>
+        );
+      },
+    },
+    {
+      title: t('最近使用'),
+      dataIndex: 'last_used_time',
+      render: (time) =>
+        time ? (
+          <Text style={{ fontSize: '12px' }}>{timestamp2string(time)}</Text>
+        ) : (
+          <Text type='quaternary'>-</Text>
+        ),
+    },
+    {
+      title: t('最近错误'),
+      dataIndex: 'last_error',
+      render: (error, record) => {
+        if (!error) {
+          return <Text type='quaternary'>-</Text>;
+        }
+        return (
+          <Tooltip
+            content={`${timestamp2string(record.last_error_time)} ${error}`}
+          >
+            <Text
+              type='danger'
+              style={{ maxWidth: '200px', display: 'block' }}
+              ellipsis
+            >
+              {error}
+            </Text>
+          </Tooltip>
+        );
+      },
+    },
+    ...(multiKeyMode === 'weighted'
+      ? [
+          {
+            title: t('权重'),
+            dataIndex: 'weight',
+          },
+        ]
+      : []),
     {
       title: t('禁用原因'),
       dataIndex: 'reason',
@@ -465,11 +539,13 @@ const MultiKeyManageModal = ({ visible, onCancel, channel, onRefresh }) => {
           <Tag size='small' shape='circle' color='white'>
             {t('总密钥数')}: {total}
           </Tag>
-          {channel?.channel_info?.multi_key_mode && (
+          {multiKeyMode && (
             <Tag size='small' shape='circle' color='white'>
-              {channel.channel_info.multi_key_mode === 'random'
-                ? t('随机模式')
-                : t('轮询模式')}
+              {t(
+                MULTI_KEY_MODE_OPTIONS.find(
+                  (option) => option.value === multiKeyMode,
+                )?.label || multiKeyMode,
+              )}
             </Tag>
           )}
         </Space>
@@ -594,6 +670,16 @@ const MultiKeyManageModal = ({ visible, onCancel, channel, onRefresh }) => {
           </Row>
         </div>
 
+        {/* Rotation & Analytics */}
+        <MultiKeyAnalyticsPanel
+          channelId={channel?.id}
+          refreshKey={statsRefreshKey}
+          onSaved={() => {
+            loadKeyStatus(currentPage, pageSize);
+            onRefresh && onRefresh();
+          }}
+        />
+
         {/* Table */}
         <div className='flex-1 flex flex-col min-h-0'>
           <Spin spinning={loading}>
@@ -639,6 +725,13 @@ const MultiKeyManageModal = ({ visible, onCancel, channel, onRefresh }) => {
                         >
                           {t('刷新')}
                         </Button>
+                        <Button
+                          size='small'
+                          type='tertiary'
+                          onClick={() => setBulkUpdateVisible(true)}
+                        >
+                          {t('批量更新密钥')}
+                        </Button>
                         {manualDisabledCount + autoDisabledCount > 0 && (
                           <Popconfirm
                             title={t('确定要启用所有密钥吗？')}
@@ -735,6 +828,18 @@ const MultiKeyManageModal = ({ visible, onCancel, channel, onRefresh }) => {
           </Spin>
         </div>
       </div>
+
+      <MultiKeyBulkUpdateModal
+        visible={bulkUpdateVisible}
+        channelId={channel?.id}
+        onCancel={() => setBulkUpdateVisible(false)}
+        onSuccess={() => {
+          setBulkUpdateVisible(false);
+          setCurrentPage(1);
+          loadKeyStatus(1, pageSize);
+          onRefresh && onRefresh();
+        }}
+      />
     </Modal>
   );
 };
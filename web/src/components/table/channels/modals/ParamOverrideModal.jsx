@@ -0,0 +1,565 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Banner,
+  Button,
+  Card,
+  Checkbox,
+  Empty,
+  Input,
+  Modal,
+  Select,
+  Tag,
+  TextArea,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Plus, Trash2 } from 'lucide-react';
+import {
+  PARAM_OVERRIDE_CONDITION_MODES,
+  PARAM_OVERRIDE_MODES,
+  applyParamOverride,
+  diffJsonValues,
+  parseParamOverride,
+  serializeParamOverride,
+  validateParamOverride,
+} from '../../../../helpers';
+import { useIsMobile } from '../../../../hooks/common/useIsMobile';
+
+const { Text } = Typography;
+
+const MODE_LABELS = {
+  set: '设置',
+  delete: '删除',
+  move: '重命名（移动）',
+  copy: '复制',
+  prepend: '前置追加',
+  append: '后置追加',
+  trim_prefix: '去除前缀',
+  trim_suffix: '去除后缀',
+  ensure_prefix: '确保前缀',
+  ensure_suffix: '确保后缀',
+  trim_space: '去除首尾空白',
+  to_lower: '转小写',
+  to_upper: '转大写',
+  replace: '文本替换',
+  regex_replace: '正则替换',
+};
+
+const CONDITION_MODE_LABELS = {
+  full: '完全匹配',
+  prefix: '前缀匹配',
+  suffix: '后缀匹配',
+  contains: '包含',
+  gt: '大于',
+  gte: '大于等于',
+  lt: '小于',
+  lte: '小于等于',
+};
+
+const PATH_MODES = ['move', 'copy'];
+const TEXT_MODES = ['replace', 'regex_replace'];
+const NO_VALUE_MODES = [
+  'delete',
+  'trim_space',
+  'to_lower',
+  'to_upper',
+  ...PATH_MODES,
+  ...TEXT_MODES,
+];
+
+const DEFAULT_SAMPLE_BODY = JSON.stringify(
+  {
+    model: 'gpt-4o',
+    temperature: 1,
+    messages: [{ role: 'user', content: 'hello' }],
+  },
+  null,
+  2,
+);
+
+let ruleSeq = 0;
+const nextRuleKey = () => `rule-${++ruleSeq}`;
+
+// 值按 JSON 解析，解析失败时按普通字符串处理，便于直接输入文本
+const parseLooseValue = (text) => {
+  if (text === '') return '';
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+};
+
+const formatLooseValue = (value) => {
+  if (value === undefined) return '';
+  if (typeof value === 'string') {
+    return parseLooseValue(value) === value ? value : JSON.stringify(value);
+  }
+  return JSON.stringify(value);
+};
+
+const toEditorRule = (operation) => ({
+  key: nextRuleKey(),
+  mode: operation.mode || 'set',
+  path: operation.path || '',
+  valueText: formatLooseValue(operation.value),
+  keep_origin: !!operation.keep_origin,
+  from: operation.from || '',
+  to: operation.to || '',
+  logic: String(operation.logic || 'OR').toUpperCase() === 'AND' ? 'AND' : 'OR',
+  conditions: (operation.conditions || []).map((condition) => ({
+    key: nextRuleKey(),
+    path: condition.path || '',
+    mode: condition.mode || 'full',
+    valueText: formatLooseValue(condition.value),
+    invert: !!condition.invert,
+    pass_missing_key: !!condition.pass_missing_key,
+  })),
+});
+
+const toOperation = (rule) => ({
+  mode: rule.mode,
+  path: rule.path.trim(),
+  value: parseLooseValue(rule.valueText),
+  keep_origin: rule.keep_origin,
+  from: PATH_MODES.includes(rule.mode) ? rule.from.trim() : rule.from,
+  to: PATH_MODES.includes(rule.mode) ? rule.to.trim() : rule.to,
+  logic: rule.logic,
+  conditions: rule.conditions.map((condition) => ({
+    path: condition.path.trim(),
+    mode: condition.mode,
+    value: parseLooseValue(condition.valueText),
+    invert: condition.invert,
+    pass_missing_key: condition.pass_missing_key,
+  })),
+});
+
+const DIFF_COLORS = { added: 'green', removed: 'red', changed: 'orange' };
+
+const ParamOverrideModal = ({ visible, value, onConfirm, onCancel }) => {
+  const { t } = useTranslation();
+  const isMobile = useIsMobile();
+  const [rules, setRules] = useState([]);
+  const [legacy, setLegacy] = useState(false);
+  const [parseError, setParseError] = useState(null);
+  const [sampleBody, setSampleBody] = useState(DEFAULT_SAMPLE_BODY);
+  const [sampleModel, setSampleModel] = useState('gpt-4o');
+
+  // 打开时从 JSON 载入，JSON 非法时不允许可视化编辑，避免覆盖原内容
+  useEffect(() => {
+    if (!visible) return;
+    const parsed = parseParamOverride(value);
+    setParseError(parsed.error);
+    setLegacy(parsed.legacy);
+    setRules(parsed.operations.map(toEditorRule));
+  }, [visible, value]);
+
+  const serialized = useMemo(
+    () => serializeParamOverride(rules.map(toOperation)),
+    [rules],
+  );
+  const validationError = useMemo(
+    () => validateParamOverride(serialized),
+    [serialized],
+  );
+
+  const preview = useMemo(() => {
+    let body;
+    try {
+      body = JSON.parse(sampleBody);
+    } catch (e) {
+      return { error: t('示例请求体必须是合法的 JSON 格式') };
+    }
+    const model = sampleModel.trim() || body?.model || '';
+    const { result, applied, error } = applyParamOverride(
+      body,
+      parseParamOverride(serialized).operations,
+      { model, upstream_model: model, original_model: model },
+    );
+    if (error) return { error };
+    return { diff: diffJsonValues(body, result), applied };
+  }, [sampleBody, sampleModel, serialized, t]);
+
+  const updateRule = (key, patch) =>
+    setRules((prev) =>
+      prev.map((rule) => (rule.key === key ? { ...rule, ...patch } : rule)),
+    );
+
+  const removeRule = (key) =>
+    setRules((prev) => prev.filter((rule) => rule.key !== key));
+
+  const addRule = () =>
+    setRules((prev) => [...prev, toEditorRule({ mode: 'set' })]);
+
+  const updateCondition = (rule, conditionKey, patch) =>
+    updateRule(rule.key, {
+      conditions: rule.conditions.map((condition) =>
+        condition.key === conditionKey ? { ...condition, ...patch } : condition,
+      ),
+    });
+
+  const addCondition = (rule) =>
+    updateRule(rule.key, {
+      conditions: [
+        ...rule.conditions,
+        {
+          key: nextRuleKey(),
+          path: 'model',
+          mode: 'prefix',
+          valueText: '',
+          invert: false,
+          pass_missing_key: false,
+        },
+      ],
+    });
+
+  const removeCondition = (rule, conditionKey) =>
+    updateRule(rule.key, {
+      conditions: rule.conditions.filter(
+        (condition) => condition.key !== conditionKey,
+      ),
+    });
+
+  const renderCondition = (rule, condition) => (
+    <div key={condition.key} className='flex flex-wrap items-center gap-2'>
+      <Input
+        size='small'
+        className='!w-32'
+        placeholder={t('字段路径')}
+        value={condition.path}
+        onChange={(path) => updateCondition(rule, condition.key, { path })}
+      />
+      <Select
+        size='small'
+        className='!w-28'
+        value={condition.mode}
+        optionList={PARAM_OVERRIDE_CONDITION_MODES.map((mode) => ({
+          value: mode,
+          label: t(CONDITION_MODE_LABELS[mode]),
+        }))}
+        onChange={(mode) => updateCondition(rule, condition.key, { mode })}
+      />
+      <Input
+        size='small'
+        className='!w-40'
+        placeholder={t('匹配值')}
+        value={condition.valueText}
+        onChange={(valueText) =>
+          updateCondition(rule, condition.key, { valueText })
+        }
+      />
+      <Checkbox
+        checked={condition.invert}
+        onChange={(e) =>
+          updateCondition(rule, condition.key, { invert: e.target.checked })
+        }
+      >
+        {t('取反')}
+      </Checkbox>
+      <Checkbox
+        checked={condition.pass_missing_key}
+        onChange={(e) =>
+          updateCondition(rule, condition.key, {
+            pass_missing_key: e.target.checked,
+          })
+        }
+      >
+        {t('字段缺失时通过')}
+      </Checkbox>
+      <Button
+        size='small'
+        type='danger'
+        theme='borderless'
+        icon={<Trash2 size={14} />}
+        onClick={() => removeCondition(rule, condition.key)}
+      />
+    </div>
+  );
+
+  const renderRule = (rule, index) => {
+    const usesPaths = PATH_MODES.includes(rule.mode);
+    const usesText = TEXT_MODES.includes(rule.mode);
+    const applied = preview.applied && preview.applied.includes(index);
+    return (
+      <Card
+        key={rule.key}
+        className='!rounded-xl'
+        bodyStyle={{ padding: 12 }}
+        title={
+          <div className='flex items-center gap-2'>
+            <Text strong>#{index + 1}</Text>
+            {applied && (
+              <Tag size='small' color='green'>
+                {t('示例中生效')}
+              </Tag>
+            )}
+          </div>
+        }
+        headerExtraContent={
+          <Button
+            size='small'
+            type='danger'
+            theme='borderless'
+            icon={<Trash2 size={14} />}
+            onClick={() => removeRule(rule.key)}
+          />
+        }
+      >
+        <div className='flex flex-col gap-2'>
+          <div className='flex flex-wrap items-center gap-2'>
+            <Select
+              size='small'
+              className='!w-36'
+              value={rule.mode}
+              optionList={PARAM_OVERRIDE_MODES.map((mode) => ({
+                value: mode,
+                label: t(MODE_LABELS[mode]),
+              }))}
+              onChange={(mode) => updateRule(rule.key, { mode })}
+            />
+            {usesPaths ? (
+              <>
+                <Input
+                  size='small'
+                  className='!w-44'
+                  placeholder={t('源路径')}
+                  value={rule.from}
+                  onChange={(from) => updateRule(rule.key, { from })}
+                />
+                <Text type='tertiary'>→</Text>
+                <Input
+                  size='small'
+                  className='!w-44'
+                  placeholder={t('目标路径')}
+                  value={rule.to}
+                  onChange={(to) => updateRule(rule.key, { to })}
+                />
+              </>
+            ) : (
+              <Input
+                size='small'
+                className='!w-44'
+                placeholder={t('字段路径，如 temperature')}
+                value={rule.path}
+                onChange={(path) => updateRule(rule.key, { path })}
+              />
+            )}
+            {usesText && (
+              <>
+                <Input
+                  size='small'
+                  className='!w-36'
+                  placeholder={
+                    rule.mode === 'regex_replace'
+                      ? t('正则表达式')
+                      : t('查找内容')
+                  }
+                  value={rule.from}
+                  onChange={(from) => updateRule(rule.key, { from })}
+                />
+                <Input
+                  size='small'
+                  className='!w-36'
+                  placeholder={t('替换为')}
+                  value={rule.to}
+                  onChange={(to) => updateRule(rule.key, { to })}
+                />
+              </>
+            )}
+            {!NO_VALUE_MODES.includes(rule.mode) && (
+              <Input
+                size='small'
+                className='!w-48'
+                placeholder={t('值（按 JSON 解析，否则视为字符串）')}
+                value={rule.valueText}
+                onChange={(valueText) => updateRule(rule.key, { valueText })}
+              />
+            )}
+            {rule.mode === 'set' && (
+              <Checkbox
+                checked={rule.keep_origin}
+                onChange={(e) =>
+                  updateRule(rule.key, { keep_origin: e.target.checked })
+                }
+              >
+                {t('已有值时保留')}
+              </Checkbox>
+            )}
+          </div>
+
+          <div className='flex flex-col gap-2 pl-3 border-l-2 border-gray-200'>
+            <div className='flex items-center gap-2'>
+              <Text type='tertiary' size='small'>
+                {rule.conditions.length === 0
+                  ? t('无条件，总是生效')
+                  : t('满足条件时生效')}
+              </Text>
+              {rule.conditions.length > 1 && (
+                <Select
+                  size='small'
+                  className='!w-32'
+                  value={rule.logic}
+                  optionList={[
+                    { value: 'AND', label: t('全部满足') },
+                    { value: 'OR', label: t('任一满足') },
+                  ]}
+                  onChange={(logic) => updateRule(rule.key, { logic })}
+                />
+              )}
+              <Button
+                size='small'
+                theme='borderless'
+                icon={<Plus size={14} />}
+                onClick={() => addCondition(rule)}
+              >
+                {t('添加条件')}
+              </Button>
+            </div>
+            {rule.conditions.map((condition) =>
+              renderCondition(rule, condition),
+            )}
+          </div>
+        </div>
+      </Card>
+    );
+  };
+
+  const renderPreview = () => {
+    if (preview.error) {
+      return (
+        <Banner type='danger' closeIcon={null} description={preview.error} />
+      );
+    }
+    if (preview.diff.length === 0) {
+      return <Empty description={t('示例请求体没有变化')} />;
+    }
+    return (
+      <div className='flex flex-col gap-1'>
+        {preview.diff.map((item) => (
+          <div key={item.path} className='flex items-start gap-2 text-xs'>
+            <Tag size='small' color={DIFF_COLORS[item.type]}>
+              {t(
+                item.type === 'added'
+                  ? '新增'
+                  : item.type === 'removed'
+                    ? '删除'
+                    : '修改',
+              )}
+            </Tag>
+            <span className='font-mono'>{item.path}</span>
+            <span className='font-mono break-all'>
+              {item.type !== 'added' && (
+                <span className='text-red-500 line-through mr-1'>
+                  {JSON.stringify(item.before)}
+                </span>
+              )}
+              {item.type !== 'removed' && (
+                <span className='text-green-600'>
+                  {JSON.stringify(item.after)}
+                </span>
+              )}
+            </span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <Modal
+      title={t('可视化参数覆盖')}
+      visible={visible}
+      onCancel={onCancel}
+      onOk={() => onConfirm(serialized)}
+      okButtonProps={{ disabled: !!parseError || !!validationError }}
+      width={isMobile ? '100%' : 960}
+      className='!rounded-lg'
+    >
+      {parseError ? (
+        <Banner
+          type='danger'
+          closeIcon={null}
+          description={t(
+            '当前参数覆盖不是合法的 JSON 对象，请先在文本框中修正后再使用可视化编辑',
+          )}
+        />
+      ) : (
+        <div className='grid grid-cols-1 md:grid-cols-5 gap-3'>
+          <div className='md:col-span-3 flex flex-col gap-2 max-h-[60vh] overflow-y-auto'>
+            {legacy && (
+              <Banner
+                type='info'
+                closeIcon={null}
+                description={t(
+                  '已将旧格式转换为等价的设置规则，保存后将使用新格式',
+                )}
+              />
+            )}
+            {validationError && (
+              <Banner
+                type='warning'
+                closeIcon={null}
+                description={t(validationError.message, validationError.params)}
+              />
+            )}
+            {rules.length === 0 ? (
+              <Empty description={t('暂无规则')} />
+            ) : (
+              rules.map(renderRule)
+            )}
+            <Button icon={<Plus size={14} />} onClick={addRule}>
+              {t('添加规则')}
+            </Button>
+          </div>
+
+          <Card
+            className='md:col-span-2 !rounded-xl'
+            bodyStyle={{ padding: 12 }}
+            title={<Text strong>{t('试运行')}</Text>}
+          >
+            <div className='flex flex-col gap-2'>
+              <Input
+                size='small'
+                prefix={t('模型')}
+                placeholder={t('默认使用请求体中的 model')}
+                value={sampleModel}
+                onChange={setSampleModel}
+              />
+              <TextArea
+                autosize={{ minRows: 6, maxRows: 14 }}
+                className='font-mono'
+                value={sampleBody}
+                onChange={setSampleBody}
+              />
+              <Text strong size='small'>
+                {t('变更')}
+              </Text>
+              {renderPreview()}
+            </div>
+          </Card>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default ParamOverrideModal;
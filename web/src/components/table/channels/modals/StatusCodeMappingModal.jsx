@@ -0,0 +1,179 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Banner,
+  Button,
+  Card,
+  Empty,
+  Input,
+  Modal,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { ArrowRight, Plus, Trash2 } from 'lucide-react';
+import {
+  applyStatusCodeMapping,
+  parseStatusCodeMapping,
+  serializeStatusCodeMapping,
+  validateStatusCodeMapping,
+} from '../../../../helpers';
+import { useIsMobile } from '../../../../hooks/common/useIsMobile';
+
+const { Text } = Typography;
+
+let rowSeq = 0;
+const nextRowKey = () => `status-${++rowSeq}`;
+
+const StatusCodeMappingModal = ({ visible, value, onConfirm, onCancel }) => {
+  const { t } = useTranslation();
+  const isMobile = useIsMobile();
+  const [rows, setRows] = useState([]);
+  const [parseError, setParseError] = useState(null);
+  const [sampleCode, setSampleCode] = useState('400');
+
+  // 打开时从 JSON 载入，JSON 非法时不允许可视化编辑，避免覆盖原内容
+  useEffect(() => {
+    if (!visible) return;
+    const parsed = parseStatusCodeMapping(value);
+    setParseError(parsed.error);
+    setRows(
+      parsed.rules.map((rule) => ({
+        key: nextRowKey(),
+        from: rule.from,
+        to: String(rule.to ?? ''),
+      })),
+    );
+  }, [visible, value]);
+
+  const serialized = useMemo(() => serializeStatusCodeMapping(rows), [rows]);
+  const validationError = useMemo(
+    () => validateStatusCodeMapping(serialized),
+    [serialized],
+  );
+  const mappedCode = /^\d{3}$/.test(sampleCode.trim())
+    ? applyStatusCodeMapping(sampleCode.trim(), rows)
+    : null;
+
+  const updateRow = (key, patch) =>
+    setRows((prev) =>
+      prev.map((row) => (row.key === key ? { ...row, ...patch } : row)),
+    );
+
+  return (
+    <Modal
+      title={t('可视化状态码复写')}
+      visible={visible}
+      onCancel={onCancel}
+      onOk={() => onConfirm(serialized)}
+      okButtonProps={{ disabled: !!parseError || !!validationError }}
+      width={isMobile ? '100%' : 640}
+      className='!rounded-lg'
+    >
+      {parseError ? (
+        <Banner
+          type='danger'
+          closeIcon={null}
+          description={t(
+            '当前状态码复写不是合法的 JSON 对象，请先在文本框中修正后再使用可视化编辑',
+          )}
+        />
+      ) : (
+        <div className='flex flex-col gap-3'>
+          {validationError && (
+            <Banner
+              type='warning'
+              closeIcon={null}
+              description={t(validationError.message, validationError.params)}
+            />
+          )}
+          {rows.length === 0 ? (
+            <Empty description={t('暂无规则')} />
+          ) : (
+            rows.map((row) => (
+              <div key={row.key} className='flex items-center gap-2'>
+                <Input
+                  size='small'
+                  className='!w-32'
+                  placeholder={t('原状态码')}
+                  value={row.from}
+                  onChange={(from) => updateRow(row.key, { from: from.trim() })}
+                />
+                <ArrowRight size={14} className='text-gray-400' />
+                <Input
+                  size='small'
+                  className='!w-32'
+                  placeholder={t('复写为')}
+                  value={row.to}
+                  onChange={(to) => updateRow(row.key, { to: to.trim() })}
+                />
+                <Button
+                  size='small'
+                  type='danger'
+                  theme='borderless'
+                  icon={<Trash2 size={14} />}
+                  onClick={() =>
+                    setRows((prev) =>
+                      prev.filter((item) => item.key !== row.key),
+                    )
+                  }
+                />
+              </div>
+            ))
+          )}
+          <Button
+            icon={<Plus size={14} />}
+            onClick={() =>
+              setRows((prev) => [
+                ...prev,
+                { key: nextRowKey(), from: '', to: '' },
+              ])
+            }
+          >
+            {t('添加规则')}
+          </Button>
+
+          <Card
+            className='!rounded-xl'
+            bodyStyle={{ padding: 12 }}
+            title={<Text strong>{t('试运行')}</Text>}
+          >
+            <div className='flex items-center gap-2'>
+              <Input
+                size='small'
+                className='!w-40'
+                prefix={t('上游状态码')}
+                value={sampleCode}
+                onChange={setSampleCode}
+              />
+              <ArrowRight size={14} className='text-gray-400' />
+              <Text strong>{mappedCode ?? '-'}</Text>
+            </div>
+            <Text type='tertiary' size='small' className='block mt-2'>
+              {t('复写仅影响本地判断，200 状态码不会被复写')}
+            </Text>
+          </Card>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default StatusCodeMappingModal;
@@ -315,6 +315,7 @@ const renderOperations = (
   setShowEdit,
   manageToken,
   refresh,
+  openTokenUsage,
   t,
 ) => {
   let chatsArray = [];
@@ -402,6 +403,14 @@ const renderOperations = (
         {t('编辑')}
       </Button>
 
+      <Button
+        type='tertiary'
+        size='small'
+        onClick={() => openTokenUsage(record)}
+      >
+        {t('用量')}
+      </Button>
+
       <Button
         type='danger'
         size='small'
@@ -434,6 +443,7 @@ export const getTokensColumns = ({
   setEditingToken,
   setShowEdit,
   refresh,
+  openTokenUsage,
 }) => {
   return [
     {
@@ -504,6 +514,7 @@ export const getTokensColumns = ({
           setShowEdit,
           manageToken,
           refresh,
+          openTokenUsage,
           t,
         ),
     },
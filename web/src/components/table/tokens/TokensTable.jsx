@@ -46,6 +46,7 @@ const TokensTable = (tokensData) => {
     setEditingToken,
     setShowEdit,
     refresh,
+    openTokenUsage,
     t,
   } = tokensData;
 
@@ -61,6 +62,7 @@ const TokensTable = (tokensData) => {
       setEditingToken,
       setShowEdit,
       refresh,
+      openTokenUsage,
     });
   }, [
     t,
@@ -72,6 +74,7 @@ const TokensTable = (tokensData) => {
     setEditingToken,
     setShowEdit,
     refresh,
+    openTokenUsage,
   ]);
 
   // Handle compact mode by removing fixed positioning
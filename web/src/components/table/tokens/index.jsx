@@ -38,6 +38,7 @@ import TokensActions from './TokensActions';
 import TokensFilters from './TokensFilters';
 import TokensDescription from './TokensDescription';
 import EditTokenModal from './modals/EditTokenModal';
+import TokenUsageSideSheet from './modals/TokenUsageSideSheet';
 import { useTokensData } from '../../../hooks/tokens/useTokensData';
 import { useIsMobile } from '../../../hooks/common/useIsMobile';
 import { createCardProPagination } from '../../../helpers/utils';
@@ -331,6 +332,11 @@ function TokensPage() {
     closeEdit,
     refresh,
 
+    // Usage analytics state
+    showTokenUsage,
+    setShowTokenUsage,
+    usageToken,
+
     // Actions state
     selectedKeys,
     setEditingToken,
@@ -363,6 +369,13 @@ function TokensPage() {
         handleClose={closeEdit}
       />
 
+      <TokenUsageSideSheet
+        visible={showTokenUsage}
+        token={usageToken}
+        onClose={() => setShowTokenUsage(false)}
+        t={t}
+      />
+
       <CardPro
         type='type1'
         descriptionArea={
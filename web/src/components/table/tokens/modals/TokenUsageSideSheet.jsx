@@ -0,0 +1,317 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Banner,
+  Button,
+  Card,
+  Empty,
+  RadioGroup,
+  Radio,
+  SideSheet,
+  Spin,
+  Tag,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { VChart } from '@visactor/react-vchart';
+import { initVChartSemiTheme } from '@visactor/vchart-semi-theme';
+import { RefreshCw } from 'lucide-react';
+import {
+  API,
+  buildTokenDailySpend,
+  buildTokenModelRequests,
+  getQuotaWithUnit,
+  getTokenErrorRate,
+  getTokenUsageRange,
+  modelColorMap,
+  projectTokenQuotaExhaustion,
+  renderNumber,
+  renderQuota,
+  showError,
+  timestamp2string,
+} from '../../../../helpers';
+import { CHART_CONFIG } from '../../../../constants';
+import { useIsMobile } from '../../../../hooks/common/useIsMobile';
+
+const { Text } = Typography;
+
+const USAGE_RANGES = [
+  { value: 7, label: '最近 7 天' },
+  { value: 30, label: '最近 30 天' },
+];
+
+const TokenUsageSideSheet = ({ visible, token, onClose, t }) => {
+  const isMobile = useIsMobile();
+  const [loading, setLoading] = useState(false);
+  const [rangeDays, setRangeDays] = useState(7);
+  const [usage, setUsage] = useState(null);
+
+  const loadUsage = async () => {
+    if (!token?.id) return;
+    setLoading(true);
+    try {
+      const range = getTokenUsageRange(rangeDays);
+      const res = await API.get(`/api/data/token/${token.id}`, {
+        params: range,
+      });
+      const { success, message, data } = res.data;
+      if (success) {
+        setUsage({ ...data, range });
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (visible) {
+      loadUsage();
+    } else {
+      setUsage(null);
+    }
+  }, [visible, token?.id, rangeDays]);
+
+  useEffect(() => {
+    initVChartSemiTheme({
+      isWatchingThemeSwitch: true,
+    });
+  }, []);
+
+  const dailySpend = useMemo(
+    () => (usage ? buildTokenDailySpend(usage.quota_data, usage.range) : []),
+    [usage],
+  );
+  const modelRequests = useMemo(
+    () => buildTokenModelRequests(usage?.quota_data),
+    [usage],
+  );
+  const projection = useMemo(
+    () =>
+      token && usage ? projectTokenQuotaExhaustion(token, dailySpend) : null,
+    [token, usage, dailySpend],
+  );
+
+  const spendSpec = useMemo(
+    () => ({
+      type: 'bar',
+      data: [
+        {
+          id: 'spendData',
+          values: dailySpend.map((day) => ({
+            Day: day.day,
+            Usage: getQuotaWithUnit(day.quota, 4),
+            rawQuota: day.quota,
+          })),
+        },
+      ],
+      xField: 'Day',
+      yField: 'Usage',
+      title: { visible: true, text: t('每日消耗') },
+      tooltip: {
+        mark: {
+          content: [
+            {
+              key: (datum) => datum['Day'],
+              value: (datum) => renderQuota(datum['rawQuota'], 4),
+            },
+          ],
+        },
+      },
+    }),
+    [dailySpend, t],
+  );
+
+  const modelSpec = useMemo(
+    () => ({
+      type: 'bar',
+      data: [
+        {
+          id: 'modelData',
+          values: modelRequests.map((item) => ({
+            Model: item.model,
+            Count: item.count,
+          })),
+        },
+      ],
+      xField: 'Model',
+      yField: 'Count',
+      seriesField: 'Model',
+      title: { visible: true, text: t('各模型请求数') },
+      tooltip: {
+        mark: {
+          content: [
+            {
+              key: (datum) => datum['Model'],
+              value: (datum) => renderNumber(datum['Count']),
+            },
+          ],
+        },
+      },
+      color: {
+        specified: modelColorMap,
+      },
+    }),
+    [modelRequests, t],
+  );
+
+  const renderProjection = () => {
+    if (!projection) return '-';
+    switch (projection.status) {
+      case 'unlimited':
+        return <Tag color='white'>{t('无限额度')}</Tag>;
+      case 'exhausted':
+        return <Tag color='red'>{t('额度已用尽')}</Tag>;
+      case 'idle':
+        return t('区间内无消耗');
+      case 'expires_first':
+        return (
+          <div className='flex flex-col'>
+            <span>{timestamp2string(projection.exhaustAt)}</span>
+            <Text type='tertiary' size='small'>
+              {t('令牌将先于额度过期')}
+            </Text>
+          </div>
+        );
+      default:
+        return timestamp2string(projection.exhaustAt);
+    }
+  };
+
+  const errorRate = getTokenErrorRate(usage?.stat);
+  const summaryItems = [
+    {
+      label: t('剩余额度'),
+      value: token?.unlimited_quota
+        ? t('无限额度')
+        : renderQuota(token?.remain_quota || 0),
+    },
+    {
+      label: t('日均消耗'),
+      value: renderQuota(projection?.dailyBurn || 0, 4),
+    },
+    { label: t('预计耗尽时间'), value: renderProjection() },
+    {
+      label: t('错误率'),
+      value:
+        errorRate === null
+          ? '-'
+          : `${(errorRate * 100).toFixed(1)}% (${usage.stat.errors}/${usage.stat.requests})`,
+    },
+    {
+      label: t('最后使用时间'),
+      value: usage?.stat?.last_used_at
+        ? timestamp2string(usage.stat.last_used_at)
+        : '-',
+    },
+    { label: t('最后使用 IP'), value: usage?.stat?.last_ip || '-' },
+  ];
+
+  const hasQuotaData = (usage?.quota_data || []).length > 0;
+
+  return (
+    <SideSheet
+      visible={visible}
+      onCancel={onClose}
+      width={isMobile ? '100%' : 720}
+      title={
+        <div className='flex items-center gap-2'>
+          <span>{t('令牌用量')}</span>
+          {token && (
+            <Text type='tertiary' size='small'>
+              {token.name}
+            </Text>
+          )}
+        </div>
+      }
+    >
+      <div className='flex flex-col gap-4 pb-4'>
+        <div className='flex flex-wrap items-center gap-2'>
+          <RadioGroup
+            type='button'
+            size='small'
+            value={rangeDays}
+            onChange={(e) => setRangeDays(e.target.value)}
+          >
+            {USAGE_RANGES.map((item) => (
+              <Radio key={item.value} value={item.value}>
+                {t(item.label)}
+              </Radio>
+            ))}
+          </RadioGroup>
+          <Button
+            size='small'
+            type='tertiary'
+            icon={<RefreshCw size={14} />}
+            loading={loading}
+            onClick={loadUsage}
+          >
+            {t('刷新')}
+          </Button>
+        </div>
+
+        {usage && !usage.data_export_enabled && (
+          <Banner
+            type='warning'
+            closeIcon={null}
+            description={t(
+              '管理员未开启数据看板统计，消耗图表和耗尽预测可能不完整',
+            )}
+          />
+        )}
+
+        <Spin spinning={loading}>
+          <div className='grid grid-cols-2 md:grid-cols-3 gap-3'>
+            {summaryItems.map((item) => (
+              <Card key={item.label} bodyStyle={{ padding: 12 }}>
+                <Text type='tertiary' size='small'>
+                  {item.label}
+                </Text>
+                <div className='text-base font-semibold mt-1 break-all'>
+                  {item.value}
+                </div>
+              </Card>
+            ))}
+          </div>
+
+          {hasQuotaData ? (
+            <>
+              <div className='h-72 mt-4'>
+                <VChart spec={spendSpec} option={CHART_CONFIG} />
+              </div>
+              <div className='h-72 mt-4'>
+                <VChart spec={modelSpec} option={CHART_CONFIG} />
+              </div>
+            </>
+          ) : (
+            <Empty
+              className='pt-16'
+              description={t('该时间段内暂无用量数据')}
+            />
+          )}
+        </Spin>
+      </div>
+    </SideSheet>
+  );
+};
+
+export default TokenUsageSideSheet;
@@ -18,7 +18,16 @@ For commercial licensing, please contact support@quantumnous.com
 */
 
 import React from 'react';
-import { Tag, Space, Skeleton } from '@douyinfe/semi-ui';
+import {
+  Tag,
+  Space,
+  Skeleton,
+  Button,
+  RadioGroup,
+  Radio,
+  Switch,
+} from '@douyinfe/semi-ui';
+import { Download, ArrowUp } from 'lucide-react';
 import { renderQuota } from '../../../helpers';
 import CompactModeToggle from '../../common/ui/CompactModeToggle';
 import { useMinimumLoadingTime } from '../../../hooks/common/useMinimumLoadingTime';
@@ -29,6 +38,17 @@ const LogsActions = ({
   showStat,
   compactMode,
   setCompactMode,
+  isAdminUser,
+  setShowExportModal,
+  viewMode,
+  changeViewMode,
+  liveMode,
+  toggleLiveMode,
+  liveStatus,
+  livePaused,
+  liveBufferedCount,
+  liveRps,
+  resumeLiveTail,
   t,
 }) => {
   const showSkeleton = useMinimumLoadingTime(loadingStat);
@@ -83,11 +103,64 @@ const LogsActions = ({
         </Space>
       </Skeleton>
 
-      <CompactModeToggle
-        compactMode={compactMode}
-        setCompactMode={setCompactMode}
-        t={t}
-      />
+      <div className='flex items-center gap-2 w-full md:w-auto justify-end'>
+        {liveMode && (
+          <Tag
+            color={liveStatus === 'live' ? 'green' : 'orange'}
+            shape='circle'
+          >
+            {liveStatus === 'live'
+              ? `${liveRps.toFixed(1)} ${t('请求/秒')}`
+              : t('连接中...')}
+          </Tag>
+        )}
+        {liveMode && livePaused && (
+          <Button
+            type='tertiary'
+            size='small'
+            icon={<ArrowUp size={14} />}
+            onClick={resumeLiveTail}
+          >
+            {liveBufferedCount > 0
+              ? t('已暂停，{{num}} 条新日志', { num: liveBufferedCount })
+              : t('已暂停，回到顶部继续')}
+          </Button>
+        )}
+        <div className='flex items-center gap-1'>
+          <Switch
+            size='small'
+            checked={liveMode}
+            disabled={viewMode === 'pivot'}
+            onChange={toggleLiveMode}
+          />
+          <span className='text-sm'>{t('实时')}</span>
+        </div>
+        <RadioGroup
+          type='button'
+          size='small'
+          value={viewMode}
+          disabled={liveMode}
+          onChange={(e) => changeViewMode(e.target.value)}
+        >
+          <Radio value='table'>{t('明细')}</Radio>
+          <Radio value='pivot'>{t('透视')}</Radio>
+        </RadioGroup>
+        {isAdminUser && (
+          <Button
+            type='tertiary'
+            size='small'
+            icon={<Download size={14} />}
+            onClick={() => setShowExportModal(true)}
+          >
+            {t('导出')}
+          </Button>
+        )}
+        <CompactModeToggle
+          compactMode={compactMode}
+          setCompactMode={setCompactMode}
+          t={t}
+        />
+      </div>
     </div>
   );
 };
@@ -41,7 +41,7 @@ import {
   renderModelPrice,
 } from '../../../helpers';
 import { IconHelpCircle } from '@douyinfe/semi-icons';
-import { Route } from 'lucide-react';
+import { ListTree, Route } from 'lucide-react';
 
 const colors = [
   'amber',
@@ -241,12 +241,33 @@ export const getLogsColumns = ({
   copyText,
   showUserInfoFunc,
   isAdminUser,
+  openLogTrace,
 }) => {
   return [
     {
       key: COLUMN_KEYS.TIME,
       title: t('时间'),
       dataIndex: 'timestamp2string',
+      render: (text, record, index) => {
+        if (!record.request_id || !openLogTrace) {
+          return text;
+        }
+        return (
+          <Space spacing={4}>
+            <span>{text}</span>
+            <Tooltip content={t('请求追踪')}>
+              <ListTree
+                size={14}
+                className='cursor-pointer text-gray-400 hover:text-blue-500'
+                onClick={(event) => {
+                  event.stopPropagation();
+                  openLogTrace(record.request_id);
+                }}
+              />
+            </Tooltip>
+          </Space>
+        );
+      },
     },
     {
       key: COLUMN_KEYS.CHANNEL,
@@ -0,0 +1,203 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+import React, { useMemo } from 'react';
+import { Button, Empty, Select, Typography } from '@douyinfe/semi-ui';
+import {
+  IllustrationNoResult,
+  IllustrationNoResultDark,
+} from '@douyinfe/semi-illustrations';
+import { Download, ListFilter } from 'lucide-react';
+import CardTable from '../../common/ui/CardTable';
+import {
+  downloadTextAsFile,
+  formatLogPivotDimension,
+  renderNumber,
+  renderQuota,
+  serializeLogPivotCsv,
+} from '../../../helpers';
+import { LOG_PIVOT_DIMENSIONS } from '../../../constants';
+
+const { Text } = Typography;
+
+const LogsPivot = ({
+  pivotDimensions,
+  changePivotDimensions,
+  pivotRows,
+  pivotChannelNames,
+  pivotLoading,
+  drillDownLogs,
+  isAdminUser,
+  t,
+}) => {
+  const dimensionOptions = LOG_PIVOT_DIMENSIONS.filter(
+    (dimension) => isAdminUser || !dimension.adminOnly,
+  ).map((dimension) => ({
+    value: dimension.value,
+    label: t(dimension.label),
+  }));
+
+  const getDimensionLabel = (value) =>
+    dimensionOptions.find((option) => option.value === value)?.label || value;
+
+  const columns = useMemo(() => {
+    const dimensionColumns = pivotDimensions.map((dimension, index) => {
+      const field = index === 0 ? 'dim1' : 'dim2';
+      return {
+        title: getDimensionLabel(dimension),
+        dataIndex: field,
+        sorter: (a, b) =>
+          dimension === 'day' || dimension === 'channel'
+            ? Number(a[field]) - Number(b[field])
+            : String(a[field]).localeCompare(String(b[field])),
+        render: (text) =>
+          formatLogPivotDimension(dimension, text, pivotChannelNames),
+      };
+    });
+    const metric = (title, dataIndex, render) => ({
+      title,
+      dataIndex,
+      sorter: (a, b) => a[dataIndex] - b[dataIndex],
+      render,
+    });
+    return [
+      ...dimensionColumns,
+      metric(t('请求数'), 'requests', (value) => renderNumber(value)),
+      metric(t('错误率'), 'error_rate', (value, record) => (
+        <Text type={value >= 0.05 ? 'danger' : undefined}>
+          {(value * 100).toFixed(2)}%
+          <Text type='tertiary' size='small' className='ml-1'>
+            ({record.errors})
+          </Text>
+        </Text>
+      )),
+      metric(t('输入 Tokens'), 'prompt_tokens', (value) => renderNumber(value)),
+      metric(t('输出 Tokens'), 'completion_tokens', (value) =>
+        renderNumber(value),
+      ),
+      metric(t('花费'), 'quota', (value) => renderQuota(value, 6)),
+      metric(t('平均耗时'), 'avg_use_time', (value) =>
+        value > 0 ? `${value.toFixed(2)} s` : '-',
+      ),
+      {
+        title: '',
+        dataIndex: 'operate',
+        fixed: 'right',
+        render: (text, record) => (
+          <Button
+            size='small'
+            type='tertiary'
+            icon={<ListFilter size={14} />}
+            onClick={() => drillDownLogs(record)}
+          >
+            {t('查看日志')}
+          </Button>
+        ),
+      },
+    ];
+  }, [pivotDimensions, pivotChannelNames, isAdminUser, t]);
+
+  const exportCsv = () => {
+    const content = serializeLogPivotCsv(
+      pivotRows,
+      pivotDimensions,
+      pivotChannelNames,
+    );
+    // CSV 加 BOM，避免 Excel 打开中文乱码
+    downloadTextAsFile(
+      `\uFEFF${content}`,
+      `logs-pivot-${pivotDimensions.join('-')}-${new Date()
+        .toISOString()
+        .slice(0, 10)}.csv`,
+    );
+  };
+
+  return (
+    <div className='flex flex-col gap-3'>
+      <div className='flex flex-col md:flex-row md:items-center justify-between gap-2'>
+        <div className='flex flex-wrap items-center gap-2'>
+          <Text type='tertiary'>{t('分组维度')}</Text>
+          <Select
+            size='small'
+            style={{ width: 140 }}
+            value={pivotDimensions[0]}
+            optionList={dimensionOptions}
+            onChange={(value) =>
+              changePivotDimensions(
+                [value, pivotDimensions[1]].filter(
+                  (item, index) => item && (index === 0 || item !== value),
+                ),
+              )
+            }
+          />
+          <Select
+            size='small'
+            style={{ width: 140 }}
+            placeholder={t('第二维度（可选）')}
+            showClear
+            value={pivotDimensions[1]}
+            optionList={dimensionOptions.filter(
+              (option) => option.value !== pivotDimensions[0],
+            )}
+            onChange={(value) =>
+              changePivotDimensions(
+                value ? [pivotDimensions[0], value] : [pivotDimensions[0]],
+              )
+            }
+          />
+          <Text type='tertiary' size='small'>
+            {t('按当前筛选条件统计，最多显示 1000 组')}
+          </Text>
+        </div>
+        <Button
+          size='small'
+          type='tertiary'
+          icon={<Download size={14} />}
+          disabled={pivotRows.length === 0}
+          onClick={exportCsv}
+        >
+          {t('导出 CSV')}
+        </Button>
+      </div>
+
+      <CardTable
+        columns={columns}
+        dataSource={pivotRows}
+        rowKey={(record) => `${record.dim1}\u0000${record.dim2}`}
+        loading={pivotLoading}
+        scroll={{ x: 'max-content' }}
+        className='rounded-xl overflow-hidden'
+        size='middle'
+        pagination={false}
+        hidePagination={true}
+        empty={
+          <Empty
+            image={<IllustrationNoResult style={{ width: 150, height: 150 }} />}
+            darkModeImage={
+              <IllustrationNoResultDark style={{ width: 150, height: 150 }} />
+            }
+            description={t('搜索无结果')}
+            style={{ padding: 30 }}
+          />
+        }
+      />
+    </div>
+  );
+};
+
+export default LogsPivot;
@@ -42,6 +42,8 @@ const LogsTable = (logsData) => {
     showUserInfoFunc,
     hasExpandableRows,
     isAdminUser,
+    openLogTrace,
+    handleRow,
     t,
     COLUMN_KEYS,
   } = logsData;
@@ -54,8 +56,9 @@ const LogsTable = (logsData) => {
       copyText,
       showUserInfoFunc,
       isAdminUser,
+      openLogTrace,
     });
-  }, [t, COLUMN_KEYS, copyText, showUserInfoFunc, isAdminUser]);
+  }, [t, COLUMN_KEYS, copyText, showUserInfoFunc, isAdminUser, openLogTrace]);
 
   // Filter columns based on visibility settings
   const getVisibleColumns = () => {
@@ -87,6 +90,7 @@ const LogsTable = (logsData) => {
       })}
       dataSource={logs}
       rowKey='key'
+      onRow={handleRow}
       loading={loading}
       scroll={compactMode ? undefined : { x: 'max-content' }}
       className='rounded-xl overflow-hidden'
@@ -20,10 +20,13 @@ For commercial licensing, please contact support@quantumnous.com
 import React from 'react';
 import CardPro from '../../common/ui/CardPro';
 import LogsTable from './UsageLogsTable';
+import LogsPivot from './UsageLogsPivot';
 import LogsActions from './UsageLogsActions';
 import LogsFilters from './UsageLogsFilters';
 import ColumnSelectorModal from './modals/ColumnSelectorModal';
 import UserInfoModal from './modals/UserInfoModal';
+import LogExportModal from './modals/LogExportModal';
+import LogTraceSideSheet from './modals/LogTraceSideSheet';
 import { useLogsData } from '../../../hooks/usage-logs/useUsageLogsData';
 import { useIsMobile } from '../../../hooks/common/useIsMobile';
 import { createCardProPagination } from '../../../helpers/utils';
@@ -37,24 +40,34 @@ const LogsPage = () => {
       {/* Modals */}
       <ColumnSelectorModal {...logsData} />
       <UserInfoModal {...logsData} />
+      {logsData.isAdminUser && <LogExportModal {...logsData} />}
+      <LogTraceSideSheet {...logsData} />
 
       {/* Main Content */}
       <CardPro
         type='type2'
         statsArea={<LogsActions {...logsData} />}
         searchArea={<LogsFilters {...logsData} />}
-        paginationArea={createCardProPagination({
-          currentPage: logsData.activePage,
-          pageSize: logsData.pageSize,
-          total: logsData.logCount,
-          onPageChange: logsData.handlePageChange,
-          onPageSizeChange: logsData.handlePageSizeChange,
-          isMobile: isMobile,
-          t: logsData.t,
-        })}
+        paginationArea={
+          logsData.viewMode === 'table' && !logsData.liveMode
+            ? createCardProPagination({
+                currentPage: logsData.activePage,
+                pageSize: logsData.pageSize,
+                total: logsData.logCount,
+                onPageChange: logsData.handlePageChange,
+                onPageSizeChange: logsData.handlePageSizeChange,
+                isMobile: isMobile,
+                t: logsData.t,
+              })
+            : null
+        }
         t={logsData.t}
       >
-        <LogsTable {...logsData} />
+        {logsData.viewMode === 'pivot' ? (
+          <LogsPivot {...logsData} />
+        ) : (
+          <LogsTable {...logsData} />
+        )}
       </CardPro>
     </>
   );
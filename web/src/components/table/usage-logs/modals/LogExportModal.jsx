@@ -0,0 +1,426 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Banner,
+  Button,
+  Checkbox,
+  Modal,
+  Radio,
+  RadioGroup,
+  Typography,
+} from '@douyinfe/semi-ui';
+import {
+  API,
+  buildLogExportFilters,
+  buildLogExportParams,
+  clearLogExportJob,
+  countLogExportRecords,
+  createLogExportJob,
+  getLogExportFilename,
+  loadLogExportJob,
+  persistLogExportJob,
+  showError,
+  showSuccess,
+} from '../../../../helpers';
+import {
+  LOG_EXPORT_COLUMNS,
+  LOG_EXPORT_MAX_RETRIES,
+} from '../../../../constants';
+
+const { Text } = Typography;
+
+const DEFAULT_COLUMNS = LOG_EXPORT_COLUMNS.filter(
+  (column) => column.default,
+).map((column) => column.key);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 服务端返回业务错误时不再重试，例如参数不合法
+class LogExportFatalError extends Error {}
+
+const downloadChunks = (chunks, job) => {
+  const type =
+    job.format === 'csv'
+      ? 'text/csv;charset=utf-8'
+      : 'application/x-ndjson;charset=utf-8';
+  // CSV 加 BOM，避免 Excel 打开中文乱码
+  const parts = job.format === 'csv' ? ['\uFEFF', ...chunks] : chunks;
+  const url = URL.createObjectURL(new Blob(parts, { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = getLogExportFilename(job);
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const LogExportModal = ({
+  showExportModal,
+  setShowExportModal,
+  getFormValues,
+  t,
+}) => {
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  // idle：未开始；running：导出中；paused：已暂停或失败；done：已完成
+  const [status, setStatus] = useState('idle');
+  const [job, setJob] = useState(null);
+  const [savedJob, setSavedJob] = useState(null);
+  const [retrying, setRetrying] = useState(0);
+  const [errorMessage, setErrorMessage] = useState('');
+  // 当前分段已导出的分片内容，只保存在内存中
+  const chunksRef = useRef([]);
+  const stopRef = useRef(false);
+
+  useEffect(() => {
+    if (showExportModal && status === 'idle') {
+      setSavedJob(loadLogExportJob());
+    }
+  }, [showExportModal]);
+
+  const fetchChunk = async (currentJob) => {
+    const withHeader = chunksRef.current.length === 0;
+    const res = await API.get('/api/log/export', {
+      params: buildLogExportParams(currentJob, withHeader),
+      responseType: 'text',
+      disableDuplicate: true,
+      skipErrorHandler: true,
+    });
+    const contentType = res.headers['content-type'] || '';
+    if (contentType.includes('application/json')) {
+      let message = t('导出失败');
+      try {
+        message = JSON.parse(res.data).message || message;
+      } catch (e) {
+        // ignore
+      }
+      throw new LogExportFatalError(message);
+    }
+    const nextCursor = parseInt(res.headers['x-export-next-cursor'], 10);
+    const rows = parseInt(res.headers['x-export-rows'], 10);
+    if (Number.isNaN(nextCursor) || Number.isNaN(rows)) {
+      throw new Error(t('导出响应缺少分片信息'));
+    }
+    const text = res.data || '';
+    const count = countLogExportRecords(text, currentJob.format, withHeader);
+    if (count !== rows) {
+      throw new Error(
+        t('分片不完整：应为 {{expected}} 行，实际收到 {{actual}} 行', {
+          expected: rows,
+          actual: count,
+        }),
+      );
+    }
+    return { text, nextCursor, rows };
+  };
+
+  const runExport = async (startJob) => {
+    let currentJob = startJob;
+    stopRef.current = false;
+    setStatus('running');
+    setErrorMessage('');
+    persistLogExportJob(currentJob);
+    while (!stopRef.current) {
+      let result = null;
+      for (let attempt = 0; attempt <= LOG_EXPORT_MAX_RETRIES; attempt++) {
+        setRetrying(attempt);
+        try {
+          result = await fetchChunk(currentJob);
+          break;
+        } catch (error) {
+          const fatal = error instanceof LogExportFatalError;
+          if (fatal || attempt === LOG_EXPORT_MAX_RETRIES) {
+            setRetrying(0);
+            setErrorMessage(error.message || t('导出失败'));
+            setStatus('paused');
+            if (fatal) {
+              showError(error.message);
+            }
+            return;
+          }
+          await sleep(1000 * (attempt + 1));
+        }
+      }
+      setRetrying(0);
+      chunksRef.current.push(result.text);
+      currentJob = {
+        ...currentJob,
+        cursor: result.nextCursor,
+        rows: currentJob.rows + result.rows,
+      };
+      setJob(currentJob);
+      if (result.nextCursor === 0) {
+        downloadChunks(chunksRef.current, currentJob);
+        chunksRef.current = [];
+        clearLogExportJob();
+        setStatus('done');
+        showSuccess(t('已导出 {{count}} 条日志', { count: currentJob.rows }));
+        return;
+      }
+      persistLogExportJob(currentJob);
+    }
+    setStatus('paused');
+  };
+
+  const handleStart = () => {
+    if (columns.length === 0) {
+      showError(t('请至少选择一列'));
+      return;
+    }
+    // 按列定义的顺序导出，与勾选顺序无关
+    const orderedColumns = LOG_EXPORT_COLUMNS.map(
+      (column) => column.key,
+    ).filter((key) => columns.includes(key));
+    const newJob = createLogExportJob(
+      buildLogExportFilters(getFormValues()),
+      format,
+      orderedColumns,
+    );
+    chunksRef.current = [];
+    setSavedJob(null);
+    setJob(newJob);
+    runExport(newJob);
+  };
+
+  const handleResumeSaved = () => {
+    chunksRef.current = [];
+    setJob(savedJob);
+    setSavedJob(null);
+    runExport(savedJob);
+  };
+
+  const handleDiscardSaved = () => {
+    clearLogExportJob();
+    setSavedJob(null);
+  };
+
+  // 下载已导出的部分，之后继续导出的内容保存为下一个分段文件
+  const handleDownloadPartial = () => {
+    if (!job || chunksRef.current.length === 0) {
+      return;
+    }
+    downloadChunks(chunksRef.current, job);
+    chunksRef.current = [];
+    const nextJob = {
+      ...job,
+      part: job.part + 1,
+      partCursor: job.cursor,
+      partRows: job.rows,
+    };
+    setJob(nextJob);
+    persistLogExportJob(nextJob);
+  };
+
+  const handleClose = () => {
+    stopRef.current = true;
+    if (status === 'done') {
+      setStatus('idle');
+      setJob(null);
+    }
+    setShowExportModal(false);
+  };
+
+  const toggleColumn = (key, checked) => {
+    setColumns((prev) =>
+      checked ? [...prev, key] : prev.filter((item) => item !== key),
+    );
+  };
+
+  const renderColumnGroup = (title, items) => (
+    <div>
+      <Text type='tertiary' size='small' className='block mb-2'>
+        {title}
+      </Text>
+      <div className='flex flex-wrap gap-y-2'>
+        {items.map((column) => (
+          <div key={column.key} className='w-1/2 sm:w-1/3'>
+            <Checkbox
+              checked={columns.includes(column.key)}
+              disabled={status === 'running' || status === 'paused'}
+              onChange={(e) => toggleColumn(column.key, e.target.checked)}
+            >
+              {t(column.label)}
+            </Checkbox>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
+  const hasPartial = job && job.rows > job.partRows;
+
+  const footer = (
+    <div className='flex justify-end gap-2'>
+      <Button onClick={handleClose}>
+        {status === 'running' ? t('暂停并关闭') : t('关闭')}
+      </Button>
+      {status === 'running' && (
+        <Button onClick={() => (stopRef.current = true)}>{t('暂停')}</Button>
+      )}
+      {status === 'paused' && hasPartial && (
+        <Button onClick={handleDownloadPartial}>{t('下载已导出部分')}</Button>
+      )}
+      {status === 'paused' && (
+        <Button theme='solid' onClick={() => runExport(job)}>
+          {t('继续导出')}
+        </Button>
+      )}
+      {(status === 'idle' || status === 'done') && (
+        <Button theme='solid' onClick={handleStart}>
+          {t('开始导出')}
+        </Button>
+      )}
+    </div>
+  );
+
+  return (
+    <Modal
+      title={t('导出日志')}
+      visible={showExportModal}
+      onCancel={handleClose}
+      footer={footer}
+      maskClosable={false}
+      centered={true}
+      className='!rounded-lg'
+    >
+      <div className='flex flex-col gap-4'>
+        {savedJob && (
+          <Banner
+            type='warning'
+            closeIcon={null}
+            description={
+              <div className='flex flex-col gap-2'>
+                <span>
+                  {t(
+                    '发现未完成的导出任务（第 {{part}} 段），将从该分段的起点继续导出，已下载的分段不会重复导出',
+                    { part: savedJob.part },
+                  )}
+                </span>
+                <div className='flex gap-2'>
+                  <Button size='small' onClick={handleResumeSaved}>
+                    {t('继续导出')}
+                  </Button>
+                  <Button
+                    size='small'
+                    type='danger'
+                    onClick={handleDiscardSaved}
+                  >
+                    {t('放弃')}
+                  </Button>
+                </div>
+              </div>
+            }
+          />
+        )}
+
+        {status === 'idle' && !savedJob && (
+          <Banner
+            type='info'
+            closeIcon={null}
+            description={t(
+              '将按当前的筛选条件（用户、令牌、模型、渠道、分组、类型和时间范围）分片导出日志',
+            )}
+          />
+        )}
+
+        <div>
+          <Text strong className='block mb-2'>
+            {t('文件格式')}
+          </Text>
+          <RadioGroup
+            type='button'
+            value={format}
+            disabled={status === 'running' || status === 'paused'}
+            onChange={(e) => setFormat(e.target.value)}
+          >
+            <Radio value='csv'>CSV</Radio>
+            <Radio value='jsonl'>JSONL</Radio>
+          </RadioGroup>
+        </div>
+
+        <div>
+          <div className='flex items-center justify-between mb-2'>
+            <Text strong>{t('导出列')}</Text>
+            <div className='flex gap-2'>
+              <Button
+                size='small'
+                theme='borderless'
+                disabled={status === 'running' || status === 'paused'}
+                onClick={() =>
+                  setColumns(LOG_EXPORT_COLUMNS.map((column) => column.key))
+                }
+              >
+                {t('全选')}
+              </Button>
+              <Button
+                size='small'
+                theme='borderless'
+                disabled={status === 'running' || status === 'paused'}
+                onClick={() => setColumns(DEFAULT_COLUMNS)}
+              >
+                {t('重置')}
+              </Button>
+            </div>
+          </div>
+          <div
+            className='flex flex-col gap-3 max-h-72 overflow-y-auto rounded-lg p-3'
+            style={{ border: '1px solid var(--semi-color-border)' }}
+          >
+            {renderColumnGroup(
+              t('基础字段'),
+              LOG_EXPORT_COLUMNS.filter((column) => !column.billing),
+            )}
+            {renderColumnGroup(
+              t('计费明细'),
+              LOG_EXPORT_COLUMNS.filter((column) => column.billing),
+            )}
+          </div>
+        </div>
+
+        {job && status !== 'idle' && (
+          <div className='flex flex-col gap-1'>
+            <Text>
+              {t('已导出 {{count}} 条', { count: job.rows })}
+              {job.part > 1 && ` · ${t('第 {{part}} 段', { part: job.part })}`}
+            </Text>
+            {status === 'running' && retrying > 0 && (
+              <Text type='warning' size='small'>
+                {t('分片请求失败，正在第 {{count}} 次重试', {
+                  count: retrying,
+                })}
+              </Text>
+            )}
+            {status === 'paused' && errorMessage && (
+              <Text type='danger' size='small'>
+                {errorMessage}
+              </Text>
+            )}
+            {status === 'paused' && !errorMessage && (
+              <Text type='tertiary' size='small'>
+                {t('导出已暂停，可以继续导出或先下载已导出部分')}
+              </Text>
+            )}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default LogExportModal;
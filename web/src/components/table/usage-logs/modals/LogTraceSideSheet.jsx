@@ -0,0 +1,314 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Button,
+  Card,
+  Descriptions,
+  Empty,
+  SideSheet,
+  Spin,
+  Tag,
+  Timeline,
+  Typography,
+} from '@douyinfe/semi-ui';
+import { Link2, RefreshCw } from 'lucide-react';
+import {
+  API,
+  buildLogTrace,
+  buildLogTraceUrl,
+  copy,
+  renderGroup,
+  renderLogPriceProcess,
+  renderModelTag,
+  renderQuota,
+  showError,
+  showSuccess,
+  timestamp2string,
+} from '../../../../helpers';
+import { useIsMobile } from '../../../../hooks/common/useIsMobile';
+
+const { Text, Title } = Typography;
+
+const LogTraceSideSheet = ({
+  showLogTrace,
+  setShowLogTrace,
+  traceRequestId,
+  isAdminUser,
+  t,
+}) => {
+  const isMobile = useIsMobile();
+  const [loading, setLoading] = useState(false);
+  const [logs, setLogs] = useState([]);
+
+  const loadTrace = async () => {
+    if (!traceRequestId) return;
+    setLoading(true);
+    try {
+      const url = isAdminUser
+        ? `/api/log/trace/${encodeURIComponent(traceRequestId)}`
+        : `/api/log/self/trace/${encodeURIComponent(traceRequestId)}`;
+      const res = await API.get(url);
+      const { success, message, data } = res.data;
+      if (success) {
+        setLogs(data || []);
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (showLogTrace) {
+      loadTrace();
+    } else {
+      setLogs([]);
+    }
+  }, [showLogTrace, traceRequestId]);
+
+  const trace = useMemo(() => buildLogTrace(logs), [logs]);
+
+  const copyLink = async () => {
+    if (await copy(buildLogTraceUrl(traceRequestId))) {
+      showSuccess(t('链接已复制'));
+    }
+  };
+
+  const renderAttempt = (attempt, index) => (
+    <Timeline.Item
+      key={`attempt-${index}`}
+      type={attempt.success ? 'success' : 'error'}
+      time={attempt.createdAt ? timestamp2string(attempt.createdAt) : ''}
+    >
+      <div className='flex flex-col gap-1'>
+        <div className='flex flex-wrap items-center gap-2'>
+          <Text strong>{t('第 {{count}} 次尝试', { count: index + 1 })}</Text>
+          {isAdminUser && attempt.channelId > 0 && (
+            <Tag size='small' color='blue' shape='circle'>
+              #{attempt.channelId}
+              {attempt.channelName ? ` ${attempt.channelName}` : ''}
+            </Tag>
+          )}
+          {isAdminUser && attempt.group && (
+            <Tag size='small' color='white'>
+              {attempt.group}
+            </Tag>
+          )}
+          <Tag size='small' color={attempt.success ? 'green' : 'red'}>
+            {attempt.success ? t('成功') : t('失败')}
+          </Tag>
+          {attempt.statusCode && (
+            <Tag size='small' color='orange'>
+              HTTP {attempt.statusCode}
+            </Tag>
+          )}
+          {attempt.errorCode && (
+            <Tag size='small' color='grey'>
+              {attempt.errorCode}
+            </Tag>
+          )}
+        </div>
+        {!attempt.success && (
+          <Text type='tertiary' size='small' className='break-all'>
+            {attempt.content || t('未记录错误详情（可能未开启错误日志）')}
+          </Text>
+        )}
+      </div>
+    </Timeline.Item>
+  );
+
+  const renderTimeline = () => {
+    const { token, group, attempts, mapping, finalLog } = trace;
+    return (
+      <Timeline mode='left'>
+        <Timeline.Item type='ongoing' time={timestamp2string(token.createdAt)}>
+          <div className='flex flex-col gap-1'>
+            <Text strong>{t('令牌鉴权')}</Text>
+            <div className='flex flex-wrap items-center gap-2'>
+              {token.tokenName && (
+                <Tag size='small' color='grey'>
+                  {token.tokenName}
+                </Tag>
+              )}
+              {isAdminUser && token.username && (
+                <Tag size='small' color='white'>
+                  {token.username}
+                </Tag>
+              )}
+              {token.ip && (
+                <Tag size='small' color='orange'>
+                  {token.ip}
+                </Tag>
+              )}
+            </div>
+            {token.requestPath && (
+              <Text type='tertiary' size='small' className='font-mono'>
+                {token.requestPath}
+              </Text>
+            )}
+          </div>
+        </Timeline.Item>
+
+        <Timeline.Item type='ongoing'>
+          <div className='flex flex-col gap-1'>
+            <Text strong>{t('分组解析')}</Text>
+            {isAdminUser && group.tokenGroup !== undefined ? (
+              <Text size='small'>
+                {t('用户分组')} {group.userGroup || '-'} → {t('令牌分组')}{' '}
+                {group.tokenGroup || t('跟随用户分组')} → {t('实际分组')}{' '}
+                {group.usingGroup || group.group || '-'}
+              </Text>
+            ) : (
+              <div>{group.group ? renderGroup(group.group) : '-'}</div>
+            )}
+            {group.groupRatio !== undefined && (
+              <Text type='tertiary' size='small'>
+                {t('分组倍率')}: {group.groupRatio}
+                {Number.isFinite(group.userGroupRatio) &&
+                  group.userGroupRatio !== -1 &&
+                  ` · ${t('专属倍率')}: ${group.userGroupRatio}`}
+              </Text>
+            )}
+          </div>
+        </Timeline.Item>
+
+        {attempts.map(renderAttempt)}
+
+        {mapping && (
+          <Timeline.Item type='default'>
+            <div className='flex flex-col gap-1'>
+              <Text strong>{t('模型映射')}</Text>
+              <div className='flex flex-wrap items-center gap-2'>
+                {renderModelTag(mapping.model)}
+                <span>→</span>
+                {renderModelTag(mapping.upstreamModel)}
+              </div>
+            </div>
+          </Timeline.Item>
+        )}
+
+        {trace.firstResponseTime !== null && (
+          <Timeline.Item type='default'>
+            <Text strong>{t('首字时间')}</Text>
+            <Text className='ml-2'>
+              {(trace.firstResponseTime / 1000).toFixed(1)} s
+            </Text>
+          </Timeline.Item>
+        )}
+
+        <Timeline.Item
+          type={trace.succeeded ? 'success' : 'error'}
+          time={timestamp2string(finalLog.created_at)}
+        >
+          <div className='flex flex-col gap-1'>
+            <Text strong>
+              {trace.succeeded ? t('请求完成') : t('请求失败')}
+            </Text>
+            <Text size='small'>
+              {t('总耗时')}: {trace.useTime} s
+              {trace.isStream ? ` · ${t('流')}` : ` · ${t('非流')}`}
+            </Text>
+          </div>
+        </Timeline.Item>
+      </Timeline>
+    );
+  };
+
+  const renderSummary = () => {
+    const { finalLog } = trace;
+    return (
+      <Descriptions
+        size='small'
+        row
+        data={[
+          { key: t('模型'), value: renderModelTag(finalLog.model_name) },
+          { key: t('输入'), value: finalLog.prompt_tokens },
+          { key: t('输出'), value: finalLog.completion_tokens },
+          { key: t('花费'), value: renderQuota(finalLog.quota, 6) },
+        ]}
+      />
+    );
+  };
+
+  return (
+    <SideSheet
+      visible={showLogTrace}
+      onCancel={() => setShowLogTrace(false)}
+      width={isMobile ? '100%' : 640}
+      bodyStyle={{ padding: 0 }}
+      title={
+        <div className='flex flex-col gap-1'>
+          <Title heading={5} className='m-0'>
+            {t('请求追踪')}
+          </Title>
+          <Text type='tertiary' size='small' className='font-mono break-all'>
+            {traceRequestId}
+          </Text>
+        </div>
+      }
+      footer={
+        <div className='flex justify-end gap-2'>
+          <Button icon={<Link2 size={14} />} onClick={copyLink}>
+            {t('复制链接')}
+          </Button>
+          <Button
+            icon={<RefreshCw size={14} />}
+            loading={loading}
+            onClick={loadTrace}
+          >
+            {t('刷新')}
+          </Button>
+        </div>
+      }
+    >
+      <Spin spinning={loading}>
+        <div className='p-4 flex flex-col gap-4'>
+          {!trace ? (
+            <Empty
+              description={t('没有找到该请求的日志')}
+              style={{ padding: 30 }}
+            />
+          ) : (
+            <>
+              {renderSummary()}
+              <Card className='!rounded-lg' bodyStyle={{ padding: 16 }}>
+                {renderTimeline()}
+              </Card>
+              {trace.succeeded && (
+                <Card
+                  className='!rounded-lg'
+                  title={t('计费过程')}
+                  bodyStyle={{ padding: 16 }}
+                >
+                  {renderLogPriceProcess(trace.finalLog, trace.other)}
+                </Card>
+              )}
+            </>
+          )}
+        </div>
+      </Spin>
+    </SideSheet>
+  );
+};
+
+export default LogTraceSideSheet;
@@ -187,3 +187,131 @@ export const CHANNEL_OPTIONS = [
 ];
 
 export const MODEL_TABLE_PAGE_SIZE = 10;
+
+// 渠道导入导出模板的字段顺序
+export const CHANNEL_TRANSFER_FIELDS = [
+  'name',
+  'type',
+  'key',
+  'base_url',
+  'models',
+  'model_mapping',
+  'groups',
+  'tag',
+  'priority',
+  'weight',
+];
+
+export const CHANNEL_IMPORT_LIMITS = {
+  BATCH_SIZE: 5,
+  MAX_ROWS: 500,
+};
+
+// 后端导出脱敏密钥时使用的占位符
+export const CHANNEL_KEY_MASK = '******';
+
+// 渠道健康历史的时间范围，bucket 为图表聚合粒度（秒）
+export const CHANNEL_HEALTH_RANGES = [
+  { value: 1, label: '最近 24 小时', bucket: 3600, granularity: 'hour' },
+  { value: 7, label: '最近 7 天', bucket: 6 * 3600, granularity: 'hour' },
+  { value: 30, label: '最近 30 天', bucket: 24 * 3600, granularity: 'day' },
+];
+
+export const CHANNEL_HEALTH_STATUS = {
+  UNKNOWN: 'unknown',
+  HEALTHY: 'healthy',
+  BLIP: 'blip',
+  FLAKY: 'flaky',
+  DOWN: 'down',
+};
+
+// 渠道测试可选的端点类型，label 为翻译键，path 为对应的请求路径
+export const CHANNEL_TEST_ENDPOINT_TYPES = [
+  { value: '', label: '自动检测' },
+  { value: 'openai', label: 'OpenAI', path: '/v1/chat/completions' },
+  { value: 'openai-response', label: 'OpenAI Response', path: '/v1/responses' },
+  { value: 'anthropic', label: 'Anthropic', path: '/v1/messages' },
+  {
+    value: 'gemini',
+    label: 'Gemini',
+    path: '/v1beta/models/{model}:generateContent',
+  },
+  { value: 'jina-rerank', label: 'Jina Rerank', path: '/rerank' },
+  {
+    value: 'image-generation',
+    label: '图像生成',
+    path: '/v1/images/generations',
+  },
+  { value: 'embeddings', label: 'Embeddings', path: '/v1/embeddings' },
+];
+
+// 多密钥轮换策略，label 为翻译键
+export const MULTI_KEY_MODE_OPTIONS = [
+  { value: 'random', label: '随机' },
+  { value: 'polling', label: '轮询' },
+  { value: 'least_used', label: '最少使用' },
+  { value: 'weighted', label: '加权随机' },
+];
+
+// 渠道配置版本中记录的字段，json 为按 JSON 逐项比较的字段，list 为逗号分隔的列表字段
+export const CHANNEL_VERSION_FIELDS = [
+  { key: 'name', label: '名称' },
+  { key: 'base_url', label: 'API地址' },
+  { key: 'models', label: '模型', list: true },
+  { key: 'group', label: '分组', list: true },
+  { key: 'tag', label: '标签' },
+  { key: 'priority', label: '优先级' },
+  { key: 'weight', label: '权重' },
+  { key: 'model_mapping', label: '模型重定向', json: true },
+  { key: 'param_override', label: '参数覆盖', json: true },
+  { key: 'header_override', label: '请求头覆盖', json: true },
+  { key: 'status_code_mapping', label: '状态码复写', json: true },
+  { key: 'test_model', label: '默认测试模型' },
+  { key: 'auto_ban', label: '是否自动禁用' },
+  { key: 'other', label: '其他参数' },
+  { key: 'openai_organization', label: '组织' },
+  { key: 'setting', label: '渠道额外设置', json: true },
+  { key: 'settings', label: '其他设置', json: true },
+  { key: 'remark', label: '备注' },
+];
+
+// 渠道版本来源，label 为翻译键
+export const CHANNEL_VERSION_SOURCES = {
+  baseline: { label: '初始版本', color: 'grey' },
+  edit: { label: '编辑渠道', color: 'blue' },
+  tag_edit: { label: '编辑标签', color: 'cyan' },
+  batch_edit: { label: '批量编辑', color: 'purple' },
+  rollback: { label: '回滚', color: 'orange' },
+};
+
+// 渠道高级查询可用的条件，label 为翻译键
+export const CHANNEL_QUERY_FIELDS = [
+  { key: 'types', label: '渠道类型' },
+  { key: 'statuses', label: '状态' },
+  { key: 'tags', label: '标签' },
+  { key: 'priority', label: '优先级范围' },
+  { key: 'balance_below', label: '余额低于' },
+  { key: 'response_time_above', label: '响应时间高于' },
+  { key: 'last_test_failed', label: '最近测试失败' },
+  { key: 'models', label: '包含模型' },
+];
+
+export const CHANNEL_QUERY_STATUS_OPTIONS = [
+  { value: 1, label: '已启用' },
+  { value: 2, label: '已禁用' },
+  { value: 3, label: '自动禁用' },
+];
+
+// 已保存视图在本地存储中的键名
+export const CHANNEL_SAVED_VIEWS_KEY = 'channel-saved-views';
+
+// 批量编辑结果中的字段名称，label 为翻译键
+export const CHANNEL_BATCH_EDIT_FIELDS = {
+  models: '模型',
+  model_mapping: '模型重定向',
+  group: '分组',
+  priority: '优先级',
+  weight: '权重',
+  auto_ban: '是否自动禁用',
+  proxy: '代理',
+};
@@ -24,3 +24,4 @@ export * from './common.constant';
 export * from './dashboard.constants';
 export * from './playground.constants';
 export * from './redemption.constants';
+export * from './log.constants';
@@ -0,0 +1,92 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 日志导出可选的列，key 与后端 controller/log-export.go 中的列名一致，label 为翻译键
+// billing 为 true 的列来自日志 other 字段中的计费明细
+export const LOG_EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID', default: true },
+  { key: 'time', label: '时间', default: true },
+  { key: 'created_at', label: '时间戳', default: false },
+  { key: 'type', label: '类型', default: true },
+  { key: 'username', label: '用户', default: true },
+  { key: 'token_name', label: '令牌', default: true },
+  { key: 'model_name', label: '模型', default: true },
+  { key: 'channel', label: '渠道', default: true },
+  { key: 'channel_name', label: '渠道名称', default: false },
+  { key: 'group', label: '分组', default: true },
+  { key: 'quota', label: '额度', default: true },
+  { key: 'amount', label: '金额', default: false },
+  { key: 'prompt_tokens', label: '输入', default: true },
+  { key: 'completion_tokens', label: '输出', default: true },
+  { key: 'use_time', label: '总耗时', default: true },
+  { key: 'is_stream', label: '流式', default: false },
+  { key: 'ip', label: 'IP', default: false },
+  { key: 'request_id', label: '请求 ID', default: false },
+  { key: 'content', label: '详情', default: false },
+  { key: 'model_ratio', label: '模型倍率', default: true, billing: true },
+  { key: 'group_ratio', label: '分组倍率', default: true, billing: true },
+  { key: 'completion_ratio', label: '补全倍率', default: false, billing: true },
+  { key: 'model_price', label: '模型价格', default: false, billing: true },
+  { key: 'cache_tokens', label: '缓存 Tokens', default: true, billing: true },
+  { key: 'cache_ratio', label: '缓存倍率', default: false, billing: true },
+  {
+    key: 'cache_creation_tokens',
+    label: '缓存创建 Tokens',
+    default: true,
+    billing: true,
+  },
+  {
+    key: 'cache_creation_ratio',
+    label: '缓存创建倍率',
+    default: false,
+    billing: true,
+  },
+  { key: 'other', label: '原始计费信息', default: false, billing: true },
+];
+
+// 每个导出分片的行数，单个请求只导出一个分片，避免大范围导出超时
+export const LOG_EXPORT_CHUNK_SIZE = 20000;
+
+// 分片失败后自动重试的次数，超过后暂停等待手动继续
+export const LOG_EXPORT_MAX_RETRIES = 3;
+
+// 未完成的导出任务在本地存储中的键名，用于刷新页面后继续导出
+export const LOG_EXPORT_JOB_KEY = 'log-export-job';
+
+// 日志透视可选的分组维度，value 与后端 model.logPivotDimensionExpr 一致，adminOnly 的维度仅管理员可用
+export const LOG_PIVOT_DIMENSIONS = [
+  { value: 'model', label: '模型' },
+  { value: 'channel', label: '渠道', adminOnly: true },
+  { value: 'token', label: '令牌' },
+  { value: 'user', label: '用户', adminOnly: true },
+  { value: 'group', label: '分组' },
+  { value: 'day', label: '日期' },
+];
+
+// 实时日志模式下表格最多保留的行数
+export const LOG_TAIL_MAX_ROWS = 200;
+
+// 实时日志每秒请求数的统计窗口（秒）
+export const LOG_TAIL_RATE_WINDOW = 10;
+
+// 实时日志连接断开后的重连间隔（毫秒）
+export const LOG_TAIL_RECONNECT_DELAY = 3000;
+
+// 实时日志模式下表格滚动超过该距离（像素）时暂停插入新日志
+export const LOG_TAIL_PAUSE_OFFSET = 120;
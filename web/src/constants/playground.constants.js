@@ -28,6 +28,7 @@ export const MESSAGE_ROLES = {
   USER: 'user',
   ASSISTANT: 'assistant',
   SYSTEM: 'system',
+  TOOL: 'tool',
 };
 
 // 默认消息示例 - 使用函数生成以支持 i18n
@@ -71,11 +72,17 @@ export const DEBUG_TABS = {
   PREVIEW: 'preview',
   REQUEST: 'request',
   RESPONSE: 'response',
+  CODE: 'code',
 };
 
 // ========== API 相关常量 ==========
 export const API_ENDPOINTS = {
   CHAT_COMPLETIONS: '/pg/chat/completions',
+  EMBEDDINGS: '/pg/embeddings',
+  IMAGE_GENERATIONS: '/pg/images/generations',
+  AUDIO_SPEECH: '/pg/audio/speech',
+  AUDIO_TRANSCRIPTIONS: '/pg/audio/transcriptions',
+  RERANK: '/pg/rerank',
   USER_MODELS: '/api/user/models',
   USER_GROUPS: '/api/user/self/groups',
 };
@@ -91,9 +98,18 @@ export const DEFAULT_CONFIG = {
     frequency_penalty: 0,
     presence_penalty: 0,
     seed: null,
+    n: 1,
+    stop: [],
+    logit_bias: '',
+    reasoning_effort: 'medium',
+    response_format: 'text',
+    json_schema: '',
     stream: true,
     imageEnabled: false,
     imageUrls: [''],
+    tools: '',
+    tool_choice: 'auto',
+    toolMocks: '',
   },
   parameterEnabled: {
     temperature: true,
@@ -102,11 +118,103 @@ export const DEFAULT_CONFIG = {
     frequency_penalty: true,
     presence_penalty: true,
     seed: false,
+    n: false,
+    stop: false,
+    logit_bias: false,
+    reasoning_effort: false,
+    response_format: false,
   },
   systemPrompt: '',
   showDebugPanel: false,
+  showSessionPanel: true,
   customRequestMode: false,
   customRequestBody: '',
+  compareMode: false,
+  compareTargets: [],
+  endpointMode: 'chat',
+};
+
+// ========== 对比模式 ==========
+export const COMPARE_LIMITS = {
+  MIN_TARGETS: 2,
+  MAX_TARGETS: 4,
+};
+
+// ========== 接口模式 ==========
+export const ENDPOINT_MODES = {
+  CHAT: 'chat',
+  EMBEDDINGS: 'embeddings',
+  IMAGES: 'images',
+  AUDIO: 'audio',
+  RERANK: 'rerank',
+  EVAL: 'eval',
+};
+
+// 各非对话接口表单的默认值
+export const ENDPOINT_DEFAULTS = {
+  embeddings: {
+    inputs: ['', ''],
+    dimensions: null,
+  },
+  images: {
+    prompt: '',
+    size: '1024x1024',
+    quality: 'standard',
+    n: 1,
+    response_format: 'url',
+  },
+  speech: {
+    input: '',
+    voice: 'alloy',
+    response_format: 'mp3',
+    speed: 1,
+  },
+  transcription: {
+    language: '',
+    prompt: '',
+  },
+  rerank: {
+    query: '',
+    documents: ['', ''],
+    top_n: null,
+  },
+};
+
+export const IMAGE_SIZE_OPTIONS = [
+  '256x256',
+  '512x512',
+  '1024x1024',
+  '1792x1024',
+  '1024x1792',
+];
+
+export const IMAGE_QUALITY_OPTIONS = ['standard', 'hd'];
+
+export const TTS_VOICE_OPTIONS = [
+  'alloy',
+  'ash',
+  'coral',
+  'echo',
+  'fable',
+  'onyx',
+  'nova',
+  'sage',
+  'shimmer',
+];
+
+export const TTS_FORMAT_OPTIONS = ['mp3', 'opus', 'aac', 'flac', 'wav', 'pcm'];
+
+// ========== 批量评测 ==========
+export const EVAL_SCORING_METHODS = {
+  EXACT: 'exact',
+  REGEX: 'regex',
+  JSON_FIELD: 'json_field',
+};
+
+export const EVAL_LIMITS = {
+  DEFAULT_CONCURRENCY: 3,
+  MAX_CONCURRENCY: 10,
+  MAX_ROWS: 1000,
 };
 
 // ========== 正则表达式 ==========
@@ -128,4 +236,74 @@ export const ERROR_MESSAGES = {
 export const STORAGE_KEYS = {
   CONFIG: 'playground_config',
   MESSAGES: 'playground_messages',
+  ACTIVE_SESSION: 'playground_active_session',
+  PROMPT_VARIABLES: 'playground_prompt_variables',
+};
+
+// ========== 会话存储 ==========
+export const PLAYGROUND_DB = {
+  NAME: 'new-api-playground',
+  VERSION: 2,
+  SESSION_STORE: 'sessions',
+  PROMPT_STORE: 'prompts',
+};
+
+// 每个会话单独保存的输入项（模型与参数），其余输入项为全局配置
+export const SESSION_INPUT_KEYS = [
+  'model',
+  'group',
+  'temperature',
+  'top_p',
+  'max_tokens',
+  'frequency_penalty',
+  'presence_penalty',
+  'seed',
+  'n',
+  'stop',
+  'logit_bias',
+  'reasoning_effort',
+  'response_format',
+  'json_schema',
+  'stream',
+  'tools',
+  'tool_choice',
+  'toolMocks',
+];
+
+// ========== 结构化输出 ==========
+export const RESPONSE_FORMAT_TYPES = ['text', 'json_object', 'json_schema'];
+
+export const REASONING_EFFORT_OPTIONS = ['minimal', 'low', 'medium', 'high'];
+
+// json_schema 模式的编辑器模板，对应 response_format.json_schema 字段
+export const JSON_SCHEMA_TEMPLATE = {
+  name: 'result',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      answer: { type: 'string' },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+    },
+    required: ['answer', 'confidence'],
+    additionalProperties: false,
+  },
+};
+
+// ========== 工具调用 ==========
+export const TOOL_CHOICE_MODES = ['auto', 'none', 'required'];
+
+// 工具定义模板：键为函数名，值为描述与 JSON Schema 参数
+export const TOOL_DEFINITION_TEMPLATE = {
+  get_weather: {
+    description: 'Get the current weather for a city',
+    parameters: {
+      type: 'object',
+      properties: {
+        city: { type: 'string', description: 'City name' },
+        unit: { type: 'string', enum: ['celsius', 'fahrenheit'] },
+      },
+      required: ['city'],
+    },
+  },
 };
@@ -24,7 +24,10 @@ import {
   isValidMessage,
 } from './utils';
 import axios from 'axios';
-import { MESSAGE_ROLES } from '../constants/playground.constants';
+import {
+  MESSAGE_ROLES,
+  TOOL_CHOICE_MODES,
+} from '../constants/playground.constants';
 
 export let API = axios.create({
   baseURL: import.meta.env.VITE_REACT_APP_SERVER_URL
@@ -94,6 +97,81 @@ API.interceptors.response.use(
 
 // playground
 
+// 解析工具定义：编辑器中以函数名为键，也兼容直接粘贴的 OpenAI tools 数组
+export const parseToolDefinitions = (toolsText) => {
+  if (!toolsText || !toolsText.trim()) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(toolsText);
+  } catch (error) {
+    return [];
+  }
+
+  if (Array.isArray(parsed)) {
+    return parsed.filter((tool) => tool?.function?.name);
+  }
+  if (!parsed || typeof parsed !== 'object') return [];
+
+  return Object.entries(parsed)
+    .filter(([name]) => name.trim() !== '')
+    .map(([name, definition]) => {
+      // 数组在可视化编辑后会变成以下标为键的对象，此时值本身就是完整定义
+      if (definition?.function?.name) {
+        return { type: 'function', function: definition.function };
+      }
+      const { description, parameters } =
+        definition && typeof definition === 'object' ? definition : {};
+      return {
+        type: 'function',
+        function: {
+          name: name.trim(),
+          ...(description && { description }),
+          parameters: parameters || { type: 'object', properties: {} },
+        },
+      };
+    });
+};
+
+// 构建 tool_choice：内置模式直接传字符串，其余视为指定函数名
+export const buildToolChoice = (toolChoice) => {
+  if (!toolChoice || TOOL_CHOICE_MODES.includes(toolChoice)) {
+    return toolChoice || 'auto';
+  }
+  return { type: 'function', function: { name: toolChoice } };
+};
+
+// 构建 response_format：json_schema 模式需要合法的 schema 定义，否则不发送
+export const buildResponseFormat = (type, jsonSchemaText) => {
+  if (type !== 'json_schema') return { type: type || 'text' };
+
+  try {
+    const jsonSchema = JSON.parse(jsonSchemaText);
+    return jsonSchema && typeof jsonSchema === 'object'
+      ? { type: 'json_schema', json_schema: jsonSchema }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// 解析 logit_bias，仅保留数值型的偏置
+export const parseLogitBias = (logitBiasText) => {
+  if (!logitBiasText || !logitBiasText.trim()) return null;
+  try {
+    const parsed = JSON.parse(logitBiasText);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return null;
+    }
+    const entries = Object.entries(parsed).filter(
+      ([, bias]) => typeof bias === 'number',
+    );
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // 构建API请求负载
 export const buildApiPayload = (
   messages,
@@ -129,6 +207,8 @@ export const buildApiPayload = (
     frequency_penalty: 'frequency_penalty',
     presence_penalty: 'presence_penalty',
     seed: 'seed',
+    n: 'n',
+    reasoning_effort: 'reasoning_effort',
   };
 
   Object.entries(parameterMappings).forEach(([key, param]) => {
@@ -141,6 +221,31 @@ export const buildApiPayload = (
     }
   });
 
+  // 添加需要额外处理的参数
+  if (parameterEnabled.stop && inputs.stop?.length > 0) {
+    payload.stop = inputs.stop;
+  }
+
+  if (parameterEnabled.logit_bias) {
+    const logitBias = parseLogitBias(inputs.logit_bias);
+    if (logitBias) payload.logit_bias = logitBias;
+  }
+
+  if (parameterEnabled.response_format) {
+    const responseFormat = buildResponseFormat(
+      inputs.response_format,
+      inputs.json_schema,
+    );
+    if (responseFormat) payload.response_format = responseFormat;
+  }
+
+  // 添加工具定义
+  const tools = parseToolDefinitions(inputs.tools);
+  if (tools.length > 0) {
+    payload.tools = tools;
+    payload.tool_choice = buildToolChoice(inputs.tool_choice);
+  }
+
   return payload;
 };
 
@@ -0,0 +1,130 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import { CHANNEL_HEALTH_STATUS } from '../constants';
+
+// 渠道健康历史：按时间桶聚合测试记录，按模型统计稳定性
+
+// 连续失败达到该次数视为持续不可用
+const DOWN_STREAK = 3;
+
+const average = (values) =>
+  values.length === 0
+    ? null
+    : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const countTrailingFailures = (records) => {
+  let streak = 0;
+  for (let i = records.length - 1; i >= 0 && !records[i].success; i--) {
+    streak++;
+  }
+  return streak;
+};
+
+/**
+ * 根据一组测试记录判断稳定性
+ * 只失败过一次视为偶发失败，多次失败视为不稳定，最近连续失败视为不可用
+ * @param {Array<Object>} records - 按时间正序的测试记录
+ * @returns {string} CHANNEL_HEALTH_STATUS 中的状态
+ */
+export const getChannelHealthStatus = (records) => {
+  if (records.length === 0) return CHANNEL_HEALTH_STATUS.UNKNOWN;
+  const failures = records.filter((record) => !record.success).length;
+  if (failures === 0) return CHANNEL_HEALTH_STATUS.HEALTHY;
+  if (
+    failures === records.length ||
+    countTrailingFailures(records) >= DOWN_STREAK
+  ) {
+    return CHANNEL_HEALTH_STATUS.DOWN;
+  }
+  return failures === 1
+    ? CHANNEL_HEALTH_STATUS.BLIP
+    : CHANNEL_HEALTH_STATUS.FLAKY;
+};
+
+const summarizeTests = (records) => {
+  const successRecords = records.filter((record) => record.success);
+  return {
+    total: records.length,
+    success: successRecords.length,
+    successRate:
+      records.length === 0 ? null : successRecords.length / records.length,
+    // 失败请求的耗时多为超时，不计入平均响应时间
+    avgResponseTime: average(
+      successRecords.map((record) => record.response_time),
+    ),
+    status: getChannelHealthStatus(records),
+  };
+};
+
+/**
+ * 聚合渠道健康记录
+ * @param {Array<Object>} records - 后端返回的健康记录（按时间正序）
+ * @param {number} bucketSeconds - 时间桶大小（秒）
+ * @returns {{summary: Object, buckets: Array<Object>, balances: Array<Object>, models: Array<Object>, tests: Array<Object>}}
+ */
+export const aggregateChannelHealth = (records, bucketSeconds) => {
+  const tests = records.filter((record) => record.kind === 'test');
+  const balances = records
+    .filter((record) => record.kind === 'balance')
+    .map((record) => ({ time: record.created_at, balance: record.balance }));
+
+  const bucketMap = new Map();
+  tests.forEach((record) => {
+    const time = Math.floor(record.created_at / bucketSeconds) * bucketSeconds;
+    if (!bucketMap.has(time)) bucketMap.set(time, []);
+    bucketMap.get(time).push(record);
+  });
+  const buckets = Array.from(bucketMap.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([time, bucketRecords]) => ({
+      time,
+      ...summarizeTests(bucketRecords),
+    }));
+
+  const modelMap = new Map();
+  tests.forEach((record) => {
+    const modelName = record.model_name || '-';
+    if (!modelMap.has(modelName)) modelMap.set(modelName, []);
+    modelMap.get(modelName).push(record);
+  });
+  const models = Array.from(modelMap.entries()).map(
+    ([modelName, modelRecords]) => {
+      const lastRecord = modelRecords[modelRecords.length - 1];
+      return {
+        model: modelName,
+        ...summarizeTests(modelRecords),
+        lastTestedAt: lastRecord.created_at,
+        lastMessage: lastRecord.success ? '' : lastRecord.message,
+      };
+    },
+  );
+
+  return {
+    summary: {
+      ...summarizeTests(tests),
+      balance:
+        balances.length > 0 ? balances[balances.length - 1].balance : null,
+    },
+    buckets,
+    balances,
+    models,
+    tests,
+  };
+};
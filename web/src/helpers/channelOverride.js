@@ -0,0 +1,788 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 渠道参数覆盖、请求头覆盖与状态码复写：结构化解析、校验与本地预览
+// 预览逻辑与后端 relay/common/override.go、processHeaderOverride、ResetStatusCode 保持一致
+
+export const PARAM_OVERRIDE_MODES = [
+  'set',
+  'delete',
+  'move',
+  'copy',
+  'prepend',
+  'append',
+  'trim_prefix',
+  'trim_suffix',
+  'ensure_prefix',
+  'ensure_suffix',
+  'trim_space',
+  'to_lower',
+  'to_upper',
+  'replace',
+  'regex_replace',
+];
+
+export const PARAM_OVERRIDE_CONDITION_MODES = [
+  'full',
+  'prefix',
+  'suffix',
+  'contains',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+];
+
+// 需要 from/to 的操作，其中 move/copy 为路径，replace/regex_replace 为文本
+const FROM_TO_PATH_MODES = ['move', 'copy'];
+const FROM_TO_TEXT_MODES = ['replace', 'regex_replace'];
+const VALUELESS_MODES = [
+  'delete',
+  'move',
+  'copy',
+  'trim_space',
+  'to_lower',
+  'to_upper',
+  'replace',
+  'regex_replace',
+];
+
+const isPlainObject = (value) =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+const deepClone = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const parseJsonText = (text) => {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) return { value: null, empty: true, error: null };
+  try {
+    return { value: JSON.parse(trimmed), empty: false, error: null };
+  } catch (error) {
+    return { value: null, empty: false, error: error.message };
+  }
+};
+
+// ---------- 路径读写（gjson / sjson 常用语法的子集） ----------
+
+// 以未转义的 . 分隔路径，\. 表示字段名中的点
+const splitPath = (path) => {
+  const segments = [];
+  let current = '';
+  for (let i = 0; i < path.length; i++) {
+    const char = path[i];
+    if (char === '\\' && i + 1 < path.length) {
+      current += path[i + 1];
+      i++;
+    } else if (char === '.') {
+      segments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  segments.push(current);
+  return segments;
+};
+
+// 负数下标在数组存在时换算为实际下标，与 processNegativeIndex 一致
+const resolveSegment = (container, segment) => {
+  if (Array.isArray(container) && /^-\d+$/.test(segment)) {
+    const index = container.length + Number(segment);
+    if (index >= 0 && index < container.length) return String(index);
+  }
+  return segment;
+};
+
+const getPathValue = (root, path) => {
+  let current = root;
+  for (const raw of splitPath(path)) {
+    if (current === null || typeof current !== 'object') {
+      return { exists: false };
+    }
+    const segment = resolveSegment(current, raw);
+    if (Array.isArray(current)) {
+      if (!/^\d+$/.test(segment) || Number(segment) >= current.length) {
+        return { exists: false };
+      }
+      current = current[Number(segment)];
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(current, segment)) {
+        return { exists: false };
+      }
+      current = current[segment];
+    }
+  }
+  return { exists: true, value: current };
+};
+
+// 写入路径，缺失的中间节点按下一段是否为数字创建数组或对象
+const setPathValue = (root, path, value) => {
+  const segments = splitPath(path);
+  let current = root;
+  for (let i = 0; i < segments.length; i++) {
+    const isLast = i === segments.length - 1;
+    let segment = resolveSegment(current, segments[i]);
+    if (Array.isArray(current) && segment === '-1') {
+      segment = String(current.length);
+    }
+    if (isLast) {
+      if (Array.isArray(current)) {
+        current[Number(segment)] = value;
+        for (let j = 0; j < current.length; j++) {
+          if (current[j] === undefined) current[j] = null;
+        }
+      } else {
+        current[segment] = value;
+      }
+      return;
+    }
+    const key = Array.isArray(current) ? Number(segment) : segment;
+    if (current[key] === null || typeof current[key] !== 'object') {
+      current[key] = /^(\d+|-1)$/.test(segments[i + 1]) ? [] : {};
+    }
+    current = current[key];
+  }
+};
+
+const deletePathValue = (root, path) => {
+  const segments = splitPath(path);
+  let current = root;
+  for (let i = 0; i < segments.length - 1; i++) {
+    const segment = resolveSegment(current, segments[i]);
+    current = current?.[Array.isArray(current) ? Number(segment) : segment];
+    if (current === null || typeof current !== 'object') return;
+  }
+  const last = resolveSegment(current, segments[segments.length - 1]);
+  if (Array.isArray(current)) {
+    if (/^\d+$/.test(last)) current.splice(Number(last), 1);
+  } else {
+    delete current[last];
+  }
+};
+
+// ---------- 参数覆盖 ----------
+
+/**
+ * 解析参数覆盖
+ * @param {string} text - param_override 字段内容
+ * @returns {{operations: Array<Object>, legacy: boolean, error: string|null}}
+ *   旧格式（直接覆盖顶层字段）会转换为等价的 set 操作，legacy 为 true
+ */
+export const parseParamOverride = (text) => {
+  const { value, empty, error } = parseJsonText(text);
+  if (empty) return { operations: [], legacy: false, error: null };
+  if (error)
+    return {
+      operations: [],
+      legacy: false,
+      error: '参数覆盖必须是合法的 JSON 格式！',
+    };
+  if (!isPlainObject(value)) {
+    return { operations: [], legacy: false, error: '参数覆盖必须是 JSON 对象' };
+  }
+  if (Array.isArray(value.operations)) {
+    return { operations: value.operations, legacy: false, error: null };
+  }
+  return {
+    operations: Object.entries(value).map(([key, fieldValue]) => ({
+      path: key.replace(/\./g, '\\.'),
+      mode: 'set',
+      value: fieldValue,
+    })),
+    legacy: true,
+    error: null,
+  };
+};
+
+/**
+ * 序列化参数覆盖操作，去掉未使用的可选字段
+ * @param {Array<Object>} operations - 操作列表
+ * @returns {string} JSON 字符串，无操作时返回空字符串
+ */
+export const serializeParamOverride = (operations) => {
+  if (!operations || operations.length === 0) return '';
+  const cleaned = operations.map((operation) => {
+    const result = { path: operation.path || '', mode: operation.mode };
+    if (!VALUELESS_MODES.includes(operation.mode)) {
+      result.value = operation.value;
+    }
+    if (operation.keep_origin) result.keep_origin = true;
+    if (
+      FROM_TO_PATH_MODES.includes(operation.mode) ||
+      FROM_TO_TEXT_MODES.includes(operation.mode)
+    ) {
+      result.from = operation.from || '';
+      result.to = operation.to || '';
+    }
+    if (operation.conditions && operation.conditions.length > 0) {
+      result.conditions = operation.conditions.map((condition) => {
+        const item = {
+          path: condition.path || '',
+          mode: condition.mode,
+          value: condition.value,
+        };
+        if (condition.invert) item.invert = true;
+        if (condition.pass_missing_key) item.pass_missing_key = true;
+        return item;
+      });
+      result.logic = operation.logic === 'AND' ? 'AND' : 'OR';
+    }
+    return result;
+  });
+  return JSON.stringify({ operations: cleaned }, null, 2);
+};
+
+// 校验失败时返回 { message, params }，message 为 i18n key
+const invalid = (message, params = {}) => ({ message, params });
+
+/**
+ * 校验参数覆盖结构
+ * @param {string} text - param_override 字段内容
+ * @returns {{message: string, params: Object}|null} 错误信息，通过时返回 null
+ */
+export const validateParamOverride = (text) => {
+  const { operations, legacy, error } = parseParamOverride(text);
+  if (error) return invalid(error);
+  if (legacy) return null;
+  for (let i = 0; i < operations.length; i++) {
+    const operation = operations[i];
+    const index = i + 1;
+    if (!isPlainObject(operation)) {
+      return invalid('参数覆盖第 {{index}} 条规则格式无效', { index });
+    }
+    if (!PARAM_OVERRIDE_MODES.includes(operation.mode)) {
+      return invalid('参数覆盖第 {{index}} 条规则的操作类型无效：{{mode}}', {
+        index,
+        mode: operation.mode,
+      });
+    }
+    if (FROM_TO_PATH_MODES.includes(operation.mode)) {
+      if (!operation.from || !operation.to) {
+        return invalid('参数覆盖第 {{index}} 条规则缺少源路径或目标路径', {
+          index,
+        });
+      }
+    } else if (!operation.path) {
+      return invalid('参数覆盖第 {{index}} 条规则缺少路径', { index });
+    }
+    if (FROM_TO_TEXT_MODES.includes(operation.mode) && !operation.from) {
+      return invalid('参数覆盖第 {{index}} 条规则缺少查找内容', { index });
+    }
+    if (operation.mode === 'regex_replace') {
+      try {
+        new RegExp(operation.from);
+      } catch (e) {
+        return invalid('参数覆盖第 {{index}} 条规则的正则表达式无效', {
+          index,
+        });
+      }
+    }
+    if (
+      operation.logic !== undefined &&
+      !['AND', 'OR'].includes(String(operation.logic).toUpperCase())
+    ) {
+      return invalid('参数覆盖第 {{index}} 条规则的条件逻辑只能是 AND 或 OR', {
+        index,
+      });
+    }
+    const conditions = operation.conditions || [];
+    if (!Array.isArray(conditions)) {
+      return invalid('参数覆盖第 {{index}} 条规则的条件必须是数组', { index });
+    }
+    for (const condition of conditions) {
+      if (!isPlainObject(condition) || !condition.path) {
+        return invalid('参数覆盖第 {{index}} 条规则的条件缺少路径', { index });
+      }
+      if (!PARAM_OVERRIDE_CONDITION_MODES.includes(condition.mode)) {
+        return invalid(
+          '参数覆盖第 {{index}} 条规则的条件匹配方式无效：{{mode}}',
+          { index, mode: condition.mode },
+        );
+      }
+      if (
+        ['gt', 'gte', 'lt', 'lte'].includes(condition.mode) &&
+        typeof condition.value !== 'number'
+      ) {
+        return invalid('参数覆盖第 {{index}} 条规则的数值比较条件需要数字', {
+          index,
+        });
+      }
+    }
+  }
+  return null;
+};
+
+const valueType = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'string') return 'string';
+  return 'json';
+};
+
+// gjson 的 String()：字符串取原文，其他类型取 JSON 文本
+const valueToString = (value) =>
+  typeof value === 'string' ? value : JSON.stringify(value ?? null);
+
+const compareValues = (actual, target, mode) => {
+  switch (mode) {
+    case 'full': {
+      const actualType = valueType(actual);
+      const targetType = valueType(target);
+      if (actualType === 'null' || targetType === 'null') {
+        return actualType === targetType;
+      }
+      if (actualType !== targetType) {
+        throw new Error(
+          `compare for different types, got ${actualType} and ${targetType}`,
+        );
+      }
+      return actualType === 'json'
+        ? JSON.stringify(actual) === JSON.stringify(target)
+        : actual === target;
+    }
+    case 'prefix':
+      return valueToString(actual).startsWith(valueToString(target));
+    case 'suffix':
+      return valueToString(actual).endsWith(valueToString(target));
+    case 'contains':
+      return valueToString(actual).includes(valueToString(target));
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      if (typeof actual !== 'number' || typeof target !== 'number') {
+        throw new Error(
+          'numeric comparison requires both values to be numbers',
+        );
+      }
+      if (mode === 'gt') return actual > target;
+      if (mode === 'gte') return actual >= target;
+      if (mode === 'lt') return actual < target;
+      return actual <= target;
+    }
+    default:
+      throw new Error(`unsupported comparison mode: ${mode}`);
+  }
+};
+
+// 条件先从请求体取值，取不到时再从上下文（model 等）取值
+const checkConditions = (body, context, conditions, logic) => {
+  if (!conditions || conditions.length === 0) return true;
+  const results = conditions.map((condition) => {
+    let found = getPathValue(body, condition.path || '');
+    if (!found.exists && context) {
+      found = getPathValue(context, condition.path || '');
+    }
+    if (!found.exists) return !!condition.pass_missing_key;
+    const result = compareValues(
+      found.value,
+      condition.value,
+      String(condition.mode || '').toLowerCase(),
+    );
+    return condition.invert ? !result : result;
+  });
+  return String(logic || 'OR').toUpperCase() === 'AND'
+    ? results.every(Boolean)
+    : results.some(Boolean);
+};
+
+const requireString = (found, mode) => {
+  if (!found.exists || typeof found.value !== 'string') {
+    throw new Error(
+      `operation ${mode} failed: operation not supported for type`,
+    );
+  }
+  return found.value;
+};
+
+const applyOperation = (body, operation) => {
+  const { mode, path, value } = operation;
+  const found = () => getPathValue(body, path);
+  switch (mode) {
+    case 'delete':
+      deletePathValue(body, path);
+      return;
+    case 'set':
+      if (operation.keep_origin && found().exists) return;
+      setPathValue(body, path, deepClone(value));
+      return;
+    case 'move':
+    case 'copy': {
+      const source = getPathValue(body, operation.from || '');
+      if (!source.exists) {
+        throw new Error(`source path does not exist: ${operation.from}`);
+      }
+      setPathValue(body, operation.to, deepClone(source.value));
+      if (mode === 'move') deletePathValue(body, operation.from);
+      return;
+    }
+    case 'prepend':
+    case 'append': {
+      const current = found();
+      const isPrepend = mode === 'prepend';
+      if (current.exists && Array.isArray(current.value)) {
+        const added = Array.isArray(value) ? value : [value];
+        setPathValue(
+          body,
+          path,
+          isPrepend
+            ? [...deepClone(added), ...current.value]
+            : [...current.value, ...deepClone(added)],
+        );
+      } else if (current.exists && typeof current.value === 'string') {
+        const text = valueToString(value);
+        setPathValue(
+          body,
+          path,
+          isPrepend ? text + current.value : current.value + text,
+        );
+      } else if (current.exists && isPlainObject(current.value)) {
+        const merged = { ...current.value };
+        Object.entries(isPlainObject(value) ? value : {}).forEach(
+          ([key, item]) => {
+            if (!operation.keep_origin || merged[key] == null) {
+              merged[key] = deepClone(item);
+            }
+          },
+        );
+        setPathValue(body, path, merged);
+      } else {
+        throw new Error(
+          `operation ${mode} failed: operation not supported for type`,
+        );
+      }
+      return;
+    }
+    case 'trim_prefix':
+    case 'trim_suffix': {
+      const current = requireString(found(), mode);
+      const text = valueToString(value);
+      if (mode === 'trim_prefix') {
+        setPathValue(
+          body,
+          path,
+          current.startsWith(text) ? current.slice(text.length) : current,
+        );
+      } else {
+        setPathValue(
+          body,
+          path,
+          text && current.endsWith(text)
+            ? current.slice(0, current.length - text.length)
+            : current,
+        );
+      }
+      return;
+    }
+    case 'ensure_prefix':
+    case 'ensure_suffix': {
+      const current = requireString(found(), mode);
+      const text = valueToString(value);
+      if (!text)
+        throw new Error(`operation ${mode} failed: ensure value is required`);
+      if (mode === 'ensure_prefix' && !current.startsWith(text)) {
+        setPathValue(body, path, text + current);
+      }
+      if (mode === 'ensure_suffix' && !current.endsWith(text)) {
+        setPathValue(body, path, current + text);
+      }
+      return;
+    }
+    case 'trim_space':
+      setPathValue(body, path, requireString(found(), mode).trim());
+      return;
+    case 'to_lower':
+      setPathValue(body, path, requireString(found(), mode).toLowerCase());
+      return;
+    case 'to_upper':
+      setPathValue(body, path, requireString(found(), mode).toUpperCase());
+      return;
+    case 'replace':
+      setPathValue(
+        body,
+        path,
+        requireString(found(), mode)
+          .split(operation.from)
+          .join(operation.to || ''),
+      );
+      return;
+    case 'regex_replace':
+      setPathValue(
+        body,
+        path,
+        requireString(found(), mode).replace(
+          new RegExp(operation.from, 'g'),
+          operation.to || '',
+        ),
+      );
+      return;
+    default:
+      throw new Error(`unknown operation: ${mode}`);
+  }
+};
+
+/**
+ * 在本地对示例请求体应用参数覆盖
+ * @param {Object} body - 示例请求体
+ * @param {Array<Object>} operations - 操作列表（旧格式已转换为 set 操作）
+ * @param {Object} context - 条件上下文，如 { model, upstream_model, original_model }
+ * @returns {{result: Object|null, applied: number[], error: string|null}} applied 为生效的规则下标
+ */
+export const applyParamOverride = (body, operations, context) => {
+  const result = deepClone(body) || {};
+  const applied = [];
+  try {
+    operations.forEach((operation, index) => {
+      if (
+        !checkConditions(result, context, operation.conditions, operation.logic)
+      ) {
+        return;
+      }
+      applyOperation(result, operation);
+      applied.push(index);
+    });
+  } catch (error) {
+    return { result: null, applied, error: error.message };
+  }
+  return { result, applied, error: null };
+};
+
+// ---------- 请求头覆盖 ----------
+
+const HEADER_NAME_REGEX = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * 解析请求头覆盖为有序的 { name, value } 列表
+ * @param {string} text - header_override 字段内容
+ * @returns {{headers: Array<{name: string, value: *}>, error: string|null}}
+ */
+export const parseHeaderOverride = (text) => {
+  const { value, empty, error } = parseJsonText(text);
+  if (empty) return { headers: [], error: null };
+  if (error || !isPlainObject(value)) {
+    return { headers: [], error: '请求头覆盖必须是合法的 JSON 对象' };
+  }
+  return {
+    headers: Object.entries(value).map(([name, headerValue]) => ({
+      name,
+      value: headerValue,
+    })),
+    error: null,
+  };
+};
+
+export const serializeHeaderOverride = (headers) => {
+  const result = {};
+  (headers || []).forEach(({ name, value }) => {
+    if (name) result[name] = value;
+  });
+  return Object.keys(result).length === 0
+    ? ''
+    : JSON.stringify(result, null, 2);
+};
+
+/**
+ * 校验请求头覆盖：值必须为字符串，请求头名称合法且不重复（不区分大小写）
+ * @param {string} text - header_override 字段内容
+ * @returns {{message: string, params: Object}|null} 错误信息，通过时返回 null
+ */
+export const validateHeaderOverride = (text) => {
+  const { headers, error } = parseHeaderOverride(text);
+  if (error) return invalid(error);
+  const seen = new Set();
+  for (const { name, value } of headers) {
+    if (!HEADER_NAME_REGEX.test(name)) {
+      return invalid('请求头名称无效：{{name}}', { name });
+    }
+    if (typeof value !== 'string') {
+      return invalid('请求头 {{name}} 的值必须是字符串', { name });
+    }
+    if (/[\r\n]/.test(value)) {
+      return invalid('请求头 {{name}} 的值不能包含换行', { name });
+    }
+    const lower = name.toLowerCase();
+    if (seen.has(lower)) {
+      return invalid('请求头 {{name}} 重复', { name });
+    }
+    seen.add(lower);
+  }
+  return null;
+};
+
+/**
+ * 在本地对示例请求头应用覆盖，同名请求头不区分大小写替换，{api_key} 替换为示例密钥
+ * @param {Array<{name: string, value: string}>} sampleHeaders - 示例请求头
+ * @param {Array<{name: string, value: *}>} overrides - 覆盖列表
+ * @param {string} apiKey - 用于替换 {api_key} 的示例密钥
+ * @returns {Array<{name: string, value: string}>} 覆盖后的请求头
+ */
+export const applyHeaderOverride = (sampleHeaders, overrides, apiKey) => {
+  const result = sampleHeaders.map((header) => ({ ...header }));
+  overrides.forEach(({ name, value }) => {
+    if (!name) return;
+    const headerValue = String(value ?? '').replaceAll('{api_key}', apiKey);
+    const index = result.findIndex(
+      (header) => header.name.toLowerCase() === name.toLowerCase(),
+    );
+    if (index >= 0) {
+      result[index] = { name: result[index].name, value: headerValue };
+    } else {
+      result.push({ name, value: headerValue });
+    }
+  });
+  return result;
+};
+
+/**
+ * 解析 "Name: value" 每行一个的请求头文本
+ * @param {string} text - 请求头文本
+ * @returns {Array<{name: string, value: string}>}
+ */
+export const parseHeaderLines = (text) =>
+  (text || '')
+    .split('\n')
+    .map((line) => {
+      const index = line.indexOf(':');
+      if (index <= 0) return null;
+      return {
+        name: line.slice(0, index).trim(),
+        value: line.slice(index + 1).trim(),
+      };
+    })
+    .filter((header) => header && header.name);
+
+// ---------- 状态码复写 ----------
+
+const isStatusCode = (value) =>
+  /^\d{3}$/.test(value) && Number(value) >= 100 && Number(value) <= 599;
+
+export const parseStatusCodeMapping = (text) => {
+  const { value, empty, error } = parseJsonText(text);
+  if (empty) return { rules: [], error: null };
+  if (error || !isPlainObject(value)) {
+    return { rules: [], error: '状态码复写必须是合法的 JSON 对象' };
+  }
+  return {
+    rules: Object.entries(value).map(([from, to]) => ({ from, to })),
+    error: null,
+  };
+};
+
+// 后端按 map[string]string 解析，值必须以字符串保存
+export const serializeStatusCodeMapping = (rules) => {
+  const result = {};
+  (rules || []).forEach(({ from, to }) => {
+    if (from) result[String(from)] = String(to ?? '');
+  });
+  return Object.keys(result).length === 0
+    ? ''
+    : JSON.stringify(result, null, 2);
+};
+
+/**
+ * 校验状态码复写：键和值都必须是 100-599 的状态码字符串
+ * 值写成数字时后端无法解析，整个复写会失效
+ * @param {string} text - status_code_mapping 字段内容
+ * @returns {{message: string, params: Object}|null} 错误信息，通过时返回 null
+ */
+export const validateStatusCodeMapping = (text) => {
+  const { rules, error } = parseStatusCodeMapping(text);
+  if (error) return invalid(error);
+  for (const { from, to } of rules) {
+    if (!isStatusCode(from)) {
+      return invalid('状态码无效：{{code}}', { code: from });
+    }
+    if (typeof to !== 'string') {
+      return invalid('状态码 {{code}} 的复写值必须是字符串，例如 "500"', {
+        code: from,
+      });
+    }
+    if (!isStatusCode(to)) {
+      return invalid('状态码无效：{{code}}', { code: to });
+    }
+  }
+  return null;
+};
+
+/**
+ * 提交渠道前依次校验参数覆盖、请求头覆盖与状态码复写
+ * @param {Object} channel - 渠道字段
+ * @returns {{message: string, params: Object}|null} 第一个错误，全部通过时返回 null
+ */
+export const validateChannelOverrides = (channel) =>
+  validateParamOverride(channel.param_override) ||
+  validateHeaderOverride(channel.header_override) ||
+  validateStatusCodeMapping(channel.status_code_mapping);
+
+/**
+ * 计算状态码复写结果，200 不会被复写
+ * @param {number|string} code - 上游返回的状态码
+ * @param {Array<{from: string, to: string}>} rules - 复写规则
+ * @returns {number} 复写后的状态码
+ */
+export const applyStatusCodeMapping = (code, rules) => {
+  const codeStr = String(code);
+  if (codeStr === '200') return 200;
+  const rule = rules.find((item) => String(item.from) === codeStr);
+  return rule && isStatusCode(String(rule.to)) ? Number(rule.to) : Number(code);
+};
+
+// ---------- 差异 ----------
+
+/**
+ * 比较两个 JSON 值，列出新增、删除与修改的路径
+ * @param {*} before - 修改前
+ * @param {*} after - 修改后
+ * @returns {Array<{path: string, type: string, before: *, after: *}>}
+ */
+export const diffJsonValues = (before, after, prefix = '') => {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    return Array.from({ length }).flatMap((_, index) => {
+      const path = prefix ? `${prefix}.${index}` : String(index);
+      if (index >= after.length) {
+        return [{ path, type: 'removed', before: before[index] }];
+      }
+      if (index >= before.length) {
+        return [{ path, type: 'added', after: after[index] }];
+      }
+      return diffJsonValues(before[index], after[index], path);
+    });
+  }
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = Array.from(
+      new Set([...Object.keys(before), ...Object.keys(after)]),
+    );
+    return keys.flatMap((key) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (!(key in after)) {
+        return [{ path, type: 'removed', before: before[key] }];
+      }
+      if (!(key in before)) {
+        return [{ path, type: 'added', after: after[key] }];
+      }
+      return diffJsonValues(before[key], after[key], path);
+    });
+  }
+  return JSON.stringify(before) === JSON.stringify(after)
+    ? []
+    : [{ path: prefix, type: 'changed', before, after }];
+};
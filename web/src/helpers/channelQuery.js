@@ -0,0 +1,124 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 渠道高级查询：条件对象与后端 model.ChannelQuery 一致，各条件之间为"且"关系。
+// 已保存视图只存放在浏览器本地，通过 URL 中的 query 参数分享。
+
+import { CHANNEL_SAVED_VIEWS_KEY } from '../constants';
+
+const ARRAY_FIELDS = ['types', 'statuses', 'tags', 'models'];
+const NUMBER_FIELDS = [
+  'priority_min',
+  'priority_max',
+  'balance_below',
+  'response_time_above',
+];
+
+const isValidNumber = (value) =>
+  value !== null && value !== '' && value !== undefined && !isNaN(value);
+
+/**
+ * 去掉未设置的条件，并将数值条件转换为数字
+ * @param {Object} query - 查询条件
+ * @returns {Object} 规范化后的查询条件
+ */
+export const normalizeChannelQuery = (query) => {
+  const normalized = {};
+  if (!query || typeof query !== 'object') return normalized;
+  ARRAY_FIELDS.forEach((field) => {
+    if (Array.isArray(query[field]) && query[field].length > 0) {
+      normalized[field] = query[field];
+    }
+  });
+  NUMBER_FIELDS.forEach((field) => {
+    if (isValidNumber(query[field])) {
+      normalized[field] = Number(query[field]);
+    }
+  });
+  if (query.last_test_failed === true) {
+    normalized.last_test_failed = true;
+  }
+  return normalized;
+};
+
+/**
+ * 统计已设置的条件数量，优先级范围算作一个条件
+ * @param {Object} query - 查询条件
+ * @returns {number}
+ */
+export const countChannelQueryConditions = (query) => {
+  const normalized = normalizeChannelQuery(query);
+  const keys = Object.keys(normalized);
+  const hasPriority =
+    keys.includes('priority_min') || keys.includes('priority_max');
+  return (
+    keys.filter((key) => key !== 'priority_min' && key !== 'priority_max')
+      .length + (hasPriority ? 1 : 0)
+  );
+};
+
+export const isChannelQueryEmpty = (query) =>
+  countChannelQueryConditions(query) === 0;
+
+/**
+ * 解析 URL 中的查询条件，格式错误时返回 null
+ * @param {string} text - JSON 字符串
+ * @returns {Object|null}
+ */
+export const parseChannelQueryParam = (text) => {
+  if (!text) return null;
+  try {
+    const query = normalizeChannelQuery(JSON.parse(text));
+    return isChannelQueryEmpty(query) ? null : query;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * 生成带有查询条件的分享链接
+ * @param {Object} query - 查询条件
+ * @param {string} name - 视图名称，打开链接时用于提示
+ * @returns {string}
+ */
+export const buildChannelQueryUrl = (query, name) => {
+  const params = new URLSearchParams();
+  params.set('query', JSON.stringify(normalizeChannelQuery(query)));
+  if (name) params.set('view', name);
+  return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+};
+
+/**
+ * 读取本地保存的视图列表
+ * @returns {Array<{id: string, name: string, query: Object}>}
+ */
+export const loadSavedChannelViews = () => {
+  try {
+    const views = JSON.parse(localStorage.getItem(CHANNEL_SAVED_VIEWS_KEY));
+    return Array.isArray(views)
+      ? views.filter((view) => view && view.id && view.name)
+      : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+export const persistSavedChannelViews = (views) => {
+  localStorage.setItem(CHANNEL_SAVED_VIEWS_KEY, JSON.stringify(views));
+};
@@ -0,0 +1,147 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 渠道路由分析：按模型与分组还原后端选路逻辑（model/channel_cache.go GetRandomSatisfiedChannel）
+// 同一模型与分组下，渠道按优先级分层，首次请求使用最高优先级，每次重试依次降级；
+// 同层内按权重随机，权重全为 0 时平均分配。只有已启用的渠道参与选路。
+
+const CHANNEL_STATUS_ENABLED = 1;
+
+const splitList = (value) =>
+  (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * 判断渠道是否服务于指定模型与分组
+ * @param {Object} channel - 渠道
+ * @param {string} model - 模型名称
+ * @param {string} group - 用户分组
+ * @returns {boolean}
+ */
+export const channelServesRoute = (channel, model, group) =>
+  splitList(channel.models).includes(model) &&
+  splitList(channel.group).includes(group);
+
+/**
+ * 计算同一优先级内已启用渠道的流量占比
+ * @param {Array<Object>} channels - 同一优先级的渠道
+ * @returns {Map<number, number>} 渠道 ID -> 占比（0-1）
+ */
+const computeTierShares = (channels) => {
+  const enabled = channels.filter(
+    (channel) => channel.status === CHANNEL_STATUS_ENABLED,
+  );
+  const shares = new Map();
+  if (enabled.length === 0) return shares;
+  const sumWeight = enabled.reduce(
+    (sum, channel) => sum + (channel.weight || 0),
+    0,
+  );
+  enabled.forEach((channel) => {
+    shares.set(
+      channel.id,
+      sumWeight === 0 ? 1 / enabled.length : (channel.weight || 0) / sumWeight,
+    );
+  });
+  return shares;
+};
+
+/**
+ * 构建指定模型与分组的路由层级
+ * @param {Array<Object>} channels - 渠道列表
+ * @param {string} model - 模型名称
+ * @param {string} group - 用户分组
+ * @returns {{tiers: Array<{priority: number, attempt: number|null, healthyCount: number, channels: Array<Object>}>, total: number, healthyCount: number}}
+ *   tiers 按优先级从高到低排列，attempt 为首次命中该层的请求序号（0 为首次请求，全部禁用的层为 null），
+ *   channels 中的 share 为该渠道在本层的流量占比，禁用渠道为 null
+ */
+export const buildChannelRoute = (channels, model, group) => {
+  const matched = channels.filter((channel) =>
+    channelServesRoute(channel, model, group),
+  );
+  const byPriority = new Map();
+  matched.forEach((channel) => {
+    const priority = channel.priority || 0;
+    if (!byPriority.has(priority)) byPriority.set(priority, []);
+    byPriority.get(priority).push(channel);
+  });
+
+  let attempt = 0;
+  const tiers = [...byPriority.keys()]
+    .sort((a, b) => b - a)
+    .map((priority) => {
+      const tierChannels = byPriority.get(priority);
+      const shares = computeTierShares(tierChannels);
+      const healthyCount = shares.size;
+      return {
+        priority,
+        attempt: healthyCount > 0 ? attempt++ : null,
+        healthyCount,
+        channels: tierChannels
+          .map((channel) => ({
+            ...channel,
+            share: shares.has(channel.id) ? shares.get(channel.id) : null,
+          }))
+          .sort((a, b) => (b.share ?? -1) - (a.share ?? -1)),
+      };
+    });
+
+  return {
+    tiers,
+    total: matched.length,
+    healthyCount: tiers.reduce((sum, tier) => sum + tier.healthyCount, 0),
+  };
+};
+
+/**
+ * 找出没有可用路由的模型与分组组合：存在配置了该组合的渠道，但这些渠道都已禁用
+ * @param {Array<Object>} channels - 渠道列表
+ * @returns {Array<{model: string, group: string, total: number, channelIds: number[]}>}
+ */
+export const findUnroutableModels = (channels) => {
+  const routes = new Map();
+  channels.forEach((channel) => {
+    const enabled = channel.status === CHANNEL_STATUS_ENABLED;
+    splitList(channel.models).forEach((model) => {
+      splitList(channel.group).forEach((group) => {
+        const key = `${model}\u0000${group}`;
+        if (!routes.has(key)) {
+          routes.set(key, { model, group, healthy: false, channelIds: [] });
+        }
+        const route = routes.get(key);
+        route.healthy = route.healthy || enabled;
+        route.channelIds.push(channel.id);
+      });
+    });
+  });
+  return [...routes.values()]
+    .filter((route) => !route.healthy)
+    .map(({ model, group, channelIds }) => ({
+      model,
+      group,
+      total: channelIds.length,
+      channelIds,
+    }))
+    .sort(
+      (a, b) =>
+        a.model.localeCompare(b.model) || a.group.localeCompare(b.group),
+    );
+};
@@ -0,0 +1,433 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import {
+  CHANNEL_KEY_MASK,
+  CHANNEL_OPTIONS,
+  CHANNEL_TRANSFER_FIELDS,
+} from '../constants';
+import { escapeCsvField, parseCsvRecords } from './csv';
+import { verifyJSON } from './utils';
+
+// 渠道批量导入导出：文件解析、列映射、逐行校验与模板生成
+
+// 常见的表头别名，用于自动匹配导入列
+const FIELD_ALIASES = {
+  name: ['name', 'channelname', '名称', '渠道名称'],
+  type: ['type', 'channeltype', '类型', '渠道类型'],
+  key: ['key', 'keys', 'apikey', '密钥'],
+  base_url: ['baseurl', 'apibase', 'url', 'api地址'],
+  models: ['models', 'model', '模型'],
+  model_mapping: ['modelmapping', 'mapping', '模型映射', '模型重定向'],
+  groups: ['groups', 'group', '分组'],
+  tag: ['tag', '标签'],
+  priority: ['priority', '优先级'],
+  weight: ['weight', '权重'],
+};
+
+const normalizeHeader = (header) =>
+  String(header || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]/g, '');
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : toText(value).split(/[,，\n]/);
+  return items.map((item) => toText(item).trim()).filter(Boolean);
+};
+
+// 空值返回 null，非法数字返回 NaN，交给校验阶段报错
+const toNumber = (value) => {
+  const text = toText(value).trim();
+  return text === '' ? null : Number(text);
+};
+
+// 类型既可以是数字，也可以是渠道名称（如 OpenAI）
+const toChannelType = (value) => {
+  const text = toText(value).trim();
+  if (text === '') return NaN;
+  if (/^\d+$/.test(text)) return Number(text);
+  const option = CHANNEL_OPTIONS.find(
+    (item) => item.label.toLowerCase() === text.toLowerCase(),
+  );
+  return option ? option.value : NaN;
+};
+
+const splitKeys = (key) =>
+  key
+    .split('\n')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * 密钥逐行脱敏，与后端导出接口的规则保持一致
+ * @param {string} key - 原始密钥
+ * @returns {string} 脱敏后的密钥
+ */
+export const maskChannelKey = (key) =>
+  (key || '')
+    .split('\n')
+    .map((line) => {
+      const trimmed = line.trim();
+      if (trimmed === '') return line;
+      if (trimmed.length <= 12) return CHANNEL_KEY_MASK;
+      return `${trimmed.slice(0, 4)}${CHANNEL_KEY_MASK}${trimmed.slice(-4)}`;
+    })
+    .join('\n');
+
+/**
+ * 解析渠道导入文件
+ * JSON 为渠道对象数组（或 { channels: [...] }），CSV 首行为表头
+ * @param {string} text - 文件内容
+ * @param {string} fileName - 文件名，用于判断格式
+ * @returns {{columns: Array<string>, records: Array<Object>}} 列名与原始记录
+ */
+export const parseChannelImportFile = (text, fileName = '') => {
+  const content = (text || '').replace(/^\uFEFF/, '').trim();
+  if (!content) {
+    throw new Error('文件内容为空');
+  }
+
+  const isJson =
+    fileName.toLowerCase().endsWith('.json') ||
+    content.startsWith('[') ||
+    content.startsWith('{');
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error('不是合法的 JSON 文件');
+    }
+    const records = Array.isArray(data) ? data : data?.channels;
+    if (
+      !Array.isArray(records) ||
+      records.some(
+        (record) =>
+          !record || typeof record !== 'object' || Array.isArray(record),
+      )
+    ) {
+      throw new Error('JSON 文件必须是渠道对象数组');
+    }
+    const columns = Array.from(
+      new Set(records.flatMap((record) => Object.keys(record))),
+    );
+    return { columns, records };
+  }
+
+  const [header, ...rows] = parseCsvRecords(content);
+  const columns = header.map((column) => column.trim());
+  const records = rows.map((row) =>
+    Object.fromEntries(columns.map((column, i) => [column, row[i] ?? ''])),
+  );
+  return { columns, records };
+};
+
+/**
+ * 根据表头猜测列与渠道字段的对应关系
+ * @param {Array<string>} columns - 文件中的列名
+ * @returns {Object} 渠道字段 -> 列名，未匹配的字段不出现
+ */
+export const guessChannelFieldMapping = (columns) => {
+  const mapping = {};
+  CHANNEL_TRANSFER_FIELDS.forEach((field) => {
+    const column = columns.find((item) =>
+      FIELD_ALIASES[field].includes(normalizeHeader(item)),
+    );
+    if (column !== undefined) {
+      mapping[field] = column;
+    }
+  });
+  return mapping;
+};
+
+/**
+ * 按列映射将原始记录转换为渠道导入行
+ * @param {Object} record - 原始记录
+ * @param {Object} mapping - 渠道字段 -> 列名
+ * @param {number} index - 记录下标
+ * @returns {Object} 导入行
+ */
+export const buildChannelImportRow = (record, mapping, index) => {
+  const read = (field) =>
+    mapping[field] === undefined ? undefined : record[mapping[field]];
+  const groups = toList(read('groups'));
+
+  return {
+    index: index + 1,
+    name: toText(read('name')).trim(),
+    type: toChannelType(read('type') ?? 1),
+    rawType: toText(read('type')).trim(),
+    key: toText(read('key')).trim(),
+    base_url: toText(read('base_url')).trim(),
+    models: Array.from(new Set(toList(read('models')))),
+    model_mapping: toText(read('model_mapping')).trim(),
+    groups: groups.length > 0 ? groups : ['default'],
+    tag: toText(read('tag')).trim(),
+    priority: toNumber(read('priority')),
+    weight: toNumber(read('weight')),
+  };
+};
+
+/**
+ * 渠道表单提交前的基础校验，编辑弹窗与批量导入共用
+ * @param {Object} channel - 渠道字段（models 为数组）
+ * @param {boolean} isEdit - 是否为编辑模式，编辑时允许密钥留空
+ * @returns {string|null} 失败原因（i18n key），通过时返回 null
+ */
+export const validateChannelFields = (channel, isEdit = false) => {
+  if (!isEdit && (!channel.name || !channel.key)) {
+    return '请填写渠道名称和渠道密钥！';
+  }
+  if (!Array.isArray(channel.models) || channel.models.length === 0) {
+    return '请至少选择一个模型！';
+  }
+  if (
+    channel.type === 45 &&
+    (!channel.base_url || channel.base_url.trim() === '')
+  ) {
+    return '请输入API地址！';
+  }
+  if (
+    typeof channel.model_mapping === 'string' &&
+    channel.model_mapping.trim() !== '' &&
+    !verifyJSON(channel.model_mapping)
+  ) {
+    return '模型映射必须是合法的 JSON 格式！';
+  }
+  return null;
+};
+
+// Vertex AI 以 { 开头的密钥视为服务账号 JSON，否则视为 API Key
+const isVertexJsonKey = (row) =>
+  row.type === 41 && row.key.trim().startsWith('{');
+
+/**
+ * 校验单个导入行
+ * @param {Object} row - 导入行
+ * @returns {{errors: Array<{reason: string, params?: Object}>, warnings: Array<{reason: string, params?: Object}>}}
+ */
+export const validateChannelImportRow = (row) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!CHANNEL_OPTIONS.some((option) => option.value === row.type)) {
+    errors.push({
+      reason: '未知的渠道类型：{{type}}',
+      params: { type: row.rawType || '-' },
+    });
+  }
+
+  const fieldError = validateChannelFields(row);
+  if (fieldError) {
+    errors.push({ reason: fieldError });
+  }
+
+  if (row.key.includes(CHANNEL_KEY_MASK)) {
+    errors.push({ reason: '密钥已脱敏，请填写真实密钥' });
+  }
+
+  if (
+    isVertexJsonKey(row) &&
+    splitKeys(row.key).some((key) => !verifyJSON(key))
+  ) {
+    errors.push({ reason: '密钥格式无效，请输入有效的 JSON 格式密钥' });
+  }
+
+  if (
+    [row.priority, row.weight].some(
+      (value) => value !== null && !Number.isInteger(value),
+    ) ||
+    (row.weight !== null && row.weight < 0)
+  ) {
+    errors.push({ reason: '优先级和权重必须是整数，且权重不能为负数' });
+  }
+
+  // 与编辑弹窗一致：映射中出现但不在模型列表里的模型仅作提示
+  if (row.model_mapping && verifyJSON(row.model_mapping)) {
+    const mapping = JSON.parse(row.model_mapping);
+    if (mapping && typeof mapping === 'object' && !Array.isArray(mapping)) {
+      const missingModels = Object.keys(mapping).filter(
+        (model) => model.trim() && !row.models.includes(model.trim()),
+      );
+      if (missingModels.length > 0) {
+        warnings.push({
+          reason: '模型映射中的 {{models}} 不在模型列表中',
+          params: { models: missingModels.join(', ') },
+        });
+      }
+    }
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * 检查导入行与已有渠道、文件内其他行的冲突
+ * 已有渠道的密钥为脱敏形式，只能按脱敏结果比对
+ * @param {Array<Object>} rows - 导入行
+ * @param {Array<Object>} existingChannels - 导出接口返回的已有渠道
+ * @returns {Array<Array<{reason: string, params?: Object}>>} 每行的冲突列表
+ */
+export const findChannelImportConflicts = (rows, existingChannels) => {
+  const existingNames = new Set(existingChannels.map((item) => item.name));
+  const existingKeys = new Map(
+    existingChannels.map((item) => [item.key, item.name]),
+  );
+  const seenRows = new Map();
+
+  return rows.map((row) => {
+    const conflicts = [];
+    if (row.name && existingNames.has(row.name)) {
+      conflicts.push({ reason: '已存在同名渠道' });
+    }
+
+    const maskedKey = maskChannelKey(row.key);
+    if (row.key && !maskedKey.startsWith(CHANNEL_KEY_MASK)) {
+      const sameKeyChannel = existingKeys.get(maskedKey);
+      if (sameKeyChannel !== undefined) {
+        conflicts.push({
+          reason: '密钥可能与渠道「{{name}}」相同',
+          params: { name: sameKeyChannel },
+        });
+      }
+    }
+
+    const rowSignature = `${row.type}\n${row.name}\n${row.key}`;
+    if (seenRows.has(rowSignature)) {
+      conflicts.push({
+        reason: '与第 {{index}} 行重复',
+        params: { index: seenRows.get(rowSignature) },
+      });
+    } else {
+      seenRows.set(rowSignature, row.index);
+    }
+
+    return conflicts;
+  });
+};
+
+/**
+ * 按编辑弹窗 submit 的规则生成创建渠道的请求体
+ * 多行密钥会合并为一个多密钥渠道
+ * @param {Object} row - 已通过校验的导入行
+ * @returns {Object} POST /api/channel/ 的请求体
+ */
+export const buildChannelImportPayload = (row) => {
+  const keys = splitKeys(row.key);
+  const isMultiKey = keys.length > 1;
+  const vertexJson = isVertexJsonKey(row);
+
+  let key = keys.join('\n');
+  if (vertexJson) {
+    const parsedKeys = keys.map((item) => JSON.parse(item));
+    key = JSON.stringify(isMultiKey ? parsedKeys : parsedKeys[0]);
+  }
+
+  const settings = {};
+  if (row.type === 41) {
+    settings.vertex_key_type = vertexJson ? 'json' : 'api_key';
+  }
+  if (row.type === 33) {
+    settings.aws_key_type = 'ak_sk';
+  }
+
+  const channel = {
+    name: row.name,
+    type: row.type,
+    key,
+    base_url: row.base_url.replace(/\/$/, ''),
+    other: row.type === 18 ? 'v2.1' : '',
+    models: row.models.join(','),
+    model_mapping: row.model_mapping,
+    group: row.groups.join(','),
+    tag: row.tag,
+    priority: row.priority ?? 0,
+    weight: row.weight ?? 0,
+    auto_ban: 1,
+    setting: JSON.stringify({
+      force_format: false,
+      thinking_to_content: false,
+      proxy: '',
+      pass_through_body_enabled: false,
+      system_prompt: '',
+      system_prompt_override: false,
+    }),
+    settings: JSON.stringify(settings),
+  };
+
+  return {
+    mode: isMultiKey ? 'multi_to_single' : 'single',
+    multi_key_mode: isMultiKey ? 'random' : undefined,
+    channel,
+  };
+};
+
+/**
+ * 将导出记录序列化为导入模板格式
+ * @param {Array<Object>} items - 导出记录
+ * @param {'csv'|'json'} format - 文件格式
+ * @returns {string} 文件内容
+ */
+export const serializeChannelExport = (items, format) => {
+  const records = items.map((item) =>
+    Object.fromEntries(
+      CHANNEL_TRANSFER_FIELDS.map((field) => [field, item[field] ?? '']),
+    ),
+  );
+  if (format === 'json') {
+    return JSON.stringify(records, null, 2);
+  }
+  const lines = records.map((record) =>
+    CHANNEL_TRANSFER_FIELDS.map((field) => escapeCsvField(record[field])).join(
+      ',',
+    ),
+  );
+  return [CHANNEL_TRANSFER_FIELDS.join(','), ...lines].join('\n');
+};
+
+/**
+ * 生成带示例行的导入模板
+ * @param {'csv'|'json'} format - 文件格式
+ * @returns {string} 文件内容
+ */
+export const buildChannelImportTemplate = (format) =>
+  serializeChannelExport(
+    [
+      {
+        name: 'openai-example',
+        type: 1,
+        key: 'sk-xxxxxxxx',
+        base_url: '',
+        models: 'gpt-4o,gpt-4o-mini',
+        model_mapping: '',
+        groups: 'default',
+        tag: '',
+        priority: 0,
+        weight: 0,
+      },
+    ],
+    format,
+  );
@@ -0,0 +1,89 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import { CHANNEL_VERSION_FIELDS } from '../constants';
+import { diffJsonValues } from './channelOverride';
+
+const splitList = (value) =>
+  String(value ?? '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const parseJsonField = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') return {};
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * 比较两个版本的渠道配置，逐字段列出差异
+ * JSON 字段展开到具体路径，列表字段列出新增与移除的项
+ * @param {Object} before - 旧版本配置，初始版本传 null
+ * @param {Object} after - 新版本配置
+ * @returns {Array<{key: string, label: string, before: *, after: *, added?: string[], removed?: string[], changes?: Array}>}
+ */
+export const diffChannelVersionConfigs = (before, after) => {
+  if (!before || !after) return [];
+  return CHANNEL_VERSION_FIELDS.flatMap((field) => {
+    const prev = before[field.key] ?? '';
+    const next = after[field.key] ?? '';
+    if (JSON.stringify(prev) === JSON.stringify(next)) return [];
+    const diff = {
+      key: field.key,
+      label: field.label,
+      before: prev,
+      after: next,
+    };
+    if (field.list) {
+      const prevItems = splitList(prev);
+      const nextItems = splitList(next);
+      diff.added = nextItems.filter((item) => !prevItems.includes(item));
+      diff.removed = prevItems.filter((item) => !nextItems.includes(item));
+    }
+    if (field.json) {
+      const prevJson = parseJsonField(prev);
+      const nextJson = parseJsonField(next);
+      // 任一侧不是合法 JSON 时按整段文本比较
+      if (prevJson !== undefined && nextJson !== undefined) {
+        diff.changes = diffJsonValues(prevJson, nextJson);
+      }
+    }
+    return [diff];
+  });
+};
+
+/**
+ * 为按版本号倒序排列的版本列表补充与上一版本的差异
+ * @param {Array<Object>} versions - 版本列表（version 降序）
+ * @returns {Array<Object>} 带有 diffs 字段的版本列表，最早的版本 diffs 为 null
+ */
+export const attachChannelVersionDiffs = (versions) =>
+  versions.map((version, index) => {
+    const previous = versions[index + 1];
+    return {
+      ...version,
+      diffs: previous
+        ? diffChannelVersionConfigs(previous.config, version.config)
+        : null,
+    };
+  });
@@ -0,0 +1,304 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 将 Playground 请求体转换为可直接运行的代码片段（cURL / Python / Node / Go）
+
+export const CODE_LANGUAGES = [
+  { key: 'curl', label: 'cURL', language: 'bash' },
+  { key: 'python', label: 'Python (openai)', language: 'python' },
+  { key: 'node_fetch', label: 'Node (fetch)', language: 'javascript' },
+  { key: 'node_openai', label: 'Node (openai)', language: 'javascript' },
+  { key: 'go', label: 'Go', language: 'go' },
+];
+
+export const CHAT_COMPLETIONS_PATH = '/v1/chat/completions';
+
+export const API_KEY_PLACEHOLDER = 'sk-your-token';
+
+// openai Python SDK 的 create() 只接受已声明的参数，其余字段需通过 extra_body 透传
+const OPENAI_PYTHON_PARAMS = new Set([
+  'messages',
+  'model',
+  'audio',
+  'frequency_penalty',
+  'logit_bias',
+  'logprobs',
+  'max_completion_tokens',
+  'max_tokens',
+  'metadata',
+  'modalities',
+  'n',
+  'parallel_tool_calls',
+  'prediction',
+  'presence_penalty',
+  'reasoning_effort',
+  'response_format',
+  'seed',
+  'service_tier',
+  'stop',
+  'store',
+  'stream',
+  'stream_options',
+  'temperature',
+  'tool_choice',
+  'tools',
+  'top_logprobs',
+  'top_p',
+  'user',
+]);
+
+const indentLines = (text, indent) =>
+  text
+    .split('\n')
+    .map((line, index) => (index === 0 ? line : indent + line))
+    .join('\n');
+
+const toJson = (value, indent = '') =>
+  indentLines(JSON.stringify(value, null, 2), indent);
+
+// JS 单引号字符串字面量
+const quoteJs = (text) =>
+  `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// JSON 值转换为 Python 字面量（True / False / None）
+const toPythonLiteral = (value, indent = '') => {
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value !== 'object') return JSON.stringify(value);
+
+  const childIndent = `${indent}    `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    const items = value.map(
+      (item) => `${childIndent}${toPythonLiteral(item, childIndent)},`,
+    );
+    return `[\n${items.join('\n')}\n${indent}]`;
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  const items = entries.map(
+    ([key, item]) =>
+      `${childIndent}${JSON.stringify(key)}: ${toPythonLiteral(item, childIndent)},`,
+  );
+  return `{\n${items.join('\n')}\n${indent}}`;
+};
+
+const buildCurl = ({ payload, apiKey, url, stream }) => {
+  // 单引号包裹的 shell 字符串内需要转义单引号
+  const body = JSON.stringify(payload, null, 2).replace(/'/g, `'\\''`);
+  return [
+    `curl ${stream ? '-N ' : ''}${url} \\`,
+    `  -H "Content-Type: application/json" \\`,
+    `  -H "Authorization: Bearer ${apiKey}" \\`,
+    `  -d '${body}'`,
+  ].join('\n');
+};
+
+const buildPython = ({ payload, apiKey, baseUrl, stream }) => {
+  const args = [];
+  const extraBody = {};
+  Object.entries(payload).forEach(([key, value]) => {
+    if (OPENAI_PYTHON_PARAMS.has(key)) {
+      args.push(`    ${key}=${toPythonLiteral(value, '    ')},`);
+    } else {
+      extraBody[key] = value;
+    }
+  });
+  if (Object.keys(extraBody).length > 0) {
+    args.push(`    extra_body=${toPythonLiteral(extraBody, '    ')},`);
+  }
+
+  const output = stream
+    ? [
+        'for chunk in response:',
+        '    if chunk.choices and chunk.choices[0].delta.content:',
+        '        print(chunk.choices[0].delta.content, end="", flush=True)',
+        'print()',
+      ]
+    : ['print(response.choices[0].message.content)'];
+
+  return [
+    'from openai import OpenAI',
+    '',
+    'client = OpenAI(',
+    `    base_url=${JSON.stringify(`${baseUrl}/v1`)},`,
+    `    api_key=${JSON.stringify(apiKey)},`,
+    ')',
+    '',
+    'response = client.chat.completions.create(',
+    ...args,
+    ')',
+    '',
+    ...output,
+  ].join('\n');
+};
+
+const buildNodeFetch = ({ payload, apiKey, url, stream }) => {
+  const output = stream
+    ? [
+        'const reader = response.body.getReader();',
+        'const decoder = new TextDecoder();',
+        "let buffer = '';",
+        '',
+        'while (true) {',
+        '  const { done, value } = await reader.read();',
+        '  if (done) break;',
+        '  buffer += decoder.decode(value, { stream: true });',
+        "  const lines = buffer.split('\\n');",
+        '  buffer = lines.pop();',
+        '  for (const line of lines) {',
+        "    if (!line.startsWith('data: ')) continue;",
+        '    const data = line.slice(6).trim();',
+        "    if (data === '[DONE]') continue;",
+        '    const chunk = JSON.parse(data);',
+        "    process.stdout.write(chunk.choices?.[0]?.delta?.content || '');",
+        '  }',
+        '}',
+      ]
+    : [
+        'const data = await response.json();',
+        'console.log(data.choices[0].message.content);',
+      ];
+
+  return [
+    `const response = await fetch(${quoteJs(url)}, {`,
+    "  method: 'POST',",
+    '  headers: {',
+    "    'Content-Type': 'application/json',",
+    `    Authorization: ${quoteJs(`Bearer ${apiKey}`)},`,
+    '  },',
+    `  body: JSON.stringify(${toJson(payload, '  ')}),`,
+    '});',
+    '',
+    'if (!response.ok) {',
+    '  throw new Error(`HTTP ${response.status}: ${await response.text()}`);',
+    '}',
+    '',
+    ...output,
+  ].join('\n');
+};
+
+const buildNodeOpenAI = ({ payload, apiKey, baseUrl, stream }) => {
+  const output = stream
+    ? [
+        'for await (const chunk of response) {',
+        "  process.stdout.write(chunk.choices[0]?.delta?.content || '');",
+        '}',
+      ]
+    : ['console.log(response.choices[0].message.content);'];
+
+  return [
+    "import OpenAI from 'openai';",
+    '',
+    'const client = new OpenAI({',
+    `  baseURL: ${quoteJs(`${baseUrl}/v1`)},`,
+    `  apiKey: ${quoteJs(apiKey)},`,
+    '});',
+    '',
+    `const response = await client.chat.completions.create(${toJson(payload)});`,
+    '',
+    ...output,
+  ].join('\n');
+};
+
+const buildGo = ({ payload, apiKey, url, stream }) => {
+  // Go 原始字符串不能包含反引号，需拆开拼接
+  const body = JSON.stringify(payload, null, 2).replace(/`/g, '` + "`" + `');
+  const imports = stream
+    ? ['"bufio"', '"fmt"', '"net/http"', '"strings"']
+    : ['"fmt"', '"io"', '"net/http"', '"strings"'];
+  const output = stream
+    ? [
+        '\tscanner := bufio.NewScanner(resp.Body)',
+        '\tscanner.Buffer(make([]byte, 1024*1024), 1024*1024)',
+        '\tfor scanner.Scan() {',
+        '\t\tline := scanner.Text()',
+        '\t\tif strings.HasPrefix(line, "data: ") {',
+        '\t\t\tfmt.Println(strings.TrimPrefix(line, "data: "))',
+        '\t\t}',
+        '\t}',
+      ]
+    : [
+        '\tdata, err := io.ReadAll(resp.Body)',
+        '\tif err != nil {',
+        '\t\tpanic(err)',
+        '\t}',
+        '\tfmt.Println(string(data))',
+      ];
+
+  return [
+    'package main',
+    '',
+    'import (',
+    ...imports.map((name) => `\t${name}`),
+    ')',
+    '',
+    'func main() {',
+    `\tbody := \`${body}\``,
+    '',
+    `\treq, err := http.NewRequest("POST", ${JSON.stringify(url)}, strings.NewReader(body))`,
+    '\tif err != nil {',
+    '\t\tpanic(err)',
+    '\t}',
+    '\treq.Header.Set("Content-Type", "application/json")',
+    `\treq.Header.Set("Authorization", ${JSON.stringify(`Bearer ${apiKey}`)})`,
+    '',
+    '\tresp, err := http.DefaultClient.Do(req)',
+    '\tif err != nil {',
+    '\t\tpanic(err)',
+    '\t}',
+    '\tdefer resp.Body.Close()',
+    '',
+    ...output,
+    '}',
+  ].join('\n');
+};
+
+const SNIPPET_BUILDERS = {
+  curl: buildCurl,
+  python: buildPython,
+  node_fetch: buildNodeFetch,
+  node_openai: buildNodeOpenAI,
+  go: buildGo,
+};
+
+/**
+ * 生成调用对话接口的代码片段
+ * @param {string} languageKey - CODE_LANGUAGES 中的 key
+ * @param {Object} options - payload 请求体，apiKey 令牌，baseUrl 服务器地址
+ * @returns {string} 代码片段
+ */
+export const generateCodeSnippet = (languageKey, options) => {
+  const builder = SNIPPET_BUILDERS[languageKey];
+  if (!builder || !options.payload) return '';
+
+  // group 仅用于 Playground 会话鉴权，令牌调用时由令牌自身的分组决定
+  const { group, ...payload } = options.payload;
+  const baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+
+  return builder({
+    payload,
+    apiKey: options.apiKey || API_KEY_PLACEHOLDER,
+    baseUrl,
+    url: `${baseUrl}${CHAT_COMPLETIONS_PATH}`,
+    stream: payload.stream === true,
+  });
+};
@@ -0,0 +1,205 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import { escapeCsvField, parseCsvRecords } from './csv';
+
+// 批量评测：数据集解析（JSONL / CSV）、逐行评分与结果导出
+
+const RESERVED_FIELDS = ['input', 'expected'];
+
+// 将原始对象规整为评测行，input/expected 以外的字段作为提示词变量
+const normalizeEvalRow = (raw, index) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`第 ${index + 1} 行不是对象`);
+  }
+  if (raw.input === undefined || raw.input === null || raw.input === '') {
+    throw new Error(`第 ${index + 1} 行缺少 input 字段`);
+  }
+
+  const variables = {};
+  Object.entries(raw).forEach(([key, value]) => {
+    if (RESERVED_FIELDS.includes(key) || value === null) return;
+    variables[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  });
+
+  const toText = (value) =>
+    typeof value === 'string' ? value : JSON.stringify(value);
+
+  return {
+    index: index + 1,
+    input: toText(raw.input),
+    expected:
+      raw.expected === undefined || raw.expected === null
+        ? ''
+        : toText(raw.expected),
+    variables,
+  };
+};
+
+/**
+ * 解析评测数据集
+ * JSONL 每行一个对象；CSV 首行为表头。input 为必填字段，expected 为期望输出
+ * @param {string} text - 文件内容
+ * @param {string} fileName - 文件名，用于判断格式
+ * @returns {Array<{index: number, input: string, expected: string, variables: Object}>} 评测行
+ */
+export const parseEvalDataset = (text, fileName = '') => {
+  const content = (text || '').replace(/^\uFEFF/, '');
+
+  if (fileName.toLowerCase().endsWith('.csv')) {
+    const [header, ...records] = parseCsvRecords(content);
+    if (!header) return [];
+    const keys = header.map((key) => key.trim());
+    if (!keys.includes('input')) {
+      throw new Error('CSV 表头缺少 input 列');
+    }
+    return records.map((record, index) =>
+      normalizeEvalRow(
+        Object.fromEntries(keys.map((key, i) => [key, record[i] ?? ''])),
+        index,
+      ),
+    );
+  }
+
+  return content
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .map((line, index) => {
+      let raw;
+      try {
+        raw = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`第 ${index + 1} 行不是合法的 JSON`);
+      }
+      return normalizeEvalRow(raw, index);
+    });
+};
+
+// 去除模型常见的 ```json 代码块包裹
+const stripCodeFence = (text) => {
+  const match = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return match ? match[1] : text;
+};
+
+// 按点号路径读取字段，支持数组下标，如 result.items.0.label
+const getValueByPath = (data, path) =>
+  path
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+/**
+ * 按评分方式判断模型输出是否符合期望
+ * @param {string} output - 模型输出
+ * @param {string} expected - 期望输出；正则模式下为正则表达式
+ * @param {Object} scoring - { method: 'exact'|'regex'|'json_field', jsonPath, ignoreCase }
+ * @returns {{passed: boolean|null, reason?: string, params?: Object}} reason 为可翻译的失败原因，未提供期望输出时 passed 为 null
+ */
+export const scoreEvalOutput = (output, expected, scoring) => {
+  if (expected === '') {
+    return { passed: null, reason: '未提供期望输出' };
+  }
+
+  const { method, jsonPath = '', ignoreCase = false } = scoring;
+  const normalize = (value) =>
+    ignoreCase ? value.trim().toLowerCase() : value.trim();
+
+  if (method === 'regex') {
+    try {
+      const regex = new RegExp(expected, ignoreCase ? 'i' : '');
+      return regex.test(output)
+        ? { passed: true }
+        : { passed: false, reason: '输出未匹配正则' };
+    } catch (error) {
+      return {
+        passed: false,
+        reason: '正则表达式无效: {{message}}',
+        params: { message: error.message },
+      };
+    }
+  }
+
+  if (method === 'json_field') {
+    let data;
+    try {
+      data = JSON.parse(stripCodeFence(output));
+    } catch (error) {
+      return { passed: false, reason: '输出不是合法的 JSON' };
+    }
+    const value = getValueByPath(data, jsonPath);
+    if (value === undefined) {
+      return {
+        passed: false,
+        reason: '输出缺少字段 {{path}}',
+        params: { path: jsonPath },
+      };
+    }
+    const actual = typeof value === 'string' ? value : JSON.stringify(value);
+    return normalize(actual) === normalize(expected)
+      ? { passed: true }
+      : {
+          passed: false,
+          reason: '字段值为 {{value}}',
+          params: { value: actual },
+        };
+  }
+
+  return normalize(output) === normalize(expected)
+    ? { passed: true }
+    : { passed: false, reason: '输出与期望不一致' };
+};
+
+/**
+ * 将评测结果转为 CSV 文本
+ * @param {Array} results - 评测结果
+ * @returns {string} CSV 内容
+ */
+export const buildEvalResultsCsv = (results) => {
+  const header = [
+    'index',
+    'input',
+    'expected',
+    'output',
+    'passed',
+    'reason',
+    'latency_ms',
+    'prompt_tokens',
+    'completion_tokens',
+    'total_tokens',
+    'error',
+  ];
+  const lines = results.map((result) =>
+    [
+      result.index,
+      result.input,
+      result.expected,
+      result.output,
+      result.passed === null ? '' : result.passed,
+      result.reason,
+      result.latency === null ? '' : Math.round(result.latency),
+      result.usage?.prompt_tokens,
+      result.usage?.completion_tokens,
+      result.usage?.total_tokens,
+      result.error,
+    ]
+      .map(escapeCsvField)
+      .join(','),
+  );
+  return [header.join(','), ...lines].join('\n');
+};
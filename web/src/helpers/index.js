@@ -29,3 +29,23 @@ export * from './token';
 export * from './boolean';
 export * from './dashboard';
 export * from './passkey';
+export * from './jsonSchema';
+export * from './codeSnippets';
+export * from './promptTemplate';
+export * from './evalDataset';
+export * from './streamMetrics';
+export * from './messageBranches';
+export * from './csv';
+export * from './channelTransfer';
+export * from './channelHealth';
+export * from './modelMapping';
+export * from './channelOverride';
+export * from './multiKey';
+export * from './channelRouting';
+export * from './channelVersion';
+export * from './channelQuery';
+export * from './logExport';
+export * from './logTrace';
+export * from './logPivot';
+export * from './logTail';
+export * from './tokenUsage';
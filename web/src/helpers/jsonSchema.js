@@ -0,0 +1,301 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 轻量 JSON Schema 校验，覆盖结构化输出（response_format: json_schema）常用的关键字
+// 错误信息为 i18n 键，params 为插值参数，path 为 JSON Pointer
+
+const getValueType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = getValueType(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+const escapePointer = (key) =>
+  String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// 解析本地引用，如 #/$defs/Item 或 #/definitions/Item
+const resolveRef = (ref, rootSchema) => {
+  if (!ref.startsWith('#')) return null;
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce(
+      (node, key) =>
+        node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : null,
+      rootSchema,
+    );
+};
+
+const validateNode = (value, schema, path, rootSchema, errors) => {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: '不允许出现该值' });
+    return;
+  }
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, rootSchema);
+    if (!resolved) {
+      errors.push({
+        path,
+        message: '无法解析引用 {{ref}}',
+        params: { ref: schema.$ref },
+      });
+      return;
+    }
+    validateNode(value, resolved, path, rootSchema, errors);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({
+        path,
+        message: '类型应为 {{expected}}，实际为 {{actual}}',
+        params: { expected: types.join(' | '), actual: getValueType(value) },
+      });
+      // 类型不符时，其余关键字的检查已无意义
+      return;
+    }
+  }
+
+  if (
+    schema.enum &&
+    !schema.enum.some((item) => JSON.stringify(item) === JSON.stringify(value))
+  ) {
+    errors.push({
+      path,
+      message: '值应为以下之一：{{values}}',
+      params: {
+        values: schema.enum.map((item) => JSON.stringify(item)).join(', '),
+      },
+    });
+  }
+
+  if (
+    schema.const !== undefined &&
+    JSON.stringify(schema.const) !== JSON.stringify(value)
+  ) {
+    errors.push({
+      path,
+      message: '值应为 {{value}}',
+      params: { value: JSON.stringify(schema.const) },
+    });
+  }
+
+  const valueType = getValueType(value);
+
+  if (valueType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path,
+        message: '长度不能少于 {{limit}}',
+        params: { limit: schema.minLength },
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({
+        path,
+        message: '长度不能超过 {{limit}}',
+        params: { limit: schema.maxLength },
+      });
+    }
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          errors.push({
+            path,
+            message: '不匹配正则 {{pattern}}',
+            params: { pattern: schema.pattern },
+          });
+        }
+      } catch (error) {
+        // 忽略无法解析的正则
+      }
+    }
+  }
+
+  if (valueType === 'number' || valueType === 'integer') {
+    const bounds = [
+      ['minimum', (limit) => value < limit, '不能小于 {{limit}}'],
+      ['maximum', (limit) => value > limit, '不能大于 {{limit}}'],
+      ['exclusiveMinimum', (limit) => value <= limit, '必须大于 {{limit}}'],
+      ['exclusiveMaximum', (limit) => value >= limit, '必须小于 {{limit}}'],
+    ];
+    bounds.forEach(([keyword, violates, message]) => {
+      if (typeof schema[keyword] === 'number' && violates(schema[keyword])) {
+        errors.push({ path, message, params: { limit: schema[keyword] } });
+      }
+    });
+  }
+
+  if (valueType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        path,
+        message: '元素数量不能少于 {{limit}}',
+        params: { limit: schema.minItems },
+      });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({
+        path,
+        message: '元素数量不能超过 {{limit}}',
+        params: { limit: schema.maxItems },
+      });
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) =>
+        validateNode(
+          item,
+          schema.items,
+          `${path}/${index}`,
+          rootSchema,
+          errors,
+        ),
+      );
+    }
+  }
+
+  if (valueType === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push({
+          path,
+          message: '缺少必填字段 {{field}}',
+          params: { field: key },
+        });
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (key in properties) {
+        validateNode(child, properties[key], childPath, rootSchema, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: childPath,
+          message: '不允许的额外字段 {{field}}',
+          params: { field: key },
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(
+          child,
+          schema.additionalProperties,
+          childPath,
+          rootSchema,
+          errors,
+        );
+      }
+    });
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((subSchema) =>
+      validateNode(value, subSchema, path, rootSchema, errors),
+    );
+  }
+
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (Array.isArray(alternatives)) {
+    const matched = alternatives.filter((subSchema) => {
+      const subErrors = [];
+      validateNode(value, subSchema, path, rootSchema, subErrors);
+      return subErrors.length === 0;
+    }).length;
+    if (matched === 0 || (schema.oneOf && matched > 1)) {
+      errors.push({
+        path,
+        message: schema.oneOf
+          ? '应恰好匹配 oneOf 中的一个分支'
+          : '不匹配 anyOf 中的任何分支',
+      });
+    }
+  }
+};
+
+/**
+ * 按 JSON Schema 校验数据
+ * @param {*} value - 待校验的数据
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<{path: string, message: string, params?: Object}>} 错误列表，为空表示通过
+ */
+export const validateJsonSchema = (value, schema) => {
+  const errors = [];
+  validateNode(value, schema, '', schema, errors);
+  return errors;
+};
+
+/**
+ * 将数据格式化为带 JSON Pointer 的行，用于按路径高亮错误
+ * @param {*} value - 数据
+ * @returns {Array<{text: string, path: string}>} 格式化后的行
+ */
+export const formatJsonLines = (value) => {
+  const lines = [];
+
+  const walk = (node, path, indent, prefix, suffix) => {
+    const pad = '  '.repeat(indent);
+    const isArray = Array.isArray(node);
+
+    if (node === null || typeof node !== 'object') {
+      lines.push({
+        text: `${pad}${prefix}${JSON.stringify(node)}${suffix}`,
+        path,
+      });
+      return;
+    }
+
+    const entries = isArray
+      ? node.map((item, index) => [index, item])
+      : Object.entries(node);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+    if (entries.length === 0) {
+      lines.push({ text: `${pad}${prefix}${open}${close}${suffix}`, path });
+      return;
+    }
+
+    lines.push({ text: `${pad}${prefix}${open}`, path });
+    entries.forEach(([key, child], index) => {
+      walk(
+        child,
+        `${path}/${escapePointer(key)}`,
+        indent + 1,
+        isArray ? '' : `${JSON.stringify(key)}: `,
+        index < entries.length - 1 ? ',' : '',
+      );
+    });
+    lines.push({ text: `${pad}${close}${suffix}`, path });
+  };
+
+  walk(value, '', 0, '', '');
+  return lines;
+};
@@ -17,6 +17,12 @@ along with this program. If not, see <https://www.gnu.org/licenses/>.
 For commercial licensing, please contact support@quantumnous.com
 */
 
+import {
+  renderAudioModelPrice,
+  renderClaudeModelPrice,
+  renderModelPrice,
+} from './render';
+
 export function getLogOther(otherStr) {
   if (otherStr === undefined || otherStr === '') {
     otherStr = '{}';
@@ -24,3 +30,73 @@ export function getLogOther(otherStr) {
   let other = JSON.parse(otherStr);
   return other;
 }
+
+/**
+ * 生成消费日志的完整计费过程，根据日志类型选择语音、Claude 或通用的计费公式
+ * @param {Object} log - 日志记录
+ * @param {Object} other - 解析后的 other 字段
+ * @returns {string} 计费过程
+ */
+export function renderLogPriceProcess(log, other) {
+  if (other?.ws || other?.audio) {
+    return renderAudioModelPrice(
+      other?.text_input,
+      other?.text_output,
+      other?.model_ratio,
+      other?.model_price,
+      other?.completion_ratio,
+      other?.audio_input,
+      other?.audio_output,
+      other?.audio_ratio,
+      other?.audio_completion_ratio,
+      other?.group_ratio,
+      other?.user_group_ratio,
+      other?.cache_tokens || 0,
+      other?.cache_ratio || 1.0,
+    );
+  }
+  if (other?.claude) {
+    return renderClaudeModelPrice(
+      log.prompt_tokens,
+      log.completion_tokens,
+      other.model_ratio,
+      other.model_price,
+      other.completion_ratio,
+      other.group_ratio,
+      other?.user_group_ratio,
+      other.cache_tokens || 0,
+      other.cache_ratio || 1.0,
+      other.cache_creation_tokens || 0,
+      other.cache_creation_ratio || 1.0,
+      other.cache_creation_tokens_5m || 0,
+      other.cache_creation_ratio_5m || other.cache_creation_ratio || 1.0,
+      other.cache_creation_tokens_1h || 0,
+      other.cache_creation_ratio_1h || other.cache_creation_ratio || 1.0,
+    );
+  }
+  return renderModelPrice(
+    log.prompt_tokens,
+    log.completion_tokens,
+    other?.model_ratio,
+    other?.model_price,
+    other?.completion_ratio,
+    other?.group_ratio,
+    other?.user_group_ratio,
+    other?.cache_tokens || 0,
+    other?.cache_ratio || 1.0,
+    other?.image || false,
+    other?.image_ratio || 0,
+    other?.image_output || 0,
+    other?.web_search || false,
+    other?.web_search_call_count || 0,
+    other?.web_search_price || 0,
+    other?.file_search || false,
+    other?.file_search_call_count || 0,
+    other?.file_search_price || 0,
+    other?.audio_input_seperate_price || false,
+    other?.audio_input_token_count || 0,
+    other?.audio_input_price || 0,
+    other?.image_generation_call || false,
+    other?.image_generation_call_price || 0,
+  );
+}
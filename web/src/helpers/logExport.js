@@ -0,0 +1,137 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+// 日志导出：按分片请求 /api/log/export，分片之间以日志 id 作为游标。
+// 已导出的分片只保存在内存中，可以随时下载为一个分段文件；导出任务的进度保存在浏览器本地，
+// 页面刷新后从当前分段的起点继续，已下载的分段不会重复导出。
+
+import { LOG_EXPORT_CHUNK_SIZE, LOG_EXPORT_JOB_KEY } from '../constants';
+
+/**
+ * 将日志筛选表单的值转换为导出接口的筛选参数，时间换算方式与 loadLogs 一致
+ * @param {Object} formValues - getFormValues() 的返回值
+ * @returns {Object} 筛选参数
+ */
+export const buildLogExportFilters = (formValues) => {
+  const startTimestamp = Date.parse(formValues.start_timestamp) / 1000;
+  const endTimestamp = Date.parse(formValues.end_timestamp) / 1000;
+  return {
+    type: formValues.logType || 0,
+    username: formValues.username || '',
+    token_name: formValues.token_name || '',
+    model_name: formValues.model_name || '',
+    channel: formValues.channel || '',
+    group: formValues.group || '',
+    start_timestamp: Number.isNaN(startTimestamp) ? 0 : startTimestamp,
+    end_timestamp: Number.isNaN(endTimestamp) ? 0 : endTimestamp,
+  };
+};
+
+/**
+ * 创建导出任务
+ * @param {Object} filters - buildLogExportFilters 的返回值
+ * @param {string} format - csv 或 jsonl
+ * @param {Array<string>} columns - 导出的列
+ * @returns {Object} 导出任务
+ */
+export const createLogExportJob = (filters, format, columns) => ({
+  filters,
+  format,
+  columns,
+  cursor: 0,
+  rows: 0,
+  part: 1,
+  partCursor: 0,
+  partRows: 0,
+  createdAt: Date.now(),
+});
+
+/**
+ * 生成请求下一个分片的查询参数。withHeader 表示该分片是当前文件的第一个分片，
+ * 此时 CSV 需要输出表头
+ */
+export const buildLogExportParams = (job, withHeader) => ({
+  ...job.filters,
+  format: job.format,
+  columns: job.columns.join(','),
+  cursor: job.cursor,
+  chunk_size: LOG_EXPORT_CHUNK_SIZE,
+  with_header: withHeader ? 'true' : 'false',
+});
+
+/**
+ * 统计分片中的记录数，用于与响应头 X-Export-Rows 比对，发现被截断的分片
+ * @param {string} text - 分片内容
+ * @param {string} format - csv 或 jsonl
+ * @param {boolean} withHeader - CSV 分片是否包含表头
+ * @returns {number} 记录数
+ */
+export const countLogExportRecords = (text, format, withHeader) => {
+  if (format === 'jsonl') {
+    return text.split('\n').filter((line) => line !== '').length;
+  }
+  // CSV 字段中可能包含换行，只统计引号之外的换行
+  let count = 0;
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === '\n' && !inQuotes) {
+      count++;
+    }
+  }
+  return withHeader ? Math.max(count - 1, 0) : count;
+};
+
+/**
+ * 导出文件名，续传产生的后续文件带有分段序号
+ */
+export const getLogExportFilename = (job) => {
+  const date = new Date(job.createdAt);
+  const pad = (value) => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(
+    date.getDate(),
+  )}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+  const part = job.part > 1 ? `-part${job.part}` : '';
+  return `logs-${stamp}${part}.${job.format}`;
+};
+
+/**
+ * 读取未完成的导出任务。内存中的分片在刷新后已经丢失，因此进度回退到当前分段的起点
+ * @returns {Object|null} 导出任务
+ */
+export const loadLogExportJob = () => {
+  try {
+    const job = JSON.parse(localStorage.getItem(LOG_EXPORT_JOB_KEY));
+    if (!job || !job.filters || !Array.isArray(job.columns)) {
+      return null;
+    }
+    return { ...job, cursor: job.partCursor, rows: job.partRows };
+  } catch (e) {
+    return null;
+  }
+};
+
+export const persistLogExportJob = (job) => {
+  localStorage.setItem(LOG_EXPORT_JOB_KEY, JSON.stringify(job));
+};
+
+export const clearLogExportJob = () => {
+  localStorage.removeItem(LOG_EXPORT_JOB_KEY);
+};
@@ -0,0 +1,159 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+// 日志透视：按一个或两个维度聚合筛选后的日志，并支持从透视行下钻回原始日志。
+
+import { buildLogExportFilters } from './logExport';
+import { escapeCsvField } from './csv';
+import { timestamp2string } from './utils';
+
+/**
+ * 生成透视接口的查询参数，筛选条件与日志列表一致
+ * @param {Object} formValues - getFormValues() 的返回值
+ * @param {Array<string>} dimensions - 分组维度
+ * @returns {Object} 查询参数
+ */
+export const buildLogPivotParams = (formValues, dimensions) => ({
+  ...buildLogExportFilters(formValues),
+  dimensions: dimensions.filter(Boolean).join(','),
+  // 按天分组使用浏览器时区
+  tz_offset: -new Date().getTimezoneOffset() * 60,
+});
+
+/**
+ * 计算透视行的派生指标
+ * @param {Object} row - 后端返回的透视行
+ * @returns {Object} 带有 total_tokens 与 error_rate 的透视行
+ */
+export const normalizeLogPivotRow = (row) => {
+  const attempts = row.requests + row.errors;
+  return {
+    ...row,
+    total_tokens: row.prompt_tokens + row.completion_tokens,
+    error_rate: attempts > 0 ? row.errors / attempts : 0,
+  };
+};
+
+/**
+ * 格式化维度值，用于表格展示与 CSV 导出
+ * @param {string} dimension - 维度
+ * @param {string} value - 维度值
+ * @param {Object} channelNames - 渠道 ID 到名称的映射
+ * @returns {string} 展示文本
+ */
+export const formatLogPivotDimension = (
+  dimension,
+  value,
+  channelNames = {},
+) => {
+  if (value === '' || value === null || value === undefined) {
+    return '-';
+  }
+  if (dimension === 'day') {
+    return timestamp2string(Number(value)).slice(0, 10);
+  }
+  if (dimension === 'channel') {
+    const name = channelNames[value];
+    return name ? `#${value} ${name}` : `#${value}`;
+  }
+  return String(value);
+};
+
+/**
+ * 将透视行转换为日志筛选表单的字段值，用于下钻到原始日志
+ * @param {Array<string>} dimensions - 分组维度
+ * @param {Object} row - 透视行
+ * @returns {Object} 表单字段值
+ */
+export const getLogPivotDrillValues = (dimensions, row) => {
+  const values = {};
+  dimensions.forEach((dimension, index) => {
+    const value = index === 0 ? row.dim1 : row.dim2;
+    switch (dimension) {
+      case 'model':
+        values.model_name = value;
+        break;
+      case 'channel':
+        values.channel = value;
+        break;
+      case 'token':
+        values.token_name = value;
+        break;
+      case 'user':
+        values.username = value;
+        break;
+      case 'group':
+        values.group = value;
+        break;
+      case 'day': {
+        const start = Number(value);
+        values.dateRange = [
+          timestamp2string(start),
+          timestamp2string(start + 86400 - 1),
+        ];
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  return values;
+};
+
+/**
+ * 将透视结果序列化为 CSV
+ * @param {Array<Object>} rows - normalizeLogPivotRow 处理后的透视行
+ * @param {Array<string>} dimensions - 分组维度
+ * @param {Object} channelNames - 渠道 ID 到名称的映射
+ * @returns {string} CSV 文本
+ */
+export const serializeLogPivotCsv = (rows, dimensions, channelNames = {}) => {
+  const header = [
+    ...dimensions,
+    'requests',
+    'errors',
+    'error_rate',
+    'prompt_tokens',
+    'completion_tokens',
+    'total_tokens',
+    'quota',
+    'avg_use_time',
+  ];
+  const lines = rows.map((row) =>
+    [
+      ...dimensions.map((dimension, index) =>
+        formatLogPivotDimension(
+          dimension,
+          index === 0 ? row.dim1 : row.dim2,
+          channelNames,
+        ),
+      ),
+      row.requests,
+      row.errors,
+      row.error_rate.toFixed(4),
+      row.prompt_tokens,
+      row.completion_tokens,
+      row.total_tokens,
+      row.quota,
+      row.avg_use_time.toFixed(2),
+    ]
+      .map(escapeCsvField)
+      .join(','),
+  );
+  return [header.join(','), ...lines].join('\n');
+};
@@ -0,0 +1,136 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+// 实时日志：通过 SSE 接收服务端推送的新日志。每个事件携带不透明的游标 cursor，
+// 连接断开后携带该游标自动重连，不会遗漏断线期间写入的日志。
+
+import { LOG_TAIL_RECONNECT_DELAY } from '../constants';
+import { authHeader } from './auth';
+import { buildLogExportFilters } from './logExport';
+import { getUserIdFromLocalStorage } from './utils';
+
+/**
+ * 生成实时日志的筛选参数。实时日志只推送新写入的日志，因此忽略时间范围
+ * @param {Object} formValues - 日志筛选表单的值
+ * @returns {Object} 查询参数
+ */
+export const buildLogTailParams = (formValues) => ({
+  ...buildLogExportFilters(formValues),
+  start_timestamp: 0,
+  end_timestamp: 0,
+});
+
+/**
+ * 打开实时日志连接
+ * @param {Object} options
+ * @param {string} options.url - SSE 接口地址
+ * @param {Object} options.params - 筛选参数
+ * @param {Function} options.onEvent - 收到事件时调用，参数为 { logs, cursor }
+ * @param {Function} options.onStatus - 连接状态变化时调用：connecting、live、reconnecting、error；
+ *   error 时第二个参数为服务端返回的错误信息，连接不再重试
+ * @returns {Function} 关闭连接的函数
+ */
+export const openLogTailStream = ({ url, params, onEvent, onStatus }) => {
+  let closed = false;
+  let cursor = '';
+  let controller = null;
+
+  const connect = async () => {
+    const query = new URLSearchParams(params);
+    if (cursor) {
+      query.set('cursor', cursor);
+    }
+    controller = new AbortController();
+    const response = await fetch(`${url}?${query.toString()}`, {
+      headers: {
+        Accept: 'text/event-stream',
+        'New-API-User': String(getUserIdFromLocalStorage()),
+        ...authHeader(),
+      },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      let message = `HTTP ${response.status}`;
+      try {
+        const data = await response.json();
+        message = data?.message || message;
+      } catch (e) {
+        // 非 JSON 响应体时保留状态码信息
+      }
+      const error = new Error(message);
+      error.status = response.status;
+      throw error;
+    }
+    onStatus('live');
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (!closed) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) {
+          continue;
+        }
+        try {
+          const event = JSON.parse(line.substring(6));
+          cursor = event.cursor || cursor;
+          onEvent(event);
+        } catch (e) {
+          console.error('Failed to parse log tail event:', e);
+        }
+      }
+    }
+  };
+
+  const run = async () => {
+    onStatus('connecting');
+    while (!closed) {
+      try {
+        await connect();
+      } catch (error) {
+        if (closed || error?.name === 'AbortError') {
+          return;
+        }
+        console.error('Log tail stream error:', error);
+        // 4xx（未登录、无权限、参数错误等）重试也不会成功，直接结束
+        if (error?.status >= 400 && error?.status < 500) {
+          closed = true;
+          onStatus('error', error.message);
+          return;
+        }
+      }
+      if (closed) return;
+      // 服务端超时断开、5xx 或网络异常时稍后重连
+      onStatus('reconnecting');
+      await new Promise((resolve) =>
+        setTimeout(resolve, LOG_TAIL_RECONNECT_DELAY),
+      );
+    }
+  };
+
+  run();
+  return () => {
+    closed = true;
+    controller?.abort();
+  };
+};
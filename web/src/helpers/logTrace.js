@@ -0,0 +1,152 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+// 请求追踪：同一请求 ID 下的日志包括每次失败重试记录的错误日志和最终的消费日志，
+// 这里把它们整理为按时间顺序排列的时间线。
+
+import { getLogOther } from './log';
+
+// 日志类型，与后端 model.LogTypeConsume / LogTypeError 一致
+const LOG_TYPE_CONSUME = 2;
+const LOG_TYPE_ERROR = 5;
+
+/**
+ * 生成可分享的请求追踪链接，打开后自动展示该请求的追踪详情
+ * @param {string} requestId - 请求 ID
+ * @returns {string} 链接
+ */
+export const buildLogTraceUrl = (requestId) => {
+  const params = new URLSearchParams();
+  params.set('request_id', requestId);
+  return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+};
+
+const toChannelId = (value) => {
+  const id = parseInt(value, 10);
+  return Number.isNaN(id) ? 0 : id;
+};
+
+/**
+ * 整理每次渠道尝试。管理员可见的 admin_info.use_channel 记录了完整的重试链，
+ * 按顺序与错误日志对应；没有对应错误日志的失败尝试（例如未开启错误日志）只展示渠道。
+ * 普通用户没有重试链，按错误日志和消费日志的顺序展示
+ */
+const buildAttempts = (errorLogs, finalLog, useChannel) => {
+  const succeeded = finalLog?.type === LOG_TYPE_CONSUME;
+  const toAttempt = (log, success) => {
+    const other = getLogOther(log.other);
+    return {
+      channelId: log.channel || other?.channel_id || 0,
+      channelName: log.channel_name || other?.channel_name || '',
+      group: other?.admin_info?.using_group || log.group || '',
+      success,
+      content: success ? '' : log.content,
+      statusCode: other?.status_code,
+      errorCode: other?.error_code,
+      createdAt: log.created_at,
+    };
+  };
+
+  if (!Array.isArray(useChannel) || useChannel.length === 0) {
+    const attempts = errorLogs.map((log) => toAttempt(log, false));
+    if (succeeded) {
+      attempts.push(toAttempt(finalLog, true));
+    }
+    return attempts;
+  }
+
+  const remaining = [...errorLogs];
+  const attempts = useChannel.map((value, index) => {
+    const channelId = toChannelId(value);
+    const isLast = index === useChannel.length - 1;
+    if (isLast && succeeded && finalLog.channel === channelId) {
+      return toAttempt(finalLog, true);
+    }
+    const matchIndex = remaining.findIndex(
+      (log) => (log.channel || 0) === channelId,
+    );
+    if (matchIndex >= 0) {
+      const [log] = remaining.splice(matchIndex, 1);
+      return toAttempt(log, false);
+    }
+    return {
+      channelId,
+      channelName: '',
+      group: '',
+      success: false,
+      content: '',
+      createdAt: null,
+    };
+  });
+  // 重试链之外的错误日志（例如选择渠道失败）追加在最后
+  return attempts.concat(remaining.map((log) => toAttempt(log, false)));
+};
+
+/**
+ * 将同一请求的日志整理为追踪时间线
+ * @param {Array<Object>} logs - 按 id 升序排列的日志
+ * @returns {Object|null} 追踪信息，没有日志时返回 null
+ */
+export const buildLogTrace = (logs) => {
+  if (!Array.isArray(logs) || logs.length === 0) {
+    return null;
+  }
+  const consumeLogs = logs.filter((log) => log.type === LOG_TYPE_CONSUME);
+  const errorLogs = logs.filter((log) => log.type === LOG_TYPE_ERROR);
+  const finalLog =
+    consumeLogs.length > 0
+      ? consumeLogs[consumeLogs.length - 1]
+      : logs[logs.length - 1];
+  const other = getLogOther(finalLog.other) || {};
+  const adminInfo = other.admin_info || {};
+  const firstLog = logs[0];
+
+  return {
+    requestId: finalLog.request_id,
+    finalLog,
+    other,
+    succeeded: finalLog.type === LOG_TYPE_CONSUME,
+    token: {
+      tokenName: finalLog.token_name,
+      username: finalLog.username,
+      ip: finalLog.ip,
+      requestPath:
+        other.request_path || getLogOther(firstLog.other)?.request_path,
+      createdAt: firstLog.created_at,
+    },
+    group: {
+      group: finalLog.group,
+      userGroup: adminInfo.user_group,
+      tokenGroup: adminInfo.token_group,
+      usingGroup: adminInfo.using_group,
+      groupRatio: other.group_ratio,
+      userGroupRatio: other.user_group_ratio,
+    },
+    attempts: buildAttempts(errorLogs, finalLog, adminInfo.use_channel),
+    mapping:
+      other.is_model_mapped && other.upstream_model_name
+        ? {
+            model: finalLog.model_name,
+            upstreamModel: other.upstream_model_name,
+          }
+        : null,
+    firstResponseTime: other.frt > 0 ? other.frt : null,
+    useTime: finalLog.use_time,
+    isStream: finalLog.is_stream,
+  };
+};
@@ -0,0 +1,155 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 对话分支：重新生成或编辑消息时，被替换的消息及其后续对话作为同级分支保留
+//
+// 分支信息保存在当前分支首条消息的 branches 字段上：
+// { items: Array<Array<Message>|null>, active: number }
+// items 中每一项为一个同级分支（从分支点开始的消息列表），当前分支即对话本身，对应位置为 null
+
+const stripBranches = (message) => {
+  const { branches, ...rest } = message;
+  return rest;
+};
+
+/**
+ * 获取消息的分支位置信息
+ * @param {Object} message - 消息
+ * @returns {{current: number, total: number}|null} 未分支时返回 null
+ */
+export const getBranchInfo = (message) => {
+  const items = message?.branches?.items;
+  if (!Array.isArray(items) || items.length < 2) return null;
+  return { current: message.branches.active + 1, total: items.length };
+};
+
+/**
+ * 在指定位置创建新分支，原有消息及后续对话保存为同级分支
+ * @param {Array} messages - 当前对话
+ * @param {number} index - 分支点位置
+ * @param {Array} newTail - 新分支从分支点开始的消息
+ * @returns {Array} 切换到新分支后的对话
+ */
+export const forkMessages = (messages, index, newTail) => {
+  const current = messages[index];
+  const items = current.branches ? [...current.branches.items] : [null];
+  const active = current.branches ? current.branches.active : 0;
+
+  items[active] = [stripBranches(current), ...messages.slice(index + 1)];
+  items.push(null);
+
+  const [head, ...rest] = newTail;
+  return [
+    ...messages.slice(0, index),
+    { ...head, branches: { items, active: items.length - 1 } },
+    ...rest,
+  ];
+};
+
+/**
+ * 切换分支点上的分支
+ * @param {Array} messages - 当前对话
+ * @param {number} index - 分支点位置
+ * @param {number} target - 目标分支序号（从 0 开始）
+ * @returns {Array} 切换后的对话，目标无效时返回原对话
+ */
+export const switchBranch = (messages, index, target) => {
+  const current = messages[index];
+  const branches = current?.branches;
+  if (!branches || target === branches.active || !branches.items[target]) {
+    return messages;
+  }
+
+  const items = [...branches.items];
+  items[branches.active] = [
+    stripBranches(current),
+    ...messages.slice(index + 1),
+  ];
+  const [head, ...rest] = items[target];
+  items[target] = null;
+
+  return [
+    ...messages.slice(0, index),
+    { ...head, branches: { items, active: target } },
+    ...rest,
+  ];
+};
+
+/**
+ * 依次执行多次分支切换，用于跳转到嵌套在其他分支中的分支
+ * @param {Array} messages - 当前对话
+ * @param {Array<{index: number, target: number}>} path - 切换路径
+ * @returns {Array} 切换后的对话
+ */
+export const applyBranchPath = (messages, path) =>
+  path.reduce(
+    (result, step) => switchBranch(result, step.index, step.target),
+    messages,
+  );
+
+const pathKey = (path) =>
+  path.map((step) => `${step.index}:${step.target}`).join('/');
+
+// 收集列表中的第一个分支点，之后的分支点归入其当前分支的子节点
+// offset 为列表首条消息在对话中的位置，isLive 表示该列表是否为正在显示的对话
+const collectBranchPoints = (list, offset, path, startAt, isLive) => {
+  const position = list.findIndex(
+    (message, i) => i >= startAt && getBranchInfo(message),
+  );
+  if (position === -1) return [];
+
+  const index = offset + position;
+  const { items, active } = list[position].branches;
+  return [
+    {
+      key: `${pathKey(path)}@${index}`,
+      index,
+      variants: items.map((item, target) => {
+        const isActive = target === active;
+        // 当前分支沿用列表本身，其余分支需先切换到此处
+        const variantList = isActive ? list.slice(position) : item;
+        const variantPath = isActive ? path : [...path, { index, target }];
+        return {
+          key: `${pathKey(variantPath)}#${index}`,
+          target,
+          isActive,
+          isLive: isLive && isActive,
+          head: variantList[0],
+          length: variantList.length,
+          path: variantPath,
+          children: collectBranchPoints(
+            variantList,
+            index,
+            variantPath,
+            1,
+            isLive && isActive,
+          ),
+        };
+      }),
+    },
+  ];
+};
+
+/**
+ * 构建对话的分支树
+ * @param {Array} messages - 当前对话
+ * @returns {Array} 分支点列表，每个分支点包含各分支及其下的嵌套分支点
+ */
+export const buildBranchTree = (messages) =>
+  collectBranchPoints(messages, 0, [], 0, true);
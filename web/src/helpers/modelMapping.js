@@ -0,0 +1,149 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 模型重定向（model_mapping）的解析、规则展开与预览，行为与后端 ModelMappedHelper 保持一致
+
+export const MODEL_MAPPING_RULE_TYPES = {
+  PREFIX: 'prefix',
+  REGEX: 'regex',
+};
+
+/**
+ * 解析模型重定向 JSON
+ * @param {string} text - model_mapping 字段内容
+ * @returns {{mapping: Object|null, error: string|null}} 空字符串视为空映射
+ */
+export const parseModelMapping = (text) => {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) return { mapping: {}, error: null };
+  try {
+    const parsed = JSON.parse(trimmed);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return { mapping: null, error: '模型重定向必须是 JSON 对象' };
+    }
+    return { mapping: parsed, error: null };
+  } catch (error) {
+    return { mapping: null, error: '模型映射必须是合法的 JSON 格式！' };
+  }
+};
+
+/**
+ * 序列化模型重定向，保持键的原有顺序，空映射返回空字符串
+ * @param {Object} mapping - 模型重定向对象
+ * @returns {string} JSON 字符串
+ */
+export const stringifyModelMapping = (mapping) =>
+  Object.keys(mapping || {}).length === 0
+    ? ''
+    : JSON.stringify(mapping, null, 2);
+
+/**
+ * 计算请求模型经过重定向后的最终模型
+ * 与后端一致：支持链式重定向，映射到自身视为终止，出现循环时报错
+ * @param {Object} mapping - 模型重定向对象
+ * @param {string} model - 请求中的模型名称
+ * @returns {{model: string, chain: string[], mapped: boolean, cycle: boolean}}
+ */
+export const resolveMappedModel = (mapping, model) => {
+  const chain = [model];
+  const visited = new Set([model]);
+  let current = model;
+  for (;;) {
+    const next = mapping?.[current];
+    if (typeof next !== 'string' || next === '') break;
+    if (visited.has(next)) {
+      if (next === current) break;
+      return {
+        model: current,
+        chain: [...chain, next],
+        mapped: true,
+        cycle: true,
+      };
+    }
+    visited.add(next);
+    chain.push(next);
+    current = next;
+  }
+  return { model: current, chain, mapped: current !== model, cycle: false };
+};
+
+/**
+ * 按前缀或正则规则为一组模型生成重定向条目
+ * 前缀规则将匹配的前缀替换为目标前缀；正则规则使用 String.replace，替换内容支持 $1 等分组引用
+ * @param {Object} rule - { type, pattern, replacement }
+ * @param {string[]} models - 需要匹配的模型
+ * @returns {{entries: Array<{from: string, to: string}>, error: string|null}}
+ */
+export const expandModelMappingRule = (rule, models) => {
+  const pattern = rule?.pattern || '';
+  const replacement = rule?.replacement || '';
+  if (!pattern) return { entries: [], error: null };
+
+  let convert;
+  if (rule.type === MODEL_MAPPING_RULE_TYPES.REGEX) {
+    let regex;
+    try {
+      regex = new RegExp(pattern);
+    } catch (error) {
+      return { entries: [], error: '正则表达式无效' };
+    }
+    convert = (model) =>
+      regex.test(model) ? model.replace(regex, replacement) : null;
+  } else {
+    convert = (model) =>
+      model.startsWith(pattern)
+        ? replacement + model.slice(pattern.length)
+        : null;
+  }
+
+  const entries = [];
+  models.forEach((model) => {
+    const to = convert(model);
+    if (to && to !== model) entries.push({ from: model, to });
+  });
+  return { entries, error: null };
+};
+
+/**
+ * 检查重定向与模型列表、上游模型的不一致
+ * @param {Object} mapping - 模型重定向对象
+ * @param {string[]} models - 渠道模型列表
+ * @param {string[]} upstreamModels - 上游模型列表，为空时不检查目标
+ * @returns {{missingSources: string[], unknownTargets: string[]}}
+ */
+export const findModelMappingIssues = (mapping, models, upstreamModels) => {
+  const modelSet = new Set(models);
+  const upstreamSet = new Set(upstreamModels);
+  const missingSources = Object.keys(mapping || {}).filter(
+    (key) => key && !modelSet.has(key),
+  );
+  const unknownTargets =
+    upstreamSet.size === 0
+      ? []
+      : Array.from(
+          new Set(
+            Object.keys(mapping || {})
+              .map((key) => resolveMappedModel(mapping, key))
+              .filter((result) => result.mapped && !result.cycle)
+              .map((result) => result.model)
+              .filter((target) => !upstreamSet.has(target)),
+          ),
+        );
+  return { missingSources, unknownTargets };
+};
@@ -0,0 +1,93 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 多密钥渠道：轮换策略的流量分布模拟，选择逻辑与后端 GetNextEnabledKey 保持一致
+
+const KEY_STATUS_ENABLED = 1;
+
+const pickWeighted = (candidates, random) => {
+  const totalWeight = candidates.reduce((sum, key) => sum + key.weight, 0);
+  let r = random() * totalWeight;
+  for (const key of candidates) {
+    r -= key.weight;
+    if (r < 0) return key;
+  }
+  return candidates[candidates.length - 1];
+};
+
+/**
+ * 模拟在指定轮换策略下发起若干次请求时各密钥分到的请求数
+ * @param {string} mode - 轮换策略：random、polling、least_used、weighted
+ * @param {Array<{index: number, status: number, weight?: number, recent_requests?: number}>} keys - 密钥列表
+ * @param {number} requests - 模拟的请求次数
+ * @param {Function} [random] - 随机数生成函数，默认为 Math.random
+ * @returns {Array<{index: number, count: number}>} 每个密钥分到的请求数，禁用的密钥为 0
+ */
+export const simulateKeyRotation = (
+  mode,
+  keys,
+  requests,
+  random = Math.random,
+) => {
+  const counts = new Map(keys.map((key) => [key.index, 0]));
+  const candidates = keys
+    .filter((key) => key.status === KEY_STATUS_ENABLED)
+    .map((key) => ({
+      index: key.index,
+      weight: key.weight > 0 ? key.weight : 1,
+      // 最少使用策略以最近两个小时的请求数为起点
+      usage: key.recent_requests || 0,
+    }));
+  if (candidates.length > 0) {
+    for (let i = 0; i < requests; i++) {
+      let selected;
+      switch (mode) {
+        case 'polling':
+          selected = candidates[i % candidates.length];
+          break;
+        case 'least_used':
+          selected = candidates.reduce((min, key) =>
+            key.usage < min.usage ? key : min,
+          );
+          selected.usage++;
+          break;
+        case 'weighted':
+          selected = pickWeighted(candidates, random);
+          break;
+        default:
+          selected = candidates[Math.floor(random() * candidates.length)];
+      }
+      counts.set(selected.index, counts.get(selected.index) + 1);
+    }
+  }
+  return keys.map((key) => ({
+    index: key.index,
+    count: counts.get(key.index),
+  }));
+};
+
+/**
+ * 计算密钥的错误率
+ * @param {{request_count?: number, error_count?: number}} key - 密钥统计
+ * @returns {number|null} 0-100 的百分比，没有请求时返回 null
+ */
+export const getKeyErrorRate = (key) => {
+  if (!key.request_count) return null;
+  return Math.min(100, (key.error_count / key.request_count) * 100);
+};
@@ -0,0 +1,103 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 提示词模板：{{variable}} 占位符解析与填充，以及版本间的逐行对比
+
+const VARIABLE_REGEX = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * 提取模板中的变量名（按首次出现顺序去重）
+ * @param {string} text - 模板内容
+ * @returns {string[]} 变量名数组
+ */
+export const extractPromptVariables = (text) => {
+  if (!text) return [];
+  const names = [];
+  for (const match of text.matchAll(VARIABLE_REGEX)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+};
+
+/**
+ * 用变量值替换模板中的占位符，未提供值的占位符保持原样
+ * @param {string} text - 模板内容
+ * @param {Object} values - 变量值
+ * @returns {string} 填充后的内容
+ */
+export const fillPromptVariables = (text, values = {}) => {
+  if (!text) return text;
+  return text.replace(VARIABLE_REGEX, (placeholder, name) =>
+    values[name] !== undefined && values[name] !== ''
+      ? values[name]
+      : placeholder,
+  );
+};
+
+/**
+ * 基于最长公共子序列的逐行对比
+ * @param {string} oldText - 旧版本内容
+ * @param {string} newText - 新版本内容
+ * @returns {Array<{type: 'equal'|'added'|'removed', text: string}>} 对比结果
+ */
+export const diffLines = (oldText = '', newText = '') => {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+  const rows = oldLines.length;
+  const cols = newLines.length;
+
+  // lcs[i][j] 为 oldLines[i..] 与 newLines[j..] 的最长公共子序列长度
+  const lcs = Array.from({ length: rows + 1 }, () =>
+    new Array(cols + 1).fill(0),
+  );
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] =
+        oldLines[i] === newLines[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'equal', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: oldLines[i] });
+      i++;
+    } else {
+      result.push({ type: 'added', text: newLines[j] });
+      j++;
+    }
+  }
+  while (i < rows) {
+    result.push({ type: 'removed', text: oldLines[i++] });
+  }
+  while (j < cols) {
+    result.push({ type: 'added', text: newLines[j++] });
+  }
+  return result;
+};
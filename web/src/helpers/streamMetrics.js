@@ -0,0 +1,104 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+// 流式响应指标：首字延迟、字间延迟分位数与输出速度
+
+// 最近秩法计算分位数，输入需已升序排列
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
+// 解析 SSE 数据块，返回增量文本（内容与思考过程）与用量
+export const parseStreamChunk = (raw) => {
+  if (raw === '[DONE]') {
+    return { done: true, text: '', hasToken: false, usage: null };
+  }
+  try {
+    const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    const delta = data?.choices?.[0]?.delta || {};
+    return {
+      done: false,
+      text:
+        (delta.reasoning_content || delta.reasoning || '') +
+        (delta.content || ''),
+      hasToken: !!(
+        delta.content ||
+        delta.reasoning_content ||
+        delta.reasoning ||
+        delta.tool_calls
+      ),
+      usage: data?.usage || null,
+    };
+  } catch (e) {
+    return { done: false, text: '', hasToken: false, usage: null };
+  }
+};
+
+/**
+ * 根据数据块及其到达时间计算流式指标
+ * @param {Array<string>} chunks - SSE 原始数据
+ * @param {Array<number>} timings - 各数据块相对请求开始的到达时间（毫秒）
+ * @returns {Object|null} 指标，时间数据缺失时返回 null
+ */
+export const computeStreamMetrics = (chunks, timings) => {
+  if (!Array.isArray(chunks) || !Array.isArray(timings)) return null;
+  if (timings.length === 0 || timings.length !== chunks.length) return null;
+
+  const tokenTimes = [];
+  let usage = null;
+  chunks.forEach((raw, index) => {
+    const chunk = parseStreamChunk(raw);
+    if (chunk.hasToken) tokenTimes.push(timings[index]);
+    if (chunk.usage) usage = chunk.usage;
+  });
+
+  const gaps = tokenTimes
+    .slice(1)
+    .map((time, index) => time - tokenTimes[index]);
+  const sortedGaps = [...gaps].sort((a, b) => a - b);
+
+  const firstTokenAt = tokenTimes.length > 0 ? tokenTimes[0] : null;
+  const lastTokenAt =
+    tokenTimes.length > 0 ? tokenTimes[tokenTimes.length - 1] : null;
+  const generationSeconds =
+    firstTokenAt === null ? 0 : (lastTokenAt - firstTokenAt) / 1000;
+
+  // 有用量信息时按补全 token 数计算，否则以数据块数量估算
+  const completionTokens = usage?.completion_tokens ?? null;
+  const tokenCount = completionTokens ?? tokenTimes.length;
+
+  return {
+    chunkCount: chunks.length,
+    tokenChunkCount: tokenTimes.length,
+    timeToFirstToken: firstTokenAt,
+    totalDuration: timings[timings.length - 1],
+    interTokenLatency: {
+      p50: percentile(sortedGaps, 50),
+      p90: percentile(sortedGaps, 90),
+      p99: percentile(sortedGaps, 99),
+      max: sortedGaps.length > 0 ? sortedGaps[sortedGaps.length - 1] : null,
+    },
+    tokensPerSecond:
+      generationSeconds > 0 ? tokenCount / generationSeconds : null,
+    isEstimated: completionTokens === null,
+    gaps,
+  };
+};
@@ -20,24 +20,35 @@ For commercial licensing, please contact support@quantumnous.com
 import { API } from './api';
 
 /**
- * 获取可用的token keys
- * @returns {Promise<string[]>} 返回active状态的token key数组
+ * 获取启用状态的令牌
+ * @param {number} pageSize - 拉取数量
+ * @returns {Promise<Array<{id: number, name: string, key: string}>>} 令牌列表
  */
-export async function fetchTokenKeys() {
+export async function fetchActiveTokens(pageSize = 10) {
   try {
-    const response = await API.get('/api/token/?p=1&size=10');
+    const response = await API.get(`/api/token/?p=1&size=${pageSize}`);
     const { success, data } = response.data;
     if (!success) throw new Error('Failed to fetch token keys');
 
     const tokenItems = Array.isArray(data) ? data : data.items || [];
-    const activeTokens = tokenItems.filter((token) => token.status === 1);
-    return activeTokens.map((token) => token.key);
+    return tokenItems
+      .filter((token) => token.status === 1)
+      .map(({ id, name, key }) => ({ id, name, key }));
   } catch (error) {
     console.error('Error fetching token keys:', error);
     return [];
   }
 }
 
+/**
+ * 获取可用的token keys
+ * @returns {Promise<string[]>} 返回active状态的token key数组
+ */
+export async function fetchTokenKeys() {
+  const tokens = await fetchActiveTokens();
+  return tokens.map((token) => token.key);
+}
+
 /**
  * 获取服务器地址
  * @returns {string} 服务器地址
@@ -0,0 +1,136 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+// 令牌用量分析：将 /api/data/token 返回的小时级用量数据汇总为每日消耗和各模型请求数，
+// 并按统计区间内的日均消耗预测额度耗尽时间
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const formatDay = (timestamp) => {
+  const date = new Date(timestamp * 1000);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * 计算最近若干天的统计区间，起点为本地日期的零点
+ * @param {number} days - 天数
+ * @param {number} now - 当前时间戳（秒）
+ * @returns {{start_timestamp: number, end_timestamp: number}}
+ */
+export const getTokenUsageRange = (
+  days,
+  now = Math.floor(Date.now() / 1000),
+) => {
+  const today = new Date(now * 1000);
+  today.setHours(0, 0, 0, 0);
+  return {
+    start_timestamp:
+      Math.floor(today.getTime() / 1000) - (days - 1) * DAY_SECONDS,
+    end_timestamp: now,
+  };
+};
+
+/**
+ * 按本地日期汇总每日消耗，区间内没有数据的日期补 0
+ * @param {Array} quotaData - 小时级用量数据
+ * @param {{start_timestamp: number, end_timestamp: number}} range - 统计区间
+ * @returns {Array<{day: string, quota: number, count: number}>}
+ */
+export const buildTokenDailySpend = (quotaData, range) => {
+  const days = new Map();
+  for (
+    let time = range.start_timestamp;
+    time <= range.end_timestamp;
+    time += DAY_SECONDS
+  ) {
+    days.set(formatDay(time), { day: formatDay(time), quota: 0, count: 0 });
+  }
+  (quotaData || []).forEach((item) => {
+    const key = formatDay(item.created_at);
+    if (!days.has(key)) {
+      days.set(key, { day: key, quota: 0, count: 0 });
+    }
+    const day = days.get(key);
+    day.quota += item.quota || 0;
+    day.count += item.count || 0;
+  });
+  return Array.from(days.values()).sort((a, b) => a.day.localeCompare(b.day));
+};
+
+/**
+ * 按模型汇总请求数和消耗，按请求数降序
+ * @param {Array} quotaData - 小时级用量数据
+ * @returns {Array<{model: string, count: number, quota: number}>}
+ */
+export const buildTokenModelRequests = (quotaData) => {
+  const models = new Map();
+  (quotaData || []).forEach((item) => {
+    const model = item.model_name || '-';
+    if (!models.has(model)) {
+      models.set(model, { model, count: 0, quota: 0 });
+    }
+    const entry = models.get(model);
+    entry.count += item.count || 0;
+    entry.quota += item.quota || 0;
+  });
+  return Array.from(models.values()).sort((a, b) => b.count - a.count);
+};
+
+/**
+ * 计算错误率，没有请求时返回 null
+ * @param {{requests: number, errors: number}} stat - 请求统计
+ * @returns {number|null}
+ */
+export const getTokenErrorRate = (stat) =>
+  stat?.requests > 0 ? stat.errors / stat.requests : null;
+
+/**
+ * 按日均消耗预测令牌额度耗尽的时间
+ * status 取值：unlimited 无限额度，exhausted 已用尽，idle 区间内没有消耗，
+ * expires_first 过期时间早于预计耗尽时间，projected 预计耗尽
+ * @param {Object} token - 令牌
+ * @param {Array<{quota: number}>} dailySpend - buildTokenDailySpend 的返回值
+ * @param {number} now - 当前时间戳（秒）
+ * @returns {{status: string, dailyBurn: number, exhaustAt: number|null}}
+ */
+export const projectTokenQuotaExhaustion = (
+  token,
+  dailySpend,
+  now = Math.floor(Date.now() / 1000),
+) => {
+  const totalQuota = dailySpend.reduce((sum, day) => sum + day.quota, 0);
+  const dailyBurn = dailySpend.length > 0 ? totalQuota / dailySpend.length : 0;
+  if (token.unlimited_quota) {
+    return { status: 'unlimited', dailyBurn, exhaustAt: null };
+  }
+  if (token.remain_quota <= 0) {
+    return { status: 'exhausted', dailyBurn, exhaustAt: null };
+  }
+  if (dailyBurn <= 0) {
+    return { status: 'idle', dailyBurn, exhaustAt: null };
+  }
+  const exhaustAt = Math.floor(
+    now + (token.remain_quota / dailyBurn) * DAY_SECONDS,
+  );
+  if (token.expired_time !== -1 && token.expired_time < exhaustAt) {
+    return { status: 'expires_first', dailyBurn, exhaustAt };
+  }
+  return { status: 'projected', dailyBurn, exhaustAt };
+};
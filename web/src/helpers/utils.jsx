@@ -458,10 +458,50 @@ export const hasImageContent = (message) => {
 export const formatMessageForAPI = (message) => {
   if (!message) return null;
 
-  return {
+  const formatted = {
     role: message.role,
     content: message.content,
   };
+
+  // 助手发起的工具调用，无文本内容时按规范传 null
+  if (message.toolCalls?.length > 0) {
+    formatted.tool_calls = message.toolCalls;
+    if (!message.content) formatted.content = null;
+  }
+
+  // 工具结果需要关联对应的调用 ID
+  if (message.role === MESSAGE_ROLES.TOOL && message.toolCallId) {
+    formatted.tool_call_id = message.toolCallId;
+  }
+
+  return formatted;
+};
+
+// 合并流式返回的 tool_calls 增量，按 index 拼接函数名与参数片段
+export const mergeToolCallDeltas = (toolCalls = [], deltas = []) => {
+  const merged = [...toolCalls];
+
+  deltas.forEach((delta) => {
+    const index = delta.index ?? merged.length;
+    const current = merged[index] || {
+      id: '',
+      type: 'function',
+      function: { name: '', arguments: '' },
+    };
+
+    merged[index] = {
+      ...current,
+      id: delta.id || current.id,
+      type: delta.type || current.type,
+      function: {
+        name: current.function.name + (delta.function?.name || ''),
+        arguments:
+          current.function.arguments + (delta.function?.arguments || ''),
+      },
+    };
+  });
+
+  return merged;
 };
 
 // 验证消息是否有效
@@ -27,6 +27,11 @@ import {
   loadChannelModels,
   copy,
   toBoolean,
+  normalizeChannelQuery,
+  isChannelQueryEmpty,
+  parseChannelQueryParam,
+  loadSavedChannelViews,
+  persistSavedChannelViews,
 } from '../../helpers';
 import {
   CHANNEL_OPTIONS,
@@ -60,7 +65,12 @@ export const useChannelsData = () => {
   const [selectedChannels, setSelectedChannels] = useState([]);
   const [enableTagMode, setEnableTagMode] = useState(false);
   const [showBatchSetTag, setShowBatchSetTag] = useState(false);
+  const [showBatchEdit, setShowBatchEdit] = useState(false);
   const [batchSetTagValue, setBatchSetTagValue] = useState('');
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showTestPolicyModal, setShowTestPolicyModal] = useState(false);
+  const [showRoutingModal, setShowRoutingModal] = useState(false);
   const [compactMode, setCompactMode] = useTableCompactMode('channels');
 
   // Column visibility states
@@ -76,6 +86,22 @@ export const useChannelsData = () => {
   const [activeTypeKey, setActiveTypeKey] = useState('all');
   const [typeCounts, setTypeCounts] = useState({});
 
+  // Advanced query and saved views states
+  const urlParams = new URLSearchParams(window.location.search);
+  const [advancedQuery, setAdvancedQuery] = useState(
+    () => parseChannelQueryParam(urlParams.get('query')) || {},
+  );
+  const [activeView, setActiveView] = useState(() =>
+    parseChannelQueryParam(urlParams.get('query')) && urlParams.get('view')
+      ? { id: '', name: urlParams.get('view') }
+      : null,
+  );
+  const [savedViews, setSavedViews] = useState(loadSavedChannelViews);
+  const [viewCounts, setViewCounts] = useState({});
+  const [showQueryBuilder, setShowQueryBuilder] = useState(false);
+  // 查询条件变化后需要立即用于请求，使用 ref 避免读取到旧的闭包值
+  const advancedQueryRef = useRef(advancedQuery);
+
   // Model test states
   const [showModelTestModal, setShowModelTestModal] = useState(false);
   const [currentTestChannel, setCurrentTestChannel] = useState(null);
@@ -114,6 +140,14 @@ export const useChannelsData = () => {
   const [showMultiKeyManageModal, setShowMultiKeyManageModal] = useState(false);
   const [currentMultiKeyChannel, setCurrentMultiKeyChannel] = useState(null);
 
+  // Channel health history states
+  const [showHealthModal, setShowHealthModal] = useState(false);
+  const [currentHealthChannel, setCurrentHealthChannel] = useState(null);
+
+  // Channel version history states
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
+  const [currentVersionChannel, setCurrentVersionChannel] = useState(null);
+
   // Refs
   const requestCounter = useRef(0);
   const allSelectingRef = useRef(false);
@@ -306,9 +340,21 @@ export const useChannelsData = () => {
       searchKeyword: formValues.searchKeyword || '',
       searchGroup: formValues.searchGroup || '',
       searchModel: formValues.searchModel || '',
+      advancedQuery: advancedQueryRef.current,
     };
   };
 
+  const hasSearchConditions = ({
+    searchKeyword,
+    searchGroup,
+    searchModel,
+    advancedQuery,
+  }) =>
+    searchKeyword !== '' ||
+    searchGroup !== '' ||
+    searchModel !== '' ||
+    !isChannelQueryEmpty(advancedQuery);
+
   // Load channels
   const loadChannels = async (
     page,
@@ -320,8 +366,7 @@ export const useChannelsData = () => {
   ) => {
     if (statusF === undefined) statusF = statusFilter;
 
-    const { searchKeyword, searchGroup, searchModel } = getFormValues();
-    if (searchKeyword !== '' || searchGroup !== '' || searchModel !== '') {
+    if (hasSearchConditions(getFormValues())) {
       setLoading(true);
       await searchChannels(
         enableTagMode,
@@ -374,10 +419,12 @@ export const useChannelsData = () => {
     pageSz = pageSize,
     sortFlag = idSort,
   ) => {
-    const { searchKeyword, searchGroup, searchModel } = getFormValues();
+    const formValues = getFormValues();
+    const { searchKeyword, searchGroup, searchModel, advancedQuery } =
+      formValues;
     setSearching(true);
     try {
-      if (searchKeyword === '' && searchGroup === '' && searchModel === '') {
+      if (!hasSearchConditions(formValues)) {
         await loadChannels(
           page,
           pageSz,
@@ -391,8 +438,11 @@ export const useChannelsData = () => {
 
       const typeParam = typeKey !== 'all' ? `&type=${typeKey}` : '';
       const statusParam = statusF !== 'all' ? `&status=${statusF}` : '';
+      const queryParam = isChannelQueryEmpty(advancedQuery)
+        ? ''
+        : `&query=${encodeURIComponent(JSON.stringify(advancedQuery))}`;
       const res = await API.get(
-        `/api/channel/search?keyword=${searchKeyword}&group=${searchGroup}&model=${searchModel}&id_sort=${sortFlag}&tag_mode=${enableTagMode}&p=${page}&page_size=${pageSz}${typeParam}${statusParam}`,
+        `/api/channel/search?keyword=${searchKeyword}&group=${searchGroup}&model=${searchModel}&id_sort=${sortFlag}&tag_mode=${enableTagMode}&p=${page}&page_size=${pageSz}${typeParam}${statusParam}${queryParam}`,
       );
       const { success, message, data } = res.data;
       if (success) {
@@ -415,8 +465,8 @@ export const useChannelsData = () => {
 
   // Refresh
   const refresh = async (page = activePage) => {
-    const { searchKeyword, searchGroup, searchModel } = getFormValues();
-    if (searchKeyword === '' && searchGroup === '' && searchModel === '') {
+    loadViewCounts();
+    if (!hasSearchConditions(getFormValues())) {
       await loadChannels(page, pageSize, idSort, enableTagMode);
     } else {
       await searchChannels(
@@ -430,6 +480,70 @@ export const useChannelsData = () => {
     }
   };
 
+  // 应用高级查询条件，view 为对应的已保存视图
+  const applyChannelQuery = async (query, view = null) => {
+    const normalized = normalizeChannelQuery(query);
+    advancedQueryRef.current = normalized;
+    setAdvancedQuery(normalized);
+    setActiveView(isChannelQueryEmpty(normalized) ? null : view);
+    setActivePage(1);
+    await searchChannels(enableTagMode, activeTypeKey, statusFilter, 1);
+  };
+
+  // 仅清空高级查询条件，不重新加载
+  const resetChannelQuery = () => {
+    advancedQueryRef.current = {};
+    setAdvancedQuery({});
+    setActiveView(null);
+  };
+
+  const updateSavedViews = (views) => {
+    setSavedViews(views);
+    persistSavedChannelViews(views);
+  };
+
+  const saveChannelView = (name, query) => {
+    const view = {
+      id: Date.now().toString(36),
+      name,
+      query: normalizeChannelQuery(query),
+    };
+    updateSavedViews([...savedViews, view]);
+    showSuccess(t('视图已保存'));
+    return view;
+  };
+
+  const deleteChannelView = (id) => {
+    updateSavedViews(savedViews.filter((view) => view.id !== id));
+    if (activeView?.id === id) {
+      setActiveView(null);
+    }
+  };
+
+  // 统计每个已保存视图命中的渠道数量
+  const loadViewCounts = async (views = savedViews) => {
+    if (views.length === 0) {
+      setViewCounts({});
+      return;
+    }
+    try {
+      const queries = Object.fromEntries(
+        views.map((view) => [view.id, view.query]),
+      );
+      const res = await API.post('/api/channel/query/counts', { queries });
+      const { success, data } = res.data;
+      if (success) {
+        setViewCounts(data || {});
+      }
+    } catch (error) {
+      setViewCounts({});
+    }
+  };
+
+  useEffect(() => {
+    loadViewCounts(savedViews).then();
+  }, [savedViews]);
+
   // Channel management
   const manageChannel = async (id, action, record, value) => {
     let data = { id };
@@ -1123,9 +1237,19 @@ export const useChannelsData = () => {
     selectedChannels,
     setSelectedChannels,
     showBatchSetTag,
+    showBatchEdit,
+    setShowBatchEdit,
     setShowBatchSetTag,
     batchSetTagValue,
     setBatchSetTagValue,
+    showImportModal,
+    setShowImportModal,
+    showExportModal,
+    setShowExportModal,
+    showTestPolicyModal,
+    setShowTestPolicyModal,
+    showRoutingModal,
+    setShowRoutingModal,
 
     // Column states
     visibleColumns,
@@ -1164,6 +1288,30 @@ export const useChannelsData = () => {
     currentMultiKeyChannel,
     setCurrentMultiKeyChannel,
 
+    // Channel health history states
+    showHealthModal,
+    setShowHealthModal,
+    currentHealthChannel,
+    setCurrentHealthChannel,
+
+    // Advanced query and saved views
+    advancedQuery,
+    activeView,
+    savedViews,
+    viewCounts,
+    showQueryBuilder,
+    setShowQueryBuilder,
+    applyChannelQuery,
+    resetChannelQuery,
+    saveChannelView,
+    deleteChannelView,
+
+    // Channel version history states
+    showVersionHistory,
+    setShowVersionHistory,
+    currentVersionChannel,
+    setCurrentVersionChannel,
+
     // Form
     formApi,
     setFormApi,
@@ -30,6 +30,7 @@ import {
   handleApiError,
   processThinkTags,
   processIncompleteThinkTags,
+  mergeToolCallDeltas,
 } from '../../helpers';
 
 export const useApiRequest = (
@@ -123,6 +124,12 @@ export const useApiRequest = (
               status: MESSAGE_STATUS.INCOMPLETE,
               ...autoCollapseState,
             };
+          } else if (type === 'tool_calls') {
+            newMessage = {
+              ...newMessage,
+              toolCalls: mergeToolCallDeltas(lastMessage.toolCalls, textChunk),
+              status: MESSAGE_STATUS.INCOMPLETE,
+            };
           }
 
           return [...prevMessage.slice(0, -1), newMessage];
@@ -180,6 +187,7 @@ export const useApiRequest = (
         timestamp: new Date().toISOString(),
         response: null,
         sseMessages: null, // 非流式请求清除 SSE 消息
+        sseTimings: null,
         isStreaming: false,
       }));
       setActiveDebugTab(DEBUG_TABS.REQUEST);
@@ -248,6 +256,9 @@ export const useApiRequest = (
                 ...lastMessage,
                 content: processed.content,
                 reasoningContent: processed.reasoningContent,
+                ...(choice.message?.tool_calls?.length > 0 && {
+                  toolCalls: choice.message.tool_calls,
+                }),
                 status: MESSAGE_STATUS.COMPLETE,
                 ...autoCollapseState,
               };
@@ -294,6 +305,7 @@ export const useApiRequest = (
         timestamp: new Date().toISOString(),
         response: null,
         sseMessages: [], // 新增：存储 SSE 消息数组
+        sseTimings: [], // 各消息相对请求开始的到达时间（毫秒），与 sseMessages 一一对应
         isStreaming: true, // 新增：标记流式状态
       }));
       setActiveDebugTab(DEBUG_TABS.REQUEST);
@@ -309,11 +321,13 @@ export const useApiRequest = (
 
       sseSourceRef.current = source;
 
+      const startedAt = performance.now();
       let responseData = '';
       let hasReceivedFirstResponse = false;
       let isStreamComplete = false; // 添加标志位跟踪流是否正常完成
 
       source.addEventListener('message', (e) => {
+        const receivedAt = performance.now() - startedAt;
         if (e.data === '[DONE]') {
           isStreamComplete = true; // 标记流正常完成
           source.close();
@@ -322,6 +336,7 @@ export const useApiRequest = (
             ...prev, 
             response: responseData,
             sseMessages: [...(prev.sseMessages || []), '[DONE]'], // 添加 DONE 标记
+            sseTimings: [...(prev.sseTimings || []), receivedAt],
             isStreaming: false,
           }));
           completeMessage();
@@ -341,6 +356,7 @@ export const useApiRequest = (
           setDebugData((prev) => ({
             ...prev,
             sseMessages: [...(prev.sseMessages || []), e.data],
+            sseTimings: [...(prev.sseTimings || []), receivedAt],
           }));
 
           const delta = payload.choices?.[0]?.delta;
@@ -354,6 +370,9 @@ export const useApiRequest = (
             if (delta.content) {
               streamMessageUpdate(delta.content, 'content');
             }
+            if (delta.tool_calls) {
+              streamMessageUpdate(delta.tool_calls, 'tool_calls');
+            }
           }
         } catch (error) {
           console.error('Failed to parse SSE message:', error);
@@ -363,6 +382,7 @@ export const useApiRequest = (
             ...prev,
             response: responseData + `\n\nError: ${errorInfo}`,
             sseMessages: [...(prev.sseMessages || []), e.data], // 即使解析失败也保存原始数据
+            sseTimings: [...(prev.sseTimings || []), receivedAt],
             isStreaming: false,
           }));
           setActiveDebugTab(DEBUG_TABS.RESPONSE);
@@ -450,6 +470,130 @@ export const useApiRequest = (
     ],
   );
 
+  // 独立请求：不写入主对话，通过回调返回增量内容，供对比模式等场景使用。
+  // onDelta 的类型为 reasoning、content 或 tool_calls，tool_calls 增量需调用方自行合并
+  const streamCompletion = useCallback(
+    (payload, handlers = {}) => {
+      const { onDelta, onUsage, onDone, onError } = handlers;
+      let finished = false;
+
+      const finish = (callback, ...args) => {
+        if (finished) return;
+        finished = true;
+        callback?.(...args);
+      };
+
+      const handleChoice = (data) => {
+        const choice = data.choices?.[0];
+        const delta = choice?.delta || choice?.message;
+        if (delta) {
+          const reasoning = delta.reasoning_content || delta.reasoning;
+          if (reasoning) onDelta?.(reasoning, 'reasoning');
+          if (delta.content) onDelta?.(delta.content, 'content');
+          if (delta.tool_calls?.length > 0) {
+            onDelta?.(delta.tool_calls, 'tool_calls');
+          }
+        }
+        if (data.usage) onUsage?.(data.usage);
+      };
+
+      if (!payload.stream) {
+        const controller = new AbortController();
+        fetch(API_ENDPOINTS.CHAT_COMPLETIONS, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'New-Api-User': getUserIdFromLocalStorage(),
+          },
+          body: JSON.stringify(payload),
+          signal: controller.signal,
+        })
+          .then(async (response) => {
+            if (!response.ok) {
+              const errorBody = await response.text().catch(() => '');
+              throw new Error(
+                `HTTP error! status: ${response.status}, body: ${errorBody}`,
+              );
+            }
+            return response.json();
+          })
+          .then((data) => {
+            if (finished) return;
+            handleChoice(data);
+            finish(onDone);
+          })
+          .catch((error) => {
+            if (error.name === 'AbortError') return;
+            finish(onError, error.message);
+          });
+
+        return {
+          close: () => {
+            finished = true;
+            controller.abort();
+          },
+        };
+      }
+
+      const source = new SSE(API_ENDPOINTS.CHAT_COMPLETIONS, {
+        headers: {
+          'Content-Type': 'application/json',
+          'New-Api-User': getUserIdFromLocalStorage(),
+        },
+        method: 'POST',
+        payload: JSON.stringify(payload),
+      });
+
+      source.addEventListener('message', (e) => {
+        if (finished) return;
+        if (e.data === '[DONE]') {
+          source.close();
+          finish(onDone);
+          return;
+        }
+
+        try {
+          handleChoice(JSON.parse(e.data));
+        } catch (error) {
+          source.close();
+          finish(onError, `${t('解析响应数据时发生错误')}: ${error.message}`);
+        }
+      });
+
+      source.addEventListener('error', (e) => {
+        if (!finished && source.readyState !== 2) {
+          source.close();
+          finish(onError, e.data || t('请求发生错误'));
+        }
+      });
+
+      source.addEventListener('readystatechange', (e) => {
+        if (
+          e.readyState >= 2 &&
+          source.status !== undefined &&
+          source.status !== 200
+        ) {
+          source.close();
+          finish(onError, `${t('连接已断开')} (HTTP ${source.status})`);
+        }
+      });
+
+      try {
+        source.stream();
+      } catch (error) {
+        finish(onError, t('建立连接时发生错误'));
+      }
+
+      return {
+        close: () => {
+          finished = true;
+          source.close();
+        },
+      };
+    },
+    [t],
+  );
+
   // 停止生成
   const onStopGenerator = useCallback(() => {
     // 如果仍有活动的 SSE 连接，首先关闭
@@ -497,13 +641,28 @@ export const useApiRequest = (
   // 发送请求
   const sendRequest = useCallback(
     (payload, isStream) => {
+      // 记录本次请求要求的输出格式，回答完成后据此校验结构化输出
+      const responseFormat = payload.response_format;
+      if (responseFormat && responseFormat.type !== 'text') {
+        setMessage((prevMessage) => {
+          const lastMessage = prevMessage[prevMessage.length - 1];
+          if (lastMessage?.status !== MESSAGE_STATUS.LOADING) {
+            return prevMessage;
+          }
+          return [
+            ...prevMessage.slice(0, -1),
+            { ...lastMessage, responseFormat },
+          ];
+        });
+      }
+
       if (isStream) {
         handleSSE(payload);
       } else {
         handleNonStreamRequest(payload);
       }
     },
-    [handleSSE, handleNonStreamRequest],
+    [setMessage, handleSSE, handleNonStreamRequest],
   );
 
   return {
@@ -511,5 +670,6 @@ export const useApiRequest = (
     onStopGenerator,
     streamMessageUpdate,
     completeMessage,
+    streamCompletion,
   };
 };
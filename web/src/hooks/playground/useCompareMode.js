@@ -0,0 +1,277 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Toast } from '@douyinfe/semi-ui';
+import { useTranslation } from 'react-i18next';
+import {
+  MESSAGE_ROLES,
+  MESSAGE_STATUS,
+} from '../../constants/playground.constants';
+import {
+  buildApiPayload,
+  buildMessageContent,
+  createMessage,
+  mergeToolCallDeltas,
+  processThinkTags,
+} from '../../helpers';
+
+const isPending = (result) =>
+  result.status === MESSAGE_STATUS.LOADING ||
+  result.status === MESSAGE_STATUS.INCOMPLETE;
+
+// 只有已完成且有回答内容或工具调用的结果可以加入主对话
+export const canPromoteResult = (result) =>
+  result?.status === MESSAGE_STATUS.COMPLETE &&
+  (result.content.trim() !== '' || result.toolCalls.length > 0);
+
+export const useCompareMode = (
+  message,
+  setMessage,
+  inputs,
+  parameterEnabled,
+  systemPrompt,
+  compareTargets,
+  streamCompletion,
+  saveMessages,
+) => {
+  const { t } = useTranslation();
+  const [compareRun, setCompareRun] = useState(null);
+  const handlesRef = useRef(new Map());
+  const runIdRef = useRef(0);
+
+  // 只更新当前轮次的结果，忽略已被取消的旧请求回调
+  const updateResult = useCallback((runId, targetId, updater) => {
+    setCompareRun((prev) => {
+      if (!prev || prev.id !== runId || !prev.results[targetId]) return prev;
+      return {
+        ...prev,
+        results: {
+          ...prev.results,
+          [targetId]: updater(prev.results[targetId]),
+        },
+      };
+    });
+  }, []);
+
+  const closeAllHandles = useCallback(() => {
+    handlesRef.current.forEach((handle) => handle.close());
+    handlesRef.current.clear();
+  }, []);
+
+  // 将同一条用户消息并行发送到所有对比目标
+  const runCompare = useCallback(
+    (content) => {
+      closeAllHandles();
+
+      const validImageUrls = (inputs.imageUrls || []).filter(
+        (url) => url.trim() !== '',
+      );
+      const userMessage = createMessage(
+        MESSAGE_ROLES.USER,
+        buildMessageContent(content, validImageUrls, inputs.imageEnabled),
+      );
+      const history = [...message, userMessage];
+      const runId = ++runIdRef.current;
+      const startedAt = performance.now();
+
+      const results = {};
+      compareTargets.forEach((target) => {
+        results[target.id] = {
+          targetId: target.id,
+          model: target.model,
+          group: target.group,
+          content: '',
+          reasoningContent: '',
+          toolCalls: [],
+          isReasoningExpanded: true,
+          status: MESSAGE_STATUS.LOADING,
+          startedAt,
+          firstTokenAt: null,
+          completedAt: null,
+          usage: null,
+          error: null,
+        };
+      });
+      setCompareRun({ id: runId, userMessage, results });
+
+      compareTargets.forEach((target) => {
+        const payload = buildApiPayload(
+          history,
+          systemPrompt,
+          { ...inputs, model: target.model, group: target.group },
+          parameterEnabled,
+        );
+        if (payload.stream) {
+          payload.stream_options = { include_usage: true };
+        }
+
+        const handle = streamCompletion(payload, {
+          onDelta: (delta, type) => {
+            updateResult(runId, target.id, (result) => {
+              const updated = {
+                ...result,
+                status: MESSAGE_STATUS.INCOMPLETE,
+                firstTokenAt: result.firstTokenAt ?? performance.now(),
+              };
+              if (type === 'tool_calls') {
+                updated.toolCalls = mergeToolCallDeltas(
+                  result.toolCalls,
+                  delta,
+                );
+              } else {
+                const field =
+                  type === 'reasoning' ? 'reasoningContent' : 'content';
+                updated[field] = result[field] + delta;
+              }
+              return updated;
+            });
+          },
+          onUsage: (usage) => {
+            updateResult(runId, target.id, (result) => ({
+              ...result,
+              usage,
+            }));
+          },
+          onDone: () => {
+            handlesRef.current.delete(target.id);
+            updateResult(runId, target.id, (result) => {
+              const processed = processThinkTags(
+                result.content,
+                result.reasoningContent,
+              );
+              return {
+                ...result,
+                content: processed.content,
+                reasoningContent: processed.reasoningContent,
+                isReasoningExpanded: false,
+                status: MESSAGE_STATUS.COMPLETE,
+                completedAt: performance.now(),
+              };
+            });
+          },
+          onError: (error) => {
+            handlesRef.current.delete(target.id);
+            updateResult(runId, target.id, (result) => ({
+              ...result,
+              error,
+              status: MESSAGE_STATUS.ERROR,
+              completedAt: performance.now(),
+            }));
+          },
+        });
+        handlesRef.current.set(target.id, handle);
+      });
+    },
+    [
+      message,
+      inputs,
+      parameterEnabled,
+      systemPrompt,
+      compareTargets,
+      streamCompletion,
+      closeAllHandles,
+      updateResult,
+    ],
+  );
+
+  // 停止所有仍在生成的列，保留已收到的内容
+  const stopCompare = useCallback(() => {
+    closeAllHandles();
+    setCompareRun((prev) => {
+      if (!prev) return prev;
+      const now = performance.now();
+      const results = {};
+      Object.entries(prev.results).forEach(([targetId, result]) => {
+        results[targetId] = isPending(result)
+          ? { ...result, status: MESSAGE_STATUS.COMPLETE, completedAt: now }
+          : result;
+      });
+      return { ...prev, results };
+    });
+  }, [closeAllHandles]);
+
+  // 将某一列的回答连同用户消息写入主对话
+  const promoteResult = useCallback(
+    (targetId) => {
+      const result = compareRun?.results[targetId];
+      if (!canPromoteResult(result)) return;
+
+      const assistantMessage = createMessage(
+        MESSAGE_ROLES.ASSISTANT,
+        result.content,
+        {
+          reasoningContent: result.reasoningContent,
+          isReasoningExpanded: false,
+          isThinkingComplete: true,
+          hasAutoCollapsed: true,
+          status: MESSAGE_STATUS.COMPLETE,
+          ...(result.toolCalls.length > 0 && { toolCalls: result.toolCalls }),
+        },
+      );
+
+      setMessage((prevMessages) => {
+        const updatedMessages = [
+          ...prevMessages,
+          compareRun.userMessage,
+          assistantMessage,
+        ];
+        setTimeout(() => saveMessages(updatedMessages), 0);
+        return updatedMessages;
+      });
+      setCompareRun(null);
+      Toast.success(
+        t('已将 {{model}} 的回答加入主对话', { model: result.model }),
+      );
+    },
+    [compareRun, setMessage, saveMessages, t],
+  );
+
+  const toggleResultReasoning = useCallback(
+    (targetId) => {
+      if (!compareRun) return;
+      updateResult(compareRun.id, targetId, (result) => ({
+        ...result,
+        isReasoningExpanded: !result.isReasoningExpanded,
+      }));
+    },
+    [compareRun, updateResult],
+  );
+
+  const clearCompare = useCallback(() => {
+    closeAllHandles();
+    setCompareRun(null);
+  }, [closeAllHandles]);
+
+  // 卸载时关闭所有连接
+  useEffect(() => closeAllHandles, [closeAllHandles]);
+
+  const isComparing =
+    !!compareRun && Object.values(compareRun.results).some(isPending);
+
+  return {
+    compareRun,
+    isComparing,
+    runCompare,
+    stopCompare,
+    promoteResult,
+    toggleResultReasoning,
+    clearCompare,
+  };
+};
@@ -0,0 +1,183 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Toast } from '@douyinfe/semi-ui';
+import { useTranslation } from 'react-i18next';
+import { DEBUG_TABS } from '../../constants/playground.constants';
+import { getUserIdFromLocalStorage, handleApiError } from '../../helpers';
+
+// 将 FormData 转为可展示的对象，文件只记录名称、类型与大小
+const describeFormData = (formData) => {
+  const described = {};
+  formData.forEach((value, key) => {
+    described[key] =
+      value instanceof Blob
+        ? {
+            file: value.name || 'blob',
+            type: value.type,
+            size: value.size,
+          }
+        : value;
+  });
+  return described;
+};
+
+// 从错误响应体中提取可读的错误信息
+const extractErrorMessage = (errorBody) => {
+  try {
+    const parsed = JSON.parse(errorBody);
+    return parsed?.error?.message || parsed?.message || errorBody;
+  } catch (e) {
+    return errorBody;
+  }
+};
+
+export const useEndpointRequest = (setDebugData, setActiveDebugTab) => {
+  const { t } = useTranslation();
+  const [loading, setLoading] = useState(false);
+  const controllerRef = useRef(null);
+
+  const setDebugResponse = useCallback(
+    (response) => {
+      setDebugData((prev) => ({
+        ...prev,
+        response: JSON.stringify(response, null, 2),
+      }));
+      setActiveDebugTab(DEBUG_TABS.RESPONSE);
+    },
+    [setDebugData, setActiveDebugTab],
+  );
+
+  /**
+   * 发送非对话接口请求
+   * @param {string} endpoint - 请求路径
+   * @param {Object|FormData} body - JSON 请求体或 multipart 表单
+   * @param {Object} options - responseType 为 'blob' 时按二进制读取响应（如语音合成）
+   * @returns {Promise<Object|null>} { data } 或 { blob }，失败或被取消时返回 null
+   */
+  const sendEndpointRequest = useCallback(
+    async (endpoint, body, options = {}) => {
+      const { responseType = 'json' } = options;
+      const isFormData = body instanceof FormData;
+
+      controllerRef.current?.abort();
+      const controller = new AbortController();
+      controllerRef.current = controller;
+
+      setDebugData((prev) => ({
+        ...prev,
+        request: isFormData ? describeFormData(body) : body,
+        timestamp: new Date().toISOString(),
+        response: null,
+        sseMessages: null,
+        sseTimings: null,
+        isStreaming: false,
+      }));
+      setActiveDebugTab(DEBUG_TABS.REQUEST);
+      setLoading(true);
+
+      try {
+        const headers = { 'New-Api-User': getUserIdFromLocalStorage() };
+        // multipart 请求由浏览器自动生成带 boundary 的 Content-Type
+        if (!isFormData) {
+          headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers,
+          body: isFormData ? body : JSON.stringify(body),
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          let errorBody = '';
+          try {
+            errorBody = await response.text();
+          } catch (e) {
+            errorBody = '无法读取错误响应体';
+          }
+          setDebugResponse(
+            handleApiError(
+              new Error(
+                `HTTP error! status: ${response.status}, body: ${errorBody}`,
+              ),
+              response,
+            ),
+          );
+          Toast.error(
+            `${t('请求失败')}: ${extractErrorMessage(errorBody) || response.status}`,
+          );
+          return null;
+        }
+
+        if (responseType === 'blob') {
+          const blob = await response.blob();
+          setDebugResponse({
+            status: response.status,
+            content_type: blob.type || response.headers.get('Content-Type'),
+            size: blob.size,
+          });
+          return { blob };
+        }
+
+        // 部分接口（如纯文本格式的转写结果）不返回 JSON
+        const text = await response.text();
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (e) {
+          data = { text };
+        }
+        setDebugResponse(data);
+        return { data };
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          return null;
+        }
+        console.error('接口请求失败:', error);
+        setDebugResponse(handleApiError(error));
+        Toast.error(t('请求发生错误'));
+        return null;
+      } finally {
+        if (controllerRef.current === controller) {
+          controllerRef.current = null;
+          setLoading(false);
+        }
+      }
+    },
+    [setDebugData, setActiveDebugTab, setDebugResponse, t],
+  );
+
+  const cancelEndpointRequest = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setLoading(false);
+  }, []);
+
+  // 卸载时取消未完成的请求
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return {
+    endpointLoading: loading,
+    sendEndpointRequest,
+    cancelEndpointRequest,
+  };
+};
@@ -0,0 +1,206 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { MESSAGE_ROLES } from '../../constants/playground.constants';
+import {
+  buildApiPayload,
+  createMessage,
+  fillPromptVariables,
+  processThinkTags,
+  scoreEvalOutput,
+  showInfo,
+  showSuccess,
+} from '../../helpers';
+
+export const EVAL_ROW_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  ERROR: 'error',
+  STOPPED: 'stopped',
+};
+
+const createPendingResult = (row) => ({
+  ...row,
+  status: EVAL_ROW_STATUS.PENDING,
+  output: '',
+  passed: null,
+  reason: '',
+  latency: null,
+  usage: null,
+  error: '',
+});
+
+export const useEvalRunner = (
+  inputs,
+  parameterEnabled,
+  systemPrompt,
+  promptVariableValues,
+  streamCompletion,
+) => {
+  const { t } = useTranslation();
+  const [evalResults, setEvalResults] = useState([]);
+  const [isEvalRunning, setIsEvalRunning] = useState(false);
+  const shouldStopEvalRef = useRef(false);
+  const handlesRef = useRef(new Map());
+
+  const updateResult = useCallback((index, changes) => {
+    setEvalResults((prev) =>
+      prev.map((result) =>
+        result.index === index ? { ...result, ...changes } : result,
+      ),
+    );
+  }, []);
+
+  // 评测请求统一使用非流式，便于获取完整输出与用量
+  const buildEvalPayload = useCallback(
+    (row) =>
+      buildApiPayload(
+        [createMessage(MESSAGE_ROLES.USER, row.input)],
+        // 数据集中的额外字段可覆盖提示词变量
+        fillPromptVariables(systemPrompt, {
+          ...promptVariableValues,
+          ...row.variables,
+        }),
+        { ...inputs, stream: false },
+        parameterEnabled,
+      ),
+    [inputs, parameterEnabled, systemPrompt, promptVariableValues],
+  );
+
+  // 单行评测：发送请求并在结束后按评分方式打分
+  const runRow = useCallback(
+    (row, scoring) =>
+      new Promise((resolve) => {
+        const payload = buildEvalPayload(row);
+        let content = '';
+        let usage = null;
+        const startedAt = performance.now();
+        updateResult(row.index, { status: EVAL_ROW_STATUS.RUNNING });
+
+        const finish = (changes) => {
+          handlesRef.current.delete(row.index);
+          updateResult(row.index, {
+            ...changes,
+            latency: performance.now() - startedAt,
+            usage,
+          });
+          resolve();
+        };
+
+        const handle = streamCompletion(payload, {
+          onDelta: (text, type) => {
+            if (type === 'content') content += text;
+          },
+          onUsage: (value) => {
+            usage = value;
+          },
+          onDone: () => {
+            const output = processThinkTags(content, '').content;
+            const score = scoreEvalOutput(output, row.expected, scoring);
+            finish({
+              status: EVAL_ROW_STATUS.DONE,
+              output,
+              passed: score.passed,
+              reason: score.reason ? t(score.reason, score.params) : '',
+            });
+          },
+          onError: (error) => {
+            finish({
+              status: EVAL_ROW_STATUS.ERROR,
+              passed: false,
+              error,
+            });
+          },
+        });
+        // 停止时关闭连接，并结束等待中的 Promise
+        handlesRef.current.set(row.index, {
+          close: () => {
+            handle.close();
+            handlesRef.current.delete(row.index);
+            updateResult(row.index, { status: EVAL_ROW_STATUS.STOPPED });
+            resolve();
+          },
+        });
+      }),
+    [buildEvalPayload, streamCompletion, updateResult, t],
+  );
+
+  /**
+   * 按并发上限分批运行评测，参考渠道批量测试的实现
+   * @param {Array} rows - 数据集行
+   * @param {Object} scoring - 评分方式
+   * @param {number} concurrencyLimit - 每批并发数
+   */
+  const runEval = useCallback(
+    async (rows, scoring, concurrencyLimit) => {
+      shouldStopEvalRef.current = false;
+      setIsEvalRunning(true);
+      setEvalResults(rows.map(createPendingResult));
+
+      try {
+        for (let i = 0; i < rows.length; i += concurrencyLimit) {
+          if (shouldStopEvalRef.current) break;
+
+          const batch = rows.slice(i, i + concurrencyLimit);
+          await Promise.allSettled(batch.map((row) => runRow(row, scoring)));
+        }
+
+        if (!shouldStopEvalRef.current) {
+          showSuccess(t('批量评测完成'));
+        }
+      } finally {
+        setIsEvalRunning(false);
+      }
+    },
+    [runRow, t],
+  );
+
+  // 停止评测：关闭进行中的请求，未开始的行保持待运行
+  const stopEval = useCallback(() => {
+    shouldStopEvalRef.current = true;
+    handlesRef.current.forEach((handle) => handle.close());
+    handlesRef.current.clear();
+    showInfo(t('已停止批量评测'));
+  }, [t]);
+
+  const clearEval = useCallback(() => {
+    setEvalResults([]);
+  }, []);
+
+  // 卸载时关闭所有连接
+  useEffect(() => {
+    const handles = handlesRef.current;
+    return () => {
+      shouldStopEvalRef.current = true;
+      handles.forEach((handle) => handle.close());
+    };
+  }, []);
+
+  return {
+    evalResults,
+    isEvalRunning,
+    buildEvalPayload,
+    runEval,
+    stopEval,
+    clearEval,
+  };
+};
@@ -20,14 +20,28 @@ For commercial licensing, please contact support@quantumnous.com
 import { useCallback } from 'react';
 import { Toast, Modal } from '@douyinfe/semi-ui';
 import { useTranslation } from 'react-i18next';
-import { getTextContent } from '../../helpers';
-import { ERROR_MESSAGES } from '../../constants/playground.constants';
+import {
+  applyBranchPath,
+  buildApiPayload,
+  createLoadingAssistantMessage,
+  createMessage,
+  forkMessages,
+  getTextContent,
+  switchBranch,
+} from '../../helpers';
+import {
+  ERROR_MESSAGES,
+  MESSAGE_ROLES,
+} from '../../constants/playground.constants';
 
 export const useMessageActions = (
   message,
   setMessage,
-  onMessageSend,
+  inputs,
+  parameterEnabled,
+  sendRequest,
   saveMessages,
+  systemPrompt,
 ) => {
   const { t } = useTranslation();
 
@@ -115,7 +129,7 @@ export const useMessageActions = (
     [t],
   );
 
-  // 重新生成消息
+  // 重新生成消息：原回复及其后续对话保留为同级分支
   const handleMessageReset = useCallback(
     (targetMessage) => {
       setMessage((prevMessages) => {
@@ -133,44 +147,89 @@ export const useMessageActions = (
 
         if (messageIndex === -1) return prevMessages;
 
-        if (targetMessage.role === 'user') {
-          const newMessages = prevMessages.slice(0, messageIndex);
-          const contentToSend = getTextContent(targetMessage);
-
-          setTimeout(() => {
-            onMessageSend(contentToSend);
-          }, 100);
-
-          return newMessages;
+        let newTail;
+        let history;
+        if (targetMessage.role === MESSAGE_ROLES.USER) {
+          // 重新发送用户消息：以副本作为新分支的起点
+          const userMessage = createMessage(
+            MESSAGE_ROLES.USER,
+            targetMessage.content,
+          );
+          newTail = [userMessage, createLoadingAssistantMessage()];
+          history = [...prevMessages.slice(0, messageIndex), userMessage];
         } else if (
-          targetMessage.role === 'assistant' ||
-          targetMessage.role === 'system'
+          targetMessage.role === MESSAGE_ROLES.ASSISTANT ||
+          targetMessage.role === MESSAGE_ROLES.SYSTEM
         ) {
-          let userMessageIndex = messageIndex - 1;
-          while (
-            userMessageIndex >= 0 &&
-            prevMessages[userMessageIndex].role !== 'user'
-          ) {
-            userMessageIndex--;
-          }
+          const hasUserMessage = prevMessages
+            .slice(0, messageIndex)
+            .some((msg) => msg.role === MESSAGE_ROLES.USER);
+          if (!hasUserMessage) return prevMessages;
 
-          if (userMessageIndex >= 0) {
-            const userMessage = prevMessages[userMessageIndex];
-            const newMessages = prevMessages.slice(0, userMessageIndex);
-            const contentToSend = getTextContent(userMessage);
+          newTail = [createLoadingAssistantMessage()];
+          history = prevMessages.slice(0, messageIndex);
+        } else {
+          return prevMessages;
+        }
 
-            setTimeout(() => {
-              onMessageSend(contentToSend);
-            }, 100);
+        const newMessages = forkMessages(prevMessages, messageIndex, newTail);
+        const payload = buildApiPayload(
+          history,
+          systemPrompt,
+          inputs,
+          parameterEnabled,
+        );
+        setTimeout(() => {
+          sendRequest(payload, inputs.stream);
+          saveMessages(newMessages);
+        }, 0);
 
-            return newMessages;
-          }
+        return newMessages;
+      });
+    },
+    [
+      setMessage,
+      inputs,
+      parameterEnabled,
+      sendRequest,
+      saveMessages,
+      systemPrompt,
+    ],
+  );
+
+  // 在同级分支间切换
+  const handleBranchSwitch = useCallback(
+    (targetMessage, target) => {
+      setMessage((prevMessages) => {
+        const messageIndex = prevMessages.findIndex(
+          (msg) => msg.id === targetMessage.id,
+        );
+        if (messageIndex === -1) return prevMessages;
+
+        const updatedMessages = switchBranch(
+          prevMessages,
+          messageIndex,
+          target,
+        );
+        if (updatedMessages !== prevMessages) {
+          setTimeout(() => saveMessages(updatedMessages), 0);
         }
+        return updatedMessages;
+      });
+    },
+    [setMessage, saveMessages],
+  );
 
-        return prevMessages;
+  // 按分支树中的路径跳转到指定分支
+  const handleBranchJump = useCallback(
+    (path) => {
+      setMessage((prevMessages) => {
+        const updatedMessages = applyBranchPath(prevMessages, path);
+        setTimeout(() => saveMessages(updatedMessages), 0);
+        return updatedMessages;
       });
     },
-    [setMessage, onMessageSend],
+    [setMessage, saveMessages],
   );
 
   // 删除消息
@@ -287,5 +346,7 @@ export const useMessageActions = (
     handleMessageReset,
     handleMessageDelete,
     handleRoleToggle,
+    handleBranchSwitch,
+    handleBranchJump,
   };
 };
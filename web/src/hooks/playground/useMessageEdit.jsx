@@ -24,6 +24,8 @@ import {
   getTextContent,
   buildApiPayload,
   createLoadingAssistantMessage,
+  forkMessages,
+  generateMessageId,
 } from '../../helpers';
 import { MESSAGE_ROLES } from '../../constants/playground.constants';
 
@@ -33,6 +35,7 @@ export const useMessageEdit = (
   parameterEnabled,
   sendRequest,
   saveMessages,
+  systemPrompt,
 ) => {
   const { t } = useTranslation();
   const [editingMessageId, setEditingMessageId] = useState(null);
@@ -71,9 +74,17 @@ export const useMessageEdit = (
         newContent = editValue.trim();
       }
 
-      const updatedMessages = prevMessages.map((msg) =>
-        msg.id === editingMessageId ? { ...msg, content: newContent } : msg,
-      );
+      // 编辑后的消息作为新分支，原消息及后续对话保留为同级分支
+      const editedMessage = {
+        ...targetMessage,
+        id: generateMessageId(),
+        createAt: Date.now(),
+        content: newContent,
+      };
+      const updatedMessages = forkMessages(prevMessages, messageIndex, [
+        editedMessage,
+        ...prevMessages.slice(messageIndex + 1),
+      ]);
 
       // 处理用户消息编辑后的重新生成
       if (targetMessage.role === MESSAGE_ROLES.USER) {
@@ -88,25 +99,22 @@ export const useMessageEdit = (
             okText: t('重新生成'),
             cancelText: t('仅保存'),
             onOk: () => {
-              const messagesUntilUser = updatedMessages.slice(
-                0,
-                messageIndex + 1,
+              const regeneratedMessages = forkMessages(
+                prevMessages,
+                messageIndex,
+                [editedMessage, createLoadingAssistantMessage()],
               );
-              setMessage(messagesUntilUser);
+              setMessage(regeneratedMessages);
               // 编辑后保存（重新生成的情况），传入更新后的消息列表
-              setTimeout(() => saveMessages(messagesUntilUser), 0);
+              setTimeout(() => saveMessages(regeneratedMessages), 0);
 
               setTimeout(() => {
                 const payload = buildApiPayload(
-                  messagesUntilUser,
-                  null,
+                  regeneratedMessages.slice(0, messageIndex + 1),
+                  systemPrompt,
                   inputs,
                   parameterEnabled,
                 );
-                setMessage((prevMsg) => [
-                  ...prevMsg,
-                  createLoadingAssistantMessage(),
-                ]);
                 sendRequest(payload, inputs.stream);
               }, 100);
             },
@@ -138,6 +146,7 @@ export const useMessageEdit = (
     sendRequest,
     setMessage,
     saveMessages,
+    systemPrompt,
   ]);
 
   const handleEditCancel = useCallback(() => {
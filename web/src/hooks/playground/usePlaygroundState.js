@@ -25,14 +25,89 @@ import {
   DEFAULT_CONFIG,
   DEBUG_TABS,
   MESSAGE_STATUS,
+  MESSAGE_ROLES,
+  SESSION_INPUT_KEYS,
 } from '../../constants/playground.constants';
 import {
   loadConfig,
   saveConfig,
   loadMessages,
   saveMessages,
+  clearMessages,
 } from '../../components/playground/configStorage';
-import { processIncompleteThinkTags } from '../../helpers';
+import {
+  createSession,
+  listSessions,
+  getSession,
+  putSession,
+  updateSession,
+  deleteSession,
+  loadActiveSessionId,
+  saveActiveSessionId,
+} from '../../components/playground/sessionStore';
+import { getTextContent, processIncompleteThinkTags } from '../../helpers';
+
+// 若最后一条消息仍处于 LOADING/INCOMPLETE 状态（例如生成中刷新页面），将其修复为完成状态
+const finalizeIncompleteMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) return messages;
+
+  const lastMsg = messages[messages.length - 1];
+  if (
+    lastMsg.status !== MESSAGE_STATUS.LOADING &&
+    lastMsg.status !== MESSAGE_STATUS.INCOMPLETE
+  ) {
+    return messages;
+  }
+
+  const processed = processIncompleteThinkTags(
+    lastMsg.content || '',
+    lastMsg.reasoningContent || '',
+  );
+
+  return [
+    ...messages.slice(0, -1),
+    {
+      ...lastMsg,
+      status: MESSAGE_STATUS.COMPLETE,
+      content: processed.content,
+      reasoningContent: processed.reasoningContent || null,
+      isThinkingComplete: true,
+    },
+  ];
+};
+
+// 只保留需要按会话保存的输入项
+const pickSessionInputs = (inputs = {}) =>
+  SESSION_INPUT_KEYS.reduce((picked, key) => {
+    if (inputs[key] !== undefined) {
+      picked[key] = inputs[key];
+    }
+    return picked;
+  }, {});
+
+// 会话列表只保存摘要信息，完整消息按需从 IndexedDB 读取
+const toSessionSummary = (session) => {
+  const messages = Array.isArray(session.messages) ? session.messages : [];
+  const firstUserMessage = messages.find(
+    (msg) => msg.role === MESSAGE_ROLES.USER,
+  );
+
+  return {
+    id: session.id,
+    name: session.name || '',
+    model: session.inputs?.model || '',
+    messageCount: messages.length,
+    preview: getTextContent(firstUserMessage).slice(0, 60),
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+  };
+};
+
+const upsertSessionSummary = (sessions, session) =>
+  [
+    toSessionSummary(session),
+    ...sessions.filter((item) => item.id !== session.id),
+  ].sort((a, b) => b.updatedAt - a.updatedAt);
 
 export const usePlaygroundState = () => {
   const { t } = useTranslation();
@@ -54,7 +129,7 @@ export const usePlaygroundState = () => {
         return null;
       }
     }
-    return loaded;
+    return finalizeIncompleteMessages(loaded);
   });
 
   // 基础配置状态
@@ -73,6 +148,30 @@ export const usePlaygroundState = () => {
   const [customRequestBody, setCustomRequestBody] = useState(
     savedConfig.customRequestBody || DEFAULT_CONFIG.customRequestBody,
   );
+  const [systemPrompt, setSystemPrompt] = useState(DEFAULT_CONFIG.systemPrompt);
+
+  // 对比模式状态
+  const [compareMode, setCompareMode] = useState(
+    savedConfig.compareMode || DEFAULT_CONFIG.compareMode,
+  );
+  const [compareTargets, setCompareTargets] = useState(
+    savedConfig.compareTargets || DEFAULT_CONFIG.compareTargets,
+  );
+
+  // 接口模式：对话或其他非对话接口
+  const [endpointMode, setEndpointMode] = useState(
+    savedConfig.endpointMode || DEFAULT_CONFIG.endpointMode,
+  );
+
+  // 会话状态
+  const [sessions, setSessions] = useState([]);
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+  const [showSessionPanel, setShowSessionPanel] = useState(
+    savedConfig.showSessionPanel ?? DEFAULT_CONFIG.showSessionPanel,
+  );
+  const activeSessionIdRef = useRef(null);
+  const sessionStoreAvailableRef = useRef(true);
 
   // UI状态
   const [showSettings, setShowSettings] = useState(false);
@@ -85,8 +184,8 @@ export const usePlaygroundState = () => {
   
   // 当语言改变时，如果是默认消息则更新
   useEffect(() => {
-    // 只在没有保存的消息时才更新默认消息
-    if (!initialMessages) {
+    // 只在没有保存的消息且尚未载入会话时才更新默认消息
+    if (!initialMessages && !activeSessionIdRef.current) {
       setMessage(getDefaultMessages(t));
     }
   }, [t, initialMessages]); // 当语言改变时
@@ -124,13 +223,36 @@ export const usePlaygroundState = () => {
     }));
   }, []);
 
+  // 将变更写入当前会话；会话存储不可用时回退到 localStorage
+  const persistActiveSession = useCallback((changes) => {
+    const sessionId = activeSessionIdRef.current;
+    if (!sessionStoreAvailableRef.current || !sessionId) {
+      if (changes.messages) {
+        saveMessages(changes.messages);
+      }
+      return Promise.resolve(null);
+    }
+
+    return updateSession(sessionId, changes)
+      .then((updated) => {
+        if (updated) {
+          setSessions((prev) => upsertSessionSummary(prev, updated));
+        }
+        return updated;
+      })
+      .catch((error) => {
+        console.error('保存会话失败:', error);
+        return null;
+      });
+  }, []);
+
   // 消息保存函数 - 改为立即保存，可以接受参数
   const saveMessagesImmediately = useCallback(
     (messagesToSave) => {
       // 如果提供了参数，使用参数；否则使用当前状态
-      saveMessages(messagesToSave || message);
+      persistActiveSession({ messages: messagesToSave || message });
     },
-    [message],
+    [message, persistActiveSession],
   );
 
   // 配置保存
@@ -144,63 +266,224 @@ export const usePlaygroundState = () => {
         inputs,
         parameterEnabled,
         showDebugPanel,
+        showSessionPanel,
         customRequestMode,
         customRequestBody,
+        compareMode,
+        compareTargets,
+        endpointMode,
       };
       saveConfig(configToSave);
+      persistActiveSession({
+        systemPrompt,
+        inputs: pickSessionInputs(inputs),
+        parameterEnabled,
+      });
     }, 1000);
   }, [
     inputs,
     parameterEnabled,
     showDebugPanel,
+    showSessionPanel,
     customRequestMode,
     customRequestBody,
+    compareMode,
+    compareTargets,
+    endpointMode,
+    systemPrompt,
+    persistActiveSession,
   ]);
 
-  // 配置导入/重置
-  const handleConfigImport = useCallback((importedConfig) => {
-    if (importedConfig.inputs) {
-      setInputs((prev) => ({ ...prev, ...importedConfig.inputs }));
+  // 载入会话到当前编辑状态
+  const applySession = useCallback((session) => {
+    activeSessionIdRef.current = session.id;
+    setActiveSessionId(session.id);
+    saveActiveSessionId(session.id);
+
+    setMessage(finalizeIncompleteMessages(session.messages || []));
+    setSystemPrompt(session.systemPrompt || '');
+    if (session.inputs) {
+      setInputs((prev) => ({ ...prev, ...session.inputs }));
     }
-    if (importedConfig.parameterEnabled) {
+    if (session.parameterEnabled) {
       setParameterEnabled((prev) => ({
         ...prev,
-        ...importedConfig.parameterEnabled,
+        ...session.parameterEnabled,
       }));
     }
-    if (typeof importedConfig.showDebugPanel === 'boolean') {
-      setShowDebugPanel(importedConfig.showDebugPanel);
-    }
-    if (importedConfig.customRequestMode) {
-      setCustomRequestMode(importedConfig.customRequestMode);
-    }
-    if (importedConfig.customRequestBody) {
-      setCustomRequestBody(importedConfig.customRequestBody);
+  }, []);
+
+  // 切换会话前，先把当前未保存的内容写回当前会话
+  const flushActiveSession = useCallback(() => {
+    if (saveConfigTimeoutRef.current) {
+      clearTimeout(saveConfigTimeoutRef.current);
     }
-    // 如果导入的配置包含消息，也恢复消息
-    if (importedConfig.messages && Array.isArray(importedConfig.messages)) {
-      setMessage(importedConfig.messages);
+    return persistActiveSession({
+      messages: message,
+      systemPrompt,
+      inputs: pickSessionInputs(inputs),
+      parameterEnabled,
+    });
+  }, [message, systemPrompt, inputs, parameterEnabled, persistActiveSession]);
+
+  // 会话操作
+  const handleSessionSwitch = useCallback(
+    async (sessionId) => {
+      if (sessionId === activeSessionIdRef.current) return;
+      try {
+        await flushActiveSession();
+        const session = await getSession(sessionId);
+        if (session) {
+          applySession(session);
+        }
+      } catch (error) {
+        console.error('切换会话失败:', error);
+      }
+    },
+    [flushActiveSession, applySession],
+  );
+
+  const handleSessionCreate = useCallback(async () => {
+    try {
+      await flushActiveSession();
+      // 新会话沿用当前的模型与参数，但从空白对话开始
+      const session = await putSession(
+        createSession({
+          inputs: pickSessionInputs(inputs),
+          parameterEnabled,
+        }),
+      );
+      setSessions((prev) => upsertSessionSummary(prev, session));
+      applySession(session);
+    } catch (error) {
+      console.error('创建会话失败:', error);
     }
-  }, []);
+  }, [flushActiveSession, inputs, parameterEnabled, applySession]);
 
-  const handleConfigReset = useCallback((options = {}) => {
-    const { resetMessages = false } = options;
-
-    setInputs(DEFAULT_CONFIG.inputs);
-    setParameterEnabled(DEFAULT_CONFIG.parameterEnabled);
-    setShowDebugPanel(DEFAULT_CONFIG.showDebugPanel);
-    setCustomRequestMode(DEFAULT_CONFIG.customRequestMode);
-    setCustomRequestBody(DEFAULT_CONFIG.customRequestBody);
-
-    // 只有在明确指定时才重置消息
-    if (resetMessages) {
-      setMessage([]);
-      setTimeout(() => {
-        setMessage(getDefaultMessages(t));
-      }, 0);
+  const handleSessionRename = useCallback(async (sessionId, name) => {
+    try {
+      const updated = await updateSession(sessionId, { name: name.trim() });
+      if (updated) {
+        setSessions((prev) => upsertSessionSummary(prev, updated));
+      }
+    } catch (error) {
+      console.error('重命名会话失败:', error);
     }
   }, []);
 
+  const handleSessionDuplicate = useCallback(
+    async (sessionId) => {
+      try {
+        if (sessionId === activeSessionIdRef.current) {
+          await flushActiveSession();
+        }
+        const source = await getSession(sessionId);
+        if (!source) return;
+
+        const { id, createdAt, updatedAt, ...fields } = source;
+        const session = await putSession(
+          createSession({
+            ...fields,
+            name: `${source.name || toSessionSummary(source).preview || t('新会话')} (${t('副本')})`,
+          }),
+        );
+        setSessions((prev) => upsertSessionSummary(prev, session));
+        applySession(session);
+      } catch (error) {
+        console.error('复制会话失败:', error);
+      }
+    },
+    [flushActiveSession, applySession, t],
+  );
+
+  const handleSessionDelete = useCallback(
+    async (sessionId) => {
+      try {
+        await deleteSession(sessionId);
+        const remaining = sessions.filter((item) => item.id !== sessionId);
+        setSessions(remaining);
+
+        if (sessionId !== activeSessionIdRef.current) return;
+
+        // 删除的是当前会话：切换到最近的会话，没有则新建空白会话
+        const next =
+          remaining.length > 0 ? await getSession(remaining[0].id) : null;
+        if (next) {
+          applySession(next);
+        } else {
+          const session = await putSession(
+            createSession({
+              inputs: pickSessionInputs(inputs),
+              parameterEnabled,
+            }),
+          );
+          setSessions([toSessionSummary(session)]);
+          applySession(session);
+        }
+      } catch (error) {
+        console.error('删除会话失败:', error);
+      }
+    },
+    [sessions, inputs, parameterEnabled, applySession],
+  );
+
+  // 配置导入/重置
+  const handleConfigImport = useCallback(
+    (importedConfig) => {
+      if (typeof importedConfig.systemPrompt === 'string') {
+        setSystemPrompt(importedConfig.systemPrompt);
+      }
+      if (importedConfig.inputs) {
+        setInputs((prev) => ({ ...prev, ...importedConfig.inputs }));
+      }
+      if (importedConfig.parameterEnabled) {
+        setParameterEnabled((prev) => ({
+          ...prev,
+          ...importedConfig.parameterEnabled,
+        }));
+      }
+      if (typeof importedConfig.showDebugPanel === 'boolean') {
+        setShowDebugPanel(importedConfig.showDebugPanel);
+      }
+      if (importedConfig.customRequestMode) {
+        setCustomRequestMode(importedConfig.customRequestMode);
+      }
+      if (importedConfig.customRequestBody) {
+        setCustomRequestBody(importedConfig.customRequestBody);
+      }
+      // 如果导入的配置包含消息，也恢复消息
+      if (importedConfig.messages && Array.isArray(importedConfig.messages)) {
+        setMessage(importedConfig.messages);
+        persistActiveSession({ messages: importedConfig.messages });
+      }
+    },
+    [persistActiveSession],
+  );
+
+  const handleConfigReset = useCallback(
+    (options = {}) => {
+      const { resetMessages = false } = options;
+
+      setInputs(DEFAULT_CONFIG.inputs);
+      setParameterEnabled(DEFAULT_CONFIG.parameterEnabled);
+      setShowDebugPanel(DEFAULT_CONFIG.showDebugPanel);
+      setCustomRequestMode(DEFAULT_CONFIG.customRequestMode);
+      setCustomRequestBody(DEFAULT_CONFIG.customRequestBody);
+      setSystemPrompt(DEFAULT_CONFIG.systemPrompt);
+
+      // 只有在明确指定时才重置消息
+      if (resetMessages) {
+        const defaultMessages = getDefaultMessages(t);
+        setMessage([]);
+        setTimeout(() => {
+          setMessage(defaultMessages);
+          persistActiveSession({ messages: defaultMessages });
+        }, 0);
+      }
+    },
+    [t, persistActiveSession],
+  );
+
   // 清理定时器
   useEffect(() => {
     return () => {
@@ -210,34 +493,46 @@ export const usePlaygroundState = () => {
     };
   }, []);
 
-  // 页面首次加载时，若最后一条消息仍处于 LOADING/INCOMPLETE 状态，自动修复
+  // 页面首次加载时读取会话列表；首次使用时将 localStorage 中的旧对话迁移为第一个会话
   useEffect(() => {
-    if (!Array.isArray(message) || message.length === 0) return;
-
-    const lastMsg = message[message.length - 1];
-    if (
-      lastMsg.status === MESSAGE_STATUS.LOADING ||
-      lastMsg.status === MESSAGE_STATUS.INCOMPLETE
-    ) {
-      const processed = processIncompleteThinkTags(
-        lastMsg.content || '',
-        lastMsg.reasoningContent || '',
-      );
-
-      const fixedLastMsg = {
-        ...lastMsg,
-        status: MESSAGE_STATUS.COMPLETE,
-        content: processed.content,
-        reasoningContent: processed.reasoningContent || null,
-        isThinkingComplete: true,
-      };
-
-      const updatedMessages = [...message.slice(0, -1), fixedLastMsg];
-      setMessage(updatedMessages);
+    let cancelled = false;
+
+    const initSessions = async () => {
+      try {
+        let storedSessions = await listSessions();
+        if (storedSessions.length === 0) {
+          const migrated = await putSession(
+            createSession({
+              messages: initialMessages || getDefaultMessages(t),
+              inputs: pickSessionInputs(savedConfig.inputs),
+              parameterEnabled: savedConfig.parameterEnabled,
+            }),
+          );
+          clearMessages();
+          storedSessions = [migrated];
+        }
+        if (cancelled) return;
+
+        const preferredId = loadActiveSessionId();
+        const activeSession =
+          storedSessions.find((session) => session.id === preferredId) ||
+          storedSessions[0];
+        setSessions(storedSessions.map(toSessionSummary));
+        applySession(activeSession);
+      } catch (error) {
+        console.error('加载会话失败，回退到单会话模式:', error);
+        sessionStoreAvailableRef.current = false;
+      } finally {
+        if (!cancelled) {
+          setSessionsLoading(false);
+        }
+      }
+    };
 
-      // 保存修复后的消息列表
-      setTimeout(() => saveMessagesImmediately(updatedMessages), 0);
-    }
+    initSessions();
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
   return {
@@ -247,9 +542,14 @@ export const usePlaygroundState = () => {
     showDebugPanel,
     customRequestMode,
     customRequestBody,
+    systemPrompt,
+    compareMode,
+    compareTargets,
+    endpointMode,
 
     // UI状态
     showSettings,
+    showSessionPanel,
     models,
     groups,
     status,
@@ -257,6 +557,11 @@ export const usePlaygroundState = () => {
     // 消息状态
     message,
 
+    // 会话状态
+    sessions,
+    activeSessionId,
+    sessionsLoading,
+
     // 调试状态
     debugData,
     activeDebugTab,
@@ -277,7 +582,12 @@ export const usePlaygroundState = () => {
     setShowDebugPanel,
     setCustomRequestMode,
     setCustomRequestBody,
+    setSystemPrompt,
+    setCompareMode,
+    setCompareTargets,
+    setEndpointMode,
     setShowSettings,
+    setShowSessionPanel,
     setModels,
     setGroups,
     setStatus,
@@ -295,5 +605,10 @@ export const usePlaygroundState = () => {
     saveMessagesImmediately,
     handleConfigImport,
     handleConfigReset,
+    handleSessionSwitch,
+    handleSessionCreate,
+    handleSessionRename,
+    handleSessionDuplicate,
+    handleSessionDelete,
   };
 };
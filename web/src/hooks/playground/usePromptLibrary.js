@@ -0,0 +1,171 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  appendPromptVersion,
+  createPromptTemplate,
+  deletePromptTemplate,
+  getLatestPromptVersion,
+  listPromptTemplates,
+  loadPromptVariableValues,
+  mergePromptTemplate,
+  putPromptTemplate,
+  savePromptVariableValues,
+} from '../../components/playground/promptStore';
+import { extractPromptVariables, fillPromptVariables } from '../../helpers';
+
+const sortByUpdatedAt = (templates) =>
+  [...templates].sort((a, b) => b.updatedAt - a.updatedAt);
+
+const upsertTemplate = (templates, template) =>
+  sortByUpdatedAt([
+    template,
+    ...templates.filter((item) => item.id !== template.id),
+  ]);
+
+export const usePromptLibrary = (systemPrompt) => {
+  const [promptTemplates, setPromptTemplates] = useState([]);
+  const [promptTemplatesLoading, setPromptTemplatesLoading] = useState(true);
+  const [promptVariableValues, setPromptVariableValues] = useState(
+    loadPromptVariableValues,
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    listPromptTemplates()
+      .then((templates) => {
+        if (!cancelled) setPromptTemplates(templates);
+      })
+      .catch((error) => console.error('加载提示词模板失败:', error))
+      .finally(() => {
+        if (!cancelled) setPromptTemplatesLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  /**
+   * 保存模板：新模板创建第 1 个版本；已有模板内容变化时追加新版本，仅改名时不增加版本
+   * @returns {Promise<Object|null>} 保存后的模板
+   */
+  const savePromptTemplate = useCallback(
+    async ({ templateId, name, content, note }) => {
+      const existing = promptTemplates.find((item) => item.id === templateId);
+      let template;
+      if (!existing) {
+        template = createPromptTemplate({ name, content, note });
+      } else if (getLatestPromptVersion(existing)?.content !== content) {
+        template = appendPromptVersion({ ...existing, name }, content, note);
+      } else if (existing.name !== name) {
+        template = { ...existing, name, updatedAt: Date.now() };
+      } else {
+        return existing;
+      }
+
+      try {
+        await putPromptTemplate(template);
+        setPromptTemplates((prev) => upsertTemplate(prev, template));
+        return template;
+      } catch (error) {
+        console.error('保存提示词模板失败:', error);
+        return null;
+      }
+    },
+    [promptTemplates],
+  );
+
+  const removePromptTemplate = useCallback(async (templateId) => {
+    try {
+      await deletePromptTemplate(templateId);
+      setPromptTemplates((prev) =>
+        prev.filter((item) => item.id !== templateId),
+      );
+    } catch (error) {
+      console.error('删除提示词模板失败:', error);
+    }
+  }, []);
+
+  /**
+   * 导入模板（来自配置文件），返回新增或更新的模板数量
+   * @param {Array} templates - 导入的模板
+   * @returns {Promise<number>} 变更数量
+   */
+  const importPromptTemplates = useCallback(
+    async (templates) => {
+      if (!Array.isArray(templates)) return 0;
+
+      const byId = new Map(promptTemplates.map((item) => [item.id, item]));
+      const changed = [];
+      templates.forEach((incoming) => {
+        const merged = mergePromptTemplate(byId.get(incoming?.id), incoming);
+        if (merged) {
+          byId.set(merged.id, merged);
+          changed.push(merged);
+        }
+      });
+
+      try {
+        await Promise.all(changed.map(putPromptTemplate));
+        setPromptTemplates(sortByUpdatedAt([...byId.values()]));
+        return changed.length;
+      } catch (error) {
+        console.error('导入提示词模板失败:', error);
+        return 0;
+      }
+    },
+    [promptTemplates],
+  );
+
+  const updatePromptVariableValues = useCallback((values) => {
+    setPromptVariableValues((prev) => {
+      const next = { ...prev, ...values };
+      savePromptVariableValues(next);
+      return next;
+    });
+  }, []);
+
+  // 当前系统提示词中的变量，以及尚未填写的变量
+  const promptVariables = useMemo(
+    () => extractPromptVariables(systemPrompt),
+    [systemPrompt],
+  );
+  const missingPromptVariables = useMemo(
+    () => promptVariables.filter((name) => !promptVariableValues[name]),
+    [promptVariables, promptVariableValues],
+  );
+  const resolvedSystemPrompt = useMemo(
+    () => fillPromptVariables(systemPrompt, promptVariableValues),
+    [systemPrompt, promptVariableValues],
+  );
+
+  return {
+    promptTemplates,
+    promptTemplatesLoading,
+    promptVariables,
+    promptVariableValues,
+    missingPromptVariables,
+    resolvedSystemPrompt,
+    savePromptTemplate,
+    removePromptTemplate,
+    importPromptTemplates,
+    updatePromptVariableValues,
+  };
+};
@@ -0,0 +1,119 @@
+/*
+Copyright (C) 2025 QuantumNous
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as
+published by the Free Software Foundation, either version 3 of the
+License, or (at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+For commercial licensing, please contact support@quantumnous.com
+*/
+
+import { useCallback, useMemo } from 'react';
+import {
+  MESSAGE_ROLES,
+  MESSAGE_STATUS,
+} from '../../constants/playground.constants';
+import {
+  buildApiPayload,
+  createLoadingAssistantMessage,
+  createMessage,
+} from '../../helpers';
+
+// 解析模拟结果表：键为函数名，值为返回给模型的结果
+const parseToolMocks = (toolMocks) => {
+  if (!toolMocks || !toolMocks.trim()) return {};
+  try {
+    const parsed = JSON.parse(toolMocks);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+      ? parsed
+      : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export const useToolCalling = (
+  message,
+  setMessage,
+  inputs,
+  parameterEnabled,
+  systemPrompt,
+  sendRequest,
+  saveMessages,
+) => {
+  const toolMocks = useMemo(
+    () => parseToolMocks(inputs.toolMocks),
+    [inputs.toolMocks],
+  );
+
+  // 最后一条助手消息发起了工具调用且尚未回复时，等待填写工具结果
+  const lastMessage = message[message.length - 1];
+  const pendingToolCallMessageId =
+    lastMessage?.role === MESSAGE_ROLES.ASSISTANT &&
+    lastMessage.status === MESSAGE_STATUS.COMPLETE &&
+    lastMessage.toolCalls?.length > 0
+      ? lastMessage.id
+      : null;
+
+  // 获取函数的模拟结果，未配置时返回 null
+  const getMockResult = useCallback(
+    (functionName) => {
+      if (!(functionName in toolMocks)) return null;
+      const mock = toolMocks[functionName];
+      return typeof mock === 'string' ? mock : JSON.stringify(mock);
+    },
+    [toolMocks],
+  );
+
+  // 以 tool 角色回复所有工具调用，并继续请求模型
+  const submitToolResults = useCallback(
+    (results) => {
+      const toolMessages = results.map(({ toolCall, content }) =>
+        createMessage(MESSAGE_ROLES.TOOL, content, {
+          toolCallId: toolCall.id,
+          toolName: toolCall.function?.name,
+        }),
+      );
+      const loadingMessage = createLoadingAssistantMessage();
+
+      setMessage((prevMessages) => {
+        const newMessages = [...prevMessages, ...toolMessages];
+
+        const payload = buildApiPayload(
+          newMessages,
+          systemPrompt,
+          inputs,
+          parameterEnabled,
+        );
+        sendRequest(payload, inputs.stream);
+
+        const messagesWithLoading = [...newMessages, loadingMessage];
+        setTimeout(() => saveMessages(messagesWithLoading), 0);
+        return messagesWithLoading;
+      });
+    },
+    [
+      setMessage,
+      systemPrompt,
+      inputs,
+      parameterEnabled,
+      sendRequest,
+      saveMessages,
+    ],
+  );
+
+  return {
+    pendingToolCallMessageId,
+    getMockResult,
+    submitToolResults,
+  };
+};
@@ -50,6 +50,10 @@ export const useTokensData = (openFluentNotification) => {
     id: undefined,
   });
 
+  // Usage analytics state
+  const [showTokenUsage, setShowTokenUsage] = useState(false);
+  const [usageToken, setUsageToken] = useState(null);
+
   // UI state
   const [compactMode, setCompactMode] = useTableCompactMode('tokens');
   const [showKeys, setShowKeys] = useState({});
@@ -339,6 +343,12 @@ export const useTokensData = (openFluentNotification) => {
       });
   }, [pageSize]);
 
+  // Open the usage analytics side sheet for a token
+  const openTokenUsage = (token) => {
+    setUsageToken(token);
+    setShowTokenUsage(true);
+  };
+
   return {
     // Basic state
     tokens,
@@ -359,6 +369,12 @@ export const useTokensData = (openFluentNotification) => {
     setEditingToken,
     closeEdit,
 
+    // Usage analytics state
+    showTokenUsage,
+    setShowTokenUsage,
+    usageToken,
+    openTokenUsage,
+
     // UI state
     compactMode,
     setCompactMode,
@@ -17,7 +17,7 @@ along with this program. If not, see <https://www.gnu.org/licenses/>.
 For commercial licensing, please contact support@quantumnous.com
 */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
 import { Modal } from '@douyinfe/semi-ui';
 import {
@@ -33,11 +33,19 @@ import {
   copy,
   renderClaudeLogContent,
   renderLogContent,
-  renderAudioModelPrice,
-  renderClaudeModelPrice,
-  renderModelPrice,
+  renderLogPriceProcess,
+  buildLogPivotParams,
+  normalizeLogPivotRow,
+  getLogPivotDrillValues,
+  buildLogTailParams,
+  openLogTailStream,
 } from '../../helpers';
-import { ITEMS_PER_PAGE } from '../../constants';
+import {
+  ITEMS_PER_PAGE,
+  LOG_TAIL_MAX_ROWS,
+  LOG_TAIL_PAUSE_OFFSET,
+  LOG_TAIL_RATE_WINDOW,
+} from '../../constants';
 import { useTableCompactMode } from '../common/useTableCompactMode';
 
 export const useLogsData = () => {
@@ -112,6 +120,35 @@ export const useLogsData = () => {
   const [showUserInfo, setShowUserInfoModal] = useState(false);
   const [userInfoData, setUserInfoData] = useState(null);
 
+  // Export modal state
+  const [showExportModal, setShowExportModal] = useState(false);
+
+  // Request trace state, opened directly when the URL carries request_id
+  const [traceRequestId, setTraceRequestId] = useState(
+    () => new URLSearchParams(window.location.search).get('request_id') || '',
+  );
+  const [showLogTrace, setShowLogTrace] = useState(() => !!traceRequestId);
+
+  // View mode: detailed logs or pivot analytics
+  const [viewMode, setViewMode] = useState('table');
+  const [pivotDimensions, setPivotDimensions] = useState(['model']);
+  const [pivotRows, setPivotRows] = useState([]);
+  const [pivotChannelNames, setPivotChannelNames] = useState({});
+  const [pivotLoading, setPivotLoading] = useState(false);
+
+  // Live tail state
+  const [liveMode, setLiveMode] = useState(false);
+  const [liveStatus, setLiveStatus] = useState('connecting');
+  const [livePaused, setLivePaused] = useState(false);
+  const [liveBufferedCount, setLiveBufferedCount] = useState(0);
+  const [liveRps, setLiveRps] = useState(0);
+  const liveStreamRef = useRef(null);
+  const liveLogsRef = useRef([]);
+  const liveBufferRef = useRef([]);
+  const livePausedRef = useRef(false);
+  const liveArrivalsRef = useRef([]);
+  const liveScrollTargetRef = useRef(null);
+
   // Load saved column preferences from localStorage
   useEffect(() => {
     const savedColumns = localStorage.getItem(STORAGE_KEY);
@@ -304,6 +341,14 @@ export const useLogsData = () => {
     }
   };
 
+  const openLogTrace = (requestId) => {
+    if (!requestId) {
+      return;
+    }
+    setTraceRequestId(requestId);
+    setShowLogTrace(true);
+  };
+
   // Format logs data
   const setLogsFormat = (logs) => {
     let expandDatesLocal = {};
@@ -403,71 +448,9 @@ export const useLogsData = () => {
             value: other.upstream_model_name,
           });
         }
-        let content = '';
-        if (other?.ws || other?.audio) {
-          content = renderAudioModelPrice(
-            other?.text_input,
-            other?.text_output,
-            other?.model_ratio,
-            other?.model_price,
-            other?.completion_ratio,
-            other?.audio_input,
-            other?.audio_output,
-            other?.audio_ratio,
-            other?.audio_completion_ratio,
-            other?.group_ratio,
-            other?.user_group_ratio,
-            other?.cache_tokens || 0,
-            other?.cache_ratio || 1.0,
-          );
-        } else if (other?.claude) {
-          content = renderClaudeModelPrice(
-            logs[i].prompt_tokens,
-            logs[i].completion_tokens,
-            other.model_ratio,
-            other.model_price,
-            other.completion_ratio,
-            other.group_ratio,
-            other?.user_group_ratio,
-            other.cache_tokens || 0,
-            other.cache_ratio || 1.0,
-            other.cache_creation_tokens || 0,
-            other.cache_creation_ratio || 1.0,
-            other.cache_creation_tokens_5m || 0,
-            other.cache_creation_ratio_5m || other.cache_creation_ratio || 1.0,
-            other.cache_creation_tokens_1h || 0,
-            other.cache_creation_ratio_1h || other.cache_creation_ratio || 1.0,
-          );
-        } else {
-          content = renderModelPrice(
-            logs[i].prompt_tokens,
-            logs[i].completion_tokens,
-            other?.model_ratio,
-            other?.model_price,
-            other?.completion_ratio,
-            other?.group_ratio,
-            other?.user_group_ratio,
-            other?.cache_tokens || 0,
-            other?.cache_ratio || 1.0,
-            other?.image || false,
-            other?.image_ratio || 0,
-            other?.image_output || 0,
-            other?.web_search || false,
-            other?.web_search_call_count || 0,
-            other?.web_search_price || 0,
-            other?.file_search || false,
-            other?.file_search_call_count || 0,
-            other?.file_search_price || 0,
-            other?.audio_input_seperate_price || false,
-            other?.audio_input_token_count || 0,
-            other?.audio_input_price || 0,
-            other?.image_generation_call || false,
-            other?.image_generation_call_price || 0,
-          );
-        }
         expandDataLocal.push({
           key: t('计费过程'),
-          value: content,
+          value: renderLogPriceProcess(logs[i], other),
         });
         if (other?.reasoning_effort) {
           expandDataLocal.push({
@@ -482,6 +465,12 @@ export const useLogsData = () => {
           value: other.request_path,
         });
       }
+      if (logs[i].request_id) {
+        expandDataLocal.push({
+          key: t('请求 ID'),
+          value: logs[i].request_id,
+        });
+      }
       if (isAdminUser) {
         let localCountMode = '';
         if (other?.admin_info?.local_count_tokens) {
@@ -565,9 +554,167 @@ export const useLogsData = () => {
   };
 
   // Refresh function
+  // 按当前筛选条件加载透视数据
+  const loadPivot = async (dimensions = pivotDimensions) => {
+    setPivotLoading(true);
+    try {
+      const url = isAdminUser ? '/api/log/pivot' : '/api/log/self/pivot';
+      const res = await API.get(url, {
+        params: buildLogPivotParams(getFormValues(), dimensions),
+      });
+      const { success, message, data } = res.data;
+      if (success) {
+        setPivotRows((data.rows || []).map(normalizeLogPivotRow));
+        setPivotChannelNames(data.channel_names || {});
+      } else {
+        showError(message);
+      }
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setPivotLoading(false);
+    }
+  };
+
+  const changePivotDimensions = (dimensions) => {
+    setPivotDimensions(dimensions);
+    loadPivot(dimensions);
+  };
+
+  const changeViewMode = (mode) => {
+    setViewMode(mode);
+    if (mode === 'pivot') {
+      loadPivot();
+    }
+  };
+
+  // 从透视行下钻：将维度值写入筛选表单后回到日志明细
+  const drillDownLogs = (row) => {
+    const values = getLogPivotDrillValues(pivotDimensions, row);
+    if (formApi) {
+      Object.entries(values).forEach(([field, value]) => {
+        formApi.setValue(field, value);
+      });
+    }
+    setViewMode('table');
+    setTimeout(() => {
+      setActivePage(1);
+      handleEyeClick();
+      loadLogs(1, pageSize);
+    }, 100);
+  };
+
+  // 将新日志插入表格顶部，超出上限的旧日志被丢弃
+  const prependLiveLogs = (newLogs) => {
+    const merged = [...newLogs, ...liveLogsRef.current].slice(
+      0,
+      LOG_TAIL_MAX_ROWS,
+    );
+    liveLogsRef.current = merged;
+    setLogsFormat(merged);
+  };
+
+  const handleLiveEvent = ({ logs: newLogs }) => {
+    if (!newLogs || newLogs.length === 0) {
+      return;
+    }
+    const now = Date.now();
+    newLogs.forEach(() => liveArrivalsRef.current.push(now));
+    // 服务端按 id 升序推送，表格中最新的日志在最上方
+    const ordered = [...newLogs].reverse();
+    if (livePausedRef.current) {
+      liveBufferRef.current = [...ordered, ...liveBufferRef.current].slice(
+        0,
+        LOG_TAIL_MAX_ROWS,
+      );
+      setLiveBufferedCount((count) => count + newLogs.length);
+      return;
+    }
+    prependLiveLogs(ordered);
+  };
+
+  const changeLivePaused = (paused) => {
+    livePausedRef.current = paused;
+    setLivePaused(paused);
+    if (!paused && liveBufferRef.current.length > 0) {
+      prependLiveLogs(liveBufferRef.current);
+      liveBufferRef.current = [];
+      setLiveBufferedCount(0);
+    }
+  };
+
+  const stopLiveTail = () => {
+    liveStreamRef.current?.();
+    liveStreamRef.current = null;
+  };
+
+  // 连接被服务端拒绝（4xx）时退出实时模式，回到普通列表
+  const handleLiveStatus = (status, message) => {
+    setLiveStatus(status);
+    if (status === 'error') {
+      showError(message || t('实时日志连接失败'));
+      toggleLiveMode(false);
+    }
+  };
+
+  // 按当前筛选条件建立实时日志连接，第一页的日志保留在表格中
+  const startLiveTail = () => {
+    stopLiveTail();
+    liveLogsRef.current = activePage === 1 ? logs : [];
+    liveBufferRef.current = [];
+    liveArrivalsRef.current = [];
+    setLiveBufferedCount(0);
+    setLiveRps(0);
+    liveStreamRef.current = openLogTailStream({
+      url: isAdminUser ? '/api/log/tail' : '/api/log/self/tail',
+      params: buildLogTailParams(getFormValues()),
+      onEvent: handleLiveEvent,
+      onStatus: handleLiveStatus,
+    });
+  };
+
+  const toggleLiveMode = (enabled) => {
+    setLiveMode(enabled);
+    changeLivePaused(false);
+    if (enabled) {
+      setViewMode('table');
+      startLiveTail();
+      return;
+    }
+    stopLiveTail();
+    setActivePage(1);
+    loadLogs(1, pageSize);
+  };
+
+  // 回到表格顶部并插入暂停期间收到的日志
+  const resumeLiveTail = () => {
+    liveScrollTargetRef.current?.scrollTo({ top: 0 });
+    changeLivePaused(false);
+  };
+
+  // 实时模式下高亮错误日志
+  const handleRow = (record) => {
+    if (liveMode && record.type === 5) {
+      return {
+        style: {
+          background: 'var(--semi-color-danger-light-default)',
+        },
+      };
+    }
+    return {};
+  };
+
   const refresh = async () => {
     setActivePage(1);
     handleEyeClick();
+    if (liveMode) {
+      startLiveTail();
+      return;
+    }
+    if (viewMode === 'pivot') {
+      await loadPivot();
+      return;
+    }
     await loadLogs(1, pageSize);
   };
 
@@ -593,6 +740,51 @@ export const useLogsData = () => {
       });
   }, []);
 
+  // 离开页面时关闭实时日志连接
+  useEffect(() => stopLiveTail, []);
+
+  // 实时模式下向下滚动查看日志时暂停插入新日志，回到顶部后自动恢复
+  useEffect(() => {
+    if (!liveMode) {
+      return;
+    }
+    const scrollTops = new WeakMap();
+    const handleScroll = (e) => {
+      const target =
+        e.target === document ? document.scrollingElement : e.target;
+      if (!target || typeof target.scrollTop !== 'number') {
+        return;
+      }
+      // 表格横向滚动时 scrollTop 不变，不影响暂停状态
+      if (target.scrollTop === (scrollTops.get(target) ?? 0)) {
+        return;
+      }
+      scrollTops.set(target, target.scrollTop);
+      liveScrollTargetRef.current = target;
+      const paused = target.scrollTop > LOG_TAIL_PAUSE_OFFSET;
+      if (paused !== livePausedRef.current) {
+        changeLivePaused(paused);
+      }
+    };
+    document.addEventListener('scroll', handleScroll, true);
+    return () => document.removeEventListener('scroll', handleScroll, true);
+  }, [liveMode]);
+
+  // 按最近一段时间内收到的日志数计算每秒请求数
+  useEffect(() => {
+    if (!liveMode) {
+      return;
+    }
+    const timer = setInterval(() => {
+      const windowStart = Date.now() - LOG_TAIL_RATE_WINDOW * 1000;
+      liveArrivalsRef.current = liveArrivalsRef.current.filter(
+        (time) => time >= windowStart,
+      );
+      setLiveRps(liveArrivalsRef.current.length / LOG_TAIL_RATE_WINDOW);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [liveMode]);
+
   // Initialize statistics when formApi is available
   useEffect(() => {
     if (formApi) {
@@ -646,6 +838,37 @@ export const useLogsData = () => {
     userInfoData,
     showUserInfoFunc,
 
+    // Export modal
+    showExportModal,
+    setShowExportModal,
+
+    // Request trace
+    showLogTrace,
+    setShowLogTrace,
+    traceRequestId,
+    openLogTrace,
+
+    // Pivot view
+    viewMode,
+    changeViewMode,
+    pivotDimensions,
+    changePivotDimensions,
+    pivotRows,
+    pivotChannelNames,
+    pivotLoading,
+    loadPivot,
+    drillDownLogs,
+
+    // Live tail
+    liveMode,
+    toggleLiveMode,
+    liveStatus,
+    livePaused,
+    liveBufferedCount,
+    liveRps,
+    resumeLiveTail,
+    handleRow,
+
     // Functions
     loadLogs,
     handlePageChange,
@@ -17,7 +17,13 @@ along with this program. If not, see <https://www.gnu.org/licenses/>.
 For commercial licensing, please contact support@quantumnous.com
 */
 
-import React, { useContext, useEffect, useCallback, useRef } from 'react';
+import React, {
+  useContext,
+  useEffect,
+  useCallback,
+  useRef,
+  useState,
+} from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { Layout, Toast, Modal } from '@douyinfe/semi-ui';
@@ -33,11 +39,19 @@ import { useApiRequest } from '../../hooks/playground/useApiRequest';
 import { useSyncMessageAndCustomBody } from '../../hooks/playground/useSyncMessageAndCustomBody';
 import { useMessageEdit } from '../../hooks/playground/useMessageEdit';
 import { useDataLoader } from '../../hooks/playground/useDataLoader';
+import { useCompareMode } from '../../hooks/playground/useCompareMode';
+import { useToolCalling } from '../../hooks/playground/useToolCalling';
+import { useEndpointRequest } from '../../hooks/playground/useEndpointRequest';
+import { usePromptLibrary } from '../../hooks/playground/usePromptLibrary';
+import { useEvalRunner } from '../../hooks/playground/useEvalRunner';
 
 // Constants and utils
 import {
   MESSAGE_ROLES,
+  MESSAGE_STATUS,
   ERROR_MESSAGES,
+  COMPARE_LIMITS,
+  ENDPOINT_MODES,
 } from '../../constants/playground.constants';
 import {
   getLogo,
@@ -48,6 +62,7 @@ import {
   getTextContent,
   buildApiPayload,
   encodeToBase64,
+  getBranchInfo,
 } from '../../helpers';
 
 // Components
@@ -59,6 +74,13 @@ import {
 } from '../../components/playground/OptimizedComponents';
 import ChatArea from '../../components/playground/ChatArea';
 import FloatingButtons from '../../components/playground/FloatingButtons';
+import SessionSidebar from '../../components/playground/SessionSidebar';
+import CompareArea from '../../components/playground/CompareArea';
+import ToolResponsePanel from '../../components/playground/ToolResponsePanel';
+import EndpointArea from '../../components/playground/EndpointArea';
+import PromptLibraryModal from '../../components/playground/PromptLibraryModal';
+import PromptVariablesModal from '../../components/playground/PromptVariablesModal';
+import BranchTreePanel from '../../components/playground/BranchTreePanel';
 import { PlaygroundProvider } from '../../contexts/PlaygroundContext';
 
 // 生成头像
@@ -83,6 +105,7 @@ const Playground = () => {
   const isMobile = useIsMobile();
   const styleState = { isMobile };
   const [searchParams] = useSearchParams();
+  const [showMobileSessions, setShowMobileSessions] = useState(false);
 
   const state = usePlaygroundState();
   const {
@@ -91,11 +114,19 @@ const Playground = () => {
     showDebugPanel,
     customRequestMode,
     customRequestBody,
+    systemPrompt,
+    compareMode,
+    compareTargets,
+    endpointMode,
     showSettings,
+    showSessionPanel,
     models,
     groups,
     status,
     message,
+    sessions,
+    activeSessionId,
+    sessionsLoading,
     debugData,
     activeDebugTab,
     previewPayload,
@@ -107,7 +138,13 @@ const Playground = () => {
     saveMessagesImmediately,
     handleConfigImport,
     handleConfigReset,
+    handleSessionSwitch,
+    handleSessionCreate,
+    handleSessionRename,
+    handleSessionDuplicate,
+    handleSessionDelete,
     setShowSettings,
+    setShowSessionPanel,
     setModels,
     setGroups,
     setStatus,
@@ -118,10 +155,32 @@ const Playground = () => {
     setShowDebugPanel,
     setCustomRequestMode,
     setCustomRequestBody,
+    setSystemPrompt,
+    setCompareMode,
+    setCompareTargets,
+    setEndpointMode,
   } = state;
 
+  // 提示词库与变量：发送时使用填充变量后的系统提示词
+  const {
+    promptTemplates,
+    promptTemplatesLoading,
+    promptVariables,
+    promptVariableValues,
+    missingPromptVariables,
+    resolvedSystemPrompt,
+    savePromptTemplate,
+    removePromptTemplate,
+    importPromptTemplates,
+    updatePromptVariableValues,
+  } = usePromptLibrary(systemPrompt);
+  const [showPromptLibrary, setShowPromptLibrary] = useState(false);
+  const [showPromptVariables, setShowPromptVariables] = useState(false);
+  // 等待填写变量后再发送的内容
+  const [pendingSend, setPendingSend] = useState(null);
+
   // API 请求相关
-  const { sendRequest, onStopGenerator } = useApiRequest(
+  const { sendRequest, onStopGenerator, streamCompletion } = useApiRequest(
     setMessage,
     setDebugData,
     setActiveDebugTab,
@@ -129,9 +188,54 @@ const Playground = () => {
     saveMessagesImmediately,
   );
 
+  // 对比模式
+  const {
+    compareRun,
+    isComparing,
+    runCompare,
+    stopCompare,
+    promoteResult,
+    toggleResultReasoning,
+    clearCompare,
+  } = useCompareMode(
+    message,
+    setMessage,
+    inputs,
+    parameterEnabled,
+    resolvedSystemPrompt,
+    compareTargets,
+    streamCompletion,
+    saveMessagesImmediately,
+  );
+
+  // 非对话接口请求
+  const { endpointLoading, sendEndpointRequest, cancelEndpointRequest } =
+    useEndpointRequest(setDebugData, setActiveDebugTab);
+
+  // 批量评测
+  const evalRunner = useEvalRunner(
+    inputs,
+    parameterEnabled,
+    systemPrompt,
+    promptVariableValues,
+    streamCompletion,
+  );
+
   // 数据加载
   useDataLoader(userState, inputs, handleInputChange, setModels, setGroups);
 
+  // 工具调用
+  const { pendingToolCallMessageId, getMockResult, submitToolResults } =
+    useToolCalling(
+      message,
+      setMessage,
+      inputs,
+      parameterEnabled,
+      resolvedSystemPrompt,
+      sendRequest,
+      saveMessagesImmediately,
+    );
+
   // 消息编辑
   const {
     editingMessageId,
@@ -146,6 +250,7 @@ const Playground = () => {
     parameterEnabled,
     sendRequest,
     saveMessagesImmediately,
+    resolvedSystemPrompt,
   );
 
   // 消息和自定义请求体同步
@@ -174,15 +279,23 @@ const Playground = () => {
       name: 'System',
       avatar: getLogo(),
     },
+    tool: {
+      name: 'Tool',
+      avatar: generateAvatarDataUrl('Tool'),
+    },
   };
 
   // 消息操作
   const messageActions = useMessageActions(
     message,
     setMessage,
-    onMessageSend,
+    inputs,
+    parameterEnabled,
+    sendRequest,
     saveMessagesImmediately,
+    resolvedSystemPrompt,
   );
+  const [showBranchTree, setShowBranchTree] = useState(false);
 
   // 构建预览请求体
   const constructPreviewPayload = useCallback(() => {
@@ -228,12 +341,24 @@ const Playground = () => {
         }
       }
 
-      return buildApiPayload(messages, null, inputs, parameterEnabled);
+      return buildApiPayload(
+        messages,
+        resolvedSystemPrompt,
+        inputs,
+        parameterEnabled,
+      );
     } catch (error) {
       console.error('构造预览请求体失败:', error);
       return null;
     }
-  }, [inputs, parameterEnabled, message, customRequestMode, customRequestBody]);
+  }, [
+    inputs,
+    parameterEnabled,
+    message,
+    resolvedSystemPrompt,
+    customRequestMode,
+    customRequestBody,
+  ]);
 
   // 发送消息
   function onMessageSend(content, attachment) {
@@ -267,6 +392,13 @@ const Playground = () => {
       }
     }
 
+    // 系统提示词中有未填写的变量时，先填写变量再发送
+    if (missingPromptVariables.length > 0) {
+      setPendingSend({ content });
+      setShowPromptVariables(true);
+      return;
+    }
+
     // 默认模式
     const validImageUrls = inputs.imageUrls.filter((url) => url.trim() !== '');
     const messageContent = buildMessageContent(
@@ -284,7 +416,7 @@ const Playground = () => {
 
       const payload = buildApiPayload(
         newMessages,
-        null,
+        resolvedSystemPrompt,
         inputs,
         parameterEnabled,
       );
@@ -323,8 +455,7 @@ const Playground = () => {
   const renderCustomChatContent = useCallback(
     ({ message, className }) => {
       const isCurrentlyEditing = editingMessageId === message.id;
-
-      return (
+      const content = (
         <OptimizedMessageContent
           message={message}
           className={className}
@@ -337,6 +468,24 @@ const Playground = () => {
           onEditValueChange={setEditValue}
         />
       );
+
+      if (message.id !== pendingToolCallMessageId || isCurrentlyEditing) {
+        return content;
+      }
+
+      // 模型发起工具调用后，在消息下方填写 tool 结果
+      return (
+        <div>
+          {content}
+          <ToolResponsePanel
+            key={message.id}
+            toolCalls={message.toolCalls}
+            getMockResult={getMockResult}
+            onSubmit={submitToolResults}
+            disabled={customRequestMode}
+          />
+        </div>
+      );
     },
     [
       styleState,
@@ -346,15 +495,22 @@ const Playground = () => {
       handleEditCancel,
       setEditValue,
       toggleReasoningExpansion,
+      pendingToolCallMessageId,
+      getMockResult,
+      submitToolResults,
+      customRequestMode,
     ],
   );
 
+  const isAnyMessageGenerating = message.some(
+    (msg) =>
+      msg.status === MESSAGE_STATUS.LOADING ||
+      msg.status === MESSAGE_STATUS.INCOMPLETE,
+  );
+
   const renderChatBoxAction = useCallback(
     (props) => {
       const { message: currentMessage } = props;
-      const isAnyMessageGenerating = message.some(
-        (msg) => msg.status === 'loading' || msg.status === 'incomplete',
-      );
       const isCurrentlyEditing = editingMessageId === currentMessage.id;
 
       return (
@@ -366,12 +522,19 @@ const Playground = () => {
           onMessageDelete={messageActions.handleMessageDelete}
           onRoleToggle={messageActions.handleRoleToggle}
           onMessageEdit={handleMessageEdit}
+          onBranchSwitch={messageActions.handleBranchSwitch}
           isAnyMessageGenerating={isAnyMessageGenerating}
           isEditing={isCurrentlyEditing}
         />
       );
     },
-    [messageActions, styleState, message, editingMessageId, handleMessageEdit],
+    [
+      messageActions,
+      styleState,
+      isAnyMessageGenerating,
+      editingMessageId,
+      handleMessageEdit,
+    ],
   );
 
   // Effects
@@ -396,6 +559,9 @@ const Playground = () => {
 
   // 构建预览payload
   useEffect(() => {
+    // 非对话接口的预览由对应的测试面板提供
+    if (endpointMode !== ENDPOINT_MODES.CHAT) return;
+
     const timer = setTimeout(() => {
       const preview = constructPreviewPayload();
       setPreviewPayload(preview);
@@ -413,6 +579,7 @@ const Playground = () => {
     parameterEnabled,
     customRequestMode,
     customRequestBody,
+    endpointMode,
     constructPreviewPayload,
     setPreviewPayload,
     setDebugData,
@@ -427,9 +594,185 @@ const Playground = () => {
     showDebugPanel,
     customRequestMode,
     customRequestBody,
+    systemPrompt,
+    showSessionPanel,
+    compareMode,
+    compareTargets,
+    endpointMode,
     debouncedSaveConfig,
   ]);
 
+  const handleEndpointPreviewChange = useCallback(
+    (payload) => {
+      setDebugData((prev) => ({
+        ...prev,
+        previewRequest: payload ? JSON.stringify(payload, null, 2) : null,
+        previewTimestamp: payload ? new Date().toISOString() : null,
+      }));
+    },
+    [setDebugData],
+  );
+
+  // 切换接口模式：对话生成过程中禁止切换
+  const handleEndpointModeChange = useCallback(
+    (mode) => {
+      if (isAnyMessageGenerating || isComparing || evalRunner.isEvalRunning) {
+        Toast.warning(t('请先停止当前生成'));
+        return;
+      }
+      cancelEndpointRequest();
+      setEndpointMode(mode);
+    },
+    [
+      isAnyMessageGenerating,
+      isComparing,
+      evalRunner.isEvalRunning,
+      cancelEndpointRequest,
+      setEndpointMode,
+      t,
+    ],
+  );
+
+  // 对比模式同样需要先填写提示词变量
+  const handleRunCompare = useCallback(
+    (content) => {
+      if (missingPromptVariables.length > 0) {
+        setPendingSend({ content, compare: true });
+        setShowPromptVariables(true);
+        return;
+      }
+      runCompare(content);
+    },
+    [missingPromptVariables, runCompare],
+  );
+
+  // 变量填写完成后发送等待中的内容
+  useEffect(() => {
+    if (!pendingSend || missingPromptVariables.length > 0) return;
+    setPendingSend(null);
+    if (pendingSend.compare) {
+      runCompare(pendingSend.content);
+    } else {
+      onMessageSend(pendingSend.content);
+    }
+  }, [pendingSend, missingPromptVariables, runCompare]);
+
+  const handlePromptVariablesConfirm = useCallback(
+    (values) => {
+      updatePromptVariableValues(values);
+      setShowPromptVariables(false);
+    },
+    [updatePromptVariableValues],
+  );
+
+  const handlePromptVariablesCancel = useCallback(() => {
+    setShowPromptVariables(false);
+    setPendingSend(null);
+  }, []);
+
+  // 配置导入时一并合并提示词模板
+  const handlePlaygroundConfigImport = useCallback(
+    (importedConfig) => {
+      handleConfigImport(importedConfig);
+      if (Array.isArray(importedConfig.promptTemplates)) {
+        importPromptTemplates(importedConfig.promptTemplates).then((count) => {
+          if (count > 0) {
+            Toast.success(t('已导入 {{count}} 个提示词模板', { count }));
+          }
+        });
+      }
+    },
+    [handleConfigImport, importPromptTemplates, t],
+  );
+
+  // 进入对比模式时，至少准备两列：当前模型与另一个可用模型
+  const handleToggleCompareMode = useCallback(() => {
+    if (compareMode) {
+      clearCompare();
+      setCompareMode(false);
+      return;
+    }
+    if (isAnyMessageGenerating) {
+      Toast.warning(t('请先停止当前生成'));
+      return;
+    }
+
+    if (compareTargets.length < COMPARE_LIMITS.MIN_TARGETS) {
+      const otherModel = models.find((option) => option.value !== inputs.model);
+      const defaults = [inputs.model, otherModel?.value || inputs.model].map(
+        (model, index) => ({
+          id: `target-${Date.now()}-${index}`,
+          model,
+          group: inputs.group,
+        }),
+      );
+      setCompareTargets([
+        ...compareTargets,
+        ...defaults.slice(compareTargets.length),
+      ]);
+    }
+    setCompareMode(true);
+  }, [
+    compareMode,
+    compareTargets,
+    isAnyMessageGenerating,
+    models,
+    inputs.model,
+    inputs.group,
+    clearCompare,
+    setCompareMode,
+    setCompareTargets,
+    t,
+  ]);
+
+  // 会话切换：生成过程中禁止切换，避免流式结果写入错误的会话
+  const handleSessionSelect = useCallback(
+    (sessionId) => {
+      if (isAnyMessageGenerating || isComparing) {
+        Toast.warning(t('请先停止当前生成'));
+        return;
+      }
+      clearCompare();
+      handleSessionSwitch(sessionId);
+      setShowMobileSessions(false);
+    },
+    [isAnyMessageGenerating, isComparing, clearCompare, handleSessionSwitch, t],
+  );
+
+  const handleSessionNew = useCallback(() => {
+    if (isComparing) {
+      Toast.warning(t('请先停止当前生成'));
+      return;
+    }
+    clearCompare();
+    handleSessionCreate();
+    setShowMobileSessions(false);
+  }, [isComparing, clearCompare, handleSessionCreate, t]);
+
+  // 生成代码仅支持对话接口
+  const codePreviewPayload =
+    endpointMode === ENDPOINT_MODES.CHAT ? previewPayload : null;
+
+  const activeSession = sessions.find(
+    (session) => session.id === activeSessionId,
+  );
+
+  const renderSessionSidebar = () => (
+    <SessionSidebar
+      sessions={sessions}
+      activeSessionId={activeSessionId}
+      loading={sessionsLoading}
+      disabled={isAnyMessageGenerating}
+      styleState={styleState}
+      onSessionSwitch={handleSessionSelect}
+      onSessionCreate={handleSessionNew}
+      onSessionRename={handleSessionRename}
+      onSessionDuplicate={handleSessionDuplicate}
+      onSessionDelete={handleSessionDelete}
+      onClose={() => setShowMobileSessions(false)}
+    />
+  );
+
   // 清空对话的处理函数
   const handleClearMessages = useCallback(() => {
     setMessage([]);
@@ -480,13 +823,21 @@ const Playground = () => {
               showDebugPanel={showDebugPanel}
               customRequestMode={customRequestMode}
               customRequestBody={customRequestBody}
+              systemPrompt={systemPrompt}
+              endpointMode={endpointMode}
+              promptTemplates={promptTemplates}
+              promptVariables={promptVariables}
               onInputChange={handleInputChange}
               onParameterToggle={handleParameterToggle}
               onCloseSettings={() => setShowSettings(false)}
-              onConfigImport={handleConfigImport}
+              onConfigImport={handlePlaygroundConfigImport}
               onConfigReset={handleConfigReset}
               onCustomRequestModeChange={setCustomRequestMode}
               onCustomRequestBodyChange={setCustomRequestBody}
+              onSystemPromptChange={setSystemPrompt}
+              onEndpointModeChange={handleEndpointModeChange}
+              onOpenPromptLibrary={() => setShowPromptLibrary(true)}
+              onOpenPromptVariables={() => setShowPromptVariables(true)}
               previewPayload={previewPayload}
               messages={message}
             />
@@ -495,24 +846,78 @@ const Playground = () => {
 
         <Layout.Content className='relative flex-1 overflow-hidden'>
           <div className='overflow-hidden flex flex-col lg:flex-row h-[calc(100vh-66px)] mt-[60px]'>
+            {/* 会话列表 - 桌面端 */}
+            {showSessionPanel && !isMobile && (
+              <div className='w-64 flex-shrink-0 h-full'>
+                {renderSessionSidebar()}
+              </div>
+            )}
+
             <div className='flex-1 flex flex-col'>
-              <ChatArea
-                chatRef={chatRef}
-                message={message}
-                inputs={inputs}
-                styleState={styleState}
-                showDebugPanel={showDebugPanel}
-                roleInfo={roleInfo}
-                onMessageSend={onMessageSend}
-                onMessageCopy={messageActions.handleMessageCopy}
-                onMessageReset={messageActions.handleMessageReset}
-                onMessageDelete={messageActions.handleMessageDelete}
-                onStopGenerator={onStopGenerator}
-                onClearMessages={handleClearMessages}
-                onToggleDebugPanel={() => setShowDebugPanel(!showDebugPanel)}
-                renderCustomChatContent={renderCustomChatContent}
-                renderChatBoxAction={renderChatBoxAction}
-              />
+              {endpointMode !== ENDPOINT_MODES.CHAT ? (
+                <EndpointArea
+                  endpointMode={endpointMode}
+                  inputs={inputs}
+                  styleState={styleState}
+                  showDebugPanel={showDebugPanel}
+                  endpointLoading={endpointLoading}
+                  evalRunner={evalRunner}
+                  onEndpointRequest={sendEndpointRequest}
+                  onPreviewChange={handleEndpointPreviewChange}
+                  onToggleDebugPanel={() =>
+                    setShowDebugPanel(!showDebugPanel)
+                  }
+                  onExitEndpointMode={() =>
+                    handleEndpointModeChange(ENDPOINT_MODES.CHAT)
+                  }
+                />
+              ) : compareMode ? (
+                <CompareArea
+                  compareTargets={compareTargets}
+                  compareRun={compareRun}
+                  isComparing={isComparing}
+                  models={models}
+                  groups={groups}
+                  styleState={styleState}
+                  onTargetsChange={setCompareTargets}
+                  onRunCompare={handleRunCompare}
+                  onStopCompare={stopCompare}
+                  onPromoteResult={promoteResult}
+                  onClearCompare={clearCompare}
+                  onToggleResultReasoning={toggleResultReasoning}
+                  onExitCompareMode={handleToggleCompareMode}
+                />
+              ) : (
+                <ChatArea
+                  chatRef={chatRef}
+                  message={message}
+                  inputs={inputs}
+                  styleState={styleState}
+                  showDebugPanel={showDebugPanel}
+                  showSessionPanel={showSessionPanel}
+                  sessionTitle={activeSession?.name}
+                  roleInfo={roleInfo}
+                  onMessageSend={onMessageSend}
+                  onMessageCopy={messageActions.handleMessageCopy}
+                  onMessageReset={messageActions.handleMessageReset}
+                  onMessageDelete={messageActions.handleMessageDelete}
+                  onStopGenerator={onStopGenerator}
+                  onClearMessages={handleClearMessages}
+                  onToggleDebugPanel={() =>
+                    setShowDebugPanel(!showDebugPanel)
+                  }
+                  onToggleSessionPanel={() =>
+                    setShowSessionPanel(!showSessionPanel)
+                  }
+                  onToggleCompareMode={handleToggleCompareMode}
+                  branchCount={message.filter(getBranchInfo).length}
+                  onToggleBranchTree={() =>
+                    setShowBranchTree(!showBranchTree)
+                  }
+                  renderCustomChatContent={renderCustomChatContent}
+                  renderChatBoxAction={renderChatBoxAction}
+                />
+              )}
             </div>
 
             {/* 调试面板 - 桌面端 */}
@@ -524,6 +929,7 @@ const Playground = () => {
                   onActiveDebugTabChange={setActiveDebugTab}
                   styleState={styleState}
                   customRequestMode={customRequestMode}
+                  previewPayload={codePreviewPayload}
                 />
               </div>
             )}
@@ -540,10 +946,18 @@ const Playground = () => {
                 showDebugPanel={showDebugPanel}
                 onCloseDebugPanel={() => setShowDebugPanel(false)}
                 customRequestMode={customRequestMode}
+                previewPayload={codePreviewPayload}
               />
             </div>
           )}
 
+          {/* 会话列表 - 移动端覆盖层 */}
+          {showMobileSessions && isMobile && (
+            <div className='fixed top-0 left-0 right-0 bottom-0 z-[1000] bg-white overflow-auto shadow-lg'>
+              {renderSessionSidebar()}
+            </div>
+          )}
+
           {/* 浮动按钮 */}
           <FloatingButtons
             styleState={styleState}
@@ -551,6 +965,38 @@ const Playground = () => {
             showDebugPanel={showDebugPanel}
             onToggleSettings={() => setShowSettings(!showSettings)}
             onToggleDebugPanel={() => setShowDebugPanel(!showDebugPanel)}
+            onToggleSessionPanel={() =>
+              setShowMobileSessions(!showMobileSessions)
+            }
+          />
+
+          <PromptLibraryModal
+            visible={showPromptLibrary}
+            templates={promptTemplates}
+            loading={promptTemplatesLoading}
+            systemPrompt={systemPrompt}
+            styleState={styleState}
+            onSave={savePromptTemplate}
+            onDelete={removePromptTemplate}
+            onApply={setSystemPrompt}
+            onClose={() => setShowPromptLibrary(false)}
+          />
+
+          <PromptVariablesModal
+            visible={showPromptVariables}
+            variables={promptVariables}
+            values={promptVariableValues}
+            onConfirm={handlePromptVariablesConfirm}
+            onCancel={handlePromptVariablesCancel}
+          />
+
+          <BranchTreePanel
+            visible={showBranchTree}
+            messages={message}
+            disabled={isAnyMessageGenerating}
+            isMobile={styleState.isMobile}
+            onBranchJump={messageActions.handleBranchJump}
+            onClose={() => setShowBranchTree(false)}
           />
         </Layout.Content>
       </Layout>
@@ -198,6 +198,15 @@ export const createApiCalls = {
     return response.data;
   },
 
+  /**
+   * 创建导出渠道（包含完整密钥）的API调用
+   * @param {Array<number>} ids - 渠道ID列表，为空时导出全部渠道
+   */
+  exportChannelKeys: (ids) => async () => {
+    const response = await API.post('/api/channel/export/keys', { ids });
+    return response.data;
+  },
+
   /**
    * 创建自定义API调用
    * @param {string} url - API URL